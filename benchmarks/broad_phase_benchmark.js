@@ -0,0 +1,74 @@
+/**
+ * File: broad_phase_benchmark.js
+ * Project: 3D Rigid Body Physics Engine - Collisions and Motion
+ * Description: Compares the uniform grid broad phase against brute-force pair testing.
+ * Reports narrow-phase pair tests and time per step for growing robot counts, the arena grows with the count
+ * so the density of robots stays the same. Run with: node benchmarks/broad_phase_benchmark.js [steps]
+ * Author: Alberto Chavez Garcia
+ * Created: October 19, 2026
+ * Last Modified: October 19, 2026
+ */
+
+const { performance } = require('perf_hooks');
+const { simulation_world } = require('../simulation.js');
+
+const ROBOT_COUNTS = [50, 500, 2000, 5000];
+const SEED = 2023;
+
+// Floor area given to each robot, 5 x 5 units
+const SPACING = 5;
+
+/**
+ * Runs one configuration and measures it
+ * @param {Number} num_robots - Number of robots to be made
+ * @param {String} broad_phase - 'grid' or 'brute_force'
+ * @param {Number} num_steps - Number of steps measured
+ * @returns {Object} - Average pair tests, contacts and milliseconds per step
+ */
+function run_benchmark(num_robots, broad_phase, num_steps) {
+    const arena_size = Math.sqrt(num_robots) * SPACING + 4;
+    const world = new simulation_world({
+        num_robots,
+        seed: SEED,
+        piston_force: 6,
+        arena: { width: arena_size, depth: arena_size },
+        broad_phase
+    });
+
+    let pairs_tested = 0;
+    let contacts = 0;
+    const start = performance.now();
+
+    for (let i = 0; i < num_steps; i++) {
+        world.step();
+        pairs_tested += world.collision_stats.pairs_tested;
+        contacts += world.collision_stats.contacts;
+    }
+
+    const elapsed = performance.now() - start;
+    return {
+        pairs_tested: pairs_tested / num_steps,
+        contacts: contacts / num_steps,
+        step_ms: elapsed / num_steps
+    };
+}
+
+const num_steps = parseInt(process.argv[2] || 20);
+const rows = [];
+
+for (const num_robots of ROBOT_COUNTS) {
+    const brute_force = run_benchmark(num_robots, 'brute_force', num_steps);
+    const grid = run_benchmark(num_robots, 'grid', num_steps);
+
+    rows.push({
+        robots: num_robots,
+        'brute force pairs/step': Math.round(brute_force.pairs_tested),
+        'grid pairs/step': Math.round(grid.pairs_tested),
+        'brute force ms/step': brute_force.step_ms.toFixed(3),
+        'grid ms/step': grid.step_ms.toFixed(3),
+        speedup: `${(brute_force.step_ms / grid.step_ms).toFixed(1)}x`
+    });
+}
+
+console.log(`Broad phase benchmark, ${num_steps} steps per configuration`);
+console.table(rows);
@@ -0,0 +1,96 @@
+/**
+ * File: step_benchmark.js
+ * Project: 3D Rigid Body Physics Engine - Collisions and Motion
+ * Description: Measures headless stepping of the simulation world at 100, 1,000 and 10,000 bodies.
+ * Reports steps per second, milliseconds per step and the share of the time spent collecting garbage
+ * (the tests between touching bodies and the emitted events still allocate), the arena grows with the count so the density of robots stays the same.
+ * Run with: node benchmarks/step_benchmark.js [steps]
+ * Author: Alberto Chavez Garcia
+ * Created: October 19, 2026
+ * Last Modified: October 19, 2026
+ */
+
+const { performance, PerformanceObserver } = require('perf_hooks');
+const { simulation_world } = require('../simulation.js');
+
+const BODY_COUNTS = [100, 1000, 10000];
+const SEED = 2023;
+
+// Floor area given to each robot, 5 x 5 units
+const SPACING = 5;
+
+// Steps run before measuring, so the robots are already rolling and the code is optimized
+const WARM_UP_STEPS = 10;
+
+// Garbage collections seen by the observer, their entries are delivered a moment after the collections
+const gc_entries = [];
+const gc_observer = new PerformanceObserver(list => gc_entries.push(...list.getEntries()));
+gc_observer.observe({ entryTypes: ['gc'] });
+
+// Time given to the observer to deliver the pending entries, in milliseconds
+const GC_FLUSH_DELAY = 50;
+
+/**
+ * Helper function to wait for the pending garbage collection entries
+ * @returns {Promise}
+ */
+function flush_gc_entries() {
+    return new Promise(resolve => setTimeout(resolve, GC_FLUSH_DELAY));
+}
+
+/**
+ * Runs one configuration and measures it
+ * @param {Number} num_bodies - Number of robots to be made, the arena walls are not counted
+ * @param {Number} num_steps - Number of steps measured
+ * @returns {Promise<Object>} - Steps per second, milliseconds per step, garbage collections and their share of the time
+ */
+async function run_benchmark(num_bodies, num_steps) {
+    const arena_size = Math.sqrt(num_bodies) * SPACING + 4;
+    const world = new simulation_world({
+        num_robots: num_bodies,
+        seed: SEED,
+        piston_force: 6,
+        arena: { width: arena_size, depth: arena_size }
+    });
+    world.advance(WARM_UP_STEPS);
+    await flush_gc_entries();
+    gc_entries.length = 0;
+
+    const start = performance.now();
+    world.advance(num_steps);
+    const elapsed = performance.now() - start;
+    await flush_gc_entries();
+
+    // Only the collections that started while the world was stepping are counted
+    const collections = gc_entries.filter(entry => entry.startTime >= start && entry.startTime <= start + elapsed);
+    const gc_ms = collections.reduce((total, entry) => total + entry.duration, 0);
+
+    return {
+        steps_per_second: num_steps / (elapsed / 1000),
+        step_ms: elapsed / num_steps,
+        collections: collections.length,
+        gc_share: gc_ms / elapsed
+    };
+}
+
+async function main() {
+    const num_steps = parseInt(process.argv[2] || 20);
+    const rows = [];
+
+    for (const num_bodies of BODY_COUNTS) {
+        const result = await run_benchmark(num_bodies, num_steps);
+        rows.push({
+            bodies: num_bodies,
+            'steps/s': result.steps_per_second.toFixed(1),
+            'ms/step': result.step_ms.toFixed(3),
+            'GCs': result.collections,
+            'GC time': `${(result.gc_share * 100).toFixed(1)}%`
+        });
+    }
+
+    gc_observer.disconnect();
+    console.log(`Stepping benchmark, ${num_steps} steps per configuration`);
+    console.table(rows);
+}
+
+main();
@@ -0,0 +1,180 @@
+/**
+ * File: broad_phase.js
+ * Project: 3D Rigid Body Physics Engine - Collisions and Motion
+ * Description: Broad-phase collision detection for the simulation world.
+ * A uniform grid over the floor (x/z plane) that only hands robots sharing a cell to the narrow phase,
+ * plus the brute-force pair enumeration it replaces, kept for comparison
+ * Author: Alberto Chavez Garcia
+ * Created: October 19, 2026
+ * Last Modified: October 19, 2026
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        Object.assign(root, factory());
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+
+    // Cell coordinates are packed in a single small integer, valid for grids up to 32768 cells per side.
+    // Keys stay below 2^30, so V8 keeps them as small integers and looking a cell up makes no new number
+    const CELL_KEY_OFFSET = 16384;
+    const CELL_KEY_STRIDE = 32768;
+
+    /**
+     * This class buckets bounding boxes into square cells of the floor.
+     * Items are inserted in every cell their box overlaps, candidate pairs are items sharing a cell.
+     * The grid is filled again every step, so nothing is made anew once it has seen its items and cells:
+     * each item keeps its entry and emptied cells keep their storage for the next fill
+     *
+     * @param {Number} cell_size - Side of a cell, should be at least the size of the largest bounding box
+     */
+    class uniform_grid {
+        constructor(cell_size = 4) {
+            this.cell_size = cell_size;
+
+            // Every cell filled so far by its key, and the cells holding items since the last clear
+            this.cells = new Map();
+            this.occupied = [];
+
+            // Entry of each item, reused every time the item is inserted
+            this._entries = new WeakMap();
+        }
+
+        /**
+         * Empties the grid, the cells and the entries are kept for the next fill
+         */
+        clear() {
+            while (this.occupied.length > 0) {
+                const cell = this.occupied.pop();
+                while (cell.entries.length > 0) {
+                    cell.entries.pop();
+                }
+            }
+        }
+
+        _cell_index(coordinate) {
+            return Math.floor(coordinate / this.cell_size);
+        }
+
+        _cell_key(cell_x, cell_z) {
+            return (cell_x + CELL_KEY_OFFSET) * CELL_KEY_STRIDE + (cell_z + CELL_KEY_OFFSET);
+        }
+
+        /**
+         * Adds an item to every cell overlapped by its bounding box, an item is inserted once between two clears
+         * @param {Object} item - Item stored in the grid, usually a cube_robot
+         * @param {box3} box - World bounding box of the item
+         */
+        insert(item, box) {
+            const min_x = this._cell_index(box.min.x), max_x = this._cell_index(box.max.x);
+            const min_z = this._cell_index(box.min.z), max_z = this._cell_index(box.max.z);
+
+            // The first cell of the item is kept, the box may have moved by the time the grid is queried
+            let entry = this._entries.get(item);
+            if (entry === undefined) {
+                entry = { item, box, min_x, min_z };
+                this._entries.set(item, entry);
+            }
+            entry.box = box;
+            entry.min_x = min_x;
+            entry.min_z = min_z;
+
+            for (let cell_x = min_x; cell_x <= max_x; cell_x++) {
+                for (let cell_z = min_z; cell_z <= max_z; cell_z++) {
+                    const key = this._cell_key(cell_x, cell_z);
+                    let cell = this.cells.get(key);
+                    if (cell === undefined) {
+                        cell = { key, entries: [] };
+                        this.cells.set(key, cell);
+                    }
+                    if (cell.entries.length === 0) {
+                        this.occupied.push(cell);
+                    }
+                    cell.entries.push(entry);
+                }
+            }
+        }
+
+        /**
+         * Calls back every item stored in the cells overlapped by a box, exactly once.
+         * An item spanning several of those cells is only reported by the first of them, as in find_pairs
+         * @param {box3} box - Query bounding box
+         * @param {Function} callback - Called with (item, item_box)
+         */
+        query(box, callback) {
+            const min_x = this._cell_index(box.min.x), max_x = this._cell_index(box.max.x);
+            const min_z = this._cell_index(box.min.z), max_z = this._cell_index(box.max.z);
+
+            for (let cell_x = min_x; cell_x <= max_x; cell_x++) {
+                for (let cell_z = min_z; cell_z <= max_z; cell_z++) {
+                    const cell = this.cells.get(this._cell_key(cell_x, cell_z));
+                    if (cell === undefined) {
+                        continue;
+                    }
+
+                    for (let i = 0; i < cell.entries.length; i++) {
+                        const entry = cell.entries[i];
+                        if (Math.max(entry.min_x, min_x) === cell_x && Math.max(entry.min_z, min_z) === cell_z) {
+                            callback(entry.item, entry.box);
+                        }
+                    }
+                }
+            }
+        }
+
+        /**
+         * Calls back the floor area of every occupied cell, used to draw the grid
+         * @param {Function} callback - Called with (min_x, min_z, cell_size, num_items) of each cell
+         */
+        for_each_cell(callback) {
+            for (const { key, entries } of this.occupied) {
+                const cell_x = Math.floor(key / CELL_KEY_STRIDE) - CELL_KEY_OFFSET;
+                const cell_z = key % CELL_KEY_STRIDE - CELL_KEY_OFFSET;
+                callback(cell_x * this.cell_size, cell_z * this.cell_size, this.cell_size, entries.length);
+            }
+        }
+
+        /**
+         * Calls back every candidate pair exactly once.
+         * Two items can share several cells, the pair is only reported by the cell holding the lower corner of their overlap
+         * @param {Function} callback - Called with (item_a, item_b), item_a was inserted first
+         */
+        find_pairs(callback) {
+            for (let k = 0; k < this.occupied.length; k++) {
+                const { key, entries } = this.occupied[k];
+                for (let i = 0; i < entries.length; i++) {
+                    const box_a = entries[i].box;
+
+                    for (let j = i + 1; j < entries.length; j++) {
+                        const box_b = entries[j].box;
+                        const owner_key = this._cell_key(
+                            this._cell_index(Math.max(box_a.min.x, box_b.min.x)),
+                            this._cell_index(Math.max(box_a.min.z, box_b.min.z))
+                        );
+
+                        if (owner_key === key) {
+                            callback(entries[i].item, entries[j].item);
+                        }
+                    }
+                }
+            }
+        }
+    }
+
+    /**
+     * Calls back every pair of robots, O(n²)
+     * @param {Array} robot_array - Array contining every cube robot
+     * @param {Function} callback - Called with (robot_a, robot_b)
+     */
+    function brute_force_pairs(robot_array, callback) {
+        for (let i = 0; i < robot_array.length; i++) {
+            for (let j = i + 1; j < robot_array.length; j++) {
+                callback(robot_array[i], robot_array[j]);
+            }
+        }
+    }
+
+    return { uniform_grid, brute_force_pairs };
+}));
@@ -0,0 +1,265 @@
+/**
+ * File: camera_controls.js
+ * Project: 3D Rigid Body Physics Engine - Collisions and Motion
+ * Description: Interactive camera for the ThreeJS view including:
+ * Orbit, Pan and Zoom with the mouse, Perspective and Orthographic view modes,
+ * a Follow-Cam tracking a robot, Top-Down and Isometric presets, and Resizing with the window
+ * Author: Alberto Chavez Garcia
+ * Created: October 19, 2026
+ * Last Modified: October 19, 2026
+ */
+
+// View modes of the camera
+const CAMERA_MODES = ['orthographic', 'perspective'];
+
+// Vertical field of view of the perspective camera in degrees, also relates the distance to the orthographic zoom
+const CAMERA_FOV = 45;
+const CAMERA_NEAR = 0.1;
+const CAMERA_FAR = 1000;
+
+// Pixels per metre of the original fixed camera, gives the starting zoom
+const PIXELS_PER_UNIT = 50;
+
+// Limits of the distance from the camera to its target, in metres
+const MIN_CAMERA_DISTANCE = 5;
+const MAX_CAMERA_DISTANCE = 500;
+
+// Limits of the polar angle, the camera never goes below the floor nor exactly above the target
+const MIN_POLAR_ANGLE = 1e-3;
+const MAX_POLAR_ANGLE = Math.PI / 2 - 0.01;
+
+// Radians turned per pixel dragged, distance change per wheel notch, and pixels moved before a press is a drag
+const ORBIT_SPEED = 0.005;
+const ZOOM_FACTOR = 1.1;
+const DRAG_THRESHOLD = 4;
+
+// Rate (1/s) at which the follow-cam catches up with the followed robot
+const FOLLOW_RATE = 5;
+
+// Angles of the presets: azimuth around the vertical axis from +z, polar from the vertical
+const CAMERA_PRESETS = {
+    isometric: { azimuth: Math.PI / 4, polar: Math.acos(1 / Math.sqrt(3)) },
+    top_down: { azimuth: 0, polar: MIN_POLAR_ANGLE }
+};
+
+/**
+ * This class owns a perspective and an orthographic camera orbiting the same target, and drives them from the mouse.
+ * Left drag orbits, right drag (or shift and left drag) pans and the wheel zooms.
+ * Both cameras show the target at the same scale, so switching modes keeps the framing
+ *
+ * @param {HTMLElement} dom_element - Element receiving the mouse events, the canvas of the renderer
+ * @param {Number} width - Width of the view in pixels
+ * @param {Number} height - Height of the view in pixels
+ */
+class camera_controls {
+    constructor(dom_element, width, height) {
+        this.dom_element = dom_element;
+        this.width = width;
+        this.height = height;
+
+        this.perspective_camera = new THREE.PerspectiveCamera(CAMERA_FOV, width / height, CAMERA_NEAR, CAMERA_FAR);
+        this.orthographic_camera = new THREE.OrthographicCamera(-1, 1, 1, -1, CAMERA_NEAR, CAMERA_FAR);
+        this.mode = 'orthographic';
+
+        // Spherical coordinates of the camera around its target, the starting zoom matches the original fixed camera
+        this.target = new THREE.Vector3(0, 0, 0);
+        this.distance = THREE.MathUtils.clamp(
+            height / 2 / PIXELS_PER_UNIT / Math.tan(CAMERA_FOV * Math.PI / 360),
+            MIN_CAMERA_DISTANCE,
+            MAX_CAMERA_DISTANCE
+        );
+        this.azimuth = 0;
+        this.polar = 0;
+        this.apply_preset('isometric');
+
+        this.following = false;
+        this._drag = null;
+        this._suppress_click = false;
+        this._pan_offset = new THREE.Vector3();
+
+        this._add_listeners();
+    }
+
+    /**
+     * Camera of the current view mode, the one to render with
+     * @returns {THREE.Camera}
+     */
+    get camera() {
+        return this.mode === 'perspective' ? this.perspective_camera : this.orthographic_camera;
+    }
+
+    /**
+     * Switches between the perspective and orthographic cameras
+     * @param {String} mode - 'perspective' or 'orthographic'
+     */
+    set_mode(mode) {
+        if (!CAMERA_MODES.includes(mode)) {
+            throw new Error(`Unknown camera mode: ${mode}`);
+        }
+        this.mode = mode;
+        this._apply();
+    }
+
+    /**
+     * Turns the camera to a preset angle around its current target, the zoom is kept
+     * @param {String} name - 'top_down' or 'isometric'
+     */
+    apply_preset(name) {
+        const preset = CAMERA_PRESETS[name];
+        if (preset === undefined) {
+            throw new Error(`Unknown camera preset: ${name}`);
+        }
+        this.azimuth = preset.azimuth;
+        this.polar = preset.polar;
+        this._apply();
+    }
+
+    /**
+     * Updates the aspect of both cameras after the view changed size
+     * @param {Number} width - Width of the view in pixels
+     * @param {Number} height - Height of the view in pixels
+     */
+    resize(width, height) {
+        this.width = width;
+        this.height = height;
+        this._apply();
+    }
+
+    /**
+     * Moves the camera once per frame
+     * @param {Number} elapsed_seconds - Real time since the last frame
+     * @param {THREE.Vector3|null} follow_position - Position the target eases towards, null when not following
+     */
+    update(elapsed_seconds, follow_position = null) {
+        this.following = follow_position !== null;
+        if (this.following) {
+            this.target.lerp(follow_position, 1 - Math.exp(-FOLLOW_RATE * elapsed_seconds));
+        }
+        this._apply();
+    }
+
+    /**
+     * Places both cameras from the spherical coordinates and sizes their frustums to the view
+     */
+    _apply() {
+        const aspect = this.width / this.height;
+        const sin_polar = Math.sin(this.polar);
+        const offset_x = this.distance * sin_polar * Math.sin(this.azimuth);
+        const offset_y = this.distance * Math.cos(this.polar);
+        const offset_z = this.distance * sin_polar * Math.cos(this.azimuth);
+
+        // The orthographic frustum covers what the perspective camera sees at the distance of the target
+        const half_height = this.distance * Math.tan(CAMERA_FOV * Math.PI / 360);
+        const orthographic = this.orthographic_camera;
+        orthographic.left = -half_height * aspect;
+        orthographic.right = half_height * aspect;
+        orthographic.top = half_height;
+        orthographic.bottom = -half_height;
+        this.perspective_camera.aspect = aspect;
+
+        for (const camera of [this.perspective_camera, this.orthographic_camera]) {
+            camera.position.set(this.target.x + offset_x, this.target.y + offset_y, this.target.z + offset_z);
+            camera.lookAt(this.target);
+            camera.updateProjectionMatrix();
+        }
+    }
+
+    /**
+     * Helper functions to react to the mouse, a drag never counts as a click on the scene
+     */
+    _add_listeners() {
+        const element = this.dom_element;
+
+        element.addEventListener('pointerdown', event => {
+            if (event.button !== 0 && event.button !== 2) {
+                return;
+            }
+            this._drag = {
+                pointer_id: event.pointerId,
+                pan: event.button === 2 || event.shiftKey,
+                start_x: event.clientX,
+                start_y: event.clientY,
+                last_x: event.clientX,
+                last_y: event.clientY,
+                moved: false
+            };
+            element.setPointerCapture(event.pointerId);
+        });
+
+        element.addEventListener('pointermove', event => {
+            const drag = this._drag;
+            if (drag === null || event.pointerId !== drag.pointer_id) {
+                return;
+            }
+
+            const delta_x = event.clientX - drag.last_x;
+            const delta_y = event.clientY - drag.last_y;
+            drag.last_x = event.clientX;
+            drag.last_y = event.clientY;
+            if (Math.hypot(event.clientX - drag.start_x, event.clientY - drag.start_y) > DRAG_THRESHOLD) {
+                drag.moved = true;
+            }
+
+            if (drag.pan) {
+                this._pan(delta_x, delta_y);
+            } else {
+                this._orbit(delta_x, delta_y);
+            }
+        });
+
+        const end_drag = event => {
+            const drag = this._drag;
+            if (drag === null || event.pointerId !== drag.pointer_id) {
+                return;
+            }
+            this._suppress_click = drag.moved;
+            this._drag = null;
+            element.releasePointerCapture(event.pointerId);
+        };
+        element.addEventListener('pointerup', end_drag);
+        element.addEventListener('pointercancel', end_drag);
+
+        // Runs before the click listeners of the page, picking a robot only happens on a click without drag
+        element.addEventListener('click', event => {
+            if (this._suppress_click) {
+                this._suppress_click = false;
+                event.stopImmediatePropagation();
+            }
+        }, true);
+
+        element.addEventListener('wheel', event => {
+            event.preventDefault();
+            this._zoom(event.deltaY > 0 ? ZOOM_FACTOR : 1 / ZOOM_FACTOR);
+        }, { passive: false });
+
+        element.addEventListener('contextmenu', event => event.preventDefault());
+    }
+
+    _orbit(delta_x, delta_y) {
+        this.azimuth -= delta_x * ORBIT_SPEED;
+        this.polar = THREE.MathUtils.clamp(this.polar - delta_y * ORBIT_SPEED, MIN_POLAR_ANGLE, MAX_POLAR_ANGLE);
+        this._apply();
+    }
+
+    // The target slides in the plane of the view, by as many metres as the pointer moved over the target
+    _pan(delta_x, delta_y) {
+        // The follow-cam owns the target while following
+        if (this.following) {
+            return;
+        }
+
+        const camera = this.camera;
+        camera.updateMatrix();
+        const metres_per_pixel = 2 * this.distance * Math.tan(CAMERA_FOV * Math.PI / 360) / this.height;
+        this._pan_offset.setFromMatrixColumn(camera.matrix, 0).multiplyScalar(-delta_x * metres_per_pixel);
+        this.target.add(this._pan_offset);
+        this._pan_offset.setFromMatrixColumn(camera.matrix, 1).multiplyScalar(delta_y * metres_per_pixel);
+        this.target.add(this._pan_offset);
+        this._apply();
+    }
+
+    _zoom(factor) {
+        this.distance = THREE.MathUtils.clamp(this.distance * factor, MIN_CAMERA_DISTANCE, MAX_CAMERA_DISTANCE);
+        this._apply();
+    }
+}
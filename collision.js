@@ -0,0 +1,947 @@
+/**
+ * File: collision.js
+ * Project: 3D Rigid Body Physics Engine - Collisions and Motion
+ * Description: Contact generation for the simulation world including:
+ * Box, Sphere and Cylinder colliders, Separating Axis Theorem narrow phase with Contact Points,
+ * closest-point tests for spheres, convex hull contacts for cylinders and Collider-Plane contacts
+ * Author: Alberto Chavez Garcia
+ * Created: October 19, 2026
+ * Last Modified: October 19, 2026
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./vector_math.js'));
+    } else {
+        Object.assign(root, factory(root));
+    }
+}(typeof self !== 'undefined' ? self : this, function (math) {
+
+    const { vector3 } = math;
+
+    // Relative and absolute tolerances for preferring face contacts over edge contacts of similar depth, avoids flickering
+    const FEATURE_RELATIVE_TOLERANCE = 0.98;
+    const FEATURE_ABSOLUTE_TOLERANCE = 0.001;
+
+    // Cross products of nearly parallel edges are too short to be used as separating axes
+    const PARALLEL_EPSILON = 1e-6;
+
+    // Scratch vectors of box_plane_contact, run for every box against the floor and the walls each step
+    const scratch_corner = new vector3();
+    const scratch_side = new vector3();
+
+    // Signs along each axis of the box from its center to its corners
+    const CORNER_SIGNS = [-1, 1];
+
+    // Sides of the prism standing in for a cylinder in contacts against boxes and other cylinders
+    const CYLINDER_SEGMENTS = 16;
+
+    // A cylinder cap counts as lying flat on a plane when the plane normal is this close to its axis
+    const FLAT_CAP_EPSILON = 1e-3;
+
+    /**
+     * This class is an oriented bounding box (OBB): a box with its own centre, local axes and half extents
+     *
+     * @param {vector3} half_extents - Half of the size of the box along each of its local axes
+     */
+    class oriented_box {
+        constructor(half_extents = new vector3(1, 1, 1)) {
+            this.type = 'box';
+            this.center = new vector3(0, 0, 0);
+            this.axes = [new vector3(1, 0, 0), new vector3(0, 1, 0), new vector3(0, 0, 1)];
+            this.half_extents = [half_extents.x, half_extents.y, half_extents.z];
+        }
+
+        /**
+         * Places the box in the world
+         * @param {vector3} position - Centre of the box
+         * @param {matrix3} rotation_matrix - Orientation of the box, its columns are the local axes
+         * @returns {oriented_box} - This box
+         */
+        set_from_pose(position, rotation_matrix) {
+            const e = rotation_matrix.elements;
+            this.center.copy(position);
+            this.axes[0].set(e[0], e[3], e[6]);
+            this.axes[1].set(e[1], e[4], e[7]);
+            this.axes[2].set(e[2], e[5], e[8]);
+            return this;
+        }
+
+        /**
+         * Half of the length of the projection of the box on an axis
+         * @param {vector3} axis - Unit axis
+         * @returns {Number} - Projected radius
+         */
+        projected_radius(axis) {
+            return Math.abs(this.axes[0].dot(axis)) * this.half_extents[0]
+                + Math.abs(this.axes[1].dot(axis)) * this.half_extents[1]
+                + Math.abs(this.axes[2].dot(axis)) * this.half_extents[2];
+        }
+
+        /**
+         * World axis-aligned box enclosing the collider
+         * @param {box3} target - Box receiving the result
+         * @returns {box3} - The target box
+         */
+        bounding_box(target) {
+            return centered_bounding_box(target, this.center,
+                this.projected_radius(WORLD_AXES[0]), this.projected_radius(WORLD_AXES[1]), this.projected_radius(WORLD_AXES[2]));
+        }
+
+        /**
+         * Checks if a point lies inside the box
+         * @param {vector3} point - Point in world coordinates
+         * @returns {Boolean}
+         */
+        contains_point(point) {
+            const offset = point.clone().sub(this.center);
+            return this.axes.every((axis, k) => Math.abs(offset.dot(axis)) <= this.half_extents[k]);
+        }
+
+        /**
+         * Convex hull of the box, used against colliders without a dedicated test
+         * @returns {Object} - Hull with center, vertices, faces (normal and polygon) and edge directions
+         */
+        hull() {
+            const vertices = [];
+            const faces = [];
+
+            for (let k = 0; k < 3; k++) {
+                const side_1 = this.axes[(k + 1) % 3].clone().multiply_scalar(this.half_extents[(k + 1) % 3]);
+                const side_2 = this.axes[(k + 2) % 3].clone().multiply_scalar(this.half_extents[(k + 2) % 3]);
+
+                for (const sign of [-1, 1]) {
+                    const normal = this.axes[k].clone().multiply_scalar(sign);
+                    const face_center = normal.clone().multiply_scalar(this.half_extents[k]).add(this.center);
+                    const polygon = [
+                        face_center.clone().add(side_1).add(side_2),
+                        face_center.clone().sub(side_1).add(side_2),
+                        face_center.clone().sub(side_1).sub(side_2),
+                        face_center.clone().add(side_1).sub(side_2)
+                    ];
+                    faces.push({ normal, polygon });
+                    vertices.push(...polygon);
+                }
+            }
+
+            return { center: this.center, vertices, faces, edges: this.axes };
+        }
+    }
+
+    /**
+     * This class is a sphere collider
+     *
+     * @param {Number} radius - Radius of the sphere
+     */
+    class sphere_collider {
+        constructor(radius = 1) {
+            this.type = 'sphere';
+            this.center = new vector3(0, 0, 0);
+            this.radius = radius;
+        }
+
+        /**
+         * Places the sphere in the world, its orientation does not change its shape
+         * @param {vector3} position - Centre of the sphere
+         * @returns {sphere_collider} - This sphere
+         */
+        set_from_pose(position) {
+            this.center.copy(position);
+            return this;
+        }
+
+        bounding_box(target) {
+            return centered_bounding_box(target, this.center, this.radius, this.radius, this.radius);
+        }
+
+        contains_point(point) {
+            return point.clone().sub(this.center).length_sq() <= this.radius * this.radius;
+        }
+    }
+
+    /**
+     * This class is a cylinder collider, its axis is the local y axis
+     *
+     * @param {Number} radius - Radius of the cylinder
+     * @param {Number} half_height - Half of the height of the cylinder along its axis
+     */
+    class cylinder_collider {
+        constructor(radius = 1, half_height = 1) {
+            this.type = 'cylinder';
+            this.center = new vector3(0, 0, 0);
+            this.axes = [new vector3(1, 0, 0), new vector3(0, 1, 0), new vector3(0, 0, 1)];
+            this.radius = radius;
+            this.half_height = half_height;
+        }
+
+        /**
+         * Places the cylinder in the world
+         * @param {vector3} position - Centre of the cylinder
+         * @param {matrix3} rotation_matrix - Orientation of the cylinder, its second column is the axis
+         * @returns {cylinder_collider} - This cylinder
+         */
+        set_from_pose(position, rotation_matrix) {
+            const e = rotation_matrix.elements;
+            this.center.copy(position);
+            this.axes[0].set(e[0], e[3], e[6]);
+            this.axes[1].set(e[1], e[4], e[7]);
+            this.axes[2].set(e[2], e[5], e[8]);
+            return this;
+        }
+
+        bounding_box(target) {
+            const axis = this.axes[1];
+            const extent = component => Math.abs(component) * this.half_height
+                + this.radius * Math.sqrt(Math.max(1 - component * component, 0));
+            return centered_bounding_box(target, this.center, extent(axis.x), extent(axis.y), extent(axis.z));
+        }
+
+        contains_point(point) {
+            const offset = point.clone().sub(this.center);
+            const height = offset.dot(this.axes[1]);
+            const radial = offset.sub(this.axes[1].clone().multiply_scalar(height));
+            return Math.abs(height) <= this.half_height && radial.length_sq() <= this.radius * this.radius;
+        }
+
+        /**
+         * Convex hull of the prism inscribed in the cylinder
+         * @returns {Object} - Hull with center, vertices, faces (normal and polygon) and edge directions
+         */
+        hull() {
+            const axis = this.axes[1];
+            const top_center = axis.clone().multiply_scalar(this.half_height).add(this.center);
+            const bottom_center = axis.clone().multiply_scalar(-this.half_height).add(this.center);
+            const radial = angle => this.axes[0].clone().multiply_scalar(Math.cos(angle))
+                .add(this.axes[2].clone().multiply_scalar(Math.sin(angle)));
+
+            const top = [];
+            const bottom = [];
+            for (let k = 0; k < CYLINDER_SEGMENTS; k++) {
+                const offset = radial(2 * Math.PI * k / CYLINDER_SEGMENTS).multiply_scalar(this.radius);
+                top.push(top_center.clone().add(offset));
+                bottom.push(bottom_center.clone().add(offset));
+            }
+
+            const faces = [
+                { normal: axis.clone(), polygon: top },
+                { normal: axis.clone().negate(), polygon: bottom }
+            ];
+            const edges = [axis];
+            for (let k = 0; k < CYLINDER_SEGMENTS; k++) {
+                const next = (k + 1) % CYLINDER_SEGMENTS;
+                faces.push({
+                    normal: radial(2 * Math.PI * (k + 0.5) / CYLINDER_SEGMENTS),
+                    polygon: [bottom[k], bottom[next], top[next], top[k]]
+                });
+
+                // Opposite sides of the prism are parallel, half of them give every edge direction
+                if (k < CYLINDER_SEGMENTS / 2) {
+                    edges.push(bottom[next].clone().sub(bottom[k]).normalize());
+                }
+            }
+
+            return { center: this.center, vertices: top.concat(bottom), faces, edges };
+        }
+    }
+
+    const WORLD_AXES = [new vector3(1, 0, 0), new vector3(0, 1, 0), new vector3(0, 0, 1)];
+
+    /**
+     * Sets a world axis-aligned box from its centre and half sizes
+     * @returns {box3} - The target box
+     */
+    function centered_bounding_box(target, center, half_x, half_y, half_z) {
+        target.min.set(center.x - half_x, center.y - half_y, center.z - half_z);
+        target.max.set(center.x + half_x, center.y + half_y, center.z + half_z);
+        return target;
+    }
+
+    /**
+     * Tests a candidate separating axis
+     * @param {oriented_box} box_a - First box
+     * @param {oriented_box} box_b - Second box
+     * @param {vector3} offset - Vector from the centre of box_a to the centre of box_b
+     * @param {vector3} axis - Unit axis
+     * @returns {Object} - Overlap along the axis (negative when separated) and the axis oriented from box_a to box_b
+     */
+    function test_axis(box_a, box_b, offset, axis) {
+        const distance = offset.dot(axis);
+        const overlap = box_a.projected_radius(axis) + box_b.projected_radius(axis) - Math.abs(distance);
+        const normal = distance < 0 ? axis.clone().negate() : axis.clone();
+        return { overlap, normal };
+    }
+
+    /**
+     * Clips a polygon against the plane normal . point <= offset (Sutherland-Hodgman)
+     * @param {Array} polygon - Vertices of the polygon
+     * @param {vector3} normal - Plane normal
+     * @param {Number} offset - Plane offset
+     * @returns {Array} - Vertices of the clipped polygon
+     */
+    function clip_polygon(polygon, normal, offset) {
+        const clipped = [];
+        for (let i = 0; i < polygon.length; i++) {
+            const current = polygon[i];
+            const next = polygon[(i + 1) % polygon.length];
+            const distance_current = normal.dot(current) - offset;
+            const distance_next = normal.dot(next) - offset;
+
+            if (distance_current <= 0) {
+                clipped.push(current);
+            }
+            if ((distance_current < 0 && distance_next > 0) || (distance_current > 0 && distance_next < 0)) {
+                const t = distance_current / (distance_current - distance_next);
+                clipped.push(next.clone().sub(current).multiply_scalar(t).add(current));
+            }
+        }
+        return clipped;
+    }
+
+    /**
+     * Contact points of a face contact, the incident face is clipped against the side planes of the reference face
+     * @param {oriented_box} reference - Box owning the reference face
+     * @param {oriented_box} incident - Other box
+     * @param {Number} reference_index - Local axis of the reference box normal to the reference face
+     * @param {vector3} normal - Outward normal of the reference face, pointing towards the incident box
+     * @returns {Array} - Contact points, each an object with point and depth
+     */
+    function face_contact_points(reference, incident, reference_index, normal) {
+
+        // Incident face is the face of the other box most anti-parallel to the reference normal
+        let incident_index = 0;
+        for (let i = 1; i < 3; i++) {
+            if (Math.abs(incident.axes[i].dot(normal)) > Math.abs(incident.axes[incident_index].dot(normal))) {
+                incident_index = i;
+            }
+        }
+
+        const incident_normal = incident.axes[incident_index].clone();
+        if (incident_normal.dot(normal) > 0) {
+            incident_normal.negate();
+        }
+
+        const incident_center = incident_normal.clone().multiply_scalar(incident.half_extents[incident_index]).add(incident.center);
+        const side_1 = (incident_index + 1) % 3;
+        const side_2 = (incident_index + 2) % 3;
+        const edge_1 = incident.axes[side_1].clone().multiply_scalar(incident.half_extents[side_1]);
+        const edge_2 = incident.axes[side_2].clone().multiply_scalar(incident.half_extents[side_2]);
+
+        let polygon = [
+            incident_center.clone().add(edge_1).add(edge_2),
+            incident_center.clone().sub(edge_1).add(edge_2),
+            incident_center.clone().sub(edge_1).sub(edge_2),
+            incident_center.clone().add(edge_1).sub(edge_2)
+        ];
+
+        // Side planes of the reference face
+        for (let k = 1; k < 3 && polygon.length > 0; k++) {
+            const side_index = (reference_index + k) % 3;
+            const side_axis = reference.axes[side_index];
+            const center_distance = side_axis.dot(reference.center);
+            const half_extent = reference.half_extents[side_index];
+
+            polygon = clip_polygon(polygon, side_axis, center_distance + half_extent);
+            polygon = clip_polygon(polygon, side_axis.clone().negate(), -center_distance + half_extent);
+        }
+
+        // Only points below the reference face are in contact, placed halfway between the two surfaces
+        const face_offset = normal.dot(reference.center) + reference.half_extents[reference_index];
+        const points = [];
+        for (const vertex of polygon) {
+            const separation = normal.dot(vertex) - face_offset;
+            if (separation <= 0) {
+                points.push({
+                    point: vertex.clone().sub(normal.clone().multiply_scalar(separation / 2)),
+                    depth: -separation
+                });
+            }
+        }
+        return points;
+    }
+
+    /**
+     * Contact point of an edge-edge contact, halfway between the closest points of the two edges
+     * @param {oriented_box} box_a - First box
+     * @param {oriented_box} box_b - Second box
+     * @param {Number} index_a - Local axis of box_a along its edge
+     * @param {Number} index_b - Local axis of box_b along its edge
+     * @param {vector3} normal - Contact normal from box_a to box_b
+     * @param {Number} depth - Penetration depth along the normal
+     * @returns {Array} - A single contact point with point and depth
+     */
+    function edge_contact_points(box_a, box_b, index_a, index_b, normal, depth) {
+
+        // Edge of each box closest to the other box
+        const support_edge = (box, index, direction) => {
+            const point = box.center.clone();
+            for (let k = 0; k < 3; k++) {
+                if (k !== index) {
+                    const sign = box.axes[k].dot(direction) >= 0 ? 1 : -1;
+                    point.add(box.axes[k].clone().multiply_scalar(sign * box.half_extents[k]));
+                }
+            }
+            return point;
+        };
+
+        const point_a = support_edge(box_a, index_a, normal);
+        const point_b = support_edge(box_b, index_b, normal.clone().negate());
+        const direction_a = box_a.axes[index_a];
+        const direction_b = box_b.axes[index_b];
+
+        // Closest points between the two edge lines
+        const between = point_a.clone().sub(point_b);
+        const d_ab = direction_a.dot(direction_b);
+        const d_a = direction_a.dot(between);
+        const d_b = direction_b.dot(between);
+        const denominator = 1 - d_ab * d_ab;
+        const t_a = denominator > PARALLEL_EPSILON ? (d_ab * d_b - d_a) / denominator : 0;
+        const t_b = denominator > PARALLEL_EPSILON ? (d_b - d_ab * d_a) / denominator : 0;
+
+        const closest_a = direction_a.clone().multiply_scalar(t_a).add(point_a);
+        const closest_b = direction_b.clone().multiply_scalar(t_b).add(point_b);
+        return [{ point: closest_a.add(closest_b).multiply_scalar(0.5), depth }];
+    }
+
+    /**
+     * Separating Axis Theorem test between two oriented boxes.
+     * Tests the 3 face axes of each box and the 9 edge-edge cross products, the axis of least penetration
+     * gives the contact normal, contact points come from clipping (face contact) or closest edge points (edge contact)
+     * @param {oriented_box} box_a - First box
+     * @param {oriented_box} box_b - Second box
+     * @returns {Object|null} - null when the boxes are separated, otherwise an object containing:
+     * - {vector3} normal - Unit contact normal from box_a to box_b
+     * - {Number} depth - Penetration depth along the normal
+     * - {Array} points - Contact points, each an object with point (vector3, world coordinates) and depth
+     */
+    function obb_contact(box_a, box_b) {
+        const offset = box_b.center.clone().sub(box_a.center);
+        let best = null;
+
+        // Face axes, faces of box_b only replace faces of box_a when clearly deeper
+        for (let i = 0; i < 3; i++) {
+            const result = test_axis(box_a, box_b, offset, box_a.axes[i]);
+            if (result.overlap < 0) {
+                return null;
+            }
+            if (best === null || result.overlap < best.overlap) {
+                best = { ...result, type: 'face_a', index_a: i };
+            }
+        }
+
+        for (let i = 0; i < 3; i++) {
+            const result = test_axis(box_a, box_b, offset, box_b.axes[i]);
+            if (result.overlap < 0) {
+                return null;
+            }
+            if (result.overlap < best.overlap * FEATURE_RELATIVE_TOLERANCE - FEATURE_ABSOLUTE_TOLERANCE) {
+                best = { ...result, type: 'face_b', index_b: i };
+            }
+        }
+
+        // Edge-edge axes
+        for (let i = 0; i < 3; i++) {
+            for (let j = 0; j < 3; j++) {
+                const axis = box_a.axes[i].clone().cross(box_b.axes[j]);
+                if (axis.length_sq() < PARALLEL_EPSILON) {
+                    continue;
+                }
+
+                const result = test_axis(box_a, box_b, offset, axis.normalize());
+                if (result.overlap < 0) {
+                    return null;
+                }
+                if (result.overlap < best.overlap * FEATURE_RELATIVE_TOLERANCE - FEATURE_ABSOLUTE_TOLERANCE) {
+                    best = { ...result, type: 'edge', index_a: i, index_b: j };
+                }
+            }
+        }
+
+        let points;
+        if (best.type === 'face_a') {
+            points = face_contact_points(box_a, box_b, best.index_a, best.normal);
+        } else if (best.type === 'face_b') {
+            points = face_contact_points(box_b, box_a, best.index_b, best.normal.clone().negate());
+        } else {
+            points = edge_contact_points(box_a, box_b, best.index_a, best.index_b, best.normal, best.overlap);
+        }
+
+        return { normal: best.normal, depth: best.overlap, points };
+    }
+
+    /**
+     * Contact between two spheres
+     * @param {sphere_collider} sphere_a - First sphere
+     * @param {sphere_collider} sphere_b - Second sphere
+     * @returns {Object|null} - null when separated, otherwise the contact in the same format as obb_contact
+     */
+    function sphere_sphere_contact(sphere_a, sphere_b) {
+        const offset = sphere_b.center.clone().sub(sphere_a.center);
+        const distance = offset.length();
+        const depth = sphere_a.radius + sphere_b.radius - distance;
+        if (depth < 0) {
+            return null;
+        }
+
+        const normal = distance > PARALLEL_EPSILON ? offset.divide_scalar(distance) : new vector3(0, 1, 0);
+        const point = normal.clone().multiply_scalar(sphere_a.radius - depth / 2).add(sphere_a.center);
+        return { normal, depth, points: [{ point, depth }] };
+    }
+
+    /**
+     * Contact between a convex collider and a sphere, from the point of the collider closest to the centre of the sphere
+     * @param {vector3} closest - Closest point of the collider to the centre of the sphere
+     * @param {vector3} inside_normal - Exit direction when the centre is inside the collider, null otherwise
+     * @param {Number} inside_distance - Distance from the centre to the surface along inside_normal
+     * @param {sphere_collider} sphere - Sphere
+     * @returns {Object|null} - null when separated, otherwise the contact from the collider to the sphere
+     */
+    function closest_point_contact(closest, inside_normal, inside_distance, sphere) {
+        if (inside_normal !== null) {
+            const depth = sphere.radius + inside_distance;
+            const point = inside_normal.clone().multiply_scalar(inside_distance - depth / 2).add(sphere.center);
+            return { normal: inside_normal, depth, points: [{ point, depth }] };
+        }
+
+        const normal = sphere.center.clone().sub(closest);
+        const distance = normal.length();
+        const depth = sphere.radius - distance;
+        if (depth < 0) {
+            return null;
+        }
+
+        normal.divide_scalar(distance);
+        const point = normal.clone().multiply_scalar(depth / 2).add(closest);
+        return { normal, depth, points: [{ point, depth }] };
+    }
+
+    /**
+     * Contact between an oriented box and a sphere
+     * @param {oriented_box} box - Box
+     * @param {sphere_collider} sphere - Sphere
+     * @returns {Object|null} - null when separated, otherwise the contact from the box to the sphere
+     */
+    function box_sphere_contact(box, sphere) {
+        const offset = sphere.center.clone().sub(box.center);
+        const closest = box.center.clone();
+        let inside = true;
+        let exit_index = 0;
+        let exit_distance = Infinity;
+
+        for (let k = 0; k < 3; k++) {
+            const distance = offset.dot(box.axes[k]);
+            const clamped = Math.min(Math.max(distance, -box.half_extents[k]), box.half_extents[k]);
+            if (clamped !== distance) {
+                inside = false;
+            }
+            if (box.half_extents[k] - Math.abs(distance) < exit_distance) {
+                exit_distance = box.half_extents[k] - Math.abs(distance);
+                exit_index = k;
+            }
+            closest.add(box.axes[k].clone().multiply_scalar(clamped));
+        }
+
+        if (!inside) {
+            return closest_point_contact(closest, null, 0, sphere);
+        }
+
+        // Centre inside the box, the sphere leaves through the nearest face
+        const exit_normal = box.axes[exit_index].clone();
+        if (exit_normal.dot(offset) < 0) {
+            exit_normal.negate();
+        }
+        return closest_point_contact(closest, exit_normal, exit_distance, sphere);
+    }
+
+    /**
+     * Contact between a cylinder and a sphere
+     * @param {cylinder_collider} cylinder - Cylinder
+     * @param {sphere_collider} sphere - Sphere
+     * @returns {Object|null} - null when separated, otherwise the contact from the cylinder to the sphere
+     */
+    function cylinder_sphere_contact(cylinder, sphere) {
+        const axis = cylinder.axes[1];
+        const offset = sphere.center.clone().sub(cylinder.center);
+        const height = offset.dot(axis);
+        const radial = offset.clone().sub(axis.clone().multiply_scalar(height));
+        const radial_distance = radial.length();
+
+        if (Math.abs(height) <= cylinder.half_height && radial_distance <= cylinder.radius) {
+
+            // Centre inside the cylinder, the sphere leaves through the nearest cap or through the side
+            const cap_distance = cylinder.half_height - Math.abs(height);
+            const side_distance = cylinder.radius - radial_distance;
+            if (cap_distance < side_distance || radial_distance < PARALLEL_EPSILON) {
+                const exit_normal = axis.clone().multiply_scalar(height < 0 ? -1 : 1);
+                return closest_point_contact(null, exit_normal, cap_distance, sphere);
+            }
+            return closest_point_contact(null, radial.divide_scalar(radial_distance), side_distance, sphere);
+        }
+
+        const clamped_height = Math.min(Math.max(height, -cylinder.half_height), cylinder.half_height);
+        if (radial_distance > cylinder.radius) {
+            radial.multiply_scalar(cylinder.radius / radial_distance);
+        }
+        const closest = axis.clone().multiply_scalar(clamped_height).add(radial).add(cylinder.center);
+        return closest_point_contact(closest, null, 0, sphere);
+    }
+
+    /**
+     * Overlap of two convex hulls along an axis
+     * @returns {Number} - Overlap along the axis (negative when separated), the axis must point from hull_a to hull_b
+     */
+    function hull_overlap(hull_a, hull_b, axis) {
+        let max_a = -Infinity;
+        let min_b = Infinity;
+        for (const vertex of hull_a.vertices) {
+            max_a = Math.max(max_a, axis.dot(vertex));
+        }
+        for (const vertex of hull_b.vertices) {
+            min_b = Math.min(min_b, axis.dot(vertex));
+        }
+        return max_a - min_b;
+    }
+
+    /**
+     * Contact points of a face contact between two hulls, the same clipping as face_contact_points on arbitrary convex faces
+     * @param {Object} reference - Hull owning the reference face
+     * @param {Object} incident - Other hull
+     * @param {vector3} normal - Contact normal pointing from the reference hull towards the incident hull
+     * @returns {Array} - Contact points, each an object with point and depth
+     */
+    function hull_face_contact_points(reference, incident, normal) {
+        let reference_face = reference.faces[0];
+        let incident_face = incident.faces[0];
+        for (const face of reference.faces) {
+            if (face.normal.dot(normal) > reference_face.normal.dot(normal)) {
+                reference_face = face;
+            }
+        }
+        for (const face of incident.faces) {
+            if (face.normal.dot(normal) < incident_face.normal.dot(normal)) {
+                incident_face = face;
+            }
+        }
+
+        const reference_polygon = reference_face.polygon;
+        const centroid = new vector3(0, 0, 0);
+        reference_polygon.forEach(vertex => centroid.add(vertex));
+        centroid.divide_scalar(reference_polygon.length);
+
+        // Side planes of the reference face, oriented away from its centroid
+        let polygon = incident_face.polygon;
+        for (let i = 0; i < reference_polygon.length && polygon.length > 0; i++) {
+            const start = reference_polygon[i];
+            const end = reference_polygon[(i + 1) % reference_polygon.length];
+            const side_normal = end.clone().sub(start).cross(reference_face.normal).normalize();
+            if (side_normal.dot(centroid.clone().sub(start)) > 0) {
+                side_normal.negate();
+            }
+            polygon = clip_polygon(polygon, side_normal, side_normal.dot(start));
+        }
+
+        const face_offset = reference_face.normal.dot(reference_polygon[0]);
+        const points = [];
+        for (const vertex of polygon) {
+            const separation = reference_face.normal.dot(vertex) - face_offset;
+            if (separation <= 0) {
+                points.push({
+                    point: vertex.clone().sub(reference_face.normal.clone().multiply_scalar(separation / 2)),
+                    depth: -separation
+                });
+            }
+        }
+        return points;
+    }
+
+    /**
+     * Deepest vertex of a hull along a direction
+     */
+    function hull_support(hull, direction) {
+        let support = hull.vertices[0];
+        for (const vertex of hull.vertices) {
+            if (vertex.dot(direction) > support.dot(direction)) {
+                support = vertex;
+            }
+        }
+        return support;
+    }
+
+    /**
+     * Separating Axis Theorem test between two convex hulls, the general form of obb_contact.
+     * Used for pairs without a dedicated test (boxes against cylinders, cylinders against cylinders)
+     * @param {Object} hull_a - First hull
+     * @param {Object} hull_b - Second hull
+     * @returns {Object|null} - null when separated, otherwise the contact in the same format as obb_contact
+     */
+    function hull_contact(hull_a, hull_b) {
+        const offset = hull_b.center.clone().sub(hull_a.center);
+        let best = null;
+
+        // Returns false when the axis separates the hulls
+        const test_hull_axis = (axis, type) => {
+            if (axis.dot(offset) < 0) {
+                axis.negate();
+            }
+            const overlap = hull_overlap(hull_a, hull_b, axis);
+            if (overlap < 0) {
+                return false;
+            }
+            if (best === null || (type === 'face_a' && overlap < best.overlap)
+                || overlap < best.overlap * FEATURE_RELATIVE_TOLERANCE - FEATURE_ABSOLUTE_TOLERANCE) {
+                best = { overlap, normal: axis, type };
+            }
+            return true;
+        };
+
+        for (const face of hull_a.faces) {
+            if (!test_hull_axis(face.normal.clone(), 'face_a')) {
+                return null;
+            }
+        }
+        for (const face of hull_b.faces) {
+            if (!test_hull_axis(face.normal.clone(), 'face_b')) {
+                return null;
+            }
+        }
+        for (const edge_a of hull_a.edges) {
+            for (const edge_b of hull_b.edges) {
+                const axis = edge_a.clone().cross(edge_b);
+                if (axis.length_sq() >= PARALLEL_EPSILON && !test_hull_axis(axis.normalize(), 'edge')) {
+                    return null;
+                }
+            }
+        }
+
+        let points = [];
+        if (best.type === 'face_a') {
+            points = hull_face_contact_points(hull_a, hull_b, best.normal);
+        } else if (best.type === 'face_b') {
+            points = hull_face_contact_points(hull_b, hull_a, best.normal.clone().negate());
+        }
+
+        // Edge contacts, or face contacts lost to round-off, use a single point between the deepest vertices
+        if (points.length === 0) {
+            const point = hull_support(hull_a, best.normal).clone()
+                .add(hull_support(hull_b, best.normal.clone().negate())).multiply_scalar(0.5);
+            points = [{ point, depth: best.overlap }];
+        }
+
+        return { normal: best.normal, depth: best.overlap, points };
+    }
+
+    // Dedicated tests of each pair of collider types by the type of body_a, then of body_b
+    const PAIR_TESTS = {
+        box: {
+            box: obb_contact,
+            sphere: box_sphere_contact,
+            cylinder: (box, cylinder) => hull_contact(box.hull(), cylinder.hull())
+        },
+        sphere: {
+            sphere: sphere_sphere_contact
+        },
+        cylinder: {
+            sphere: cylinder_sphere_contact,
+            cylinder: (cylinder_a, cylinder_b) => hull_contact(cylinder_a.hull(), cylinder_b.hull())
+        }
+    };
+
+    /**
+     * Narrow phase between any two colliders, picks the test of their pair of types
+     * @param {Object} collider_a - First collider (oriented_box, sphere_collider or cylinder_collider)
+     * @param {Object} collider_b - Second collider
+     * @returns {Object|null} - null when separated, otherwise the contact in the same format as obb_contact
+     */
+    function collider_contact(collider_a, collider_b) {
+        const test = PAIR_TESTS[collider_a.type][collider_b.type];
+        if (test !== undefined) {
+            return test(collider_a, collider_b);
+        }
+
+        // Only one order of each pair has a test, the normal of the swapped test is flipped back
+        const contact = PAIR_TESTS[collider_b.type][collider_a.type](collider_b, collider_a);
+        if (contact !== null) {
+            contact.normal.negate();
+        }
+        return contact;
+    }
+
+    /**
+     * Creates a contact that can be written again step after step (see copy_contact), in the same format as obb_contact.
+     * Its points come from a pool of its own, a contact point stays the same object from one step to the next
+     * @returns {Object} - Contact with normal, depth, points and the pool of its points
+     */
+    function create_contact() {
+        return { normal: new vector3(), depth: 0, points: [], point_pool: [] };
+    }
+
+    /**
+     * Helper function to empty a reusable contact, its points array keeps its storage
+     */
+    function clear_contact(contact) {
+        contact.depth = 0;
+        while (contact.points.length > 0) {
+            contact.points.pop();
+        }
+    }
+
+    /**
+     * Helper function to add a point to a reusable contact, taken from its pool of points
+     */
+    function add_contact_point(contact, point, depth) {
+        const index = contact.points.length;
+        if (index === contact.point_pool.length) {
+            contact.point_pool.push({ point: new vector3(), depth: 0, normal_impulse: undefined, tangent_impulse_1: 0, tangent_impulse_2: 0 });
+        }
+        // Impulses solved for the point the last time it was used are not carried over
+        const contact_point = contact.point_pool[index];
+        contact_point.point.copy(point);
+        contact_point.depth = depth;
+        contact_point.normal_impulse = undefined;
+        contact_point.tangent_impulse_1 = 0;
+        contact_point.tangent_impulse_2 = 0;
+        contact.points.push(contact_point);
+        contact.depth = Math.max(contact.depth, depth);
+    }
+
+    /**
+     * Copies the normal, depth and points of a contact into a reusable contact
+     * @param {Object} target - Contact made by create_contact
+     * @param {Object} contact - Contact given by any test of this file
+     * @returns {Object} - The target
+     */
+    function copy_contact(target, contact) {
+        clear_contact(target);
+        target.normal.copy(contact.normal);
+        for (const contact_point of contact.points) {
+            add_contact_point(target, contact_point.point, contact_point.depth);
+        }
+        target.depth = contact.depth;
+        return target;
+    }
+
+    /**
+     * Contact between an oriented box and a plane, every corner of the box below the plane is a contact point.
+     * The box stands on the floor every step, its contact is written into the target instead of a new one
+     * @param {oriented_box} box - Box tested against the plane
+     * @param {vector3} plane_normal - Unit normal of the plane, pointing towards the side where bodies are allowed
+     * @param {Number} plane_offset - Distance of the plane from the origin along its normal
+     * @param {Object} target - Contact receiving the result (see create_contact), a new one by default
+     * @returns {Object|null} - null when the box is above the plane, otherwise the target with the contact normal
+     * (from the plane to the box), depth and points, in the same format as obb_contact
+     */
+    function box_plane_contact(box, plane_normal, plane_offset, target = create_contact()) {
+        clear_contact(target);
+
+        for (const sign_x of CORNER_SIGNS) {
+            for (const sign_y of CORNER_SIGNS) {
+                for (const sign_z of CORNER_SIGNS) {
+                    // Corners above the plane are only measured, the touching ones are copied into the target
+                    scratch_corner.copy(box.center)
+                        .add(scratch_side.copy(box.axes[0]).multiply_scalar(sign_x * box.half_extents[0]))
+                        .add(scratch_side.copy(box.axes[1]).multiply_scalar(sign_y * box.half_extents[1]))
+                        .add(scratch_side.copy(box.axes[2]).multiply_scalar(sign_z * box.half_extents[2]));
+
+                    const separation = plane_normal.dot(scratch_corner) - plane_offset;
+                    if (separation < 0) {
+                        add_contact_point(target, scratch_corner, -separation);
+                    }
+                }
+            }
+        }
+
+        if (target.points.length === 0) {
+            return null;
+        }
+        target.normal.copy(plane_normal);
+        return target;
+    }
+
+    /**
+     * Contact between a sphere and a plane, in the same format as box_plane_contact
+     */
+    function sphere_plane_contact(sphere, plane_normal, plane_offset) {
+        const depth = sphere.radius - (plane_normal.dot(sphere.center) - plane_offset);
+        if (depth <= 0) {
+            return null;
+        }
+
+        const point = plane_normal.clone().multiply_scalar(-sphere.radius).add(sphere.center);
+        return { normal: plane_normal.clone(), depth, points: [{ point, depth }] };
+    }
+
+    /**
+     * Contact between a cylinder and a plane, in the same format as box_plane_contact.
+     * Each cap touches the plane with its lowest rim point, or with four rim points when it lies flat
+     */
+    function cylinder_plane_contact(cylinder, plane_normal, plane_offset) {
+        const axis = cylinder.axes[1];
+        const radial = plane_normal.clone().sub(axis.clone().multiply_scalar(plane_normal.dot(axis)));
+        const radial_length = radial.length();
+        const points = [];
+        let depth = 0;
+
+        for (const sign of [-1, 1]) {
+            const cap_center = axis.clone().multiply_scalar(sign * cylinder.half_height).add(cylinder.center);
+            const rim = [];
+            if (radial_length < FLAT_CAP_EPSILON) {
+                for (const rim_axis of [cylinder.axes[0], cylinder.axes[2]]) {
+                    rim.push(cap_center.clone().add(rim_axis.clone().multiply_scalar(cylinder.radius)));
+                    rim.push(cap_center.clone().sub(rim_axis.clone().multiply_scalar(cylinder.radius)));
+                }
+            } else {
+                rim.push(cap_center.clone().sub(radial.clone().multiply_scalar(cylinder.radius / radial_length)));
+            }
+
+            for (const point of rim) {
+                const separation = plane_normal.dot(point) - plane_offset;
+                if (separation < 0) {
+                    points.push({ point, depth: -separation });
+                    depth = Math.max(depth, -separation);
+                }
+            }
+        }
+
+        return points.length > 0 ? { normal: plane_normal.clone(), depth, points } : null;
+    }
+
+    // Plane test of each collider type
+    const PLANE_TESTS = {
+        box: box_plane_contact,
+        sphere: sphere_plane_contact,
+        cylinder: cylinder_plane_contact
+    };
+
+    /**
+     * Contact between any collider and a plane
+     * @param {Object} collider - Collider tested against the plane
+     * @param {vector3} plane_normal - Unit normal of the plane, pointing towards the side where bodies are allowed
+     * @param {Number} plane_offset - Distance of the plane from the origin along its normal
+     * @param {Object} [target] - Reusable contact receiving the result (see create_contact), a new one when omitted
+     * @returns {Object|null} - null when the collider is above the plane, otherwise the contact from the plane to the collider
+     */
+    function collider_plane_contact(collider, plane_normal, plane_offset, target) {
+        if (collider.type === 'box') {
+            return box_plane_contact(collider, plane_normal, plane_offset, target);
+        }
+        const contact = PLANE_TESTS[collider.type](collider, plane_normal, plane_offset);
+        return contact !== null && target !== undefined ? copy_contact(target, contact) : contact;
+    }
+
+    return {
+        oriented_box,
+        sphere_collider,
+        cylinder_collider,
+        obb_contact,
+        hull_contact,
+        sphere_sphere_contact,
+        box_sphere_contact,
+        cylinder_sphere_contact,
+        collider_contact,
+        create_contact,
+        copy_contact,
+        box_plane_contact,
+        sphere_plane_contact,
+        cylinder_plane_contact,
+        collider_plane_contact
+    };
+}));
@@ -0,0 +1,314 @@
+/**
+ * File: contact_solver.js
+ * Project: 3D Rigid Body Physics Engine - Collisions and Motion
+ * Description: Iterative contact solver (sequential impulses) for the simulation world including:
+ * Non-penetration impulses with restitution, Coulomb friction (static while sticking, dynamic while sliding),
+ * Baumgarte positional correction, and warm starting from the impulses of the previous step for steady resting contacts
+ * Author: Alberto Chavez Garcia
+ * Created: October 19, 2026
+ * Last Modified: October 19, 2026
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./vector_math.js'));
+    } else {
+        Object.assign(root, factory(root));
+    }
+}(typeof self !== 'undefined' ? self : this, function (math) {
+
+    const { vector3 } = math;
+
+    // Iterations over every contact point per step, more iterations converge to a stiffer response
+    const SOLVER_ITERATIONS = 10;
+
+    // Share of the penetration removed per step and the overlap tolerated before correcting, avoids jitter
+    const BAUMGARTE_FACTOR = 0.2;
+    const PENETRATION_SLOP = 0.005;
+
+    // Closing speed below which contacts do not bounce, lets resting bodies settle
+    const RESTITUTION_THRESHOLD = 1;
+
+    // Tangential speed above which a contact point starts the step sliding, its friction is dynamic from the start
+    const SLIDING_SPEED = 0.05;
+
+    // Distance within which a contact point takes over the impulses of a point of the previous step
+    const WARM_START_DISTANCE = 0.05;
+
+    // Scratch vectors reused by every contact, solving makes no new vectors once the constraint pool is large enough
+    const scratch_velocity_a = new vector3();
+    const scratch_velocity_b = new vector3();
+    const scratch_impulse = new vector3();
+    const scratch_offset_a = new vector3();
+    const scratch_offset_b = new vector3();
+    const scratch_angular = new vector3();
+    const scratch_tangents = [new vector3(), new vector3()];
+
+    // Constraints of the previous steps, reused by the next ones
+    const constraint_pool = [];
+
+    /**
+     * Checks if the two bodies of a contact point slip over each other faster than SLIDING_SPEED
+     * @param {Object} constraint - Contact constraint from prepare_constraint
+     * @returns {Boolean}
+     */
+    function is_slipping(constraint) {
+        const velocity = relative_velocity(constraint);
+        const tangent_speed_1 = velocity.dot(constraint.tangents[0]);
+        const tangent_speed_2 = velocity.dot(constraint.tangents[1]);
+        return tangent_speed_1 * tangent_speed_1 + tangent_speed_2 * tangent_speed_2 > SLIDING_SPEED * SLIDING_SPEED;
+    }
+
+    /**
+     * Builds an orthonormal tangent basis for a contact normal
+     * @param {vector3} normal - Unit contact normal
+     * @param {Array} tangents - Two vectors receiving unit tangents perpendicular to the normal and to each other
+     * @returns {Array} - The tangents
+     */
+    function tangent_basis(normal, tangents = [new vector3(), new vector3()]) {
+        const [tangent_1, tangent_2] = tangents;
+        if (Math.abs(normal.x) < 0.57) {
+            tangent_1.set(1, 0, 0);
+        } else {
+            tangent_1.set(0, 1, 0);
+        }
+        tangent_1.cross(normal).normalize();
+        tangent_2.copy(normal).cross(tangent_1);
+        return tangents;
+    }
+
+    /**
+     * Inverse of the effective mass of two bodies at a contact point along a direction
+     * @param {rigid_body} body_a - First body
+     * @param {rigid_body} body_b - Second body
+     * @param {vector3} offset_a - Contact point relative to the centre of mass of body_a
+     * @param {vector3} offset_b - Contact point relative to the centre of mass of body_b
+     * @param {vector3} direction - Unit direction of the impulse
+     * @returns {Number} - Effective mass, 0 when neither body can move
+     */
+    function effective_mass(body_a, body_b, offset_a, offset_b, direction) {
+        const angular_a = direction.dot(
+            scratch_angular.copy(offset_a).cross(direction).apply_matrix3(body_a.inverse_inertia_world).cross(offset_a));
+        const angular_b = direction.dot(
+            scratch_angular.copy(offset_b).cross(direction).apply_matrix3(body_b.inverse_inertia_world).cross(offset_b));
+        const inverse = body_a.inverse_mass + body_b.inverse_mass + angular_a + angular_b;
+        return inverse > 0 ? 1 / inverse : 0;
+    }
+
+    /**
+     * Velocity of body_b relative to body_a at a contact point
+     * @returns {vector3} - Scratch vector, only valid until the next call
+     */
+    function relative_velocity(constraint) {
+        const velocity_b = constraint.body_b.velocity_at_point(constraint.point, scratch_velocity_b);
+        const velocity_a = constraint.body_a.velocity_at_point(constraint.point, scratch_velocity_a);
+        return velocity_b.sub(velocity_a);
+    }
+
+    /**
+     * Speed of body_b relative to body_a at a contact point along a direction
+     */
+    function relative_speed(constraint, direction) {
+        return relative_velocity(constraint).dot(direction);
+    }
+
+    /**
+     * Applies an impulse along a direction, negative on body_a and positive on body_b
+     */
+    function apply_impulse(constraint, direction, magnitude) {
+        const impulse = scratch_impulse.copy(direction).multiply_scalar(magnitude);
+        constraint.body_b.apply_impulse_at_point(impulse, constraint.point);
+        constraint.body_a.apply_impulse_at_point(impulse.negate(), constraint.point);
+    }
+
+    /**
+     * Seeds the impulses of a contact point with those of the nearest point of the same contact in the previous step,
+     * the friction impulses are turned from the tangents of the previous normal to the current ones
+     * @param {Object} constraint - Contact constraint from prepare_constraint
+     * @param {Object} cached - The contact in the previous step, its points hold normal_impulse, tangent_impulse_1 and tangent_impulse_2
+     */
+    function warm_start(constraint, cached) {
+        let nearest = null;
+        let nearest_distance = WARM_START_DISTANCE * WARM_START_DISTANCE;
+        for (const cached_point of cached.points) {
+            const distance = scratch_angular.copy(cached_point.point).sub(constraint.point).length_sq();
+            if (cached_point.normal_impulse !== undefined && distance < nearest_distance) {
+                nearest = cached_point;
+                nearest_distance = distance;
+            }
+        }
+        if (nearest === null) {
+            return;
+        }
+
+        const [tangent_1, tangent_2] = tangent_basis(cached.normal, scratch_tangents);
+        constraint.normal_impulse = nearest.normal_impulse;
+        for (let i = 0; i < 2; i++) {
+            const tangent = constraint.tangents[i];
+            constraint.tangent_impulses[i] = nearest.tangent_impulse_1 * tangent_1.dot(tangent) + nearest.tangent_impulse_2 * tangent_2.dot(tangent);
+        }
+    }
+
+    /**
+     * Precomputes the data of a single contact point, constant over the solver iterations
+     * @param {Object} constraint - Constraint of the pool receiving the data
+     * @param {Object} contact - Contact between two bodies (see solve_contacts)
+     * @param {Object} contact_point - Point of the contact with point and depth
+     * @param {Number} time_step - Duration of the step in seconds
+     * @returns {Object} - The contact constraint
+     */
+    function prepare_constraint(constraint, contact, contact_point, time_step) {
+        const { body_a, body_b, normal } = contact;
+        const point = contact_point.point;
+        const offset_a = scratch_offset_a.copy(point).sub(body_a.position);
+        const offset_b = scratch_offset_b.copy(point).sub(body_b.position);
+        const tangents = tangent_basis(normal, constraint.tangents);
+
+        constraint.body_a = body_a;
+        constraint.body_b = body_b;
+        constraint.point = point;
+        constraint.normal = normal;
+        constraint.contact = contact;
+        constraint.static_friction = contact.static_friction;
+        constraint.dynamic_friction = contact.dynamic_friction;
+        constraint.normal_mass = effective_mass(body_a, body_b, offset_a, offset_b, normal);
+        constraint.tangent_masses[0] = effective_mass(body_a, body_b, offset_a, offset_b, tangents[0]);
+        constraint.tangent_masses[1] = effective_mass(body_a, body_b, offset_a, offset_b, tangents[1]);
+        constraint.normal_impulse = 0;
+        constraint.tangent_impulses[0] = 0;
+        constraint.tangent_impulses[1] = 0;
+
+        // Points already slipping over each other slide on dynamic friction, the others stick until static friction gives way
+        constraint.slipping = is_slipping(constraint);
+
+        // Target separating speed: bounce for fast impacts, otherwise push out of the penetration
+        const closing_velocity = relative_speed(constraint, normal);
+        const restitution_bias = closing_velocity < -RESTITUTION_THRESHOLD ? -contact.restitution * closing_velocity : 0;
+        const correction_bias = BAUMGARTE_FACTOR / time_step * Math.max(contact_point.depth - PENETRATION_SLOP, 0);
+        constraint.bias = Math.max(restitution_bias, correction_bias);
+
+        if (contact.cached) {
+            warm_start(constraint, contact.cached);
+        }
+        return constraint;
+    }
+
+    /**
+     * Helper function to take a constraint from the pool, the pool grows when every constraint is in use
+     * @param {Number} index - Index of the constraint in the step
+     * @returns {Object} - Constraint whose fields are overwritten by prepare_constraint
+     */
+    function pooled_constraint(index) {
+        if (index === constraint_pool.length) {
+            constraint_pool.push({
+                body_a: null,
+                body_b: null,
+                point: null,
+                normal: null,
+                tangents: [new vector3(), new vector3()],
+                contact: null,
+                static_friction: 0,
+                dynamic_friction: 0,
+                slipping: false,
+                normal_mass: 0,
+                tangent_masses: [0, 0],
+                normal_impulse: 0,
+                tangent_impulses: [0, 0],
+                bias: 0
+            });
+        }
+        return constraint_pool[index];
+    }
+
+    /**
+     * One solver iteration on a contact point: non-penetration first, then friction bounded by the normal impulse.
+     * A sticking point holds while its friction impulse stays within static friction, past it the point slides on dynamic friction
+     * @param {Object} constraint - Contact constraint from prepare_constraint
+     */
+    function solve_constraint(constraint) {
+        const normal_velocity = relative_speed(constraint, constraint.normal);
+        const normal_lambda = constraint.normal_mass * (constraint.bias - normal_velocity);
+
+        // Accumulated impulse is clamped, contacts can push but never pull
+        const previous_normal = constraint.normal_impulse;
+        constraint.normal_impulse = Math.max(previous_normal + normal_lambda, 0);
+        apply_impulse(constraint, constraint.normal, constraint.normal_impulse - previous_normal);
+
+        // Coulomb friction, each tangent impulse stays within the friction cone of the normal impulse.
+        // Whether the point slides is decided again every iteration, a point slipping at the start of the step keeps sliding
+        let sliding = constraint.slipping;
+        for (let i = 0; i < 2; i++) {
+            const tangent = constraint.tangents[i];
+            const tangent_velocity = relative_speed(constraint, tangent);
+            const tangent_lambda = -constraint.tangent_masses[i] * tangent_velocity;
+
+            const previous_tangent = constraint.tangent_impulses[i];
+            const tangent_impulse = previous_tangent + tangent_lambda;
+            const max_friction = (sliding ? constraint.dynamic_friction : constraint.static_friction) * constraint.normal_impulse;
+            if (Math.abs(tangent_impulse) > max_friction) {
+                sliding = true;
+            }
+            constraint.tangent_impulses[i] = Math.min(Math.max(tangent_impulse, -max_friction), max_friction);
+            apply_impulse(constraint, tangent, constraint.tangent_impulses[i] - previous_tangent);
+        }
+    }
+
+    /**
+     * Solves every contact of the step by sequential impulses, changing the velocities of the bodies
+     * @param {Array} contacts - Contacts of the step, each an object containing:
+     * - {rigid_body} body_a - First body (a static body for the floor)
+     * - {rigid_body} body_b - Second body
+     * - {vector3} normal - Unit contact normal from body_a to body_b
+     * - {Array} points - Contact points, each an object with point and depth
+     * - {Number} static_friction, dynamic_friction - Coefficients of friction while sticking and while sliding
+     * - {Number} restitution - Coefficient of restitution
+     * - {Object} cached - Optional same contact in the previous step, the impulses of its points warm start the solver
+     * Each contact receives sliding, true when any of its points still slips once the contacts are solved,
+     * and each point receives normal_impulse, tangent_impulse_1 and tangent_impulse_2, the impulses that solved it
+     * @param {Number} time_step - Duration of the step in seconds
+     * @param {Number} iterations - Number of solver iterations
+     */
+    function solve_contacts(contacts, time_step, iterations = SOLVER_ITERATIONS) {
+        let num_constraints = 0;
+        for (const contact of contacts) {
+            contact.sliding = false;
+            for (const contact_point of contact.points) {
+                prepare_constraint(pooled_constraint(num_constraints), contact, contact_point, time_step);
+                num_constraints++;
+            }
+        }
+
+        // Warm start impulses go in once every bias is known, the bounce of a point is measured before any impulse
+        for (let j = 0; j < num_constraints; j++) {
+            const constraint = constraint_pool[j];
+            if (constraint.normal_impulse > 0) {
+                apply_impulse(constraint, constraint.normal, constraint.normal_impulse);
+                apply_impulse(constraint, constraint.tangents[0], constraint.tangent_impulses[0]);
+                apply_impulse(constraint, constraint.tangents[1], constraint.tangent_impulses[1]);
+            }
+        }
+
+        for (let i = 0; i < iterations; i++) {
+            for (let j = 0; j < num_constraints; j++) {
+                solve_constraint(constraint_pool[j]);
+            }
+        }
+
+        // Pooled constraints keep no bodies alive between steps
+        let index = 0;
+        for (const contact of contacts) {
+            for (const contact_point of contact.points) {
+                const constraint = constraint_pool[index++];
+                if (is_slipping(constraint)) {
+                    contact.sliding = true;
+                }
+                contact_point.normal_impulse = constraint.normal_impulse;
+                contact_point.tangent_impulse_1 = constraint.tangent_impulses[0];
+                contact_point.tangent_impulse_2 = constraint.tangent_impulses[1];
+                constraint.body_a = constraint.body_b = constraint.point = constraint.normal = constraint.contact = null;
+            }
+        }
+    }
+
+    return { solve_contacts };
+}));
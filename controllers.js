@@ -0,0 +1,273 @@
+/**
+ * File: controllers.js
+ * Project: 3D Rigid Body Physics Engine - Collisions and Motion
+ * Description: Robot controllers for the simulation world including:
+ * The controller interface, Random Walk, Goal Seeking toward a floor cell and Flocking with obstacle avoidance.
+ * Every physics step a controller receives the state sensed by its robot and returns actuator commands
+ * Author: Alberto Chavez Garcia
+ * Created: October 19, 2026
+ * Last Modified: October 19, 2026
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./vector_math.js'));
+    } else {
+        Object.assign(root, factory(root));
+    }
+}(typeof self !== 'undefined' ? self : this, function (math) {
+
+    const { vector3 } = math;
+
+    // Directions a rolling cube can take on the floor grid
+    const FLOOR_DIRECTIONS = [
+        new vector3(0, 0, -1),
+        new vector3(0, 0, 1),
+        new vector3(-1, 0, 0),
+        new vector3(1, 0, 0)
+    ];
+
+    // Names of the built-in controllers (see create_controller)
+    const CONTROLLER_TYPES = ['random_walk', 'goal_seeking', 'flocking'];
+
+    /**
+     * This class is the controller interface, it keeps the robot doing whatever it was doing.
+     * Controllers override update, which is called every physics step with the sensed state of the robot
+     * (see simulation_world.sense) and returns commands:
+     * - {vector3|null} direction - Desired direction of travel on the floor, snapped to the nearest roll direction.
+     *   null stops the scripted rolls, undefined keeps the current direction
+     * - {Array} pistons - Pistons to fire, each an object with name and the fire_piston options (force, duration, extension)
+     */
+    class controller {
+        /**
+         * @param {Object} state - Sensed state of the robot
+         * @returns {Object} - Actuator commands
+         */
+        update(state) {
+            return {};
+        }
+
+        /**
+         * Plain object describing the controller, the inverse of create_controller.
+         * Custom controllers have no description and are left out of saved scenarios
+         * @returns {Object|null} - Type and settings of the controller
+         */
+        to_json() {
+            return null;
+        }
+    }
+
+    /**
+     * This class rolls the robot in a random direction, picking a new one after a random time.
+     * Its direction and the time of the next change are saved with it, so a loaded scenario walks on where it was saved.
+     * A generator of its own is not saved, the generator of the world is
+     *
+     * @param {Object} options - Optional settings:
+     * - {Number} min_duration - Shortest time spent in a direction in seconds
+     * - {Number} max_duration - Longest time spent in a direction in seconds
+     * - {seeded_random} random - Random number generator, the one of the world by default
+     * - {Number} direction - Index of the current direction in FLOOR_DIRECTIONS, null before the first pick
+     * - {Number} change_time - Simulated time of the next change of direction in seconds
+     */
+    class random_walk_controller extends controller {
+        constructor(options = {}) {
+            super();
+            this.min_duration = options.min_duration ?? 2;
+            this.max_duration = options.max_duration ?? 6;
+            this.random = options.random ?? null;
+            this.direction = FLOOR_DIRECTIONS[options.direction] ?? null;
+            this.change_time = options.change_time ?? 0;
+        }
+
+        update(state) {
+
+            // Directions only change once the cube is resting on a face
+            if (state.time < this.change_time || !state.settled) {
+                return {};
+            }
+
+            const random = this.random ?? state.random;
+            this.direction = FLOOR_DIRECTIONS[Math.floor(random.next() * FLOOR_DIRECTIONS.length)];
+            this.change_time = state.time + this.min_duration + random.next() * (this.max_duration - this.min_duration);
+            return { direction: this.direction };
+        }
+
+        to_json() {
+            return {
+                type: 'random_walk',
+                min_duration: this.min_duration,
+                max_duration: this.max_duration,
+                direction: this.direction === null ? null : FLOOR_DIRECTIONS.indexOf(this.direction),
+                change_time: this.change_time
+            };
+        }
+    }
+
+    /**
+     * This class rolls the robot toward the centre of a target cell of the floor and stops there.
+     * Cells are squares of cell_size counted from the corner of the floor at (-width / 2, -depth / 2)
+     *
+     * @param {Object} options - Optional settings:
+     * - {Array} cell - Target cell as [column, row], column along x and row along z
+     * - {Number} cell_size - Side of a cell, the size of a robot by default
+     * - {Number} tolerance - Distance to the centre of the cell along x and along z under which the goal is reached,
+     *   rolls move the robot by its size so half of it is always within reach
+     */
+    class goal_seeking_controller extends controller {
+        constructor(options = {}) {
+            super();
+            this.cell = options.cell ?? [0, 0];
+            this.cell_size = options.cell_size ?? 2;
+            this.tolerance = options.tolerance ?? 1;
+            this.reached = false;
+
+            // Axis the robot is rolling along, kept until the goal is within tolerance along it
+            this.axis = null;
+        }
+
+        /**
+         * Centre of the target cell in world coordinates
+         * @param {Object} arena - Size of the arena, from the sensed state
+         * @returns {vector3} - Centre of the cell on the floor
+         */
+        target(arena) {
+            return new vector3(
+                (this.cell[0] + 0.5) * this.cell_size - arena.half_width,
+                0,
+                (this.cell[1] + 0.5) * this.cell_size - arena.half_depth
+            );
+        }
+
+        update(state) {
+            if (!state.settled) {
+                return {};
+            }
+
+            const offset = this.target(state.arena).sub(state.position);
+            this.reached = Math.abs(offset.x) <= this.tolerance && Math.abs(offset.z) <= this.tolerance;
+            if (this.reached) {
+                this.axis = null;
+                return { direction: null };
+            }
+
+            // Rolls along the axis with the longest way to go, and keeps to it so a wobbling robot
+            // half way along a diagonal does not switch axes every step
+            if (this.axis === null || Math.abs(offset[this.axis]) <= this.tolerance) {
+                this.axis = Math.abs(offset.x) > Math.abs(offset.z) ? 'x' : 'z';
+            }
+            const direction = this.axis === 'x'
+                ? new vector3(Math.sign(offset.x), 0, 0)
+                : new vector3(0, 0, Math.sign(offset.z));
+            return { direction };
+        }
+
+        to_json() {
+            return { type: 'goal_seeking', cell: this.cell.slice(), cell_size: this.cell_size, tolerance: this.tolerance };
+        }
+    }
+
+    /**
+     * This class moves the robot with its neighbours (boids): separation from close robots, alignment with their velocity,
+     * cohesion toward their centre, and avoidance of the walls of the arena
+     *
+     * @param {Object} options - Optional settings:
+     * - {Number} separation_radius - Neighbours closer than this push the robot away
+     * - {Number} wall_margin - Walls closer than this push the robot away
+     * - {Number} separation_weight - Weight of the separation rule
+     * - {Number} alignment_weight - Weight of the alignment rule
+     * - {Number} cohesion_weight - Weight of the cohesion rule
+     * - {Number} avoidance_weight - Weight of the wall avoidance rule
+     */
+    class flocking_controller extends controller {
+        constructor(options = {}) {
+            super();
+            this.separation_radius = options.separation_radius ?? 3;
+            this.wall_margin = options.wall_margin ?? 3;
+            this.separation_weight = options.separation_weight ?? 1.5;
+            this.alignment_weight = options.alignment_weight ?? 1;
+            this.cohesion_weight = options.cohesion_weight ?? 0.5;
+            this.avoidance_weight = options.avoidance_weight ?? 2;
+        }
+
+        /**
+         * Desired heading from the flocking rules, before it is snapped to a roll direction
+         * @param {Object} state - Sensed state of the robot
+         * @returns {vector3} - Weighted sum of the rules on the floor plane
+         */
+        steering(state) {
+            const separation = new vector3(0, 0, 0);
+            const alignment = new vector3(0, 0, 0);
+            const cohesion = new vector3(0, 0, 0);
+
+            for (const neighbor of state.neighbors) {
+                if (neighbor.distance < this.separation_radius && neighbor.distance > 0) {
+                    separation.sub(neighbor.offset.clone().divide_scalar(neighbor.distance * neighbor.distance));
+                }
+                alignment.add(neighbor.velocity);
+                cohesion.add(neighbor.offset);
+            }
+
+            const avoidance = new vector3(0, 0, 0);
+            for (const wall of state.walls) {
+                if (wall.distance < this.wall_margin) {
+                    avoidance.add(wall.normal.clone().multiply_scalar((this.wall_margin - wall.distance) / this.wall_margin));
+                }
+            }
+
+            if (state.neighbors.length > 0) {
+                alignment.divide_scalar(state.neighbors.length).normalize();
+                cohesion.divide_scalar(state.neighbors.length).normalize();
+            }
+
+            const heading = separation.multiply_scalar(this.separation_weight)
+                .add(alignment.multiply_scalar(this.alignment_weight))
+                .add(cohesion.multiply_scalar(this.cohesion_weight))
+                .add(avoidance.multiply_scalar(this.avoidance_weight));
+            heading.y = 0;
+            return heading;
+        }
+
+        update(state) {
+            if (!state.settled) {
+                return {};
+            }
+
+            // Alone and away from walls, the robot keeps going
+            const heading = this.steering(state);
+            return heading.length_sq() > 1e-6 ? { direction: heading } : {};
+        }
+
+        to_json() {
+            return {
+                type: 'flocking',
+                separation_radius: this.separation_radius,
+                wall_margin: this.wall_margin,
+                separation_weight: this.separation_weight,
+                alignment_weight: this.alignment_weight,
+                cohesion_weight: this.cohesion_weight,
+                avoidance_weight: this.avoidance_weight
+            };
+        }
+    }
+
+    /**
+     * Helper function to create a built-in controller by name
+     * @param {String} name - 'random_walk', 'goal_seeking' or 'flocking'
+     * @param {Object} options - Settings forwarded to the controller
+     * @returns {controller} - New controller
+     */
+    function create_controller(name, options = {}) {
+        switch (name) {
+            case 'random_walk':
+                return new random_walk_controller(options);
+            case 'goal_seeking':
+                return new goal_seeking_controller(options);
+            case 'flocking':
+                return new flocking_controller(options);
+            default:
+                throw new Error(`Unknown controller: ${name}`);
+        }
+    }
+
+    return { FLOOR_DIRECTIONS, CONTROLLER_TYPES, controller, random_walk_controller, goal_seeking_controller, flocking_controller, create_controller };
+}));
@@ -0,0 +1,349 @@
+/**
+ * File: debug_overlays.js
+ * Project: 3D Rigid Body Physics Engine - Collisions and Motion
+ * Description: Toggleable debug overlays for the ThreeJS view including:
+ * Bounding boxes (AABB) and oriented boxes (OBB) of the colliders, the arena boundary, contact points and normals,
+ * velocity and torque arrows of the robots, occupied broad-phase grid cells and colouring of robots in contact
+ * Author: Alberto Chavez Garcia
+ * Created: October 19, 2026
+ * Last Modified: October 19, 2026
+ */
+
+// Names of the overlays, each one toggled on its own
+const OVERLAY_NAMES = ['bounding_boxes', 'oriented_boxes', 'arena', 'contacts', 'arrows', 'grid', 'contact_colors'];
+
+// Colours of the overlays
+const OVERLAY_COLORS = {
+    bounding_boxes: 0x00ff00,
+    oriented_boxes: 0xffff00,
+    arena: 0xff8800,
+    contact_points: 0xff0000,
+    contact_normals: 0x00ffff,
+    velocity: 0x2196f3,
+    torque: 0xff00ff,
+    grid: 0x888888,
+    in_contact: 0xcc2222
+};
+
+// Length of the contact normals, and seconds of motion (velocity) or metres per newton metre (torque) of the arrows
+const NORMAL_LENGTH = 0.5;
+const VELOCITY_ARROW_SCALE = 0.5;
+const TORQUE_ARROW_SCALE = 0.5;
+
+// Arrows shorter than this are hidden
+const MIN_ARROW_LENGTH = 0.01;
+
+// Overlays are drawn a little above the floor so they are not hidden by it
+const FLOOR_OFFSET = 0.02;
+
+/**
+ * Helper function to create line segments whose points change every frame
+ * @param {Number} color - Colour of the lines
+ * @returns {THREE.LineSegments} - Line segments drawn on top of the scene
+ */
+function create_dynamic_lines(color) {
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(0), 3));
+    const material = new THREE.LineBasicMaterial({ color, depthTest: false });
+    const lines = new THREE.LineSegments(geometry, material);
+    lines.frustumCulled = false;
+    lines.renderOrder = 1;
+    return lines;
+}
+
+/**
+ * Helper function to replace the points of line segments or points, the buffer only grows when it is too small
+ * @param {THREE.Object3D} object - Object created by create_dynamic_lines or with a position attribute
+ * @param {Array} positions - Coordinates x, y, z of every point
+ */
+function set_dynamic_positions(object, positions) {
+    const geometry = object.geometry;
+    let attribute = geometry.getAttribute('position');
+    if (attribute.array.length < positions.length) {
+        attribute = new THREE.BufferAttribute(new Float32Array(positions.length * 2), 3);
+        geometry.setAttribute('position', attribute);
+    }
+    attribute.array.set(positions);
+    attribute.needsUpdate = true;
+    geometry.setDrawRange(0, positions.length / 3);
+}
+
+/**
+ * Helper function to add the 12 edges of an axis-aligned box to a list of segments
+ * @param {Array} positions - Coordinates of the segments, receives 24 points
+ * @param {box3} box - Box to be drawn
+ */
+function push_box_edges(positions, box) {
+    const { min, max } = box;
+    const corners = [
+        [min.x, min.y, min.z], [max.x, min.y, min.z], [max.x, min.y, max.z], [min.x, min.y, max.z],
+        [min.x, max.y, min.z], [max.x, max.y, min.z], [max.x, max.y, max.z], [min.x, max.y, max.z]
+    ];
+    const edges = [[0, 1], [1, 2], [2, 3], [3, 0], [4, 5], [5, 6], [6, 7], [7, 4], [0, 4], [1, 5], [2, 6], [3, 7]];
+    for (const [a, b] of edges) {
+        positions.push(...corners[a], ...corners[b]);
+    }
+}
+
+/**
+ * This class draws the debug overlays of the bodies shown in the scene.
+ * Every overlay is off until it is enabled, the ones that need the contacts or the broad phase of the simulation world
+ * are only drawn for the live world, not while replaying
+ *
+ * @param {THREE.Scene} scene - Scene the overlays are drawn in
+ */
+class debug_overlays {
+    constructor(scene) {
+        this.scene = scene;
+        this.enabled = {};
+        OVERLAY_NAMES.forEach(name => { this.enabled[name] = false; });
+
+        this.bounding_boxes = create_dynamic_lines(OVERLAY_COLORS.bounding_boxes);
+        this.contact_normals = create_dynamic_lines(OVERLAY_COLORS.contact_normals);
+        this.grid = create_dynamic_lines(OVERLAY_COLORS.grid);
+        this.arena_boundary = create_dynamic_lines(OVERLAY_COLORS.arena);
+
+        const point_geometry = new THREE.BufferGeometry();
+        point_geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(0), 3));
+        this.contact_points = new THREE.Points(point_geometry,
+            new THREE.PointsMaterial({ color: OVERLAY_COLORS.contact_points, size: 6, sizeAttenuation: false, depthTest: false }));
+        this.contact_points.frustumCulled = false;
+        this.contact_points.renderOrder = 1;
+
+        [this.bounding_boxes, this.contact_normals, this.grid, this.arena_boundary, this.contact_points].forEach(object => {
+            object.visible = false;
+            scene.add(object);
+        });
+
+        // Overlays attached to the views, created the first time each view is drawn
+        this._oriented_boxes = new Map();
+        this._arrows = new Map();
+        this._original_colors = new Map();
+        this._arena = null;
+    }
+
+    /**
+     * Turns an overlay on or off
+     * @param {String} name - One of OVERLAY_NAMES
+     * @param {Boolean} enabled - Draws the overlay
+     */
+    set_enabled(name, enabled) {
+        if (!OVERLAY_NAMES.includes(name)) {
+            throw new Error(`Unknown overlay: ${name}`);
+        }
+        this.enabled[name] = enabled;
+    }
+
+    /**
+     * Redraws the enabled overlays, called every frame after the views are synchronised
+     * @param {Array} views - Views of the bodies shown in the scene
+     * @param {arena} arena - Arena shown in the scene
+     * @param {simulation_world|null} world - Live world with its contacts and broad phase, null while replaying
+     */
+    update(views, arena, world) {
+        this._forget_disposed_views(views);
+        this._update_bounding_boxes(views);
+        this._update_oriented_boxes(views);
+        this._update_arena(arena);
+        this._update_contacts(world);
+        this._update_arrows(views);
+        this._update_grid(world);
+        this._update_contact_colors(views, world);
+    }
+
+    /**
+     * Drops the overlays of views that are no longer shown. Oriented boxes were disposed of with the mesh of the view,
+     * arrows are in the scene on their own
+     */
+    _forget_disposed_views(views) {
+        const shown = new Set(views);
+        for (const [view, arrows] of this._arrows) {
+            if (!shown.has(view)) {
+                this.scene.remove(arrows.velocity, arrows.torque);
+                arrows.velocity.dispose();
+                arrows.torque.dispose();
+            }
+        }
+
+        for (const map of [this._oriented_boxes, this._arrows, this._original_colors]) {
+            for (const view of map.keys()) {
+                if (!shown.has(view)) {
+                    map.delete(view);
+                }
+            }
+        }
+    }
+
+    _update_bounding_boxes(views) {
+        this.bounding_boxes.visible = this.enabled.bounding_boxes;
+        if (!this.enabled.bounding_boxes) {
+            return;
+        }
+
+        const positions = [];
+        views.forEach(view => {
+            if (view.mesh.visible) {
+                push_box_edges(positions, view.body.bounding_box);
+            }
+        });
+        set_dynamic_positions(this.bounding_boxes, positions);
+    }
+
+    /**
+     * Oriented boxes are the edges of the shape of each body, attached to its mesh so they follow the interpolated pose
+     */
+    _update_oriented_boxes(views) {
+        views.forEach(view => {
+            let edges = this._oriented_boxes.get(view);
+            if (edges === undefined && this.enabled.oriented_boxes) {
+                edges = new THREE.LineSegments(
+                    new THREE.EdgesGeometry(create_shape_geometry(view.body.shape)),
+                    new THREE.LineBasicMaterial({ color: OVERLAY_COLORS.oriented_boxes, depthTest: false })
+                );
+                edges.renderOrder = 1;
+                view.mesh.add(edges);
+                this._oriented_boxes.set(view, edges);
+            }
+            if (edges !== undefined) {
+                edges.visible = this.enabled.oriented_boxes;
+            }
+        });
+    }
+
+    _update_arena(arena) {
+        this.arena_boundary.visible = this.enabled.arena;
+        if (arena === this._arena) {
+            return;
+        }
+
+        this._arena = arena;
+        const x = arena.half_width;
+        const z = arena.half_depth;
+        const y = FLOOR_OFFSET;
+        set_dynamic_positions(this.arena_boundary, [
+            -x, y, -z, x, y, -z,
+            x, y, -z, x, y, z,
+            x, y, z, -x, y, z,
+            -x, y, z, -x, y, -z
+        ]);
+    }
+
+    _update_contacts(world) {
+        const visible = this.enabled.contacts && world !== null;
+        this.contact_points.visible = visible;
+        this.contact_normals.visible = visible;
+        if (!visible) {
+            return;
+        }
+
+        const points = [];
+        const normals = [];
+        for (const contact of world.contacts) {
+            for (const { point } of contact.points) {
+                points.push(point.x, point.y, point.z);
+                normals.push(
+                    point.x, point.y, point.z,
+                    point.x + contact.normal.x * NORMAL_LENGTH,
+                    point.y + contact.normal.y * NORMAL_LENGTH,
+                    point.z + contact.normal.z * NORMAL_LENGTH
+                );
+            }
+        }
+        set_dynamic_positions(this.contact_points, points);
+        set_dynamic_positions(this.contact_normals, normals);
+    }
+
+    /**
+     * Velocity and torque arrows of the robots, drawn from the interpolated position of their meshes
+     */
+    _update_arrows(views) {
+        const direction = new THREE.Vector3();
+        const set_arrow = (arrow, origin, vector, scale) => {
+            direction.set(vector.x, vector.y, vector.z);
+            const length = direction.length() * scale;
+            arrow.visible = length > MIN_ARROW_LENGTH;
+            if (arrow.visible) {
+                arrow.position.copy(origin);
+                arrow.setDirection(direction.normalize());
+                arrow.setLength(length, Math.min(0.3, length * 0.3), Math.min(0.2, length * 0.2));
+            }
+        };
+
+        views.forEach(view => {
+            if (view.robot === undefined) {
+                return;
+            }
+
+            let arrows = this._arrows.get(view);
+            if (arrows === undefined) {
+                if (!this.enabled.arrows) {
+                    return;
+                }
+                arrows = {
+                    velocity: new THREE.ArrowHelper(new THREE.Vector3(1, 0, 0), new THREE.Vector3(), 1, OVERLAY_COLORS.velocity),
+                    torque: new THREE.ArrowHelper(new THREE.Vector3(1, 0, 0), new THREE.Vector3(), 1, OVERLAY_COLORS.torque)
+                };
+                this.scene.add(arrows.velocity, arrows.torque);
+                this._arrows.set(view, arrows);
+            }
+
+            const visible = this.enabled.arrows && view.mesh.visible;
+            if (!visible) {
+                arrows.velocity.visible = false;
+                arrows.torque.visible = false;
+                return;
+            }
+            set_arrow(arrows.velocity, view.mesh.position, view.body.translational_velocity, VELOCITY_ARROW_SCALE);
+            set_arrow(arrows.torque, view.mesh.position, view.body.torque, TORQUE_ARROW_SCALE);
+        });
+    }
+
+    /**
+     * Occupied cells of the uniform grid of the last step, outlined on the floor
+     */
+    _update_grid(world) {
+        const visible = this.enabled.grid && world !== null && world.grid !== null;
+        this.grid.visible = visible;
+        if (!visible) {
+            return;
+        }
+
+        const positions = [];
+        const y = FLOOR_OFFSET;
+        world.grid.for_each_cell((x, z, size) => {
+            positions.push(
+                x, y, z, x + size, y, z,
+                x + size, y, z, x + size, y, z + size,
+                x + size, y, z + size, x, y, z + size,
+                x, y, z + size, x, y, z
+            );
+        });
+        set_dynamic_positions(this.grid, positions);
+    }
+
+    /**
+     * Robots touching another body (the floor does not count) are drawn in the contact colour
+     */
+    _update_contact_colors(views, world) {
+        const in_contact = new Set();
+        if (this.enabled.contact_colors && world !== null) {
+            for (const contact of world.contacts) {
+                if (contact.body_a !== world.arena.ground && contact.body_b !== world.arena.ground) {
+                    in_contact.add(contact.body_a);
+                    in_contact.add(contact.body_b);
+                }
+            }
+        }
+
+        views.forEach(view => {
+            if (view.robot === undefined) {
+                return;
+            }
+
+            if (!this._original_colors.has(view)) {
+                this._original_colors.set(view, view.get_color());
+            }
+            view.set_color(in_contact.has(view.body) ? OVERLAY_COLORS.in_contact : this._original_colors.get(view));
+        });
+    }
+}
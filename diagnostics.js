@@ -0,0 +1,280 @@
+/**
+ * File: diagnostics.js
+ * Project: 3D Rigid Body Physics Engine - Collisions and Motion
+ * Description: Energy, momentum and stability diagnostics for the simulation world including:
+ * Measuring the kinetic (translational and rotational) and potential energy and the linear and angular momentum of a world,
+ * and a monitor that samples them every step and flags NaNs, energy blow-ups and bodies escaping the arena
+ * Author: Alberto Chavez Garcia
+ * Created: October 19, 2026
+ * Last Modified: October 19, 2026
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./vector_math.js'), require('./events.js'));
+    } else {
+        Object.assign(root, factory(root, root));
+    }
+}(typeof self !== 'undefined' ? self : this, function (math, events) {
+
+    const { vector3 } = math;
+    const { event_emitter } = events;
+
+    // Samples kept by default, 10 seconds at the default time step. Older samples are dropped first
+    const MAX_SAMPLES = 3600;
+
+    // Issues kept by default, older issues are dropped first
+    const MAX_ISSUES = 100;
+
+    // Power (J/s) a single body may gain before it counts as an energy blow-up.
+    // A robot pushing at the largest piston force gains about a tenth of it
+    const MAX_BODY_POWER = 1000;
+
+    /**
+     * Helper function to multiply a vector by the inertia tensor of a body in world coordinates, R I Rᵀ v
+     * @param {rigid_body} body - Body giving the inertia and the orientation
+     * @param {vector3} vector - Vector in world coordinates
+     * @returns {vector3} - New vector
+     */
+    function world_inertia_times(body, vector) {
+        const local = vector.clone().apply_quaternion(body.orientation.clone().conjugate());
+        local.set(local.x * body.inertia.x, local.y * body.inertia.y, local.z * body.inertia.z);
+        return local.apply_quaternion(body.orientation);
+    }
+
+    /**
+     * Energy of a single moving body
+     * @param {rigid_body} body - Body with a finite mass
+     * @param {vector3} gravity - Gravity acceleration of the world, the potential energy is 0 on the floor plane
+     * @returns {Object} - translational, rotational and potential energy in joules
+     */
+    function body_energy(body, gravity) {
+        return {
+            translational: 0.5 * body.mass * body.translational_velocity.length_sq(),
+            rotational: 0.5 * body.angular_velocity.dot(world_inertia_times(body, body.angular_velocity)),
+            potential: -body.mass * gravity.dot(body.position)
+        };
+    }
+
+    /**
+     * Helper function to check that every number of the state of a body is finite
+     * @param {rigid_body} body - Body to be checked
+     * @returns {Boolean}
+     */
+    function is_finite_state(body) {
+        const { position, orientation, translational_velocity, angular_velocity } = body;
+        return [position, translational_velocity, angular_velocity].every(v => isFinite(v.x) && isFinite(v.y) && isFinite(v.z))
+            && isFinite(orientation.x) && isFinite(orientation.y) && isFinite(orientation.z) && isFinite(orientation.w);
+    }
+
+    /**
+     * Measures the energy and momentum of every moving body of a world, static obstacles are left out
+     * @param {simulation_world} world - World to be measured
+     * @returns {Object} - Sample containing:
+     * - {Number} step, time - Step count and simulated time of the world
+     * - {Number} translational, rotational - Kinetic energy of the bodies moving and spinning in joules
+     * - {Number} kinetic - translational + rotational
+     * - {Number} potential - Gravitational potential energy, 0 on the floor plane
+     * - {Number} total - kinetic + potential
+     * - {vector3} linear_momentum - Total momentum in kg m/s
+     * - {vector3} angular_momentum - Total angular momentum about the origin in kg m²/s
+     */
+    function measure_world(world) {
+        const sample = {
+            step: world.steps,
+            time: world.time,
+            translational: 0,
+            rotational: 0,
+            kinetic: 0,
+            potential: 0,
+            total: 0,
+            linear_momentum: new vector3(0, 0, 0),
+            angular_momentum: new vector3(0, 0, 0)
+        };
+
+        for (const body of world.bodies) {
+            if (body.is_static) {
+                continue;
+            }
+
+            const energy = body_energy(body, world.gravity);
+            sample.translational += energy.translational;
+            sample.rotational += energy.rotational;
+            sample.potential += energy.potential;
+
+            const momentum = body.translational_velocity.clone().multiply_scalar(body.mass);
+            sample.linear_momentum.add(momentum);
+            sample.angular_momentum.add(body.position.clone().cross(momentum)).add(world_inertia_times(body, body.angular_velocity));
+        }
+
+        sample.kinetic = sample.translational + sample.rotational;
+        sample.total = sample.kinetic + sample.potential;
+        return sample;
+    }
+
+    /**
+     * This class watches a world while it runs. After every step it measures the world (see measure_world) and checks
+     * every moving body for issues, each issue is reported once until the body recovers:
+     * - nan when a number of the state of the body is not finite
+     * - energy_blowup when the body gains energy faster than max_body_power, with power (J/s) and energy (J)
+     * - escaped when the centre of the body leaves the floor of the arena, with position
+     * Emits sample with every sample and issue with every issue, both can be charted or logged
+     *
+     * @param {simulation_world} world - World to be watched
+     * @param {Object} options - Optional settings:
+     * - {Number} max_samples - Samples kept in samples, older samples are dropped first
+     * - {Number} max_body_power - Power in J/s above which a body gaining energy is a blow-up
+     * - {Boolean} log - Writes every issue to the console
+     */
+    class diagnostics_monitor extends event_emitter {
+        constructor(world, options = {}) {
+            super();
+            this.world = world;
+            this.max_samples = options.max_samples ?? MAX_SAMPLES;
+            this.max_body_power = options.max_body_power ?? MAX_BODY_POWER;
+            this.log = options.log ?? false;
+
+            this.samples = [];
+            this.issues = [];
+            this.issue_count = 0;
+            this._unsubscribe = [];
+            this.clear();
+        }
+
+        /**
+         * Starts watching the world, it is measured straight away
+         */
+        start() {
+            if (this._unsubscribe.length > 0) {
+                return;
+            }
+            this._unsubscribe.push(
+                this.world.on('step', () => this.update()),
+                this.world.on('reset', () => this.clear())
+            );
+            this.update();
+        }
+
+        /**
+         * Stops watching the world, samples and issues are kept
+         */
+        stop() {
+            this._unsubscribe.forEach(unsubscribe => unsubscribe());
+            this._unsubscribe = [];
+        }
+
+        /**
+         * Forgets the samples, the issues and the state of the bodies, used when the world is reset
+         */
+        clear() {
+            this.samples.length = 0;
+            this.issues.length = 0;
+            this.issue_count = 0;
+            this.latest = null;
+            this._energies = new WeakMap();
+            this._flagged = new WeakMap();
+        }
+
+        /**
+         * Measures the world and checks its bodies, called after every step while started
+         * @returns {Object} - The new sample
+         */
+        update() {
+            const world = this.world;
+            const sample = measure_world(world);
+            this.latest = sample;
+            this.samples.push(sample);
+            if (this.samples.length > this.max_samples) {
+                this.samples.shift();
+            }
+
+            for (const body of world.bodies) {
+                if (!body.is_static) {
+                    this._check_body(body);
+                }
+            }
+
+            this.emit('sample', sample);
+            return sample;
+        }
+
+        /**
+         * Looks for the issues of a single body, an issue already reported is reported again only after it went away
+         * @param {rigid_body} body - Moving body of the world
+         */
+        _check_body(body) {
+            const world = this.world;
+            const flagged = this._flagged.get(body) ?? new Set();
+            this._flagged.set(body, flagged);
+
+            const check = (type, failing, details) => {
+                if (!failing) {
+                    flagged.delete(type);
+                } else if (!flagged.has(type)) {
+                    flagged.add(type);
+                    this._report(Object.assign({ type, body, step: world.steps, time: world.time }, details()));
+                }
+            };
+
+            // A body with a NaN has nothing else worth checking
+            const finite = is_finite_state(body);
+            check('nan', !finite, () => ({}));
+            if (!finite) {
+                return;
+            }
+
+            const energy = body_energy(body, world.gravity);
+            const total = energy.translational + energy.rotational + energy.potential;
+            const previous = this._energies.get(body);
+            this._energies.set(body, { total, step: world.steps });
+
+            // Energy gained since the last sample of the body, the steps in between were not checked
+            const steps = previous === undefined ? 0 : world.steps - previous.step;
+            const power = steps > 0 ? (total - previous.total) / (steps * world.time_step) : 0;
+            check('energy_blowup', power > this.max_body_power, () => ({ power, energy: total }));
+
+            const arena = world.arena;
+            const escaped = Math.abs(body.position.x) > arena.half_width || Math.abs(body.position.z) > arena.half_depth;
+            check('escaped', escaped, () => ({ position: body.position.clone() }));
+        }
+
+        _report(issue) {
+            this.issue_count++;
+            this.issues.push(issue);
+            if (this.issues.length > MAX_ISSUES) {
+                this.issues.shift();
+            }
+            if (this.log) {
+                console.warn(format_issue(issue));
+            }
+            this.emit('issue', issue);
+        }
+    }
+
+    /**
+     * Describes an issue in a single line
+     * @param {Object} issue - Issue reported by a diagnostics_monitor
+     * @returns {String} - Description of the issue
+     */
+    function format_issue(issue) {
+        const name = issue.body.name ?? 'Body';
+        const when = `step ${issue.step} (${issue.time.toFixed(3)} s)`;
+        switch (issue.type) {
+            case 'nan':
+                return `${when}: ${name} has a non-finite state`;
+            case 'energy_blowup':
+                return `${when}: ${name} gained energy at ${issue.power.toFixed(0)} J/s, now ${issue.energy.toFixed(2)} J`;
+            case 'escaped':
+                return `${when}: ${name} escaped the arena at (${issue.position.x.toFixed(2)}, ${issue.position.z.toFixed(2)})`;
+            default:
+                return `${when}: ${name} ${issue.type}`;
+        }
+    }
+
+    return {
+        MAX_BODY_POWER,
+        measure_world,
+        diagnostics_monitor,
+        format_issue
+    };
+}));
@@ -0,0 +1,102 @@
+/**
+ * File: events.js
+ * Project: 3D Rigid Body Physics Engine - Collisions and Motion
+ * Description: Event emitter for the simulation world.
+ * Lets analytics, sounds and custom behaviours subscribe to what happens in the world (collisions, rolls, steps)
+ * without patching engine functions
+ * Author: Alberto Chavez Garcia
+ * Created: October 19, 2026
+ * Last Modified: October 19, 2026
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        Object.assign(root, factory());
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+
+    /**
+     * This class keeps the listeners of named events and calls them in the order they were added
+     */
+    class event_emitter {
+        constructor() {
+            this._listeners = new Map();
+        }
+
+        /**
+         * Subscribes to an event
+         * @param {String} event - Name of the event
+         * @param {Function} listener - Called with the data of every emitted event
+         * @returns {Function} - Function that unsubscribes the listener
+         */
+        on(event, listener) {
+            if (!this._listeners.has(event)) {
+                this._listeners.set(event, []);
+            }
+            this._listeners.get(event).push(listener);
+            return () => this.off(event, listener);
+        }
+
+        /**
+         * Subscribes to the next occurrence of an event only
+         * @param {String} event - Name of the event
+         * @param {Function} listener - Called with the data of the event
+         * @returns {Function} - Function that unsubscribes the listener
+         */
+        once(event, listener) {
+            const wrapper = data => {
+                this.off(event, wrapper);
+                listener(data);
+            };
+            return this.on(event, wrapper);
+        }
+
+        /**
+         * Unsubscribes a listener
+         * @param {String} event - Name of the event
+         * @param {Function} listener - Listener given to on
+         */
+        off(event, listener) {
+            const listeners = this._listeners.get(event);
+            if (listeners === undefined) {
+                return;
+            }
+
+            const index = listeners.indexOf(listener);
+            if (index !== -1) {
+                listeners.splice(index, 1);
+            }
+        }
+
+        /**
+         * Checks if an event has listeners, lets the emitter skip building data nobody reads
+         * @param {String} event - Name of the event
+         * @returns {Boolean}
+         */
+        has_listeners(event) {
+            const listeners = this._listeners.get(event);
+            return listeners !== undefined && listeners.length > 0;
+        }
+
+        /**
+         * Calls every listener of an event
+         * @param {String} event - Name of the event
+         * @param {Object} data - Data given to the listeners
+         */
+        emit(event, data) {
+            const listeners = this._listeners.get(event);
+            if (listeners === undefined) {
+                return;
+            }
+
+            // Listeners may unsubscribe while being called
+            for (const listener of listeners.slice()) {
+                listener(data);
+            }
+        }
+    }
+
+    return { event_emitter };
+}));
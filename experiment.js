@@ -0,0 +1,300 @@
+/**
+ * File: experiment.js
+ * Project: 3D Rigid Body Physics Engine - Collisions and Motion
+ * Description: Batch experiments on the simulation world including:
+ * Expanding a parameter sweep (robot counts, piston forces, masses and seeds) into runs, Measuring the robot traffic of a run
+ * (collisions, distance travelled, time spent tipping, boundary hits) and Writing the results as CSV or JSON.
+ * The command line runner is experiments/run_experiments.js
+ * Author: Alberto Chavez Garcia
+ * Created: October 19, 2026
+ * Last Modified: October 19, 2026
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./simulation.js'));
+    } else {
+        Object.assign(root, factory(root));
+    }
+}(typeof self !== 'undefined' ? self : this, function (simulation) {
+
+    const { simulation_world } = simulation;
+
+    // Parameters a sweep can vary, every combination of their values is a run
+    const SWEEP_PARAMETERS = ['num_robots', 'piston_force', 'mass', 'seed'];
+
+    // Values each parameter accepts, and how the error message describes them
+    const SWEEP_CHECKS = {
+        num_robots: [value => Number.isInteger(value) && value >= 0, 'a non-negative integer'],
+        piston_force: [value => Number.isFinite(value) && value >= 0, 'a number of at least 0'],
+        mass: [value => Number.isFinite(value) && value > 0, 'a positive number'],
+        seed: [Number.isFinite, 'a number']
+    };
+
+    // Values of the parameters a sweep leaves out, the defaults of the sliders
+    const SWEEP_DEFAULTS = { num_robots: 10, piston_force: 6, mass: 0.5, seed: 2023, steps: 3600 };
+
+    // Columns of the CSV results, one row per run
+    const CSV_COLUMNS = [
+        'run', 'num_robots', 'piston_force', 'mass', 'seed', 'steps', 'duration',
+        'collisions', 'boundary_hits', 'obstacle_hits', 'rolls', 'fallen',
+        'mean_distance', 'min_distance', 'max_distance', 'mean_tipping_time', 'tipping_fraction', 'elapsed_ms', 'error'
+    ];
+
+    /**
+     * Expands a sweep into the list of its runs, the last parameters of SWEEP_PARAMETERS vary fastest
+     * @param {Object} sweep - Sweep with a value or an array of values for each parameter of SWEEP_PARAMETERS,
+     * steps (duration of every run) and world (other settings of the world, see simulation_world)
+     * @returns {Array} - One configuration per run: run (index), num_robots, piston_force, mass, seed, steps and world
+     */
+    function expand_sweep(sweep = {}) {
+        let runs = [{}];
+        for (const parameter of SWEEP_PARAMETERS) {
+            const values = [].concat(sweep[parameter] ?? SWEEP_DEFAULTS[parameter]);
+            if (values.length === 0) {
+                throw new Error(`${parameter} must be a number or a non-empty array of numbers`);
+            }
+            const [accepts, description] = SWEEP_CHECKS[parameter];
+            const invalid = values.find(value => !accepts(value));
+            if (invalid !== undefined) {
+                throw new Error(`${parameter} must be ${description}, got ${invalid}`);
+            }
+            runs = runs.flatMap(run => values.map(value => Object.assign({}, run, { [parameter]: value })));
+        }
+
+        const steps = sweep.steps ?? SWEEP_DEFAULTS.steps;
+        if (!Number.isInteger(steps) || steps <= 0) {
+            throw new Error(`steps must be a positive integer, got ${steps}`);
+        }
+        return runs.map((run, index) => Object.assign({ run: index }, run, { steps, world: sweep.world ?? {} }));
+    }
+
+    /**
+     * This class measures the traffic of the robots of a world while it runs.
+     * Per robot it keeps the distance travelled over the floor, the time spent tipping over,
+     * the rolls (tipped_over events), the collisions with other bodies and the hits against the arena walls
+     *
+     * @param {simulation_world} world - World to be measured
+     */
+    class experiment_metrics {
+        constructor(world) {
+            this.world = world;
+            this.collisions = 0;
+            this.boundary_hits = 0;
+            this.obstacle_hits = 0;
+            this.rolls = 0;
+            this.steps = 0;
+            this._robots = new Map();
+            this._unsubscribe = [];
+        }
+
+        /**
+         * Starts measuring, robots added later are measured from their first step
+         */
+        start() {
+            if (this._unsubscribe.length > 0) {
+                return;
+            }
+
+            const world = this.world;
+            this._unsubscribe.push(
+                world.on('step', () => this._update()),
+                world.on('collision_begin', ({ body_a, body_b }) => {
+                    this.collisions++;
+                    [body_a, body_b].forEach(body => {
+                        if (this._robots.has(body)) {
+                            this._robots.get(body).collisions++;
+                        }
+                    });
+                }),
+                world.on('wall_hit', ({ body, wall }) => {
+                    const boundary = world.arena.walls.includes(wall);
+                    if (boundary) {
+                        this.boundary_hits++;
+                    } else {
+                        this.obstacle_hits++;
+                    }
+                    if (boundary && this._robots.has(body)) {
+                        this._robots.get(body).boundary_hits++;
+                    }
+                }),
+                world.on('tipped_over', ({ robot }) => {
+                    this.rolls++;
+                    this._robot_stats(robot).rolls++;
+                })
+            );
+            world.robots.forEach(robot => this._robot_stats(robot));
+        }
+
+        stop() {
+            this._unsubscribe.forEach(unsubscribe => unsubscribe());
+            this._unsubscribe = [];
+        }
+
+        _robot_stats(robot) {
+            if (!this._robots.has(robot)) {
+                this._robots.set(robot, { distance: 0, tipping_time: 0, rolls: 0, collisions: 0, boundary_hits: 0 });
+            }
+            return this._robots.get(robot);
+        }
+
+        /**
+         * Adds the motion of the last step, the horizontal displacement of every robot and the time spent tipping
+         */
+        _update() {
+            const time_step = this.world.time_step;
+            this.steps++;
+            for (const robot of this.world.robots) {
+                const stats = this._robot_stats(robot);
+                const dx = robot.position.x - robot.previous_position.x;
+                const dz = robot.position.z - robot.previous_position.z;
+                stats.distance += Math.sqrt(dx * dx + dz * dz);
+                if (robot.roll_phase === 'tipping') {
+                    stats.tipping_time += time_step;
+                }
+            }
+        }
+
+        /**
+         * Measurements of every robot measured so far, including the robots that fell
+         * @returns {Array} - name, distance (m), tipping_time (s), rolls, collisions and boundary_hits of each robot
+         */
+        robots() {
+            return Array.from(this._robots, ([robot, stats]) => Object.assign({ name: robot.name ?? null }, stats));
+        }
+
+        /**
+         * Totals of the run
+         * @returns {Object} - duration (simulated seconds), collisions, boundary_hits, obstacle_hits, rolls, fallen,
+         * mean_distance, min_distance and max_distance per robot, mean_tipping_time per robot and tipping_fraction
+         * (share of the robot time spent tipping)
+         */
+        summary() {
+            const robots = this.robots();
+            const distances = robots.map(robot => robot.distance);
+            const tipping_time = robots.reduce((total, robot) => total + robot.tipping_time, 0);
+            const duration = this.steps * this.world.time_step;
+            const mean = total => (robots.length > 0 ? total / robots.length : 0);
+
+            return {
+                duration,
+                collisions: this.collisions,
+                boundary_hits: this.boundary_hits,
+                obstacle_hits: this.obstacle_hits,
+                rolls: this.rolls,
+                fallen: this.world.fallen.length,
+                mean_distance: mean(distances.reduce((total, distance) => total + distance, 0)),
+                min_distance: robots.length > 0 ? Math.min(...distances) : 0,
+                max_distance: robots.length > 0 ? Math.max(...distances) : 0,
+                mean_tipping_time: mean(tipping_time),
+                tipping_fraction: duration > 0 && robots.length > 0 ? tipping_time / (duration * robots.length) : 0
+            };
+        }
+    }
+
+    /**
+     * Runs one configuration of a sweep headlessly
+     * @param {Object} config - Configuration given by expand_sweep
+     * @returns {Object} - Result containing config, metrics (see experiment_metrics.summary, with elapsed_ms of wall-clock time)
+     * and robots (see experiment_metrics.robots)
+     */
+    function run_experiment(config) {
+        const start = Date.now();
+        const result = { config: run_config(config) };
+        const world = new simulation_world(Object.assign({}, config.world, {
+            num_robots: config.num_robots,
+            piston_force: config.piston_force,
+            mass: config.mass,
+            seed: config.seed
+        }));
+
+        const metrics = new experiment_metrics(world);
+        metrics.start();
+        world.advance(config.steps);
+        metrics.stop();
+
+        result.metrics = Object.assign(metrics.summary(), { elapsed_ms: Date.now() - start });
+        result.robots = metrics.robots();
+        return result;
+    }
+
+    /**
+     * Helper function to keep the swept values of a configuration, the settings of its world are left out
+     */
+    function run_config(config) {
+        return {
+            run: config.run,
+            num_robots: config.num_robots,
+            piston_force: config.piston_force,
+            mass: config.mass,
+            seed: config.seed,
+            steps: config.steps
+        };
+    }
+
+    /**
+     * Runs every configuration of a sweep, one after the other.
+     * A run that fails (e.g. more robots than the arena can place) does not stop the sweep,
+     * its result holds its config and the message of the error instead of metrics and robots
+     * @param {Object} sweep - Sweep (see expand_sweep)
+     * @param {Function} on_result - Optional, called with each result and the number of runs as soon as the run is over
+     * @returns {Array} - Results of the runs (see run_experiment)
+     */
+    function run_sweep(sweep, on_result = null) {
+        const configs = expand_sweep(sweep);
+        return configs.map(config => {
+            let result;
+            try {
+                result = run_experiment(config);
+            } catch (error) {
+                result = { config: run_config(config), error: error.message, metrics: null, robots: [] };
+            }
+            if (on_result !== null) {
+                on_result(result, configs.length);
+            }
+            return result;
+        });
+    }
+
+    /**
+     * Helper function to write a value as a CSV field, quoted when needed
+     */
+    function csv_field(value) {
+        const text = String(value ?? '');
+        return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    /**
+     * Writes results as CSV, one row per run with the columns of CSV_COLUMNS, failed runs only fill their config and error
+     * @param {Array} results - Results of run_experiment
+     * @returns {String} - CSV text with a header row
+     */
+    function results_to_csv(results) {
+        const rows = results.map(result => {
+            const row = Object.assign({}, result.config, result.metrics, { error: result.error });
+            return CSV_COLUMNS.map(column => csv_field(row[column])).join(',');
+        });
+        return [CSV_COLUMNS.join(',')].concat(rows).join('\n') + '\n';
+    }
+
+    /**
+     * Writes results as JSON, with the measurements of every robot of every run
+     * @param {Array} results - Results of run_experiment
+     * @returns {String} - JSON text
+     */
+    function results_to_json(results) {
+        return JSON.stringify(results, null, 2);
+    }
+
+    return {
+        SWEEP_PARAMETERS,
+        SWEEP_DEFAULTS,
+        CSV_COLUMNS,
+        expand_sweep,
+        experiment_metrics,
+        run_experiment,
+        run_sweep,
+        results_to_csv,
+        results_to_json
+    };
+}));
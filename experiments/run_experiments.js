@@ -0,0 +1,160 @@
+/**
+ * File: run_experiments.js
+ * Project: 3D Rigid Body Physics Engine - Collisions and Motion
+ * Description: Command line batch experiment runner. Runs every combination of a sweep over robot counts, piston forces,
+ * masses and seeds headlessly and writes the metrics of each run (see experiment.js) as CSV or JSON.
+ * Run with: node experiments/run_experiments.js [options]
+ *   --robots 5,10,20          Robot counts
+ *   --piston-force 4:8:2      Piston forces (alias --piston-output)
+ *   --mass 0.5,1              Robot masses
+ *   --seeds 1:5               Seeds of the worlds
+ *   --steps 3600              Steps of every run, 1/360 s each by default, a single number
+ *   --sweep sweep.json        Sweep file with the same parameters (num_robots, piston_force, mass, seed, steps, world),
+ *                             the options given on the command line replace its values
+ *   --format csv|json         Output format, taken from the extension of --out by default, csv otherwise
+ *   --out results.csv         Output file, the standard output by default
+ *   --help                    Prints the usage and exits
+ * Values are a comma separated list or a start:end[:step] range, both ends included.
+ * A run that fails is written with its error and the other runs go on, the runner then exits with code 1
+ * Author: Alberto Chavez Garcia
+ * Created: October 19, 2026
+ * Last Modified: October 19, 2026
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { run_sweep, expand_sweep, results_to_csv, results_to_json } = require('../experiment.js');
+
+// Command line options and the sweep parameter each one sets
+const SWEEP_OPTIONS = {
+    '--robots': 'num_robots',
+    '--piston-force': 'piston_force',
+    '--piston-output': 'piston_force',
+    '--mass': 'mass',
+    '--seeds': 'seed',
+    '--steps': 'steps'
+};
+const OTHER_OPTIONS = ['--sweep', '--format', '--out'];
+
+const USAGE = `Usage: node experiments/run_experiments.js [options]
+  --robots 5,10,20          Robot counts
+  --piston-force 4:8:2      Piston forces (alias --piston-output)
+  --mass 0.5,1              Robot masses
+  --seeds 1:5               Seeds of the worlds
+  --steps 3600              Steps of every run, a single number
+  --sweep sweep.json        Sweep file with the same parameters, the options given here replace its values
+  --format csv|json         Output format, taken from the extension of --out by default, csv otherwise
+  --out results.csv         Output file, the standard output by default
+  --help                    Prints this usage
+Values are a comma separated list or a start:end[:step] range, both ends included`;
+
+/**
+ * Helper function to read the values of an option, a list (1,2,3) or an inclusive range (start:end or start:end:step)
+ * @param {String} text - Value given on the command line
+ * @returns {Array} - Numbers of the option
+ */
+function parse_values(text) {
+    return text.split(',').flatMap(part => {
+        const bounds = part.split(':').map(Number);
+        if (bounds.length === 1) {
+            return bounds;
+        }
+        const [start, end, step = 1] = bounds;
+        if (bounds.length > 3 || !(step > 0) || !Number.isFinite(start) || !Number.isFinite(end)) {
+            throw new Error(`Invalid range: ${part}`);
+        }
+
+        // Counting the values avoids the rounding drift of adding the step again and again
+        const count = Math.floor((end - start) / step + 1e-9) + 1;
+        return Array.from({ length: Math.max(count, 0) }, (_, i) => Number((start + i * step).toFixed(10)));
+    });
+}
+
+/**
+ * Reads the command line
+ * @param {Array} args - Arguments after the script name
+ * @returns {Object} - sweep (see expand_sweep), format and out, or help when the usage was asked for
+ */
+function parse_arguments(args) {
+    if (args.includes('--help') || args.includes('-h')) {
+        return { help: true };
+    }
+
+    const values = {};
+    for (let i = 0; i < args.length; i += 2) {
+        const option = args[i];
+        if (!(option in SWEEP_OPTIONS) && !OTHER_OPTIONS.includes(option)) {
+            throw new Error(`Unknown option: ${option}`);
+        }
+
+        // A value is never another option, a flag followed by another flag has no value
+        const value = args[i + 1];
+        if (value === undefined || value.startsWith('--')) {
+            throw new Error(`Missing value for ${option}`);
+        }
+        values[option] = value;
+    }
+
+    const sweep = values['--sweep'] !== undefined ? JSON.parse(fs.readFileSync(values['--sweep'], 'utf8')) : {};
+    for (const [option, parameter] of Object.entries(SWEEP_OPTIONS)) {
+        if (values[option] !== undefined) {
+            const parsed = parse_values(values[option]);
+            if (parameter === 'steps' && (parsed.length !== 1 || values[option].includes(':'))) {
+                throw new Error(`${option} takes a single number of steps, got ${values[option]}`);
+            }
+            sweep[parameter] = parameter === 'steps' ? parsed[0] : parsed;
+        }
+    }
+
+    const out = values['--out'] ?? null;
+    const format = values['--format'] ?? (out !== null && path.extname(out) === '.json' ? 'json' : 'csv');
+    if (format !== 'csv' && format !== 'json') {
+        throw new Error(`Unknown format: ${format}, use csv or json`);
+    }
+    return { sweep, format, out };
+}
+
+function main() {
+    let options;
+    try {
+        options = parse_arguments(process.argv.slice(2));
+        if (options.help) {
+            console.log(USAGE);
+            return;
+        }
+        expand_sweep(options.sweep);
+    } catch (error) {
+        console.error(error.message);
+        console.error(USAGE);
+        process.exit(1);
+    }
+
+    // Progress goes to the standard error so the standard output only holds the results
+    const results = run_sweep(options.sweep, (result, num_runs) => {
+        const { config, metrics } = result;
+        const run = `Run ${config.run + 1}/${num_runs}: ${config.num_robots} robots, piston force ${config.piston_force}, ` +
+            `mass ${config.mass}, seed ${config.seed}`;
+        if (result.error !== undefined) {
+            console.error(`${run} - failed: ${result.error}`);
+        } else {
+            console.error(`${run} - ${metrics.collisions} collisions, ${metrics.boundary_hits} boundary hits (${metrics.elapsed_ms} ms)`);
+        }
+    });
+
+    const text = options.format === 'json' ? results_to_json(results) + '\n' : results_to_csv(results);
+    if (options.out !== null) {
+        fs.writeFileSync(options.out, text);
+        console.error(`Wrote ${results.length} runs to ${options.out}`);
+    } else {
+        process.stdout.write(text);
+    }
+
+    // Failed runs are written with their error, the exit code tells scripts that some runs are missing
+    const failed = results.filter(result => result.error !== undefined).length;
+    if (failed > 0) {
+        console.error(`${failed} of ${results.length} runs failed`);
+        process.exitCode = 1;
+    }
+}
+
+main();
@@ -0,0 +1,323 @@
+/**
+ * File: instanced_views.js
+ * Project: 3D Rigid Body Physics Engine - Collisions and Motion
+ * Description: Performance mode of the ThreeJS view for worlds with hundreds of robots.
+ * Robots of the same size share one geometry and material, their cubes and pistons are drawn as two InstancedMeshes
+ * (two draw calls per size instead of eight per robot). The cross lines of the robots are left out
+ * Author: Alberto Chavez Garcia
+ * Created: October 19, 2026
+ * Last Modified: October 19, 2026
+ */
+
+// Robots a new batch has room for, the capacity doubles whenever it is exceeded
+const INITIAL_BATCH_CAPACITY = 64;
+
+// Written for the hidden robots, a zero scale collapses the instance so nothing is drawn
+const HIDDEN_MATRIX = new THREE.Matrix4().makeScale(0, 0, 0);
+
+/**
+ * This class draws every robot of one size: one InstancedMesh for the cubes and one for the pistons.
+ * Robot slot i owns cube instance i and piston instances [i * pistons_per_robot, (i + 1) * pistons_per_robot)
+ *
+ * @param {THREE.Scene} scene - Scene where the robots are drawn
+ * @param {cube_robot} robot - First robot of the batch, gives the shape of the cube and of the pistons
+ */
+class instanced_robot_batch {
+    constructor(scene, robot) {
+        this.scene = scene;
+        this.pistons_per_robot = robot.pistons.length;
+
+        // Shared by every robot of the batch, the colour of each cube is an instance colour
+        this.cube_geometry = create_shape_geometry(robot.shape);
+        this.cube_material = new THREE.MeshBasicMaterial({ color: 0xffffff });
+        this.piston_geometry = new THREE.CylinderGeometry(robot.piston_radius, robot.piston_radius, robot.piston_length, 32);
+        this.piston_material = new THREE.MeshBasicMaterial({ color: 0x000000 });
+
+        // Views drawn by the batch, in slot order
+        this.views = [];
+        this.capacity = 0;
+        this.cubes = null;
+        this.pistons = null;
+        this._grow(INITIAL_BATCH_CAPACITY);
+    }
+
+    /**
+     * Replaces the instanced meshes with larger ones, the instances already drawn are copied over
+     * @param {Number} capacity - Robots the new meshes have room for
+     */
+    _grow(capacity) {
+        const cubes = this._create_mesh(this.cube_geometry, this.cube_material, capacity, this.cubes);
+        const pistons = this._create_mesh(this.piston_geometry, this.piston_material, capacity * this.pistons_per_robot, this.pistons);
+
+        // Instance colours are allocated on the first call
+        cubes.setColorAt(0, new THREE.Color(0xffffff));
+        if (this.cubes !== null && this.cubes.instanceColor !== null) {
+            cubes.instanceColor.array.set(this.cubes.instanceColor.array);
+        }
+
+        [this.cubes, this.pistons].forEach(mesh => {
+            if (mesh !== null) {
+                this.scene.remove(mesh);
+                mesh.dispose?.();
+            }
+        });
+        this.cubes = cubes;
+        this.pistons = pistons;
+        this.capacity = capacity;
+        this.scene.add(cubes, pistons);
+        this._update_counts();
+    }
+
+    _create_mesh(geometry, material, count, previous) {
+        const mesh = new THREE.InstancedMesh(geometry, material, count);
+        mesh.instanceMatrix.setUsage(THREE.DynamicDrawUsage);
+        if (previous !== null) {
+            mesh.instanceMatrix.array.set(previous.instanceMatrix.array);
+        }
+
+        // Instances move every frame, the bounds of the mesh would be outdated straight away
+        mesh.frustumCulled = false;
+        mesh.userData.batch = this;
+        return mesh;
+    }
+
+    /**
+     * Gives a robot view a slot
+     * @param {instanced_robot_view} view - View drawn by the batch
+     * @returns {Number} - Slot of the view
+     */
+    add(view) {
+        if (this.views.length === this.capacity) {
+            this._grow(this.capacity * 2);
+        }
+        this.views.push(view);
+        this._update_counts();
+        return this.views.length - 1;
+    }
+
+    /**
+     * Frees the slot of a robot view, the last view of the batch moves into it
+     * @param {instanced_robot_view} view - View drawn by the batch
+     */
+    remove(view) {
+        const slot = view.slot;
+        const last = this.views.length - 1;
+        const moved = this.views[last];
+        this.views.pop();
+
+        if (slot !== last) {
+            this.views[slot] = moved;
+            moved.slot = slot;
+            this._copy_instances(last, slot);
+        }
+        this._update_counts();
+    }
+
+    _copy_instances(from, to) {
+        const matrices = this.cubes.instanceMatrix.array;
+        matrices.copyWithin(to * 16, from * 16, from * 16 + 16);
+        this.cubes.instanceColor?.array.copyWithin(to * 3, from * 3, from * 3 + 3);
+
+        const size = this.pistons_per_robot * 16;
+        this.pistons.instanceMatrix.array.copyWithin(to * size, from * size, from * size + size);
+        this._mark_changed();
+    }
+
+    _update_counts() {
+        this.cubes.count = this.views.length;
+        this.pistons.count = this.views.length * this.pistons_per_robot;
+        this._mark_changed();
+    }
+
+    _mark_changed() {
+        this.cubes.instanceMatrix.needsUpdate = true;
+        this.pistons.instanceMatrix.needsUpdate = true;
+        if (this.cubes.instanceColor !== null) {
+            this.cubes.instanceColor.needsUpdate = true;
+        }
+    }
+
+    /**
+     * Writes the matrices of a robot, its cube and then each of its pistons
+     * @param {Number} slot - Slot of the robot
+     * @param {THREE.Matrix4} cube_matrix - World matrix of the cube
+     * @param {Array} piston_matrices - World matrix of each piston, in the order of the pistons of the robot
+     */
+    set_matrices(slot, cube_matrix, piston_matrices) {
+        this.cubes.setMatrixAt(slot, cube_matrix);
+        piston_matrices.forEach((matrix, k) => this.pistons.setMatrixAt(slot * this.pistons_per_robot + k, matrix));
+        this.cubes.instanceMatrix.needsUpdate = true;
+        this.pistons.instanceMatrix.needsUpdate = true;
+    }
+
+    /**
+     * @param {Number} slot - Slot of the robot
+     * @param {THREE.Color} color - Colour of its cube
+     */
+    set_color(slot, color) {
+        this.cubes.setColorAt(slot, color);
+        this.cubes.instanceColor.needsUpdate = true;
+    }
+
+    /**
+     * Removes the meshes from the scene and frees their GPU resources
+     */
+    dispose() {
+        this.scene.remove(this.cubes, this.pistons);
+        [this.cubes, this.pistons].forEach(mesh => mesh.dispose?.());
+        [this.cube_geometry, this.cube_material, this.piston_geometry, this.piston_material].forEach(resource => resource.dispose());
+    }
+}
+
+/**
+ * This class keeps one instanced_robot_batch per size of robot and creates the views drawn by them
+ *
+ * @param {THREE.Scene} scene - Scene where the robots are drawn
+ */
+class instanced_robot_renderer {
+    constructor(scene) {
+        this.scene = scene;
+        this.batches = new Map();
+    }
+
+    /**
+     * Helper function to key the batches, robots sharing a key share their geometry
+     * @param {cube_robot} robot - Robot to be drawn
+     * @returns {String} - Size of the cube and of the pistons
+     */
+    _batch_key(robot) {
+        const size = robot.shape.size;
+        return [size.x, size.y, size.z, robot.piston_radius, robot.piston_length].join(',');
+    }
+
+    /**
+     * Creates the view of a robot, drawn by the batch of its size
+     * @param {cube_robot} robot - Simulated robot mirrored by the view
+     * @returns {instanced_robot_view} - The view
+     */
+    create_view(robot) {
+        const key = this._batch_key(robot);
+        if (!this.batches.has(key)) {
+            this.batches.set(key, new instanced_robot_batch(this.scene, robot));
+        }
+        return new instanced_robot_view(this.scene, robot, this.batches.get(key));
+    }
+
+    /**
+     * Meshes of the cubes of every batch, for picking robots with a raycaster.
+     * Their bounds are cleared so the raycaster measures the instances where they are now
+     * @returns {Array} - InstancedMeshes whose intersections give the slot as instanceId
+     */
+    pick_targets() {
+        return Array.from(this.batches.values(), batch => {
+            batch.cubes.boundingSphere = null;
+            batch.cubes.boundingBox = null;
+            return batch.cubes;
+        });
+    }
+
+    /**
+     * Frees the batches, every view must have been disposed of
+     */
+    dispose() {
+        this.batches.forEach(batch => batch.dispose());
+        this.batches.clear();
+    }
+}
+
+/**
+ * This class mirrors a cube robot with instances of a batch instead of meshes of its own.
+ * Its mesh is an empty object carrying the interpolated pose, so the overlays and the follow-cam treat it like a robot_view
+ *
+ * @param {THREE.Scene} scene - Scene where the robot is drawn
+ * @param {cube_robot} robot - Simulated robot mirrored by this view
+ * @param {instanced_robot_batch} batch - Batch drawing the robots of its size
+ */
+class instanced_robot_view {
+    constructor(scene, robot, batch) {
+        this.scene = scene;
+        this.body = robot;
+        this.robot = robot;
+        this.batch = batch;
+
+        this.mesh = new THREE.Object3D();
+        this.cube = this.mesh;
+        this.scene.add(this.mesh);
+
+        const cylinder_axis = new THREE.Vector3(0, 1, 0);
+        this.pistons = robot.pistons.map(piston => {
+            const normal = new THREE.Vector3(piston.normal.x, piston.normal.y, piston.normal.z);
+            return { piston, normal, face_rotation: new THREE.Quaternion().setFromUnitVectors(cylinder_axis, normal) };
+        });
+
+        this._previous_quaternion = new THREE.Quaternion();
+        this._current_quaternion = new THREE.Quaternion();
+        this._tilt_quaternion = new THREE.Quaternion();
+        this._tilt_axis = new THREE.Vector3();
+        this._piston_position = new THREE.Vector3();
+        this._piston_quaternion = new THREE.Quaternion();
+        this._unit_scale = new THREE.Vector3(1, 1, 1);
+        this._piston_matrices = this.pistons.map(() => new THREE.Matrix4());
+
+        this.color = new THREE.Color(robot.color ?? 0x333333);
+        this.slot = batch.add(this);
+        batch.set_color(this.slot, this.color);
+
+        this.sync();
+    }
+
+    /**
+     * Copies the pose of the simulated robot and the extension of its pistons onto its instances
+     * @param {Number} alpha - Fraction of a physics step to interpolate from the previous pose towards the current one
+     */
+    sync(alpha = 1) {
+        interpolate_pose(this.mesh, this.body, alpha, this._previous_quaternion, this._current_quaternion);
+        this.mesh.updateMatrix();
+
+        if (!this.mesh.visible) {
+            this._piston_matrices.forEach(matrix => matrix.copy(HIDDEN_MATRIX));
+            this.batch.set_matrices(this.slot, HIDDEN_MATRIX, this._piston_matrices);
+            return;
+        }
+
+        this.pistons.forEach(({ piston, normal, face_rotation }, k) => {
+            this._piston_position.copy(normal).multiplyScalar(piston.face_location + piston.extension);
+            this._tilt_axis.set(piston.tilt_axis.x, piston.tilt_axis.y, piston.tilt_axis.z);
+            this._tilt_quaternion.setFromAxisAngle(this._tilt_axis, piston.tilt_angle);
+            this._piston_quaternion.multiplyQuaternions(this._tilt_quaternion, face_rotation);
+            this._piston_matrices[k]
+                .compose(this._piston_position, this._piston_quaternion, this._unit_scale)
+                .premultiply(this.mesh.matrix);
+        });
+        this.batch.set_matrices(this.slot, this.mesh.matrix, this._piston_matrices);
+    }
+
+    /**
+     * @returns {Number} - Colour of the cube as a hex number
+     */
+    get_color() {
+        return this.color.getHex();
+    }
+
+    /**
+     * @param {Number} color - New colour of the cube as a hex number
+     */
+    set_color(color) {
+        if (this.color.getHex() !== color) {
+            this.color.setHex(color);
+            this.batch.set_color(this.slot, this.color);
+        }
+    }
+
+    /**
+     * Frees the slot of the robot and removes its pose carrier (and the overlays attached to it) from the scene
+     */
+    dispose() {
+        this.batch.remove(this);
+        this.scene.remove(this.mesh);
+        this.mesh.traverse(object => {
+            object.geometry?.dispose();
+            object.material?.dispose();
+        });
+    }
+}
@@ -1,53 +1,440 @@
 /**
  * File: listeners.js
  * Project: 3D Rigid Body Physics Engine - Collisions and Motion
- * Description: Initializes the event listeners for sliders and the refresh button.
- * Reponsible for retriving and updating values
+ * Description: Initializes the event listeners for sliders, camera, debug overlays and the refresh, pause, step, scenario, recording and replay controls.
+ * Reponsible for retriving and updating values, and for passing them to the simulation world
  * Author: Alberto Chavez Garcia
  * Created: July 17, 2023
- * Last Modified: August 18, 2023
+ * Last Modified: October 19, 2026
  */
  
 document.addEventListener('DOMContentLoaded', () => {
-    const sliders = document.querySelectorAll('input[type="range"]');
+    const sliders = document.querySelectorAll('input[type="range"]:not(#timeline)');
     let num_robots_create = 0;
 
-    const url_params = new URLSearchParams(window.location.search);
-    const url_num_robots = url_params.get('num_robots');
-    if (url_num_robots !== null) {
-        num_robots_create = parseInt(url_num_robots);
+    const world = physicsEngine.world;
+    const loop = physicsEngine.loop;
+
+    // Seed of the running world, refreshing with the same seed replays the same run
+    const seed_input = document.getElementById('seed');
+    seed_input.value = world.seed;
+
+    function update_url() {
+        const params = new URLSearchParams();
+        params.set('num_robots', num_robots_create);
+        params.set('seed', seed_input.value);
+        window.history.replaceState(null, null, `${window.location.pathname}?${params}`);
     }
 
-    sliders.forEach(slider => {
-        const slider_id = slider.id;
+    // Mass, piston and robot material sliders change every robot, or only the robot selected in the inspector
+    const slider_target = document.getElementById('slider_target');
+    function target_robot() {
+        return slider_target.value === 'selected' ? physicsEngine.selected_robot : null;
+    }
+
+    // Material sliders and the coefficient each one sets, the robot sliders follow the target of the sliders
+    const MATERIAL_SLIDERS = {
+        static_friction: 'static_friction',
+        dynamic_friction: 'dynamic_friction',
+        restitution: 'restitution',
+        floor_static_friction: 'static_friction',
+        floor_dynamic_friction: 'dynamic_friction',
+        floor_restitution: 'restitution'
+    };
+
+    // Shows a value on a slider and its label
+    function show_slider(slider_id, value) {
+        const slider = document.getElementById(slider_id);
         const values_span = document.getElementById(`${slider_id}_value`);
+        slider.value = value;
 
-        if (slider_id === 'piston_output') {
+        if (slider_id === 'piston_output' || slider_id === 'time_scale' || slider_id === 'gravity' || slider_id === 'spawn_height'
+            || slider_id in MATERIAL_SLIDERS) {
             values_span.textContent = (slider.value / 100).toFixed(2);
-        } else if (slider_id === 'num_robots') {
+        } else {
             values_span.textContent = `${slider.value}`;
-            num_robots_create = parseInt(slider.value);
+        }
+    }
+
+    // Passes the value of a slider to the simulation world
+    function apply_slider(slider_id, value) {
+        const floor_slider = slider_id.startsWith('floor_');
+        if ((slider_id === 'piston_output' || slider_id === 'mass' || (slider_id in MATERIAL_SLIDERS && !floor_slider))
+            && slider_target.value === 'selected' && physicsEngine.selected_robot === null) {
+            return;
+        }
+
+        // Static friction never goes below dynamic friction, the sliders show the coefficients the world kept
+        if (slider_id in MATERIAL_SLIDERS) {
+            const material = { [MATERIAL_SLIDERS[slider_id]]: value / 100 };
+            if (floor_slider) {
+                world.set_floor_material(material);
+            } else {
+                world.set_material(material, target_robot());
+            }
+            show_materials();
+            return;
+        }
+
+        if (slider_id === 'piston_output') {
+            world.set_piston_force(value / 100, target_robot());
+        } else if (slider_id === 'mass') {
+            world.set_mass(value / 1000, target_robot());
+        } else if (slider_id === 'time_scale') {
+            loop.set_time_scale(value / 100);
+        } else if (slider_id === 'gravity') {
+            world.set_gravity(new vector3(0, -value / 100, 0));
+        } else if (slider_id === 'step_rate') {
+            world.set_time_step(1 / value);
+        } else if (slider_id === 'spawn_height') {
+            world.set_spawn_height(value / 100);
+        } else if (slider_id === 'num_robots') {
+            try {
+                world.set_robot_count(value);
+            } catch (error) {
+                alert(error.message);
+            }
+            show_robot_count();
+        }
+    }
+
+    // Robots are added and removed while the world runs, the slider follows the robots left in the world
+    function show_robot_count() {
+        show_slider('num_robots', world.robots.length);
+        num_robots_create = world.robots.length;
+    }
+
+    // Material of the target of the sliders, of the floor and the rules combining them
+    const friction_rule = document.getElementById('friction_rule');
+    const restitution_rule = document.getElementById('restitution_rule');
+    function show_materials() {
+        const robot_material = target_robot()?.material ?? world.material;
+        Object.entries(MATERIAL_SLIDERS).forEach(([slider_id, coefficient]) => {
+            const material = slider_id.startsWith('floor_') ? world.arena.floor_material : robot_material;
+            show_slider(slider_id, Math.round(material[coefficient] * 100));
+        });
+        friction_rule.value = world.combine_rules.friction;
+        restitution_rule.value = world.combine_rules.restitution;
+    }
+
+    friction_rule.addEventListener('change', () => world.set_combine_rules({ friction: friction_rule.value }));
+    restitution_rule.addEventListener('change', () => world.set_combine_rules({ restitution: restitution_rule.value }));
+
+    // Mass, piston force and material of the target of the sliders
+    function show_robot_settings() {
+        const target = target_robot() ?? world;
+        show_slider('piston_output', target.piston_force * 100);
+        show_slider('mass', target.mass * 1000);
+        show_materials();
+    }
+
+    sliders.forEach(slider => {
+        const slider_id = slider.id;
+
+        if (slider_id === 'num_robots') {
+            show_robot_count();
+        } else if (slider_id in MATERIAL_SLIDERS) {
+            show_materials();
         } else {
-            values_span.textContent = slider.value;
+            show_slider(slider_id, slider.value);
+            apply_slider(slider_id, Number(slider.value));
         }
 
         slider.addEventListener('input', () => {
-            if (slider_id === 'piston_output') {
-                values_span.textContent = (slider.value / 100).toFixed(2);
-            } else if (slider_id === 'num_robots') {
-                values_span.textContent = `${slider.value}`;
-                num_robots_create = parseInt(slider.value);
-
-                const update_url = `${window.location.pathname}?num_robots=${num_robots_create}`;
-                window.history.replaceState(null, null, update_url);
-            } else {
-                values_span.textContent = slider.value;
+            show_slider(slider_id, slider.value);
+            apply_slider(slider_id, Number(slider.value));
+            if (slider_id === 'num_robots') {
+                update_url();
             }
         });
     });
 
+    slider_target.addEventListener('change', show_robot_settings);
+    document.addEventListener('robot_selected', show_robot_settings);
+    ['body_added', 'body_removed', 'fallen', 'reset'].forEach(event => world.on(event, show_robot_count));
+
+    // A reset or an imported scenario can change the settings and materials of the world, the sliders show the ones it kept
+    world.on('reset', () => {
+        show_robot_settings();
+        show_slider('gravity', Math.round(-world.gravity.y * 100));
+        show_slider('step_rate', Math.round(1 / world.time_step));
+        show_slider('spawn_height', Math.round(world.spawn_height * 100));
+    });
+
+    // A world running in a worker reports the changes it could not make afterwards
+    world.on('error', error => alert(error.message));
+
+    seed_input.addEventListener('change', () => {
+        seed_input.value = parseInt(seed_input.value) >>> 0;
+        update_url();
+    });
+
+    const random_seed_button = document.getElementById('random_seed_button');
+    random_seed_button.addEventListener('click', () => {
+        seed_input.value = random_seed();
+        update_url();
+    });
+
+    // Whether the world runs an imported scenario, the seed field shows the seed of the world after every reset
+    let scenario_imported = false;
+    world.on('reset', () => {
+        seed_input.value = world.seed;
+    });
+
     const refresh_button = document.getElementById('refresh_button');
     refresh_button.addEventListener('click', () => {
-        location.reload();
+        update_url();
+
+        // An imported scenario starts again, a new seed leaves it for a world built from the settings
+        const seed = parseInt(seed_input.value) >>> 0;
+        try {
+            if (scenario_imported && seed === world.seed) {
+                world.reset();
+            } else {
+                scenario_imported = false;
+                world.reset({ setup: null, bodies: [], num_robots: num_robots_create, seed });
+            }
+        } catch (error) {
+            alert(error.message);
+        }
+    });
+
+    // Scenarios are exported from the current state of the world and imported from a JSON file
+    const export_button = document.getElementById('export_button');
+    export_button.addEventListener('click', () => {
+        export_scenario(world);
+    });
+
+    const import_button = document.getElementById('import_button');
+    const import_file = document.getElementById('import_file');
+    import_button.addEventListener('click', () => {
+        import_file.click();
+    });
+
+    import_file.addEventListener('change', () => {
+        const file = import_file.files[0];
+        if (file === undefined) {
+            return;
+        }
+
+        file.text().then(text => {
+            try {
+                import_scenario(world, text);
+                scenario_imported = true;
+            } catch (error) {
+                alert(error.message);
+            }
+        });
+        import_file.value = '';
+    });
+
+    // Recording of the live world, replayed with a timeline and inspected frame by frame
+    const record_button = document.getElementById('record_button');
+    const replay_button = document.getElementById('replay_button');
+    const export_recording_button = document.getElementById('export_recording_button');
+    const import_recording_button = document.getElementById('import_recording_button');
+    const import_recording_file = document.getElementById('import_recording_file');
+    const replay_controls = document.getElementById('replay_controls');
+    const replay_play_button = document.getElementById('replay_play_button');
+    const timeline = document.getElementById('timeline');
+    const timeline_value = document.getElementById('timeline_value');
+    const frame_inspector = document.getElementById('frame_inspector');
+    let recording = null;
+    let replay = null;
+
+    // The steps of a world running in a worker are not seen by the page, only imported recordings can be replayed
+    record_button.disabled = physicsEngine.worker_mode;
+
+    function format_numbers(values) {
+        return values.map(value => value.toFixed(3)).join(', ');
+    }
+
+    // Shows the current frame of the replay on the timeline and in the inspector
+    function show_frame() {
+        timeline.value = replay.frame_index;
+        timeline_value.textContent = `${replay.frame_index} / ${replay.frame_count - 1}`;
+
+        const frame = replay.inspect();
+        const lines = [`Step ${frame.step}, time ${frame.time.toFixed(4)} s`];
+        frame.events.forEach(event => {
+            const depth = event.depth !== undefined ? `, depth ${event.depth.toFixed(4)}` : '';
+            lines.push(`  ${event.type}: ${event.names.join(' - ')}${depth}`);
+        });
+        frame.bodies.forEach(body => {
+            lines.push(`${body.name}: position (${format_numbers(body.position)}) velocity (${format_numbers(body.velocity)})`
+                + ` angular velocity (${format_numbers(body.angular_velocity)}) index ${body.index}`);
+
+            // Only the pistons that are out or moving are listed
+            (body.pistons ?? []).filter(piston => piston.activity !== 'idle' || piston.extension > 0).forEach(piston => {
+                lines.push(`  ${piston.name} piston: ${piston.activity}, extension ${piston.extension.toFixed(3)}, force ${piston.force}`);
+            });
+        });
+        frame_inspector.textContent = lines.join('\n');
+    }
+
+    function enter_replay(replayed_recording) {
+        if (replay !== null) {
+            physicsEngine.stop_replay();
+        }
+        replay = physicsEngine.start_replay(replayed_recording);
+        timeline.max = replay.frame_count - 1;
+        replay_controls.hidden = false;
+        replay_button.disabled = false;
+        replay_button.textContent = 'Exit Replay';
+        record_button.disabled = true;
+        replay_play_button.textContent = 'Play';
+        show_frame();
+    }
+
+    function exit_replay() {
+        physicsEngine.stop_replay();
+        replay = null;
+        replay_controls.hidden = true;
+        replay_button.textContent = 'Replay';
+        record_button.disabled = physicsEngine.worker_mode;
+    }
+
+    record_button.addEventListener('click', () => {
+        if (record_button.textContent === 'Start Recording') {
+            physicsEngine.start_recording();
+            record_button.textContent = 'Stop Recording';
+            replay_button.disabled = true;
+            export_recording_button.disabled = true;
+        } else {
+            recording = physicsEngine.stop_recording();
+            record_button.textContent = 'Start Recording';
+            replay_button.disabled = false;
+            export_recording_button.disabled = false;
+        }
+    });
+
+    replay_button.addEventListener('click', () => {
+        if (replay === null) {
+            enter_replay(recording);
+        } else {
+            exit_replay();
+        }
+    });
+
+    export_recording_button.addEventListener('click', () => {
+        export_recording(recording);
+    });
+
+    import_recording_button.addEventListener('click', () => {
+        import_recording_file.click();
+    });
+
+    import_recording_file.addEventListener('change', () => {
+        const file = import_recording_file.files[0];
+        if (file === undefined) {
+            return;
+        }
+
+        file.text().then(text => {
+            try {
+                recording = recording_from_json(text);
+            } catch (error) {
+                alert(error.message);
+                return;
+            }
+            export_recording_button.disabled = false;
+            enter_replay(recording);
+        });
+        import_recording_file.value = '';
+    });
+
+    replay_play_button.addEventListener('click', () => {
+        if (replay.playing) {
+            replay.pause();
+        } else {
+            replay.play();
+        }
+    });
+
+    document.getElementById('replay_previous_button').addEventListener('click', () => {
+        replay.pause();
+        replay.step(-1);
+    });
+
+    document.getElementById('replay_next_button').addEventListener('click', () => {
+        replay.pause();
+        replay.step(1);
+    });
+
+    timeline.addEventListener('input', () => {
+        replay.pause();
+        replay.seek(parseInt(timeline.value));
+    });
+
+    // The replay moves on its own while playing, the timeline and inspector follow it
+    let shown_frame = null;
+    function follow_replay() {
+        requestAnimationFrame(follow_replay);
+        if (replay === null) {
+            shown_frame = null;
+            return;
+        }
+
+        replay_play_button.textContent = replay.playing ? 'Pause' : 'Play';
+        if (replay.frame_index !== shown_frame) {
+            shown_frame = replay.frame_index;
+            show_frame();
+        }
+    }
+    follow_replay();
+
+    // Camera view mode, presets and follow-cam, the follow-cam tracks the robot selected in the inspector
+    const camera = physicsEngine.camera;
+    const camera_mode = document.getElementById('camera_mode');
+    camera_mode.value = camera.mode;
+    camera_mode.addEventListener('change', () => camera.set_mode(camera_mode.value));
+
+    document.getElementById('camera_isometric_button').addEventListener('click', () => camera.apply_preset('isometric'));
+    document.getElementById('camera_top_down_button').addEventListener('click', () => camera.apply_preset('top_down'));
+
+    const camera_follow = document.getElementById('camera_follow');
+    function update_follow() {
+        physicsEngine.follow_robot(camera_follow.checked ? physicsEngine.selected_robot : null);
+    }
+    camera_follow.addEventListener('change', update_follow);
+    document.addEventListener('robot_selected', update_follow);
+
+    // Performance mode draws the robots with instanced meshes, it starts enabled with performance=1 in the URL
+    const performance_mode = document.getElementById('performance_mode');
+    performance_mode.checked = physicsEngine.performance_mode;
+    performance_mode.addEventListener('change', () => physicsEngine.set_performance_mode(performance_mode.checked));
+
+    // Bodies at rest fall asleep unless sleeping is turned off, then every body is simulated every step
+    const allow_sleep = document.getElementById('allow_sleep');
+    allow_sleep.checked = world.allow_sleep;
+    allow_sleep.addEventListener('change', () => world.set_allow_sleep(allow_sleep.checked));
+    world.on('reset', () => { allow_sleep.checked = world.allow_sleep; });
+
+    // Each debug overlay has a checkbox named after it
+    OVERLAY_NAMES.forEach(name => {
+        const checkbox = document.getElementById(`overlay_${name}`);
+        physicsEngine.overlays.set_enabled(name, checkbox.checked);
+        checkbox.addEventListener('change', () => {
+            physicsEngine.overlays.set_enabled(name, checkbox.checked);
+        });
+    });
+
+    // Pause toggles the loop, single steps are only available while paused
+    const pause_button = document.getElementById('pause_button');
+    const step_button = document.getElementById('step_button');
+    pause_button.addEventListener('click', () => {
+        if (loop.paused) {
+            loop.resume();
+            pause_button.textContent = 'Pause';
+            step_button.disabled = true;
+        } else {
+            loop.pause();
+            pause_button.textContent = 'Resume';
+            step_button.disabled = false;
+        }
+    });
+
+    step_button.addEventListener('click', () => {
+        loop.single_step();
     });
 });
\ No newline at end of file
@@ -0,0 +1,98 @@
+/**
+ * File: materials.js
+ * Project: 3D Rigid Body Physics Engine - Collisions and Motion
+ * Description: Surface materials of the bodies and of the floor including:
+ * Static and dynamic friction and restitution of a material, and Combining the materials of two touching surfaces
+ * into the coefficients of their contact with configurable rules
+ * Author: Alberto Chavez Garcia
+ * Created: October 19, 2026
+ * Last Modified: October 19, 2026
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        Object.assign(root, factory());
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+
+    // Rules combining the coefficients of two materials into the coefficient of their contact
+    const COMBINE_RULES = {
+        average: (a, b) => (a + b) / 2,
+        geometric: (a, b) => Math.sqrt(a * b),
+        min: (a, b) => Math.min(a, b),
+        max: (a, b) => Math.max(a, b),
+        multiply: (a, b) => a * b
+    };
+
+    // The grippier surface decides the friction and the softer surface absorbs the impact
+    const DEFAULT_COMBINE_RULES = { friction: 'max', restitution: 'min' };
+
+    // Material of the bodies and robots that have none of their own
+    const DEFAULT_MATERIAL = { static_friction: 0.3, dynamic_friction: 0.3, restitution: 0.5 };
+
+    /**
+     * Creates a material, the coefficients left out are taken from a base material.
+     * Friction coefficients are never negative, restitution stays between 0 (inelastic) and 1 (elastic)
+     * and static friction is never below dynamic friction
+     * @param {Object} options - Optional coefficients: static_friction, dynamic_friction and restitution.
+     * A friction value sets both friction coefficients
+     * @param {Object} base - Material giving the coefficients left out, DEFAULT_MATERIAL by default
+     * @returns {Object} - Material with static_friction, dynamic_friction and restitution
+     */
+    function create_material(options = {}, base = DEFAULT_MATERIAL) {
+        const coefficient = (value, fallback, name) => {
+            const result = value ?? fallback;
+            if (!Number.isFinite(result)) {
+                throw new Error(`The ${name} of a material must be a number, got ${result}`);
+            }
+            return result;
+        };
+
+        const dynamic_friction = Math.max(coefficient(options.dynamic_friction ?? options.friction, base.dynamic_friction, 'dynamic friction'), 0);
+        const static_friction = Math.max(coefficient(options.static_friction ?? options.friction, base.static_friction, 'static friction'), dynamic_friction);
+        const restitution = Math.min(Math.max(coefficient(options.restitution, base.restitution, 'restitution'), 0), 1);
+        return { static_friction, dynamic_friction, restitution };
+    }
+
+    /**
+     * Checks the rules combining two materials, the rules left out keep their default
+     * @param {Object} rules - Optional friction and restitution rules, names of COMBINE_RULES
+     * @returns {Object} - Complete rules
+     */
+    function create_combine_rules(rules = {}) {
+        const result = Object.assign({}, DEFAULT_COMBINE_RULES, rules);
+        for (const property of Object.keys(DEFAULT_COMBINE_RULES)) {
+            if (COMBINE_RULES[result[property]] === undefined) {
+                throw new Error(`Unknown ${property} combine rule: ${result[property]}, use one of ${Object.keys(COMBINE_RULES).join(', ')}`);
+            }
+        }
+        return result;
+    }
+
+    /**
+     * Coefficients of the contact between two materials
+     * @param {Object} material_a - Material of the first surface
+     * @param {Object} material_b - Material of the second surface
+     * @param {Object} rules - Friction and restitution rules (see create_combine_rules)
+     * @param {Object} target - Object receiving static_friction, dynamic_friction and restitution, usually the contact itself
+     * @returns {Object} - The target
+     */
+    function combine_materials(material_a, material_b, rules = DEFAULT_COMBINE_RULES, target = {}) {
+        const friction = COMBINE_RULES[rules.friction];
+        target.static_friction = friction(material_a.static_friction, material_b.static_friction);
+        target.dynamic_friction = friction(material_a.dynamic_friction, material_b.dynamic_friction);
+        target.restitution = COMBINE_RULES[rules.restitution](material_a.restitution, material_b.restitution);
+        return target;
+    }
+
+    return {
+        COMBINE_RULES,
+        DEFAULT_COMBINE_RULES,
+        DEFAULT_MATERIAL,
+        create_material,
+        create_combine_rules,
+        combine_materials
+    };
+}));
@@ -1,47 +1,33 @@
 /**
  * File: physics_engine.js
  * Project: 3D Rigid Body Physics Engine - Collisions and Motion
- * Description: Contains the logic for the Rigid Body 3D physics engine including:
- * Collision Detection and Response, Physics Calculations, Movement Logic, Robot Setup, and Engine Setup
+ * Description: ThreeJS view for the Rigid Body 3D physics engine including:
+ * Scene Setup, Body and Robot Meshes and Engine Setup. The physics itself lives in simulation.js,
+ * this layer only mirrors the state of the simulation world
  * Author: Alberto Chavez Garcia
  * Created: June 23, 2023
- * Last Modified: August 16, 2023
+ * Last Modified: October 19, 2026
  */
  
 
 /**
  * Initializes the ThreeJS scene.
- * Performs the camera and floor setup.
+ * Performs the camera and floor setup, and keeps the renderer and cameras sized to the window.
  * 
+ * @param {arena} arena - Arena of the simulation world, gives the size of the floor
  * @returns {Object} components - An object containing:
  * - {THREE.Scene} scene - The created scene
  * - {THREE.WebGLRenderer} renderer - The created WebGL renderer
- * - {THREE.OrthographicCamera} camera - The created orthographic camera
+ * - {camera_controls} controls - The camera controls, their camera property is the camera to render with
+ * - {THREE.Mesh} floor - The floor mesh
  */
-function setup_scene() {
+function setup_scene(arena) {
     
     const components = {};
 
     // Scene setup
     components.scene = new THREE.Scene();
 
-    // Camera setup
-    components.camera = new THREE.OrthographicCamera(
-    window.innerWidth / -50, 
-    window.innerWidth / 50,  
-    window.innerHeight / 50,
-    window.innerHeight / -50, 
-    0.1, 
-    100 
-    );
-
-    components.camera.position.set(20, 20, 20); 
-    const target = new THREE.Vector3(0, 0, 0);
-    components.camera.lookAt(target);    
-    components.camera.position.z = 15;
-    components.camera.position.x -= 5;
-    components.camera.position.y -= 4;
-    
     // Floor attributes and setup
     const canvas = document.createElement('canvas');
     canvas.width = 512;
@@ -60,15 +46,18 @@ function setup_scene() {
     }
     
     const texture = new THREE.CanvasTexture(canvas);
-    const floor_geometry = new THREE.PlaneGeometry(40, 40);
+    texture.wrapS = THREE.RepeatWrapping;
+    texture.wrapT = THREE.RepeatWrapping;
     const floor_material = new THREE.MeshStandardMaterial({
         map: texture,
         roughness: 0.8,
         metalness: 0.2
     });
 
-    const floor = new THREE.Mesh(floor_geometry, floor_material);
+    const floor = new THREE.Mesh(new THREE.PlaneGeometry(1, 1), floor_material);
     floor.rotation.x = -Math.PI / 2;
+    fit_floor(floor, arena);
+    components.floor = floor;
 
     // Adding light to scene
     const ambient_light = new THREE.AmbientLight(0xffffff, 0.9);
@@ -79,6 +68,14 @@ function setup_scene() {
     components.renderer.setSize(window.innerWidth, window.innerHeight);
     document.body.appendChild(components.renderer.domElement);
 
+    // Camera setup, orbiting the centre of the floor from the isometric preset
+    components.controls = new camera_controls(components.renderer.domElement, window.innerWidth, window.innerHeight);
+
+    window.addEventListener('resize', () => {
+        components.renderer.setSize(window.innerWidth, window.innerHeight);
+        components.controls.resize(window.innerWidth, window.innerHeight);
+    });
+
     // Adding components
     components.scene.add(floor);
 
@@ -86,493 +83,483 @@ function setup_scene() {
 }
 
 /**
- * This class creates a cube robot with a piston attached to each face used for propulsion
- * Class contains methods used for movement and propulsion.
- * Class is responsible for calculating the appropiate responses to the enviroment
- * Calculations include: Torque (Piston), Torque (Gravity), Angular Acceleration
- * Angular Velocity, Translational Acceleration, Translational Velocity
- * Each robot is assign a bounding-box used for collision detection and response
- * 
- * @param {Object} scene- Scene where robot will be placed
- * @param {Number} x - Initial x coordinate
- * @param {Number} y - Initial y coordinate
- * @param {Number} z - Initial z coordinate
+ * Resizes the floor mesh to the size of an arena.
+ * The checkerboard keeps the same tile size whatever the size of the arena
+ * @param {THREE.Mesh} floor - Floor mesh created by setup_scene
+ * @param {arena} arena - Arena giving the size of the floor
  */
-const GRAVITY_ACCELERATION = 9.8;
+function fit_floor(floor, arena) {
+    floor.geometry.dispose();
+    floor.geometry = new THREE.PlaneGeometry(arena.width, arena.depth);
+    floor.material.map.repeat.set(arena.width / 40, arena.depth / 40);
+}
 
-class cube_robot {
-    constructor(scene, x, y, z) {
-        
-        this.scene = scene;
+/**
+ * Helper function to create the ThreeJS geometry of a shape
+ * @param {Object} shape - Instance of box_shape, sphere_shape or cylinder_shape
+ * @returns {THREE.BufferGeometry} - Geometry matching the shape, centred on its origin
+ */
+function create_shape_geometry(shape) {
+    switch (shape.type) {
+        case 'box':
+            return new THREE.BoxGeometry(shape.size.x, shape.size.y, shape.size.z);
+        case 'sphere':
+            return new THREE.SphereGeometry(shape.radius, 24, 16);
+        case 'cylinder':
+            return new THREE.CylinderGeometry(shape.radius, shape.radius, shape.height, 32);
+        default:
+            throw new Error(`Unknown shape type: ${shape.type}`);
+    }
+}
 
-        // Instance variables
-        this.time_step = 1 / 360; // Common value used in the field for physics simulations
-        this.tipping_point_angle = THREE.MathUtils.degToRad(45);
-        this.full_rotation = THREE.MathUtils.degToRad(90);
-        this.rest_angle = THREE.MathUtils.degToRad(0);
-        this.angle = this.tipping_point_angle;
-
-        // Vectors used for physics calculations
-        this.piston_output_force = new THREE.Vector3(0, 0, 0);
-        this.angular_velocity = new THREE.Vector3(0, 0, 0);
-        this.translational_velocity = new THREE.Vector3(0, 0, 0);
-        this.gravity = new THREE.Vector3(0, GRAVITY_ACCELERATION * 10, 0);
-
-        // Cube attributes and setup
-        this.geometry = new THREE.BoxGeometry(2, 2, 2);
-        this.material = new THREE.MeshBasicMaterial({ color: 0x333333 });
-        this.cube = new THREE.Mesh(this.geometry, this.material);
-        this.cube.position.set(x, y, z);
-
-        // Components for collision detection and position in the world
-        this.bounding_box = new THREE.Box3().setFromObject(this.cube);
-        this.robot_size = new THREE.Vector3();
-        this.bounding_box.getSize(this.robot_size);
-        this.position_in_world = new THREE.Vector3();
-
-        // Custom bounding boxes
-        this.custom_bounding_box = {
-            min: new THREE.Vector3(x - 1, y - 1, z - 1), 
-            max: new THREE.Vector3(x + 1, y + 1, z + 1)
-        };
+/**
+ * Helper function to place an object at the pose of a body between its last two physics states
+ * @param {THREE.Object3D} object - Object receiving the pose
+ * @param {shape_body} body - Simulated body
+ * @param {Number} alpha - Fraction of a physics step to interpolate from the previous pose towards the current one
+ * @param {THREE.Quaternion} previous_quaternion - Temporary quaternion of the caller
+ * @param {THREE.Quaternion} current_quaternion - Temporary quaternion of the caller
+ */
+function interpolate_pose(object, body, alpha, previous_quaternion, current_quaternion) {
+    const previous_position = body.previous_position;
+    const previous_orientation = body.previous_orientation;
+
+    object.position.set(
+        previous_position.x + (body.position.x - previous_position.x) * alpha,
+        previous_position.y + (body.position.y - previous_position.y) * alpha,
+        previous_position.z + (body.position.z - previous_position.z) * alpha
+    );
 
-        // Create cross_lines for better visual effects
-        const wireframe = new THREE.WireframeGeometry(this.geometry);
-        const line_material = new THREE.LineBasicMaterial({ color: 0x777777 });
-        this.cross_lines = new THREE.Object3D();
+    // Orientations are interpolated along the shortest arc
+    previous_quaternion.set(previous_orientation.x, previous_orientation.y, previous_orientation.z, previous_orientation.w);
+    current_quaternion.set(body.orientation.x, body.orientation.y, body.orientation.z, body.orientation.w);
+    object.quaternion.copy(previous_quaternion).slerp(current_quaternion, alpha);
+}
 
-        const horizontal_wireframe = wireframe.clone();
-        horizontal_wireframe.rotateZ(Math.PI / 2);
-        this.cross_lines.add(new THREE.LineSegments(horizontal_wireframe, line_material));
+/**
+ * This class creates the ThreeJS mesh of a body of the simulation world.
+ * It holds no physics, every frame it mirrors the pose of the body it was built for
+ *
+ * @param {Object} scene - Scene where body will be placed
+ * @param {shape_body} body - Simulated body mirrored by this view
+ * @param {Object} options - Optional settings:
+ * - {Number} color - Colour of the mesh, static obstacles are lighter than the bodies moving around them by default
+ * - {Boolean} outline - Draws the edges of the shape
+ */
+class body_view {
+    constructor(scene, body, options = {}) {
 
-        const vertical_wireframe = wireframe.clone();
-        vertical_wireframe.rotateX(Math.PI / 2);
-        this.cross_lines.add(new THREE.LineSegments(vertical_wireframe, line_material));
+        this.scene = scene;
+        this.body = body;
 
-        // Pistons setup
-        this.piston_size = this.robot_size.x / 2 - 0.1;
-        this.piston_face_location = this.piston_size - 0.8;
-        this.axis_rotation_distance = (this.robot_size.x / 2) / 100;
+        this.geometry = create_shape_geometry(body.shape);
+        this.material = new THREE.MeshBasicMaterial({ color: options.color ?? body.color ?? (body.is_static ? 0x999999 : 0x555555) });
+        this.mesh = new THREE.Mesh(this.geometry, this.material);
 
-        const piston_geometry = new THREE.CylinderGeometry(0.3, 0.3, 2, 32);
-        const piston_material = new THREE.MeshBasicMaterial({ color: 0x000000 });
+        if (options.outline ?? true) {
+            const edges = new THREE.EdgesGeometry(this.geometry);
+            this.mesh.add(new THREE.LineSegments(edges, new THREE.LineBasicMaterial({ color: 0x222222 })));
+        }
 
-        this.piston_front = new THREE.Mesh(piston_geometry, piston_material);
-        this.piston_top = this.piston_front.clone();
-        this.piston_right = this.piston_front.clone();
-        this.piston_bottom = this.piston_front.clone();
-        this.piston_back = this.piston_front.clone();
-        this.piston_left = this.piston_front.clone();
-
-        this.piston_front.rotateX(Math.PI/2);
-        this.piston_front.position.set(0, 0, this.piston_face_location);
-        this.piston_top.position.set(0,this.piston_face_location,0);
-        this.piston_right.rotateZ(Math.PI/2);
-        this.piston_right.position.set(this.piston_face_location,0,0);
-        this.piston_bottom.position.set(0,-this.piston_face_location,0);
-        this.piston_back.rotateX(Math.PI/2);
-        this.piston_back.position.set(0,0,-this.piston_face_location);
-        this.piston_left.rotateZ(Math.PI/2);
-        this.piston_left.position.set(-this.piston_face_location,0,0);
-
-        // Adding elements scene and cube
-        this.scene.add(this.cube);
-        this.cube.add(this.cross_lines);
-        this.cube.add(this.piston_front);
-        this.cube.add(this.piston_top);
-        this.cube.add(this.piston_right);
-        this.cube.add(this.piston_bottom);
-        this.cube.add(this.piston_back);
-        this.cube.add(this.piston_left);
-    }
+        this.scene.add(this.mesh);
 
-    update_bounding_box() {
-        this.bounding_box.setFromObject(this.cube);
-    }
-    
-    update_custom_bounding_box() {
-        const new_min = new THREE.Vector3(
-            this.cube.position.x - this.robot_size.x / 2,
-            this.cube.position.y - this.robot_size.y / 2,
-            this.cube.position.z - this.robot_size.z / 2
-            );
-            
-        const new_max = new THREE.Vector3(
-            this.cube.position.x + this.robot_size.x / 2,
-            this.cube.position.y + this.robot_size.y / 2,
-            this.cube.position.z + this.robot_size.z / 2
-            );
-            
-        this.custom_bounding_box.min.copy(new_min);
-        this.custom_bounding_box.max.copy(new_max);
-    }
-    
-    _calculate_physics(){
-        
-        // Randomness element for landing compenent
-        this.random_value = (Math.random() * 0.1) - 0.09;
-
-        // User input for mass of robot and piston output force
-        this.user_piston_force = document.getElementById( "piston_output" ).value / 100;
-        this.cube.mass = document.getElementById("mass").value/1000;
-
-        // Torque due to gravity
-        const grav_torqueX = 0
-        const grav_torqueY = -this.cube.mass * (this.axis_rotation_distance) * GRAVITY_ACCELERATION * Math.sin(this.cube.rotation.x); 
-        const grav_torqueZ = 0
-        this.torque_grav = new THREE.Vector3(grav_torqueX, grav_torqueY, grav_torqueZ);
-
-        // Torque due to piston
-        const torqueX = this.user_piston_force * (this.axis_rotation_distance)  * Math.sin(this.angle);
-        const torqueY = 0; 
-        const torqueZ = this.user_piston_force * (this.axis_rotation_distance)  * Math.sin(this.angle);
-        this.torque = new THREE.Vector3(torqueX, torqueY, torqueZ);
-
-        // Translation
-        const trans_x = this.user_piston_force * Math.cos(this.angle);
-        const trans_y = 0;
-        const trans_z = this.user_piston_force * Math.cos(this.angle);
-        this.translation = new THREE.Vector3(trans_x, trans_y, trans_z);
-
-        // Moment of inertia
-        this.moment_of_inertia = (1/6) * this.cube.mass * ((this.robot_size.x/100) * (this.robot_size.x/100));
-
-        // Angular acceleration
-        this.angular_acceleration = (this.torque.clone().divideScalar(this.moment_of_inertia));
-        this.translational_acceleration = (this.translation.clone().divideScalar(this.cube.mass));
-
-        // Angular velocity
-        this.angular_velocity.add(this.angular_acceleration.clone().multiplyScalar(this.time_step));
-        this.translational_velocity.add(this.translational_acceleration.clone().multiplyScalar(this.time_step));
+        this._previous_quaternion = new THREE.Quaternion();
+        this._current_quaternion = new THREE.Quaternion();
+
+        this.sync();
     }
-    
-    move_away() {
-        
-        this._calculate_physics();
-    
-        // Rotation and translation of cube based on calculations
-        this.cube.rotation.x -= this.angular_velocity.z * this.time_step;
-        this.cube.position.z -= this.translational_velocity.z;
-
-        this.update_bounding_box(); 
-
-        // Piston behaviour
-        if (Math.abs(this.cube.rotation.x) < this.tipping_point_angle ){
-            this.piston_bottom.rotation.x = this.angle;
-            this.piston_bottom.position.y -= this.angular_velocity.z * this.time_step;
-            this.piston_bottom.position.z -= this.translational_velocity.z * this.time_step;
-            this.update_bounding_box(); 
-        }
 
-        // Tipping point check 
-        if (Math.abs(this.cube.rotation.x) >= this.tipping_point_angle){
-            this.angular_velocity.add(this.gravity.clone().multiplyScalar(this.time_step));
-            this.cube.rotation.x -= this.angular_velocity.y * this.time_step;
-            this.cube.position.z -= this.translational_velocity.z; 
-            this.update_bounding_box(); 
-        }
+    /**
+     * Copies the pose of the simulated body onto the mesh
+     * @param {Number} alpha - Fraction of a physics step to interpolate from the previous pose towards the current one
+     */
+    sync(alpha = 1) {
+        interpolate_pose(this.mesh, this.body, alpha, this._previous_quaternion, this._current_quaternion);
+    }
 
-        // Rotation check and element of randomness when landing
-        if (Math.abs(this.cube.rotation.x) >= this.full_rotation){
-            this.angular_velocity.set(0,0,0);
-            this.translational_velocity.set(0,0,0);
-            this.cube.rotation.x = 0;
-            this.cube.rotation.y = this.random_value;
-            this.piston_bottom.position.y = -this.piston_face_location;
-            this.update_bounding_box(); 
-        }
-        
-        // Updating global position of robot after every refresh
-        this.cube.getWorldPosition(this.position_in_world);
+    /**
+     * @returns {Number} - Colour of the mesh as a hex number
+     */
+    get_color() {
+        return this.material.color.getHex();
     }
-    
-    move_closer() {
-
-        this._calculate_physics();
-        
-        // Rotation and translation of cube based on calculations
-        this.cube.rotation.x += this.angular_velocity.z * this.time_step;
-        this.cube.position.z += this.translational_velocity.z;
-
-        this.update_bounding_box();
-
-        // Piston behaviour
-        if (Math.abs(this.cube.rotation.x) < this.tipping_point_angle ){
-            this.piston_bottom.rotation.x = -this.angle;
-            this.piston_bottom.position.y -= this.angular_velocity.z * this.time_step;
-            this.piston_bottom.position.z += this.translational_velocity.z * this.time_step;
-            this.update_bounding_box(); 
-        }
 
-        // Tipping point check 
-        if (Math.abs(this.cube.rotation.x) >= this.tipping_point_angle){
-            this.angular_velocity.add(this.gravity.clone().multiplyScalar(this.time_step));
-            this.cube.rotation.x += this.angular_velocity.y * this.time_step;
-            this.cube.position.z += this.translational_velocity.z;
-            this.update_bounding_box(); 
-        }
+    /**
+     * @param {Number} color - New colour of the mesh as a hex number
+     */
+    set_color(color) {
+        this.material.color.setHex(color);
+    }
 
-        // Rotation check and element of randomness when landing
-        if (Math.abs(this.cube.rotation.x) >= this.full_rotation){
-            this.angular_velocity.set(0,0,0);
-            this.translational_velocity.set(0,0,0);
-            this.cube.rotation.x = 0;
-            this.cube.rotation.y = this.random_value;
-            this.piston_bottom.position.y = -this.piston_face_location;
-            this.update_bounding_box(); 
-        }
-        
-        // Updating global position of robot after every refresh
-        this.cube.getWorldPosition(this.position_in_world);
+    /**
+     * Removes the mesh from the scene and frees its GPU resources
+     */
+    dispose() {
+        this.scene.remove(this.mesh);
+        this.mesh.traverse(object => {
+            object.geometry?.dispose();
+            object.material?.dispose();
+        });
     }
-    
-    move_left() {
+}
 
-        this._calculate_physics();
+/**
+ * This class creates the ThreeJS meshes of a cube robot with a piston attached to each face.
+ * It holds no physics, every frame it mirrors the pose of the cube_robot it was built for
+ * 
+ * @param {Object} scene - Scene where robot will be placed
+ * @param {cube_robot} robot - Simulated robot mirrored by this view
+ */
+class robot_view extends body_view {
+    constructor(scene, robot) {
+        super(scene, robot, { color: robot.color ?? 0x333333, outline: false });
 
-        // Rotation and translation of cube based on calculations
-        this.cube.rotation.z += this.angular_velocity.x * this.time_step;
-        this.cube.position.x -= this.translational_velocity.x;
+        this.robot = robot;
+        this.cube = this.mesh;
 
-        this.update_bounding_box(); 
+        // Create cross_lines for better visual effects
+        const wireframe = new THREE.WireframeGeometry(this.geometry);
+        const line_material = new THREE.LineBasicMaterial({ color: 0x777777 });
+        this.cross_lines = new THREE.Object3D();
 
-        // Piston behaviour
-        if (Math.abs(this.cube.rotation.z) < this.tipping_point_angle ){
-            this.piston_bottom.rotation.z = -this.angle;
-            this.piston_bottom.position.y -= this.angular_velocity.x * this.time_step;
-            this.piston_bottom.position.x -= this.translational_velocity.x * this.time_step;
-            this.update_bounding_box(); 
-        }
+        const horizontal_wireframe = wireframe.clone();
+        horizontal_wireframe.rotateZ(Math.PI / 2);
+        this.cross_lines.add(new THREE.LineSegments(horizontal_wireframe, line_material));
 
-        // Tipping point check 
-        if (Math.abs(this.cube.rotation.z) >= this.tipping_point_angle){
-            this.angular_velocity.add(this.gravity.clone().multiplyScalar(this.time_step));
-            this.cube.rotation.z += this.angular_velocity.x * this.time_step;
-            this.cube.position.x -= this.translational_velocity.x;  
-            this.update_bounding_box(); 
-        }
+        const vertical_wireframe = wireframe.clone();
+        vertical_wireframe.rotateX(Math.PI / 2);
+        this.cross_lines.add(new THREE.LineSegments(vertical_wireframe, line_material));
 
-        // Rotation check and element of randomness when landing
-        if (Math.abs(this.cube.rotation.z) >= this.full_rotation){
-            this.angular_velocity.set(0,0,0);
-            this.translational_velocity.set(0,0,0);
-            this.cube.rotation.z = 0;
-            this.cube.rotation.y = this.random_value;
-            this.piston_bottom.position.y = -this.piston_face_location;
-            this.update_bounding_box(); 
-        }
+        // Pistons setup, one mesh per face of the simulated robot
+        const piston_geometry = new THREE.CylinderGeometry(robot.piston_radius, robot.piston_radius, robot.piston_length, 32);
+        const piston_material = new THREE.MeshBasicMaterial({ color: 0x000000 });
+        const cylinder_axis = new THREE.Vector3(0, 1, 0);
 
-        // Updating global position of robot after every refresh
-        this.cube.getWorldPosition(this.position_in_world);
-    }
-    
-    move_right() {
+        this.pistons = robot.pistons.map(piston => {
+            const mesh = new THREE.Mesh(piston_geometry, piston_material);
+            const normal = new THREE.Vector3(piston.normal.x, piston.normal.y, piston.normal.z);
+            return { piston, mesh, normal, face_rotation: new THREE.Quaternion().setFromUnitVectors(cylinder_axis, normal) };
+        });
 
-        this._calculate_physics();
+        // Adding elements to cube
+        this.cube.add(this.cross_lines);
+        this.pistons.forEach(piston => this.cube.add(piston.mesh));
 
-        // Rotation and translation of cube based on calculations
-        this.cube.rotation.z -= this.angular_velocity.x * this.time_step;
-        this.cube.position.x += this.translational_velocity.x;
+        this._tilt_quaternion = new THREE.Quaternion();
+        this._tilt_axis = new THREE.Vector3();
 
-        this.update_bounding_box(); 
+        this.sync();
+    }
 
-        // Piston behaviour
-        if (Math.abs(this.cube.rotation.z) < this.tipping_point_angle ){
-            this.piston_bottom.rotation.z = this.angle;
-            this.piston_bottom.position.y -= this.angular_velocity.x * this.time_step;
-            this.piston_bottom.position.x -= this.translational_velocity.x * this.time_step;
-            this.update_bounding_box(); 
-        }
+    /**
+     * Copies the pose of the simulated robot and the extension of its pistons onto the meshes
+     * @param {Number} alpha - Fraction of a physics step to interpolate from the previous pose towards the current one
+     */
+    sync(alpha = 1) {
+        super.sync(alpha);
 
-        // Tipping point check 
-        if (Math.abs(this.cube.rotation.z) >= this.tipping_point_angle){
-            this.angular_velocity.add(this.gravity.clone().multiplyScalar(this.time_step));
-            this.cube.rotation.z -= this.angular_velocity.x * this.time_step;
-            this.cube.position.x += this.translational_velocity.x;  
-            this.update_bounding_box(); 
+        // Pistons are created after the first sync of the body
+        if (this.pistons === undefined) {
+            return;
         }
 
-        // Rotation check and element of randomness when landing
-        if (Math.abs(this.cube.rotation.z) >= this.full_rotation){
-            this.angular_velocity.set(0,0,0);
-            this.translational_velocity.set(0,0,0);
-            this.cube.rotation.z = 0;
-            this.cube.rotation.y = this.random_value;
-            this.piston_bottom.position.y = -this.piston_face_location;
-            this.update_bounding_box(); 
+        for (const { piston, mesh, normal, face_rotation } of this.pistons) {
+            mesh.position.copy(normal).multiplyScalar(piston.face_location + piston.extension);
+            this._tilt_axis.set(piston.tilt_axis.x, piston.tilt_axis.y, piston.tilt_axis.z);
+            this._tilt_quaternion.setFromAxisAngle(this._tilt_axis, piston.tilt_angle);
+            mesh.quaternion.multiplyQuaternions(this._tilt_quaternion, face_rotation);
         }
-
-        // Updating global position of robot after every refresh
-        this.cube.getWorldPosition(this.position_in_world);
     }
 }
 
 /**
- * Main collision detection and resolusion algorithms
- * @param {Array} robot_array - Array contining every cube robot
+ * Helper function to create the views of bodies, robots get a robot_view
+ * @param {Object} scene - Scene where the bodies will be placed
+ * @param {Array} bodies - Bodies to be shown
+ * @param {Array} robots - Robots among the bodies
+ * @param {instanced_robot_renderer|null} instanced - Draws the robots instead of a robot_view each (performance mode)
+ * @returns {Array} - Views of the bodies
  */
-function collision_detection (robot_array) {
-    for (let i = 0; i < robot_array.length; i++) {
-        const robot_a = robot_array[i];
-        
-        // Boundary checks
-        if (robot_a.position_in_world.x < -20 || robot_a.position_in_world.x > 20 
-            ||robot_a.position_in_world.z < -20 || robot_a.position_in_world.z > 20) {
-            update_robot_index(robot_a);
-            update_piston(robot_a);
-            
+function create_views(scene, bodies, robots, instanced = null) {
+    const robot_set = new Set(robots);
+    return bodies.map(body => {
+        if (!robot_set.has(body)) {
+            return new body_view(scene, body);
         }
-
-        for (let j = i + 1; j < robot_array.length; j++) {
-            const robot_b = robot_array[j];
-            
-            if (robot_a.bounding_box.intersectsBox(robot_b.bounding_box)) {
-                update_robot_index(robot_a);
-                update_robot_index(robot_b);
-                update_piston(robot_a);
-                update_piston(robot_b);
-            }
-        }
-    }
-}
-
-/**
- * Helper function for collision response to update robot's direction after a collision
- * @param {cube_robot} robot 
- */
-function update_robot_index(robot) {
-    if (robot.index === 1) {
-        robot.index = 2;
-    } else if (robot.index === 2) {
-        robot.index = 1;
-    } else if (robot.index === 3) {
-        robot.index = 4;
-    } else if (robot.index === 4) {
-        robot.index = 3;
-    }
+        return instanced !== null ? instanced.create_view(body) : new robot_view(scene, body);
+    });
 }
 
 /**
- * Helper function for collision respons to update right behaviour of piston after a collision 
- * @param {cube_robot} robot 
+ * Downloads a recording as a JSON file
+ * @param {Object} recording - Recording to be exported
  */
-function update_piston(robot) {
-    if (robot.index === 1 || robot.index === 2) {
-        robot.piston_bottom.rotation.x = robot.cube.rotation.x;
-        robot.piston_bottom.position.y = -robot.piston_face_location;
-    } else if (robot.index === 3 || robot.index === 4) {
-        robot.piston_bottom.rotation.x = -robot.cube.rotation.x;
-        robot.piston_bottom.position.y = robot.piston_face_location;
-    }
+function export_recording(recording) {
+    download_json(recording_to_json(recording), `recording_${recording.seed}.json`);
 }
 
 /**
- * Helper function to create robots and assign them specific coordinates 
- * @param {Object} scene - Scene where robots will be placed
- * @param {Number} x - Initial x coordinate
- * @param {Number} y - Initial y coordinate
- * @param {Number} z - Initial z coordinate
- * @returns {cube_robot} - Instance of the cube_robot class
+ * Helper function to download JSON text as a file
+ * @param {String} text - Content of the file
+ * @param {String} file_name - Name of the downloaded file
  */
-function create_robots(scene, x, y, z) {
-    return new cube_robot(scene, x, y, z);
+function download_json(text, file_name) {
+    const blob = new Blob([text], { type: 'application/json' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = file_name;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(link.href), 0);
 }
 
 /**
- * This function initializes the robots and place them in arbitrary position avoiding overlaps in the 3D field
- * @param {Object} scene - Scene wher robots will be place 
- * @param {Number} num_robots - Number of robots to be made
- * @returns {Array} - Array contining every cube robot
+ * Starts a scenario in the world, in place of its bodies. Resets of the world start the scenario again
+ * @param {simulation_world|worker_world} world - World receiving the scenario, a world running in a worker loads it in the worker
+ * @param {String} text - Scenario as JSON text, an invalid scenario throws and leaves the world as it was.
+ * A world in a worker reports a scenario the worker cannot build with an error event
  */
-function initialize_robots(scene, num_robots) {
-    
-    // Array holding all robots
-    const robot_array = [];
-    
-    const movement = [1, 2, 3, 4]; 
-    
-    for (let i = 0; i < num_robots; i++) {
-        let valid_pos = false;
-        let robot;
-
-        // Making robots within space delimiters and avoid overlap
-        while (!valid_pos) {
-            const x = Math.random() * 36 - 18;
-            const z = Math.random() * 36 - 18;
-
-            robot = create_robots(scene, x, 1.3, z);
-            robot.name = `Robot ${i + 1}`;
-
-            // Overlap check
-            let collision_detected = false;
-            for (const current_robot_array of robot_array) {
-                if (robot.bounding_box.intersectsBox(current_robot_array.bounding_box)) {
-                    collision_detected = true;
-                    break;
-                }
-            }
-            
-            // Removing robots that overlap
-            if (!collision_detected) {
-                valid_pos = true;
-            } else {
-                scene.remove(robot.cube);
-            }
-        }
-        
-        // Randomly assign an initial direction index to each robot
-        robot.index = movement[Math.floor(Math.random() * movement.length)];
-        
-        robot_array.push(robot);
+function import_scenario(world, text) {
+    const scenario = scenario_from_json(text);
+    if (world instanceof worker_world) {
+        world.restore_scenario(scenario);
+        return;
     }
-    return robot_array;
+    restore_scenario(world, scenario);
 }
 
 /**
- * This function assigns each robot's initial direction based on their indices
- * @param {Array} robot_array - Array contining every cube robot
+ * Downloads the current state of a world as a JSON scenario file
+ * @param {simulation_world|worker_world} world - World to be exported, a world running in a worker is saved by the worker
  */
-function assign_initial_direction(robot_array) {
-    for (let i = 0; i < robot_array.length; i++) {
-        const robot = robot_array[i];
-        
-        switch (robot.index) {
-            case 1:
-                robot.move_away();
-                break;
-            case 2:
-                robot.move_closer();
-                break;
-            case 3:
-                robot.move_left();
-                break;
-            case 4:
-                robot.move_right();
-                break;
-            default:
-                break;
-            }
-        }
+function export_scenario(world) {
+    if (world instanceof worker_world) {
+        world.save_scenario().then(scenario => download_json(JSON.stringify(scenario, null, 2), `scenario_${world.seed}.json`));
+        return;
+    }
+    download_json(scenario_to_json(world), `scenario_${world.seed}.json`);
 }
 
 /**
  * Init function for Physics Engine
- * Contains animate function, responsible for recursively updating and refresing the scene
- * @returns {Object} - An object with the animate function
+ * Creates the headless simulation world (in a worker with worker=1 in the URL), the fixed-timestep loop driving it
+ * and a view mirroring each of its robots
+ * Contains animate function, responsible for recursively stepping the world (or playing a replay) and refresing the scene
+ * @returns {Object} - An object with the animate function, the simulation world, its loop, the recording and replay controls,
+ * the camera controls, the performance mode switch and whether the world runs in a worker
  */
 function init_engine() {
-    const setup_components = setup_scene();
     const url_params = new URLSearchParams(window.location.search);
-    const num_robots_create = url_params.get('num_robots') || 1;
-    const robot_array = initialize_robots(setup_components.scene, num_robots_create);
+    const num_robots_create = parseInt(url_params.get('num_robots') || 1);
+    const url_seed = url_params.get('seed');
+
+    // Performance mode draws the robots with shared, instanced meshes, for worlds with hundreds of robots
+    let performance_mode = url_params.get('performance') === '1';
+
+    // Worker mode steps the world in a Web Worker, the page only draws the frames it streams back
+    const worker_mode = url_params.get('worker') === '1' && typeof Worker === 'function';
+
+    const world_options = {
+        num_robots: num_robots_create,
+        seed: url_seed !== null ? parseInt(url_seed) : undefined
+    };
+    const world = worker_mode ? new worker_world(world_options) : new simulation_world(world_options);
+    const setup_components = setup_scene(world.arena);
+    const loop = worker_mode ? world.loop : new fixed_step_loop(world);
+    const instanced = new instanced_robot_renderer(setup_components.scene);
+    let robot_views = create_views(setup_components.scene, world.bodies, world.robots, performance_mode ? instanced : null);
+    const overlays = new debug_overlays(setup_components.scene);
+    let last_frame_time = null;
+
+    // Recorder of the live world and replayer shown instead of it, null when not recording or replaying
+    let active_recorder = null;
+    let replay = null;
+
+    // Robot tracked by the follow-cam, null when the camera is free
+    let followed_robot = null;
     
-    function animate() {
+    function animate(frame_time) {
         requestAnimationFrame(animate);
-        setup_components.renderer.render(setup_components.scene, setup_components.camera);
-        collision_detection(robot_array);
-        assign_initial_direction(robot_array);
+
+        // Physics advances by elapsed time, not by frame, so the refresh rate does not change the speed
+        let elapsed_seconds = 0;
+        if (frame_time !== undefined) {
+            if (last_frame_time !== null) {
+                elapsed_seconds = Math.min((frame_time - last_frame_time) / 1000, loop.max_frame_time);
+            }
+            last_frame_time = frame_time;
+        }
+
+        // While replaying the live world is frozen, replay frames are shown as they were recorded
+        if (replay !== null) {
+            replay.advance(elapsed_seconds * loop.time_scale);
+            robot_views.forEach(view => {
+                view.mesh.visible = replay.present.has(view.body);
+                view.sync();
+            });
+            overlays.update(robot_views, replay.arena, null);
+        } else {
+            loop.advance(elapsed_seconds);
+            robot_views.forEach(view => view.sync(loop.alpha));
+            overlays.update(robot_views, world.arena, world);
+        }
+
+        // The follow-cam tracks the mesh of the robot, so it moves as smoothly as the robot is drawn
+        const followed_view = followed_robot !== null ? robot_views.find(view => view.body === followed_robot) : undefined;
+        setup_components.controls.update(elapsed_seconds, followed_view !== undefined ? followed_view.mesh.position : null);
+        setup_components.renderer.render(setup_components.scene, setup_components.controls.camera);
+    }
+
+    /**
+     * Makes the camera follow a robot
+     * @param {cube_robot|null} robot - Robot to be followed, null frees the camera where it is
+     */
+    function follow_robot(robot) {
+        followed_robot = robot;
+    }
+
+    /**
+     * Replaces the views of the scene with views of other bodies
+     */
+    function show_bodies(bodies, robots, arena) {
+        robot_views.forEach(view => view.dispose());
+        robot_views = create_views(setup_components.scene, bodies, robots, performance_mode ? instanced : null);
+        fit_floor(setup_components.floor, arena);
+    }
+
+    /**
+     * Switches between a mesh per robot and the instanced meshes of the performance mode, the bodies shown are rebuilt
+     * @param {Boolean} enabled - Draws the robots with instanced meshes
+     */
+    function set_performance_mode(enabled) {
+        if (enabled === performance_mode) {
+            return;
+        }
+        performance_mode = enabled;
+        if (replay !== null) {
+            show_bodies(replay.bodies, replay.robots, replay.arena);
+        } else {
+            show_bodies(world.bodies, world.robots, world.arena);
+        }
     }
-    return {animate};
+
+    // The scene follows the live world as robots are added, removed or the world is reset, not while replaying
+    function remove_view(body) {
+        const view = robot_views.find(current => current.body === body);
+        if (view !== undefined) {
+            view.dispose();
+            robot_views = robot_views.filter(current => current !== view);
+        }
+    }
+
+    world.on('body_added', ({ body }) => {
+        if (replay === null) {
+            robot_views.push(...create_views(setup_components.scene, [body], world.robots, performance_mode ? instanced : null));
+        }
+    });
+    world.on('body_removed', ({ body }) => {
+        if (replay === null) {
+            remove_view(body);
+        }
+    });
+    world.on('fallen', ({ body }) => {
+        if (replay === null) {
+            remove_view(body);
+        }
+    });
+    world.on('reset', () => {
+        if (replay === null) {
+            show_bodies(world.bodies, world.robots, world.arena);
+        }
+    });
+
+    /**
+     * Starts recording every step of the live world
+     */
+    function start_recording() {
+        active_recorder = new recorder(world);
+        active_recorder.start();
+    }
+
+    /**
+     * Stops recording
+     * @returns {Object} - The recording
+     */
+    function stop_recording() {
+        const recording = active_recorder.stop();
+        active_recorder = null;
+        return recording;
+    }
+
+    /**
+     * Shows a recording instead of the live world
+     * @param {Object} recording - Recording to be replayed
+     * @returns {replayer} - Replayer of the recording, drives the timeline
+     */
+    function start_replay(recording) {
+        replay = new replayer(recording);
+        show_bodies(replay.bodies, replay.robots, replay.arena);
+        return replay;
+    }
+
+    /**
+     * Goes back to the live world where it was left
+     */
+    function stop_replay() {
+        replay = null;
+        show_bodies(world.bodies, world.robots, world.arena);
+    }
+
+    // Robots are picked by casting a ray from the camera through the clicked point
+    const raycaster = new THREE.Raycaster();
+    const pointer = new THREE.Vector2();
+
+    /**
+     * Finds the robot shown under a point of the page
+     * @param {Number} client_x - Horizontal position of the point in the window
+     * @param {Number} client_y - Vertical position of the point in the window
+     * @returns {cube_robot|null} - Closest robot under the point, null when there is none
+     */
+    function pick_robot(client_x, client_y) {
+        const bounds = setup_components.renderer.domElement.getBoundingClientRect();
+        pointer.set(
+            (client_x - bounds.left) / bounds.width * 2 - 1,
+            -(client_y - bounds.top) / bounds.height * 2 + 1
+        );
+        raycaster.setFromCamera(pointer, setup_components.controls.camera);
+
+        // Instanced robots are hit through the mesh of their batch, the instance is the slot of the view
+        const views = robot_views.filter(view => view.robot !== undefined && view.cube.visible);
+        const targets = views.filter(view => view instanceof robot_view).map(view => view.cube).concat(instanced.pick_targets());
+        const hit = raycaster.intersectObjects(targets, false)[0];
+        if (hit === undefined) {
+            return null;
+        }
+        const view = hit.object.userData.batch !== undefined
+            ? hit.object.userData.batch.views[hit.instanceId]
+            : views.find(current => current.cube === hit.object);
+        return view !== undefined && view.cube.visible ? view.robot : null;
+    }
+
+    return {
+        animate,
+        world,
+        loop,
+        start_recording,
+        stop_recording,
+        start_replay,
+        stop_replay,
+        pick_robot,
+        follow_robot,
+        camera: setup_components.controls,
+        canvas: setup_components.renderer.domElement,
+        overlays,
+        set_performance_mode,
+        worker_mode,
+        get performance_mode() {
+            return performance_mode;
+        },
+        selected_robot: null
+    };
 }
 
 /**
@@ -0,0 +1,51 @@
+/**
+ * File: random.js
+ * Project: 3D Rigid Body Physics Engine - Collisions and Motion
+ * Description: Seedable pseudo-random number generator (mulberry32).
+ * Every random decision of the simulation goes through one instance so the same seed always replays the same run
+ * Author: Alberto Chavez Garcia
+ * Created: October 19, 2026
+ * Last Modified: October 19, 2026
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        Object.assign(root, factory());
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+
+    /**
+     * Creates a new seed when the user did not provide one
+     * @returns {Number} - Unsigned 32-bit integer seed
+     */
+    function random_seed() {
+        return Math.floor(Math.random() * 0x100000000);
+    }
+
+    /**
+     * This class generates a deterministic sequence of numbers in [0, 1) from a 32-bit seed
+     *
+     * @param {Number} seed - Integer seed, only the lower 32 bits are used
+     */
+    class seeded_random {
+        constructor(seed) {
+            this.seed = seed >>> 0;
+            this.state = this.seed;
+        }
+
+        /**
+         * @returns {Number} - Next number in [0, 1), same contract as Math.random()
+         */
+        next() {
+            this.state = (this.state + 0x6D2B79F5) >>> 0;
+            let t = this.state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 0x100000000;
+        }
+    }
+
+    return { random_seed, seeded_random };
+}));
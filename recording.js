@@ -0,0 +1,492 @@
+/**
+ * File: recording.js
+ * Project: 3D Rigid Body Physics Engine - Collisions and Motion
+ * Description: Recording and replay of simulation runs including:
+ * A recorder that logs the state of every moving body and the events of each physics step,
+ * a replayer that restores any recorded step on replay bodies for the view, and JSON export and import of recordings
+ * Author: Alberto Chavez Garcia
+ * Created: October 19, 2026
+ * Last Modified: October 19, 2026
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./vector_math.js'), require('./shapes.js'), require('./simulation.js'));
+    } else {
+        Object.assign(root, factory(root, root, root));
+    }
+}(typeof self !== 'undefined' ? self : this, function (math, shapes, simulation) {
+
+    const { vector3, quaternion } = math;
+    const { create_shape } = shapes;
+    const { shape_body, cube_robot, arena } = simulation;
+
+    // Version written in exported recordings, recordings of another version are rejected
+    const RECORDING_VERSION = 2;
+
+    // Numbers stored per body and step: position (3), orientation (4), velocity (3), angular velocity (3) and index
+    const STATE_SIZE = 14;
+
+    // Numbers stored per piston of a robot and step: extension, tilt axis (3), tilt angle, activity and force
+    const PISTON_STATE_SIZE = 7;
+
+    // Pistons of a robot, one per face, recorded in the order of robot.pistons
+    const PISTONS_PER_ROBOT = 6;
+
+    // Activity of a piston fired through the actuator API, stored as a number
+    const PISTON_ACTIVITY = ['idle', 'firing', 'retracting'];
+
+    // Steps kept by default, 30 seconds at the default time step. Older steps are dropped first
+    const MAX_FRAMES = 10800;
+
+    // Significant digits of the exported states, the precision of the recorded 32-bit floats
+    const EXPORT_PRECISION = 7;
+
+    // Events of the world kept in the frames, collision_stay is left out as it repeats every step of a contact
+    const RECORDED_EVENTS = ['collision_begin', 'collision_end', 'wall_hit', 'tipped_over', 'landed', 'fallen'];
+
+    /**
+     * This class records a run of a simulation world: the state of every moving body and of the pistons of the robots
+     * after each step, and the events of the world during the step (collisions, wall hits, rolls and bodies that fall off).
+     * The bodies are described once in the header of the recording, steps only store numbers
+     *
+     * @param {simulation_world} world - World to be recorded
+     * @param {Object} options - Optional settings:
+     * - {Number} max_frames - Steps kept, the oldest steps are dropped first
+     */
+    class recorder {
+        constructor(world, options = {}) {
+            this.world = world;
+            this.max_frames = options.max_frames ?? MAX_FRAMES;
+            this.recording = {
+                version: RECORDING_VERSION,
+                seed: world.seed,
+                time_step: world.time_step,
+                arena: {
+                    width: world.arena.width,
+                    depth: world.arena.depth,
+                    walls: world.arena.walls.length > 0,
+                    wall_height: world.arena.wall_height,
+                    wall_thickness: world.arena.wall_thickness
+                },
+                bodies: [],
+                frames: []
+            };
+            this.recording_active = false;
+
+            // Id of each body in the header, events of the world since the previous frame and the unsubscribe functions
+            this._ids = new Map();
+            this._events = [];
+            this._subscriptions = [];
+        }
+
+        /**
+         * Starts recording every step of the world, the current state is the first frame
+         */
+        start() {
+            if (this.recording_active) {
+                return;
+            }
+            this.recording_active = true;
+            this.capture();
+            this._subscriptions = RECORDED_EVENTS.map(type => this.world.on(type, data => this.collect_event(type, data)));
+            this._subscriptions.push(this.world.on('step', () => this.capture()));
+        }
+
+        /**
+         * Stops recording
+         * @returns {Object} - The recording
+         */
+        stop() {
+            this.recording_active = false;
+            this._subscriptions.forEach(unsubscribe => unsubscribe());
+            this._subscriptions = [];
+            return this.recording;
+        }
+
+        /**
+         * Id of a body in the header of the recording, the body is described the first time it is seen.
+         * Static bodies keep their pose in the header
+         * @param {shape_body} body - Body of the world
+         * @returns {Number} - Index of the body in recording.bodies
+         */
+        body_id(body) {
+            let id = this._ids.get(body);
+            if (id !== undefined) {
+                return id;
+            }
+
+            id = this.recording.bodies.length;
+            this._ids.set(body, id);
+            this.recording.bodies.push({
+                name: body.name ?? null,
+                shape: body.shape.to_json(),
+                robot: body instanceof cube_robot,
+                static: body.is_static,
+                color: body.color,
+                position: [body.position.x, body.position.y, body.position.z],
+                orientation: [body.orientation.x, body.orientation.y, body.orientation.z, body.orientation.w]
+            });
+            return id;
+        }
+
+        /**
+         * Records the current state of the world as a new frame
+         */
+        capture() {
+            const world = this.world;
+            const frames = this.recording.frames;
+
+            // Static bodies only appear in the header
+            world.bodies.forEach(body => this.body_id(body));
+            const moving = world.bodies.filter(body => !body.is_static);
+
+            const ids = Int32Array.from(moving, body => this.body_id(body));
+            const state = new Float32Array(moving.length * STATE_SIZE);
+            moving.forEach((body, i) => {
+                const offset = i * STATE_SIZE;
+                state.set([
+                    body.position.x, body.position.y, body.position.z,
+                    body.orientation.x, body.orientation.y, body.orientation.z, body.orientation.w,
+                    body.translational_velocity.x, body.translational_velocity.y, body.translational_velocity.z,
+                    body.angular_velocity.x, body.angular_velocity.y, body.angular_velocity.z,
+                    body.index ?? -1
+                ], offset);
+            });
+
+            // Pistons of the robots, in the order of the robots among the moving bodies
+            const robots = moving.filter(body => body instanceof cube_robot);
+            const pistons = new Float32Array(robots.length * PISTONS_PER_ROBOT * PISTON_STATE_SIZE);
+            robots.forEach((robot, i) => {
+                robot.pistons.forEach((piston, j) => {
+                    const activity = piston.firing ? 1 : (piston.retracting ? 2 : 0);
+                    pistons.set([
+                        piston.extension,
+                        piston.tilt_axis.x, piston.tilt_axis.y, piston.tilt_axis.z,
+                        piston.tilt_angle,
+                        activity,
+                        piston.force
+                    ], (i * PISTONS_PER_ROBOT + j) * PISTON_STATE_SIZE);
+                });
+            });
+
+            // Frames with the same bodies share their ids
+            const previous = frames[frames.length - 1];
+            const same_bodies = previous !== undefined && previous.ids.length === ids.length
+                && previous.ids.every((id, i) => id === ids[i]);
+
+            frames.push({
+                step: world.steps,
+                time: world.time,
+                ids: same_bodies ? previous.ids : ids,
+                state,
+                pistons,
+                events: this._events
+            });
+            this._events = [];
+
+            if (frames.length > this.max_frames) {
+                frames.splice(0, frames.length - this.max_frames);
+            }
+        }
+
+        /**
+         * Keeps an event of the world for the next frame, bodies are replaced by their ids and vectors by arrays
+         * @param {String} type - Name of the event
+         * @param {Object} data - Data of the event
+         */
+        collect_event(type, data) {
+            const event = { type, bodies: [] };
+            for (const [key, value] of Object.entries(data)) {
+                if (value instanceof shape_body) {
+                    event.bodies.push(this.body_id(value));
+                } else if (value instanceof vector3) {
+                    event[key] = [value.x, value.y, value.z];
+                } else {
+                    event[key] = value;
+                }
+            }
+            this._events.push(event);
+        }
+    }
+
+    /**
+     * This class plays a recording back. It builds replay bodies from the header of the recording
+     * (robots are cube robots so the view draws them the same way) and moves them to the state of any recorded step
+     *
+     * @param {Object} recording - Recording made by a recorder or imported with recording_from_json
+     */
+    class replayer {
+        constructor(recording) {
+            if (recording.frames.length === 0) {
+                throw new Error('The recording has no frames');
+            }
+
+            this.recording = recording;
+            this.arena = new arena(Object.assign({}, recording.arena, { walls: false }));
+            this.bodies = recording.bodies.map(entry => {
+                const shape = create_shape(entry.shape);
+                const options = {
+                    shape,
+                    position: new vector3(...entry.position),
+                    orientation: new quaternion(...entry.orientation),
+                    mass: entry.static ? Infinity : 1,
+                    color: entry.color
+                };
+                const body = entry.robot
+                    ? new cube_robot(entry.position[0], entry.position[1], entry.position[2], options)
+                    : new shape_body(options);
+                body.name = entry.name;
+                return body;
+            });
+            this.robots = this.bodies.filter((body, id) => recording.bodies[id].robot);
+
+            // Bodies in the current frame, static bodies are always present
+            this.present = new Set();
+            this.frame_index = 0;
+            this.playing = false;
+            this.accumulator = 0;
+            this.seek(0);
+        }
+
+        get frame_count() {
+            return this.recording.frames.length;
+        }
+
+        /**
+         * Moves every replay body to its state in a frame
+         * @param {Number} frame_index - Index of the frame, clamped to the recording
+         */
+        seek(frame_index) {
+            this.frame_index = Math.min(Math.max(Math.round(frame_index), 0), this.frame_count - 1);
+            const frame = this.recording.frames[this.frame_index];
+
+            this.present.clear();
+            this.bodies.forEach(body => {
+                if (body.is_static) {
+                    this.present.add(body);
+                }
+            });
+
+            let robot_index = 0;
+            frame.ids.forEach((id, i) => {
+                const body = this.bodies[id];
+                if (this.recording.bodies[id].robot) {
+                    this._restore_pistons(body, frame.pistons, robot_index++);
+                }
+                const state = frame.state.subarray(i * STATE_SIZE, (i + 1) * STATE_SIZE);
+                body.position.set(state[0], state[1], state[2]);
+                body.orientation.set(state[3], state[4], state[5], state[6]).normalize();
+                body.translational_velocity.set(state[7], state[8], state[9]);
+                body.angular_velocity.set(state[10], state[11], state[12]);
+                body.index = state[13];
+                body.store_previous_pose();
+                body.update_derived();
+                body.update_bounding_box();
+                this.present.add(body);
+            });
+        }
+
+        /**
+         * Moves the pistons of a replay robot to their recorded state
+         * @param {cube_robot} robot - Replay robot
+         * @param {Float32Array} pistons - Piston states of a frame
+         * @param {Number} robot_index - Index of the robot among the robots of the frame
+         */
+        _restore_pistons(robot, pistons, robot_index) {
+            robot.pistons.forEach((piston, j) => {
+                const offset = (robot_index * PISTONS_PER_ROBOT + j) * PISTON_STATE_SIZE;
+                piston.extension = pistons[offset];
+                piston.tilt_axis.set(pistons[offset + 1], pistons[offset + 2], pistons[offset + 3]);
+                piston.tilt_angle = pistons[offset + 4];
+                piston.firing = pistons[offset + 5] === 1;
+                piston.retracting = pistons[offset + 5] === 2;
+                piston.force = pistons[offset + 6];
+            });
+        }
+
+        /**
+         * Moves to a frame relative to the current one
+         * @param {Number} num_frames - Frames to move, negative to go back
+         */
+        step(num_frames = 1) {
+            this.seek(this.frame_index + num_frames);
+        }
+
+        play() {
+            this.playing = true;
+            if (this.frame_index === this.frame_count - 1) {
+                this.seek(0);
+            }
+        }
+
+        pause() {
+            this.playing = false;
+            this.accumulator = 0;
+        }
+
+        /**
+         * Plays the recording at the recorded speed, one frame per time step, and stops at the last frame
+         * @param {Number} elapsed_seconds - Simulated time to play
+         * @returns {Number} - Number of frames moved
+         */
+        advance(elapsed_seconds) {
+            if (!this.playing) {
+                return 0;
+            }
+
+            this.accumulator += elapsed_seconds;
+            const num_frames = Math.floor(this.accumulator / this.recording.time_step);
+            this.accumulator -= num_frames * this.recording.time_step;
+
+            const previous_index = this.frame_index;
+            this.step(num_frames);
+            if (this.frame_index === this.frame_count - 1) {
+                this.pause();
+            }
+            return this.frame_index - previous_index;
+        }
+
+        /**
+         * Detailed state of a frame for inspection
+         * @param {Number} frame_index - Index of the frame, the current one by default
+         * @returns {Object} - step, time, events (with body names) and bodies, each with id, name, position,
+         * orientation, velocity, angular_velocity, index (-1 for bodies that are not robots) and, for robots, pistons
+         * (name, extension, tilt_axis, tilt_angle, activity and force of each piston)
+         */
+        inspect(frame_index = this.frame_index) {
+            const frame = this.recording.frames[frame_index];
+            const name = id => this.recording.bodies[id].name ?? `Body ${id}`;
+
+            let robot_index = 0;
+            const bodies = Array.from(frame.ids, (id, i) => {
+                const state = Array.from(frame.state.subarray(i * STATE_SIZE, (i + 1) * STATE_SIZE));
+                const pistons = this.recording.bodies[id].robot
+                    ? this.bodies[id].pistons.map((piston, j) => {
+                        const offset = (robot_index * PISTONS_PER_ROBOT + j) * PISTON_STATE_SIZE;
+                        const piston_state = Array.from(frame.pistons.subarray(offset, offset + PISTON_STATE_SIZE));
+                        return {
+                            name: piston.name,
+                            extension: piston_state[0],
+                            tilt_axis: piston_state.slice(1, 4),
+                            tilt_angle: piston_state[4],
+                            activity: PISTON_ACTIVITY[piston_state[5]],
+                            force: piston_state[6]
+                        };
+                    })
+                    : undefined;
+                robot_index += pistons === undefined ? 0 : 1;
+                return {
+                    id,
+                    name: name(id),
+                    position: state.slice(0, 3),
+                    orientation: state.slice(3, 7),
+                    velocity: state.slice(7, 10),
+                    angular_velocity: state.slice(10, 13),
+                    index: state[13],
+                    pistons
+                };
+            });
+
+            const events = frame.events.map(event => Object.assign({ names: event.bodies.map(name) }, event));
+            return { step: frame.step, time: frame.time, events, bodies };
+        }
+    }
+
+    /**
+     * Writes a recording as JSON text. Ids are only written when the bodies of a frame change
+     * @param {Object} recording - Recording to be exported
+     * @returns {String} - JSON text
+     */
+    function recording_to_json(recording) {
+        let previous_ids = null;
+        const frames = recording.frames.map(frame => {
+            const entry = {
+                step: frame.step,
+                time: frame.time,
+                state: Array.from(frame.state, value => Number(value.toPrecision(EXPORT_PRECISION))),
+                pistons: Array.from(frame.pistons, value => Number(value.toPrecision(EXPORT_PRECISION)))
+            };
+            if (frame.ids !== previous_ids) {
+                entry.ids = Array.from(frame.ids);
+                previous_ids = frame.ids;
+            }
+            if (frame.events.length > 0) {
+                entry.events = frame.events;
+            }
+            return entry;
+        });
+        return JSON.stringify(Object.assign({}, recording, { frames }));
+    }
+
+    /**
+     * Reads a recording exported with recording_to_json
+     * @param {String} text - JSON text
+     * @returns {Object} - Recording ready to be replayed
+     */
+    function recording_from_json(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            throw new Error(`Invalid recording JSON: ${error.message}`);
+        }
+
+        if (data === null || typeof data !== 'object' || data.version !== RECORDING_VERSION) {
+            throw new Error(`Unsupported recording version: ${data && data.version}, expected ${RECORDING_VERSION}`);
+        }
+        if (!Array.isArray(data.bodies) || !Array.isArray(data.frames) || data.frames.length === 0) {
+            throw new Error('A recording needs bodies and at least one frame');
+        }
+        if (data.frames[0].ids === undefined) {
+            throw new Error('The first frame of a recording needs the ids of its bodies');
+        }
+
+        let ids = null;
+        const frames = data.frames.map((frame, i) => {
+            if (frame.ids !== undefined) {
+                ids = Int32Array.from(frame.ids);
+            }
+            if (!Array.isArray(frame.state) || frame.state.length !== ids.length * STATE_SIZE) {
+                throw new Error(`Frame ${i} has ${ids.length} bodies but a state of ${frame.state && frame.state.length} numbers`);
+            }
+            if (ids.some(id => id < 0 || id >= data.bodies.length)) {
+                throw new Error(`Frame ${i} refers to an unknown body`);
+            }
+
+            const num_robots = ids.filter(id => data.bodies[id].robot).length;
+            const piston_size = num_robots * PISTONS_PER_ROBOT * PISTON_STATE_SIZE;
+            if (!Array.isArray(frame.pistons) || frame.pistons.length !== piston_size) {
+                throw new Error(`Frame ${i} has ${num_robots} robots but a piston state of ${frame.pistons && frame.pistons.length} numbers`);
+            }
+
+            // Events name their bodies by id, inspect looks each of them up in the header
+            const events = frame.events ?? [];
+            if (!Array.isArray(events)) {
+                throw new Error(`Frame ${i} needs an array of events`);
+            }
+            events.forEach((event, j) => {
+                if (event === null || typeof event !== 'object' || !Array.isArray(event.bodies)) {
+                    throw new Error(`Event ${j} of frame ${i} needs the ids of its bodies`);
+                }
+                const unknown = event.bodies.find(id => !Number.isInteger(id) || id < 0 || id >= data.bodies.length);
+                if (unknown !== undefined) {
+                    throw new Error(`Event ${j} (${event.type}) of frame ${i} refers to an unknown body: ${unknown}, `
+                        + `the recording has ${data.bodies.length} bodies`);
+                }
+            });
+
+            return {
+                step: frame.step,
+                time: frame.time,
+                ids,
+                state: Float32Array.from(frame.state),
+                pistons: Float32Array.from(frame.pistons),
+                events
+            };
+        });
+        return Object.assign({}, data, { frames });
+    }
+
+    return { RECORDING_VERSION, STATE_SIZE, PISTON_STATE_SIZE, recorder, replayer, recording_to_json, recording_from_json };
+}));
@@ -0,0 +1,180 @@
+/**
+ * File: rigid_body.js
+ * Project: 3D Rigid Body Physics Engine - Collisions and Motion
+ * Description: Generic 3D rigid body including:
+ * Position, Orientation (quaternion), Translational and Angular Velocity, Inertia Tensor,
+ * Force and Torque accumulation, Impulses and a semi-implicit Euler integrator
+ * Author: Alberto Chavez Garcia
+ * Created: October 19, 2026
+ * Last Modified: October 19, 2026
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./vector_math.js'));
+    } else {
+        Object.assign(root, factory(root));
+    }
+}(typeof self !== 'undefined' ? self : this, function (math) {
+
+    const { vector3, quaternion, matrix3 } = math;
+
+    // Scratch values reused by every body, forces, impulses and integration make no new vectors
+    const scratch_offset = new vector3();
+    const scratch_vector = new vector3();
+    const scratch_spin = new quaternion();
+
+    /**
+     * This class holds the state of a rigid body and integrates it over time.
+     * Velocities are in world coordinates, the inertia tensor is given by its principal moments in body coordinates.
+     * A body with infinite mass is static: forces and impulses do not move it
+     *
+     * @param {Object} options - Optional settings:
+     * - {vector3} position - Initial position of the centre of mass
+     * - {quaternion} orientation - Initial orientation
+     * - {Number} mass - Mass in kilograms, Infinity for a static body
+     * - {vector3} inertia - Principal moments of inertia in body coordinates (kg m²)
+     */
+    class rigid_body {
+        constructor(options = {}) {
+
+            // State
+            this.position = options.position ? options.position.clone() : new vector3(0, 0, 0);
+            this.orientation = options.orientation ? options.orientation.clone() : new quaternion();
+            this.translational_velocity = new vector3(0, 0, 0);
+            this.angular_velocity = new vector3(0, 0, 0);
+
+            // Accumulators, cleared after every integration
+            this.force_accumulator = new vector3(0, 0, 0);
+            this.torque_accumulator = new vector3(0, 0, 0);
+
+            // Derived quantities, kept in sync with the orientation
+            this.rotation_matrix = new matrix3();
+            this.inverse_inertia_world = new matrix3();
+
+            this.inertia = options.inertia ? options.inertia.clone() : new vector3(1, 1, 1);
+            this.set_mass(options.mass ?? 1);
+        }
+
+        /**
+         * Updates the mass, the inertia tensor is scaled with it since the shape does not change
+         * @param {Number} mass - Mass in kilograms, Infinity for a static body
+         */
+        set_mass(mass) {
+            if (this.mass !== undefined && isFinite(this.mass) && isFinite(mass)) {
+                this.inertia.multiply_scalar(mass / this.mass);
+            }
+
+            this.mass = mass;
+            this.inverse_mass = isFinite(mass) ? 1 / mass : 0;
+            this.inverse_inertia = isFinite(mass)
+                ? new vector3(1 / this.inertia.x, 1 / this.inertia.y, 1 / this.inertia.z)
+                : new vector3(0, 0, 0);
+            this.update_derived();
+        }
+
+        /**
+         * Recomputes the rotation matrix and the world inverse inertia tensor from the orientation
+         */
+        update_derived() {
+            this.rotation_matrix.set_from_quaternion(this.orientation);
+            this.inverse_inertia_world.set_rotated_diagonal(this.rotation_matrix, this.inverse_inertia);
+        }
+
+        /**
+         * Applies a force through the centre of mass for the current step
+         * @param {vector3} force - Force in newtons, world coordinates
+         */
+        apply_force(force) {
+            this.force_accumulator.add(force);
+        }
+
+        /**
+         * Applies a force at a point of the body for the current step, producing a force and a torque
+         * @param {vector3} force - Force in newtons, world coordinates
+         * @param {vector3} point - Point of application, world coordinates
+         */
+        apply_force_at_point(force, point) {
+            this.force_accumulator.add(force);
+            this.torque_accumulator.add(scratch_offset.copy(point).sub(this.position).cross(force));
+        }
+
+        /**
+         * Applies a torque for the current step
+         * @param {vector3} torque - Torque in newton metres, world coordinates
+         */
+        apply_torque(torque) {
+            this.torque_accumulator.add(torque);
+        }
+
+        /**
+         * Applies an impulse at a point of the body, changing its velocities immediately
+         * @param {vector3} impulse - Impulse in newton seconds, world coordinates
+         * @param {vector3} point - Point of application, world coordinates
+         */
+        apply_impulse_at_point(impulse, point) {
+            this.translational_velocity.add(scratch_vector.copy(impulse).multiply_scalar(this.inverse_mass));
+            const angular_impulse = scratch_offset.copy(point).sub(this.position).cross(impulse);
+            this.angular_velocity.add(angular_impulse.apply_matrix3(this.inverse_inertia_world));
+        }
+
+        /**
+         * Velocity of a point of the body, v + ω × r
+         * @param {vector3} point - Point of the body, world coordinates
+         * @param {vector3} target - Vector receiving the velocity
+         * @returns {vector3} - Velocity of the point, the target vector
+         */
+        velocity_at_point(point, target = new vector3()) {
+            const offset = scratch_offset.copy(point).sub(this.position);
+            return target.copy(this.angular_velocity).cross(offset).add(this.translational_velocity);
+        }
+
+        /**
+         * First half of the semi-implicit Euler step: velocities from the accumulated forces and gravity
+         * @param {Number} time_step - Duration of the step in seconds
+         * @param {vector3} gravity - Gravitational acceleration
+         */
+        integrate_velocity(time_step, gravity) {
+            if (this.inverse_mass === 0) {
+                return;
+            }
+
+            const acceleration = scratch_vector.copy(this.force_accumulator).multiply_scalar(this.inverse_mass).add(gravity);
+            this.translational_velocity.add(acceleration.multiply_scalar(time_step));
+
+            const angular_acceleration = scratch_vector.copy(this.torque_accumulator).apply_matrix3(this.inverse_inertia_world);
+            this.angular_velocity.add(angular_acceleration.multiply_scalar(time_step));
+        }
+
+        /**
+         * Second half of the semi-implicit Euler step: position and orientation from the (already updated) velocities
+         * @param {Number} time_step - Duration of the step in seconds
+         */
+        integrate_position(time_step) {
+            if (this.inverse_mass === 0) {
+                return;
+            }
+
+            this.position.add(scratch_vector.copy(this.translational_velocity).multiply_scalar(time_step));
+
+            // dq/dt = 0.5 * ω * q
+            const spin = scratch_spin.set(this.angular_velocity.x, this.angular_velocity.y, this.angular_velocity.z, 0)
+                .multiply(this.orientation);
+            this.orientation.set(
+                this.orientation.x + spin.x * 0.5 * time_step,
+                this.orientation.y + spin.y * 0.5 * time_step,
+                this.orientation.z + spin.z * 0.5 * time_step,
+                this.orientation.w + spin.w * 0.5 * time_step
+            ).normalize();
+
+            this.update_derived();
+        }
+
+        clear_forces() {
+            this.force_accumulator.set(0, 0, 0);
+            this.torque_accumulator.set(0, 0, 0);
+        }
+    }
+
+    return { rigid_body };
+}));
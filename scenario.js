@@ -0,0 +1,433 @@
+/**
+ * File: scenario.js
+ * Project: 3D Rigid Body Physics Engine - Collisions and Motion
+ * Description: JSON scenario format for the simulation world including:
+ * Saving the current state of a world (arena, gravity, time step, robots and other bodies) as a scenario,
+ * Validating a scenario and Building a world back from it, so setups can be shared and reproduced exactly
+ * Author: Alberto Chavez Garcia
+ * Created: October 19, 2026
+ * Last Modified: October 19, 2026
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(
+            require('./vector_math.js'),
+            require('./shapes.js'),
+            require('./simulation.js'),
+            require('./controllers.js')
+        );
+    } else {
+        Object.assign(root, factory(root, root, root, root));
+    }
+}(typeof self !== 'undefined' ? self : this, function (math, shapes, simulation, controllers) {
+
+    const { vector3, quaternion } = math;
+    const { create_shape } = shapes;
+    const { shape_body, cube_robot, simulation_world } = simulation;
+    const { CONTROLLER_TYPES, create_controller } = controllers;
+
+    // Version written in saved scenarios, scenarios of another version are rejected
+    const SCENARIO_VERSION = 1;
+
+    // Names of the direction indices of the robots (see ROBOT_DIRECTIONS), 'none' stops the scripted rolls
+    const DIRECTION_NAMES = ['none', 'away', 'closer', 'left', 'right'];
+
+    // Phases of the roll of a robot (see cube_robot.roll)
+    const ROLL_PHASES = ['push', 'tipping'];
+
+    /**
+     * Helper functions to convert vectors and quaternions to plain arrays and back
+     */
+    function vector_to_array(vector) {
+        return [vector.x, vector.y, vector.z];
+    }
+
+    function quaternion_to_array(orientation) {
+        return [orientation.x, orientation.y, orientation.z, orientation.w];
+    }
+
+    function array_to_vector(array, fallback) {
+        return array ? new vector3(...array) : fallback;
+    }
+
+    function array_to_quaternion(array) {
+        if (!array) {
+            return new quaternion();
+        }
+
+        // Saved orientations are already unit quaternions, normalizing them again would change their last digits
+        const orientation = new quaternion(...array);
+        const length_sq = orientation.dot(orientation);
+        return Math.abs(length_sq - 1) > 1e-12 ? orientation.normalize() : orientation;
+    }
+
+    /**
+     * Saves the state of the velocities of a body, omitted when the body is at rest, and whether it sleeps
+     * @param {shape_body} body - Body of the world
+     * @param {Object} entry - Scenario entry of the body, receives velocity, angular_velocity, sleeping and still_time
+     */
+    function save_motion(body, entry) {
+        if (body.translational_velocity.length_sq() > 0) {
+            entry.velocity = vector_to_array(body.translational_velocity);
+        }
+        if (body.angular_velocity.length_sq() > 0) {
+            entry.angular_velocity = vector_to_array(body.angular_velocity);
+        }
+        if (body.sleeping) {
+            entry.sleeping = true;
+        }
+        if (body.still_time > 0) {
+            entry.still_time = body.still_time;
+        }
+    }
+
+    function load_motion(body, entry) {
+        if (entry.velocity) {
+            body.translational_velocity.set(...entry.velocity);
+        }
+        if (entry.angular_velocity) {
+            body.angular_velocity.set(...entry.angular_velocity);
+        }
+        body.sleeping = entry.sleeping === true;
+        body.still_time = entry.still_time ?? 0;
+    }
+
+    /**
+     * Saves a robot as a scenario entry (see save_scenario)
+     * @param {cube_robot} robot - Robot of a world
+     * @returns {Object} - Entry of the robots array of a scenario
+     */
+    function save_robot(robot) {
+        const entry = {
+            name: robot.name ?? null,
+            position: vector_to_array(robot.position),
+            orientation: quaternion_to_array(robot.orientation),
+            size: vector_to_array(robot.robot_size),
+            mass: robot.mass,
+            piston_force: robot.piston_force,
+            direction: DIRECTION_NAMES[robot.index] ?? 'none',
+            controller: robot.controller ? robot.controller.to_json() : null,
+            color: robot.color,
+            material: robot.material && Object.assign({}, robot.material),
+            roll: { phase: robot.roll_phase, start_orientation: quaternion_to_array(robot.roll_start_orientation) }
+        };
+        save_motion(robot, entry);
+        return entry;
+    }
+
+    /**
+     * Saves a body other than a robot as a scenario entry (see save_scenario)
+     * @param {shape_body} body - Body of a world
+     * @returns {Object} - Entry of the bodies array of a scenario
+     */
+    function save_body(body) {
+        const entry = {
+            name: body.name ?? null,
+            shape: body.shape.to_json(),
+            position: vector_to_array(body.position),
+            orientation: quaternion_to_array(body.orientation),
+            mass: body.is_static ? null : body.mass,
+            color: body.color,
+            material: body.material && Object.assign({}, body.material)
+        };
+        save_motion(body, entry);
+        return entry;
+    }
+
+    /**
+     * Saves the current state of a world as a scenario, a plain object that can be written as JSON
+     * @param {simulation_world} world - World to be saved
+     * @returns {Object} - Scenario containing:
+     * - {Number} version - Version of the format
+     * - {Number} seed, time_step - Settings of the world
+     * - {Object} material, combine_rules - Material of the bodies without one of their own and the rules combining materials
+     * - {Number} random_state - State of the random number generator, a loaded world continues the same sequence
+     * - {Number} time, steps - Simulated time in seconds and steps taken, the timers of the controllers count on them
+     * - {Array} gravity - Gravity acceleration as [x, y, z]
+     * - {Number} mass, piston_force - Defaults of the robots, the values of the sliders
+     * - {Number} spawn_height - Height above the floor at which new robots are spawned
+     * - {Boolean} allow_sleep, warm_starting - Sleeping bodies and warm starting of the contact solver
+     * - {Object} arena - Arena settings (see the arena class)
+     * - {Array} robots - One entry per robot: name, position, orientation ([x, y, z, w]), size, mass, piston_force,
+     *   direction ('none', 'away', 'closer', 'left' or 'right'), controller ({ type, ...settings } or null), color,
+     *   material (null for the material of the world), roll (phase and start_orientation of the roll in progress), and velocity and angular_velocity when moving
+     * - {Array} bodies - Other bodies, arena walls excluded: name, shape, position, orientation, mass (null when static),
+     *   color, material, and velocity and angular_velocity when moving
+     * Robots and bodies also hold sleeping when asleep and still_time (seconds spent still) when getting sleepy
+     */
+    function save_scenario(world) {
+        const arena = world.arena;
+
+        const robots = world.robots.map(save_robot);
+        const bodies = world.bodies
+            .filter(body => !arena.walls.includes(body) && !world.robots.includes(body))
+            .map(save_body);
+
+        return {
+            version: SCENARIO_VERSION,
+            seed: world.seed,
+            random_state: world.random.state,
+            time: world.time,
+            steps: world.steps,
+            time_step: world.time_step,
+            gravity: vector_to_array(world.gravity),
+            material: Object.assign({}, world.material),
+            combine_rules: Object.assign({}, world.combine_rules),
+            mass: world.mass,
+            piston_force: world.piston_force,
+            spawn_height: world.spawn_height,
+            allow_sleep: world.allow_sleep,
+            warm_starting: world.warm_starting,
+            arena: {
+                width: arena.width,
+                depth: arena.depth,
+                walls: arena.walls.length > 0,
+                wall_height: arena.wall_height,
+                wall_thickness: arena.wall_thickness,
+                floor_material: Object.assign({}, arena.floor_material),
+                fall_limit: arena.fall_limit
+            },
+            robots,
+            bodies
+        };
+    }
+
+    /**
+     * Checks that a scenario can be loaded, every field but version and robots is optional
+     * @param {Object} scenario - Parsed scenario
+     * @returns {Object} - The same scenario
+     */
+    function validate_scenario(scenario) {
+        if (scenario === null || typeof scenario !== 'object') {
+            throw new Error('A scenario must be a JSON object');
+        }
+        if (scenario.version !== SCENARIO_VERSION) {
+            throw new Error(`Unsupported scenario version: ${scenario.version}, expected ${SCENARIO_VERSION}`);
+        }
+        if (!Array.isArray(scenario.robots)) {
+            throw new Error('A scenario needs a robots array');
+        }
+
+        const check_array = (value, length, field) => {
+            if (value !== undefined && !(Array.isArray(value) && value.length === length && value.every(Number.isFinite))) {
+                throw new Error(`${field} must be an array of ${length} numbers`);
+            }
+        };
+
+        // Masses, the time step and the sizes of the arena are finite and positive,
+        // forces, heights, times and step counts finite and never negative
+        const check_positive = (value, field) => {
+            if (value !== undefined && !(Number.isFinite(value) && value > 0)) {
+                throw new Error(`${field} must be a positive number, got ${value}`);
+            }
+        };
+        const check_non_negative = (value, field) => {
+            if (value !== undefined && !(Number.isFinite(value) && value >= 0)) {
+                throw new Error(`${field} must be a number of at least 0, got ${value}`);
+            }
+        };
+
+        check_array(scenario.gravity, 3, 'gravity');
+        check_non_negative(scenario.time, 'time');
+        check_non_negative(scenario.steps, 'steps');
+        check_positive(scenario.time_step, 'time_step');
+        check_non_negative(scenario.spawn_height, 'spawn_height');
+        for (const field of ['width', 'depth', 'wall_height', 'wall_thickness']) {
+            check_positive(scenario.arena?.[field], `arena.${field}`);
+        }
+        check_positive(scenario.mass, 'mass');
+        check_non_negative(scenario.piston_force, 'piston_force');
+        scenario.robots.forEach((robot, i) => {
+            check_array(robot.position, 3, `robots[${i}].position`);
+            check_array(robot.orientation, 4, `robots[${i}].orientation`);
+            check_array(robot.size, 3, `robots[${i}].size`);
+            check_positive(robot.mass, `robots[${i}].mass`);
+            check_non_negative(robot.piston_force, `robots[${i}].piston_force`);
+            if (robot.direction !== undefined && !DIRECTION_NAMES.includes(robot.direction)) {
+                throw new Error(`robots[${i}].direction must be one of ${DIRECTION_NAMES.join(', ')}`);
+            }
+            if (robot.roll !== undefined) {
+                if (!ROLL_PHASES.includes(robot.roll?.phase)) {
+                    throw new Error(`robots[${i}].roll.phase must be one of ${ROLL_PHASES.join(', ')}`);
+                }
+                check_array(robot.roll.start_orientation, 4, `robots[${i}].roll.start_orientation`);
+            }
+            if (robot.controller && !CONTROLLER_TYPES.includes(robot.controller.type)) {
+                throw new Error(`robots[${i}].controller.type must be one of ${CONTROLLER_TYPES.join(', ')}, got ${robot.controller.type}`);
+            }
+        });
+        (scenario.bodies ?? []).forEach((body, i) => {
+            if (!body.shape) {
+                throw new Error(`bodies[${i}] needs a shape`);
+            }
+            check_array(body.position, 3, `bodies[${i}].position`);
+            check_array(body.orientation, 4, `bodies[${i}].orientation`);
+            if (body.mass !== null) {
+                check_positive(body.mass, `bodies[${i}].mass`);
+            }
+        });
+        return scenario;
+    }
+
+    /**
+     * Builds a body other than a robot from a scenario entry
+     * @param {Object} entry - Entry of the bodies array of a scenario
+     * @returns {shape_body} - The body, static when the entry has no mass
+     */
+    function create_body(entry) {
+        const body = new shape_body({
+            shape: create_shape(entry.shape),
+            position: array_to_vector(entry.position, new vector3(0, 0, 0)),
+            orientation: array_to_quaternion(entry.orientation),
+            mass: entry.mass ?? Infinity,
+            color: entry.color,
+            material: entry.material
+        });
+        if (entry.name) {
+            body.name = entry.name;
+        }
+        load_motion(body, entry);
+        return body;
+    }
+
+    /**
+     * Builds a robot from a scenario entry and adds it to a world. A robot without a position starts resting on the centre of the floor
+     * @param {Object} entry - Entry of the robots array of a scenario
+     * @param {simulation_world} world - World receiving the robot, gives the mass and piston force the entry leaves out
+     * @param {String} default_name - Name of the robot when the entry has none
+     * @returns {cube_robot} - The added robot
+     */
+    function add_robot_entry(entry, world, default_name) {
+        const size = array_to_vector(entry.size, new vector3(2, 2, 2));
+        const position = array_to_vector(entry.position, new vector3(0, size.y / 2, 0));
+        const robot = new cube_robot(position.x, position.y, position.z, {
+            mass: entry.mass ?? world.mass,
+            piston_force: entry.piston_force ?? world.piston_force,
+            shape: create_shape({ type: 'box', size: vector_to_array(size) }),
+            orientation: array_to_quaternion(entry.orientation),
+            color: entry.color,
+            material: entry.material
+        });
+        robot.name = entry.name ?? default_name;
+        robot.index = DIRECTION_NAMES.indexOf(entry.direction ?? 'none');
+        if (entry.roll) {
+            robot.roll_phase = entry.roll.phase;
+            robot.roll_start_orientation = array_to_quaternion(entry.roll.start_orientation);
+        }
+        load_motion(robot, entry);
+
+        world.add_robot(robot);
+        if (entry.controller) {
+            world.set_controller(robot, create_controller(entry.controller.type, entry.controller));
+        }
+        return robot;
+    }
+
+    /**
+     * Settings of a world built from a scenario. The setup puts back the robots and the state of the scenario,
+     * every time the world is built or reset, so a reset starts the scenario again
+     * @param {Object} scenario - Valid scenario, it is copied so later changes to it do not reach the world
+     * @returns {Object} - Options of a simulation_world
+     */
+    function scenario_options(scenario) {
+        scenario = JSON.parse(JSON.stringify(scenario));
+        const bodies = (scenario.bodies ?? []).map(create_body);
+
+        return {
+            seed: scenario.seed,
+            time_step: scenario.time_step,
+            material: scenario.material,
+            restitution: scenario.restitution,
+            combine_rules: scenario.combine_rules,
+            mass: scenario.mass,
+            piston_force: scenario.piston_force,
+            spawn_height: scenario.spawn_height,
+            allow_sleep: scenario.allow_sleep,
+            warm_starting: scenario.warm_starting,
+            arena: scenario.arena,
+            bodies,
+            num_robots: 0,
+            setup: world => {
+                if (scenario.gravity) {
+                    world.gravity.set(...scenario.gravity);
+                }
+                if (scenario.random_state !== undefined) {
+                    world.random.state = scenario.random_state >>> 0;
+                }
+                world.time = scenario.time ?? 0;
+                world.steps = scenario.steps ?? 0;
+
+                // A reset only puts the bodies back in their pose, they get their motion and sleep back too
+                (scenario.bodies ?? []).forEach((entry, i) => load_motion(bodies[i], entry));
+                scenario.robots.forEach((entry, i) => add_robot_entry(entry, world, `Robot ${i + 1}`));
+
+                // Robots spawned later are named after the loaded ones
+                world.robot_count = world.robots.length;
+            }
+        };
+    }
+
+    /**
+     * Builds a new world from a scenario. Robots without a position start resting on the centre of the floor.
+     * Resetting the world starts the scenario again
+     * @param {Object} scenario - Scenario (see save_scenario)
+     * @param {Object} options - Settings of the world the scenario does not cover (for instance broad_phase)
+     * @returns {simulation_world} - World in the state described by the scenario
+     */
+    function load_scenario(scenario, options = {}) {
+        validate_scenario(scenario);
+        return new simulation_world(Object.assign({}, options, scenario_options(scenario)));
+    }
+
+    /**
+     * Replaces the bodies and settings of an existing world with a scenario, its listeners stay subscribed.
+     * Emits reset like reset does, later resets start the scenario again. The scenario is first built in a world of its own,
+     * a scenario that cannot be built (e.g. with a controller that rejects its settings) throws and leaves the world as it was
+     * @param {simulation_world} world - World to be changed, settings the scenario does not cover are kept
+     * @param {Object} scenario - Scenario (see save_scenario)
+     * @returns {simulation_world} - The world, in the state described by the scenario
+     */
+    function restore_scenario(world, scenario) {
+        load_scenario(scenario, { broad_phase: world.grid ? 'grid' : 'brute_force' });
+        world.reset(scenario_options(scenario));
+        return world;
+    }
+
+    /**
+     * Helper functions to write a scenario as JSON text, to read it back and to build a world from JSON text
+     */
+    function scenario_to_json(world) {
+        return JSON.stringify(save_scenario(world), null, 2);
+    }
+
+    function scenario_from_json(text) {
+        let scenario;
+        try {
+            scenario = JSON.parse(text);
+        } catch (error) {
+            throw new Error(`Invalid scenario JSON: ${error.message}`);
+        }
+        return validate_scenario(scenario);
+    }
+
+    function world_from_json(text, options = {}) {
+        return load_scenario(scenario_from_json(text), options);
+    }
+
+    return {
+        SCENARIO_VERSION,
+        DIRECTION_NAMES,
+        save_robot,
+        save_body,
+        save_scenario,
+        validate_scenario,
+        create_body,
+        add_robot_entry,
+        load_scenario,
+        restore_scenario,
+        scenario_to_json,
+        scenario_from_json,
+        world_from_json
+    };
+}));
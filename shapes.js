@@ -0,0 +1,153 @@
+/**
+ * File: shapes.js
+ * Project: 3D Rigid Body Physics Engine - Collisions and Motion
+ * Description: Shape library for the bodies of the simulation world including:
+ * Boxes of any size, Spheres and Cylinders with their Volume, Moments of Inertia and Colliders
+ * Author: Alberto Chavez Garcia
+ * Created: October 19, 2026
+ * Last Modified: October 19, 2026
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./vector_math.js'), require('./collision.js'));
+    } else {
+        Object.assign(root, factory(root, root));
+    }
+}(typeof self !== 'undefined' ? self : this, function (math, collision) {
+
+    const { vector3 } = math;
+    const { oriented_box, sphere_collider, cylinder_collider } = collision;
+
+    /**
+     * This class is a solid rectangular box, the cube robot is a 2x2x2 box
+     *
+     * @param {vector3} size - Size of the box along its local x, y and z axes
+     */
+    class box_shape {
+        constructor(size = new vector3(2, 2, 2)) {
+            this.type = 'box';
+            this.size = size.clone();
+        }
+
+        volume() {
+            return this.size.x * this.size.y * this.size.z;
+        }
+
+        /**
+         * Principal moments of inertia of a solid box, m * (b² + c²) / 12 about each axis
+         * @param {Number} mass - Mass in kilograms
+         * @returns {vector3} - Moments of inertia about the local x, y and z axes
+         */
+        inertia(mass) {
+            const x2 = this.size.x * this.size.x;
+            const y2 = this.size.y * this.size.y;
+            const z2 = this.size.z * this.size.z;
+            return new vector3(mass * (y2 + z2) / 12, mass * (x2 + z2) / 12, mass * (x2 + y2) / 12);
+        }
+
+        create_collider() {
+            return new oriented_box(this.size.clone().multiply_scalar(0.5));
+        }
+
+        /**
+         * Plain object describing the shape, the inverse of create_shape
+         */
+        to_json() {
+            return { type: this.type, size: [this.size.x, this.size.y, this.size.z] };
+        }
+    }
+
+    /**
+     * This class is a solid sphere
+     *
+     * @param {Number} radius - Radius of the sphere
+     */
+    class sphere_shape {
+        constructor(radius = 1) {
+            this.type = 'sphere';
+            this.radius = radius;
+        }
+
+        volume() {
+            return 4 / 3 * Math.PI * this.radius ** 3;
+        }
+
+        /**
+         * Principal moments of inertia of a solid sphere, 2/5 * m * r² about every axis
+         * @param {Number} mass - Mass in kilograms
+         * @returns {vector3} - Moments of inertia about the local x, y and z axes
+         */
+        inertia(mass) {
+            const moment = 2 / 5 * mass * this.radius * this.radius;
+            return new vector3(moment, moment, moment);
+        }
+
+        create_collider() {
+            return new sphere_collider(this.radius);
+        }
+
+        to_json() {
+            return { type: this.type, radius: this.radius };
+        }
+    }
+
+    /**
+     * This class is a solid cylinder standing on its local y axis
+     *
+     * @param {Number} radius - Radius of the cylinder
+     * @param {Number} height - Height of the cylinder along its axis
+     */
+    class cylinder_shape {
+        constructor(radius = 1, height = 2) {
+            this.type = 'cylinder';
+            this.radius = radius;
+            this.height = height;
+        }
+
+        volume() {
+            return Math.PI * this.radius * this.radius * this.height;
+        }
+
+        /**
+         * Principal moments of inertia of a solid cylinder,
+         * m * r² / 2 about its axis and m * (3r² + h²) / 12 about the other two
+         * @param {Number} mass - Mass in kilograms
+         * @returns {vector3} - Moments of inertia about the local x, y and z axes
+         */
+        inertia(mass) {
+            const r2 = this.radius * this.radius;
+            const side = mass * (3 * r2 + this.height * this.height) / 12;
+            return new vector3(side, mass * r2 / 2, side);
+        }
+
+        create_collider() {
+            return new cylinder_collider(this.radius, this.height / 2);
+        }
+
+        to_json() {
+            return { type: this.type, radius: this.radius, height: this.height };
+        }
+    }
+
+    /**
+     * Helper function to create a shape from a plain description
+     * @param {Object} description - { type: 'box', size: [x, y, z] }, { type: 'sphere', radius }
+     * or { type: 'cylinder', radius, height }
+     * @returns {Object} - Instance of box_shape, sphere_shape or cylinder_shape
+     */
+    function create_shape(description) {
+        switch (description.type) {
+            case 'box':
+                return new box_shape(new vector3(...(description.size ?? [2, 2, 2])));
+            case 'sphere':
+                return new sphere_shape(description.radius);
+            case 'cylinder':
+                return new cylinder_shape(description.radius, description.height);
+            default:
+                throw new Error(`Unknown shape type: ${description.type}`);
+        }
+    }
+
+    return { box_shape, sphere_shape, cylinder_shape, create_shape };
+}));
@@ -0,0 +1,2055 @@
+/**
+ * File: simulation.js
+ * Project: 3D Rigid Body Physics Engine - Collisions and Motion
+ * Description: Headless simulation world for the Rigid Body 3D physics engine including:
+ * Bodies and Robot state, Arena, Physics Calculations, Movement Logic, Collision Detection, Contact Solving, Sleeping Bodies and World Stepping.
+ * Has no dependency on the DOM or on a renderer so it can run in the browser or in Node
+ * Author: Alberto Chavez Garcia
+ * Created: October 19, 2026
+ * Last Modified: October 19, 2026
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(
+            require('./vector_math.js'),
+            require('./random.js'),
+            require('./rigid_body.js'),
+            require('./shapes.js'),
+            require('./broad_phase.js'),
+            require('./collision.js'),
+            require('./contact_solver.js'),
+            require('./events.js'),
+            require('./materials.js')
+        );
+    } else {
+        Object.assign(root, factory(root, root, root, root, root, root, root, root, root));
+    }
+}(typeof self !== 'undefined' ? self : this, function (math, random, body, shapes, broad_phase, collision, solver, events, materials) {
+
+    const { deg_to_rad, vector3, quaternion, box3 } = math;
+    const { random_seed, seeded_random } = random;
+    const { rigid_body } = body;
+    const { box_shape } = shapes;
+    const { uniform_grid, brute_force_pairs } = broad_phase;
+    const { collider_contact, collider_plane_contact, create_contact, copy_contact } = collision;
+    const { solve_contacts } = solver;
+    const { event_emitter } = events;
+    const { DEFAULT_MATERIAL, DEFAULT_COMBINE_RULES, create_material, create_combine_rules, combine_materials } = materials;
+
+    const GRAVITY_ACCELERATION = 9.8;
+    const WORLD_UP = new vector3(0, 1, 0);
+
+    // Direction of travel of each robot index: 1 away, 2 closer, 3 left, 4 right
+    const ROBOT_DIRECTIONS = {
+        1: new vector3(0, 0, -1),
+        2: new vector3(0, 0, 1),
+        3: new vector3(-1, 0, 0),
+        4: new vector3(1, 0, 0)
+    };
+
+    // Faces of the cube, each one carries a piston, normals in body coordinates
+    const PISTON_FACES = [
+        { name: 'front', normal: new vector3(0, 0, 1) },
+        { name: 'top', normal: new vector3(0, 1, 0) },
+        { name: 'right', normal: new vector3(1, 0, 0) },
+        { name: 'bottom', normal: new vector3(0, -1, 0) },
+        { name: 'back', normal: new vector3(0, 0, -1) },
+        { name: 'left', normal: new vector3(-1, 0, 0) }
+    ];
+
+    // Angular speed under which a cube flat on a face counts as landed
+    const LANDING_ANGULAR_SPEED = 0.5;
+
+    // Pistons stick out of their face by this much when retracted
+    const PISTON_REACH = 0.1;
+
+    // Speed of the piston rods when they extend or retract, in m/s
+    const PISTON_SPEED = 4;
+
+    // Default settings of a piston fired through the actuator API
+    const DEFAULT_PISTON_DURATION = 0.25;
+    const DEFAULT_PISTON_EXTENSION = 0.5;
+
+    // Material of the floor, the bodies without a material of their own use the material of the world (see materials.js)
+    const FLOOR_MATERIAL = { static_friction: 0.6, dynamic_friction: 0.6, restitution: 0 };
+
+    // Bodies slower than these speeds for SLEEP_TIME seconds fall asleep
+    const SLEEP_LINEAR_SPEED = 0.05;
+    const SLEEP_ANGULAR_SPEED = 0.05;
+    const SLEEP_TIME = 0.5;
+
+    // A contact whose normal points up at least this much (cosine) supports the body above it
+    const SUPPORT_NORMAL = 0.7;
+
+    // Thickness of the slab under the floor, bodies over its edge collide with its sides
+    const FLOOR_THICKNESS = 1;
+
+    // Robots within this distance are reported to the controller of a robot
+    const SENSING_RADIUS = 8;
+
+    // Boundaries of the arena sensed by the robots, normals pointing into the arena
+    const WALL_NORMALS = [new vector3(1, 0, 0), new vector3(-1, 0, 0), new vector3(0, 0, 1), new vector3(0, 0, -1)];
+
+    // A robot turns around when it runs into an obstacle facing its direction of travel this closely (cosine)
+    const OBSTACLE_FACING = 0.5;
+
+    // Pistons fired by controllers that fire none
+    const NO_PISTONS = [];
+
+    // Random positions tried for a single robot before giving up on placing it
+    const MAX_PLACEMENT_ATTEMPTS = 1000;
+
+    // Scratch values reused by every robot, rolling a robot and firing its pistons make no new vectors
+    const scratch_axis = new vector3();
+    const scratch_roll_axis = new vector3();
+    const scratch_pivot_direction = new vector3();
+    const scratch_pivot = new vector3();
+    const scratch_lever = new vector3();
+    const scratch_weight = new vector3();
+    const scratch_rolled = new quaternion();
+    const scratch_inverse = new quaternion();
+    const scratch_push = new vector3();
+    const scratch_heading = new vector3();
+    const scratch_yaw = new quaternion();
+    const scratch_sensing_box = new box3(new vector3(), new vector3());
+    const scratch_point_box = new box3(new vector3(), new vector3());
+
+    /**
+     * This class is a body of the simulation world: a rigid body with a shape.
+     * The shape gives its moments of inertia and its collider, bodies with infinite mass are static obstacles (walls, ramps)
+     *
+     * @param {Object} options - Optional settings:
+     * - {Object} shape - Instance of box_shape, sphere_shape or cylinder_shape, a 2x2x2 box by default
+     * - {vector3} position - Initial position of the centre of mass
+     * - {quaternion} orientation - Initial orientation
+     * - {Number} mass - Mass in kilograms, Infinity for a static body
+     * - {Number|String} color - Colour of the body in the view, the default colour of its kind when omitted
+     * - {Object} material - Surface material (see create_material), the material of the world when omitted
+     */
+    class shape_body extends rigid_body {
+        constructor(options = {}) {
+            const shape = options.shape ?? new box_shape();
+            const mass = options.mass ?? 1;
+
+            // Static bodies never use their inertia, any finite mass gives the right proportions
+            super({
+                position: options.position,
+                orientation: options.orientation,
+                mass,
+                inertia: shape.inertia(isFinite(mass) ? mass : 1)
+            });
+
+            this.shape = shape;
+            this.is_static = !isFinite(mass);
+            this.color = options.color ?? null;
+            this.material = options.material ? create_material(options.material) : null;
+
+            // Pose at the start of the current step, used by the view to interpolate between physics states
+            this.previous_position = this.position.clone();
+            this.previous_orientation = this.orientation.clone();
+
+            // Components for collision detection, a world AABB for the broad phase and a collider for the narrow phase
+            this.bounding_box = new box3();
+            this.collider = shape.create_collider();
+            this.update_bounding_box();
+
+            // Sleeping bodies are left out of the integration and of the collision tests until something wakes them
+            this.sleeping = false;
+            this.still_time = 0;
+
+            // Set by the world while it finds the bodies that keep the bodies they touch awake (see update_sleep)
+            this.restless = false;
+
+            // Contacts of the last step where the body was body_b, as pairs of body_a and the solved contact, for warm starting
+            this.cached_contacts = [];
+        }
+
+        /**
+         * Checks if the body moves slower than the sleeping speeds
+         * @returns {Boolean}
+         */
+        is_still() {
+            return this.translational_velocity.length_sq() < SLEEP_LINEAR_SPEED * SLEEP_LINEAR_SPEED
+                && this.angular_velocity.length_sq() < SLEEP_ANGULAR_SPEED * SLEEP_ANGULAR_SPEED;
+        }
+
+        /**
+         * Checks if the body was given a velocity or a force since it fell asleep
+         * @returns {Boolean}
+         */
+        is_disturbed() {
+            return this.translational_velocity.length_sq() > 0 || this.angular_velocity.length_sq() > 0
+                || this.force_accumulator.length_sq() > 0 || this.torque_accumulator.length_sq() > 0;
+        }
+
+        /**
+         * Checks if nothing but a contact or a force could move the body, robots override it with their actuators
+         * @returns {Boolean}
+         */
+        can_sleep() {
+            return !this.is_static;
+        }
+
+        /**
+         * Puts the body to sleep, it stops where it is
+         */
+        sleep() {
+            this.sleeping = true;
+            this.translational_velocity.set(0, 0, 0);
+            this.angular_velocity.set(0, 0, 0);
+        }
+
+        /**
+         * Wakes the body up, it has to be still for SLEEP_TIME seconds again before falling asleep
+         */
+        wake() {
+            this.sleeping = false;
+            this.still_time = 0;
+        }
+
+        /**
+         * Counts the time the body has been still after a step, it may fall asleep once it reaches SLEEP_TIME
+         * @param {Number} time_step - Duration of the step in seconds
+         */
+        update_still_time(time_step) {
+            this.still_time = this.can_sleep() && this.is_still() ? this.still_time + time_step : 0;
+        }
+
+        /**
+         * Checks if the body has been still for long enough to fall asleep
+         * @returns {Boolean}
+         */
+        is_sleepy() {
+            return this.still_time >= SLEEP_TIME;
+        }
+
+        /**
+         * Moves the collider to the current pose and recomputes the world AABB enclosing it
+         */
+        update_bounding_box() {
+            this.collider.set_from_pose(this.position, this.rotation_matrix);
+            this.collider.bounding_box(this.bounding_box);
+        }
+
+        /**
+         * Saves the current pose as the previous physics state before the body is stepped
+         */
+        store_previous_pose() {
+            this.previous_position.copy(this.position);
+            this.previous_orientation.copy(this.orientation);
+        }
+    }
+
+    /**
+     * This class is a cube robot: a box-shaped body with a piston attached to each face used for propulsion
+     * Class contains methods used for movement and propulsion.
+     * Class is responsible for calculating the piston force and torque that make the cube roll,
+     * the rolling motion itself (tipping over an edge and landing on the next face) comes from the rigid-body integrator,
+     * gravity and the floor contact
+     * Calculations include: Torque (Piston), Torque (Gravity), Translation (Piston), Tilt
+     * Each robot is assign a bounding-box used for collision detection and response
+     *
+     * @param {Number} x - Initial x coordinate
+     * @param {Number} y - Initial y coordinate
+     * @param {Number} z - Initial z coordinate
+     * @param {Object} options - Optional settings:
+     * - {Number} mass - Mass of the robot in kilograms
+     * - {Number} piston_force - Piston output force in newtons
+     * - {Number} time_step - Duration of a physics step in seconds
+     * - {seeded_random} random - Random number generator shared with the world
+     * - {box_shape} shape - Body of the robot, the 2x2x2 cube by default
+     * - {quaternion} orientation - Initial orientation, upright by default
+     * - {Number|String} color - Colour of the robot in the view
+     * - {Object} material - Surface material (see create_material), the material of the world when omitted
+     */
+    class cube_robot extends shape_body {
+        constructor(x, y, z, options = {}) {
+            const shape = options.shape ?? new box_shape(new vector3(2, 2, 2));
+            if (shape.type !== 'box') {
+                throw new Error(`Robots need a box shape to mount their pistons, got ${shape.type}`);
+            }
+
+            super({
+                shape,
+                position: new vector3(x, y, z),
+                orientation: options.orientation,
+                mass: options.mass ?? 0.5,
+                color: options.color,
+                material: options.material
+            });
+
+            // Instance variables
+            this.time_step = options.time_step ?? 1 / 360; // Common value used in the field for physics simulations
+            this.tipping_point_angle = deg_to_rad(45);
+            this.full_rotation = deg_to_rad(90);
+            this.rest_angle = deg_to_rad(0);
+            this.landing_angle = deg_to_rad(5);
+            this.angle = this.tipping_point_angle;
+            this.robot_size = shape.size;
+
+            this.random = options.random ?? new seeded_random(random_seed());
+
+            // User controlled parameters
+            this.piston_force = options.piston_force ?? 0;
+
+            // Vectors used for physics calculations
+            this.torque = new vector3(0, 0, 0);
+            this.torque_grav = new vector3(0, 0, 0);
+            this.roll_direction = new vector3(0, 0, 0);
+            this.roll_start_orientation = this.orientation.clone();
+            this.translation = new vector3(0, 0, 0);
+
+            // Rolling state: the piston pushes until the tipping point, then gravity brings the cube down on its next face
+            this.roll_phase = 'push';
+            this.tilt = 0;
+
+            // How the robot rests on the floor or on another body after the last step: 'sticking', 'sliding', 'rolling' or 'airborne'
+            this.contact_state = 'airborne';
+
+            // Controller deciding where the robot goes, null keeps the scripted direction index
+            this.controller = null;
+
+            // Pistons setup, the piston pushes with a lever of half the height of the robot
+            this.piston_length = 2;
+            this.piston_radius = 0.3;
+            this.axis_rotation_distance = this.robot_size.y / 2;
+
+            // One piston per face, sticking out of it by PISTON_REACH. Its extension and tilt are in body coordinates.
+            // Pistons fired through the actuator API keep their own force, remaining time and target extension
+            this.pistons = PISTON_FACES.map(face => ({
+                name: face.name,
+                normal: face.normal.clone(),
+                face_location: Math.abs(face.normal.dot(this.robot_size)) / 2 + PISTON_REACH - this.piston_length / 2,
+                extension: 0,
+                tilt_axis: new vector3(1, 0, 0),
+                tilt_angle: 0,
+                firing: false,
+                retracting: false,
+                force: 0,
+                remaining: 0,
+                target_extension: 0,
+                touching: null,
+                contact_point: new vector3(0, 0, 0)
+            }));
+            this.update_bounding_box();
+        }
+
+        /**
+         * Recomputes the world AABB enclosing the rotated cube and the tips of its pistons,
+         * and moves the oriented box of the cube to the current pose
+         */
+        update_bounding_box() {
+            super.update_bounding_box();
+
+            // Piston tips follow their own extension, the pistons do not exist yet while the body is being built
+            if (this.pistons === undefined) {
+                return;
+            }
+
+            const tip = scratch_axis;
+            for (const piston of this.pistons) {
+                const reach = piston.face_location + this.piston_length / 2 + piston.extension;
+                tip.copy(piston.normal).multiply_scalar(reach).apply_matrix3(this.rotation_matrix).add(this.position);
+                this.bounding_box.expand_by_point(tip);
+            }
+        }
+
+        /**
+         * Robots only sleep while nothing drives them: no piston force or no direction, no piston moving and no roll in progress
+         * @returns {Boolean}
+         */
+        can_sleep() {
+            return (this.piston_force === 0 || ROBOT_DIRECTIONS[this.index] === undefined) && this.roll_phase === 'push'
+                && this.pistons.every(piston => !piston.firing && !piston.retracting);
+        }
+
+        /**
+         * Finds a piston by the name of its face
+         * @param {String} name - 'front', 'top', 'right', 'bottom', 'back' or 'left'
+         * @returns {Object} - Piston of the face
+         */
+        piston(name) {
+            const piston = this.pistons.find(candidate => candidate.name === name);
+            if (piston === undefined) {
+                throw new Error(`Unknown piston face: ${name}`);
+            }
+            return piston;
+        }
+
+        /**
+         * Actuator API: fires the piston of a face. While firing, the rod extends out of the face and, when its tip touches
+         * the floor or another body, pushes the robot with the given force along the inward face normal at the tip.
+         * The touched body receives the opposite force. Set the index of the robot to 0 to stop the scripted rolls
+         * and drive it only with this API
+         * @param {String} name - Face of the piston: 'front', 'top', 'right', 'bottom', 'back' or 'left'
+         * @param {Object} options - Optional settings:
+         * - {Number} force - Push of the piston in newtons, the piston output force of the robot by default
+         * - {Number} duration - Time the piston keeps pushing in seconds
+         * - {Number} extension - Length the rod extends out of its retracted position in metres
+         * @returns {Object} - The fired piston
+         */
+        fire_piston(name, options = {}) {
+            const piston = this.piston(name);
+            this.wake();
+            piston.firing = true;
+            piston.retracting = false;
+            piston.force = options.force ?? this.piston_force;
+            piston.remaining = options.duration ?? DEFAULT_PISTON_DURATION;
+            piston.target_extension = options.extension ?? DEFAULT_PISTON_EXTENSION;
+            piston.tilt_angle = 0;
+            return piston;
+        }
+
+        /**
+         * Stops a fired piston before its duration ends, the rod retracts
+         * @param {String} name - Face of the piston
+         */
+        release_piston(name) {
+            const piston = this.piston(name);
+            if (piston.firing) {
+                piston.firing = false;
+                piston.retracting = true;
+            }
+        }
+
+        /**
+         * World position of the tip of a piston rod
+         * @param {Object} piston - Piston of this robot
+         * @param {vector3} target - Vector receiving the tip
+         * @returns {vector3} - The target vector
+         */
+        piston_tip(piston, target = new vector3()) {
+            const reach = piston.face_location + this.piston_length / 2 + piston.extension;
+            return target.copy(piston.normal).multiply_scalar(reach).apply_matrix3(this.rotation_matrix).add(this.position);
+        }
+
+        /**
+         * Advances the pistons fired through the actuator API by one step and applies their forces
+         * @param {Number} time_step - Duration of the step in seconds
+         * @param {Function} find_touched - Called with the tip of a rod, returns the body it touches (the ground for the floor) or null
+         */
+        update_actuators(time_step, find_touched) {
+            for (const piston of this.pistons) {
+                if (piston.retracting) {
+                    piston.extension = Math.max(piston.extension - PISTON_SPEED * time_step, 0);
+                    piston.retracting = piston.extension > 0;
+                }
+                if (!piston.firing) {
+                    continue;
+                }
+
+                piston.extension = Math.min(piston.extension + PISTON_SPEED * time_step, piston.target_extension);
+
+                // The rod pushes on what its tip touches, the robot is pushed back along the inward face normal
+                this.piston_tip(piston, piston.contact_point);
+                piston.touching = find_touched(piston.contact_point, this);
+                if (piston.touching !== null) {
+                    const push = scratch_push.copy(piston.normal).apply_matrix3(this.rotation_matrix).multiply_scalar(piston.force);
+                    if (!piston.touching.is_static && piston.touching.inverse_mass > 0) {
+                        piston.touching.apply_force_at_point(push, piston.contact_point);
+                    }
+                    this.apply_force_at_point(push.negate(), piston.contact_point);
+                }
+
+                piston.remaining -= time_step;
+                if (piston.remaining <= 0) {
+                    piston.firing = false;
+                    piston.retracting = true;
+                    piston.touching = null;
+                }
+            }
+        }
+
+        /**
+         * Angle between the world up axis and the body axis closest to it.
+         * 0 when the cube rests flat on any of its faces, 45 degrees at the tipping point
+         * @returns {Number} - Tilt in radians
+         */
+        compute_tilt() {
+            const axis = scratch_axis;
+            let alignment = 0;
+            for (let i = 0; i < 3; i++) {
+                alignment = Math.max(alignment, Math.abs(this.rotation_matrix.get_column(i, axis).dot(WORLD_UP)));
+            }
+            return Math.acos(Math.min(alignment, 1));
+        }
+
+        /**
+         * Piston currently facing the floor
+         * @returns {Object} - Piston whose face normal points the most downwards
+         */
+        lowest_piston() {
+            let lowest = this.pistons[0];
+            let lowest_height = Infinity;
+            for (const piston of this.pistons) {
+                const height = scratch_axis.copy(piston.normal).apply_matrix3(this.rotation_matrix).dot(WORLD_UP);
+                if (height < lowest_height) {
+                    lowest_height = height;
+                    lowest = piston;
+                }
+            }
+            return lowest;
+        }
+
+        /**
+         * The cube is past the tipping point once its centre of mass is over the leading edge (45 degrees of tilt),
+         * gravity then rolls it forwards instead of pulling it back
+         * @returns {Boolean}
+         */
+        past_tipping_point() {
+            return this.roll_angle() >= this.tipping_point_angle;
+        }
+
+        /**
+         * Angle the cube has rolled about its roll axis since the current push began
+         * @returns {Number} - Signed angle in radians
+         */
+        roll_angle() {
+            const start_inverse = scratch_inverse.copy(this.roll_start_orientation).conjugate();
+            const rolled = scratch_rolled.copy(this.orientation).multiply(start_inverse);
+            const sign = rolled.w < 0 ? -1 : 1;
+            const axis_component = (rolled.x * this.roll_direction.x + rolled.y * this.roll_direction.y
+                + rolled.z * this.roll_direction.z) * sign;
+            return 2 * Math.atan2(axis_component, rolled.w * sign);
+        }
+
+        /**
+         * Calculates the piston force and torque for one step and applies them to the body
+         * @param {vector3} direction - Unit vector of the direction of travel in world coordinates
+         */
+        _calculate_physics(direction){
+
+            this.tilt = this.compute_tilt();
+
+            // Horizontal axis the cube rolls about
+            const roll_axis = scratch_roll_axis.copy(WORLD_UP).cross(direction);
+            this.roll_direction.copy(roll_axis);
+
+            // Torque due to gravity about the leading bottom edge, the integrator applies gravity itself
+            const pivot_direction = scratch_pivot_direction.copy(direction).sub(WORLD_UP).normalize();
+            const pivot = scratch_pivot.copy(this.collider.center);
+            for (let i = 0; i < 3; i++) {
+                const axis = this.collider.axes[i];
+                const sign = axis.dot(pivot_direction) >= 0 ? 1 : -1;
+                pivot.add(scratch_axis.copy(axis).multiply_scalar(sign * this.collider.half_extents[i]));
+            }
+            const weight = scratch_weight.set(0, -this.mass * GRAVITY_ACCELERATION, 0);
+            const grav_torque = scratch_lever.copy(this.position).sub(pivot).cross(weight).dot(roll_axis);
+            this.torque_grav.copy(roll_axis).multiply_scalar(grav_torque);
+
+            // The piston only pushes before the tipping point
+            if (this.roll_phase !== 'push' || this.past_tipping_point()) {
+                this.torque.set(0, 0, 0);
+                this.translation.set(0, 0, 0);
+                return;
+            }
+
+            // Torque due to piston, the tilted piston pushes with a lever of half the cube
+            this.torque.copy(roll_axis).multiply_scalar(this.piston_force * this.axis_rotation_distance * Math.sin(this.angle));
+
+            // Translation along the world direction of travel
+            this.translation.copy(direction).multiply_scalar(this.piston_force * Math.cos(this.angle));
+
+            this.apply_torque(this.torque);
+            this.apply_force(this.translation);
+        }
+
+        /**
+         * Rolls the cube one step in a direction: piston push, tipping point check and landing check
+         * @param {vector3} direction - Unit vector of the direction of travel in world coordinates
+         */
+        roll(direction) {
+
+            this._calculate_physics(direction);
+
+            // Tipping point check, from here gravity finishes the roll
+            if (this.roll_phase === 'push' && this.past_tipping_point()) {
+                this.roll_phase = 'tipping';
+            }
+
+            // Landing check, flat on a face again and element of randomness when landing
+            else if (this.roll_phase === 'tipping' && this.tilt < this.landing_angle
+                && this.angular_velocity.length() < LANDING_ANGULAR_SPEED) {
+                this.roll_phase = 'push';
+                this.random_value = (this.random.next() * 0.1) - 0.09;
+                this._align_yaw(this.random_value);
+            }
+
+            this._update_pistons(direction);
+        }
+
+        move_away() {
+            this.roll(ROBOT_DIRECTIONS[1]);
+        }
+
+        move_closer() {
+            this.roll(ROBOT_DIRECTIONS[2]);
+        }
+
+        move_left() {
+            this.roll(ROBOT_DIRECTIONS[3]);
+        }
+
+        move_right() {
+            this.roll(ROBOT_DIRECTIONS[4]);
+        }
+
+        /**
+         * Turns the landed cube about the world up axis so its faces line up with the floor grid, up to a small yaw offset
+         * @param {Number} yaw - Yaw offset in radians
+         */
+        _align_yaw(yaw) {
+
+            // Body axis closest to the world x axis gives the current heading
+            const axis = scratch_axis;
+            const heading = scratch_heading.set(1, 0, 0);
+            for (let i = 0; i < 3; i++) {
+                this.rotation_matrix.get_column(i, axis);
+                if (Math.abs(axis.x) > Math.abs(heading.x) || i === 0) {
+                    heading.copy(axis).multiply_scalar(axis.x < 0 ? -1 : 1);
+                }
+            }
+
+            const current_yaw = Math.atan2(-heading.z, heading.x);
+            this.orientation.premultiply(scratch_yaw.set_from_axis_angle(WORLD_UP, yaw - current_yaw)).normalize();
+            this.previous_orientation.copy(this.orientation);
+            this.roll_start_orientation.copy(this.orientation);
+            this.update_derived();
+        }
+
+        /**
+         * Piston behaviour: the piston facing the floor tilts back and extends while pushing, every other piston is retracted
+         * @param {vector3} direction - Unit vector of the direction of travel in world coordinates
+         */
+        _update_pistons(direction) {
+            const pushing = this.roll_phase === 'push' && this.tilt < this.tipping_point_angle && this.piston_force > 0;
+            const active = pushing ? this.lowest_piston() : null;
+
+            // Roll axis in body coordinates
+            const inverse_orientation = scratch_inverse.copy(this.orientation).conjugate();
+            const roll_axis = scratch_roll_axis.copy(WORLD_UP).cross(direction).apply_quaternion(inverse_orientation);
+
+            for (const piston of this.pistons) {
+                if (piston.firing || piston.retracting) {
+                    continue;
+                } else if (piston === active) {
+                    piston.extension = this.tilt * this.axis_rotation_distance;
+                    piston.tilt_axis.copy(roll_axis);
+                    piston.tilt_angle = -this.angle;
+                } else {
+                    piston.extension = 0;
+                    piston.tilt_angle = 0;
+                }
+            }
+        }
+    }
+
+    // State of the running collision_detection, read by narrow_phase so the broad phase is given the same callback every step
+    const detection_pass = { settings: null, contacts: null, stats: null, pool: null };
+
+    /**
+     * Main collision detection algorithms
+     * Candidate pairs from the broad phase go through the narrow phase, then every body is checked against the floor of the arena.
+     * Contacts found are collected for the contact solver. Sleeping bodies are only tested against awake bodies,
+     * which wake the sleeping bodies they touch: touching bodies fall asleep together
+     * @param {Array} body_array - Array contining every body of the world, robots and arena walls included
+     * @param {Object} settings - Collision settings of the world:
+     * - {Object} material - Material of the bodies without a material of their own
+     * - {Object} combine_rules - Rules combining the materials of two bodies (see create_combine_rules)
+     * - {arena} arena - Arena holding the floor
+     * - {uniform_grid|null} grid - Broad-phase grid, null tests every pair by brute force
+     * @param {Array} contacts - Array receiving the contacts of the step
+     * @param {Object} stats - Object receiving the statistics, the world passes the same one every step
+     * @param {Array} pool - Contacts written again by this call (see pooled_contact), the world passes one of two pools
+     * in turns so the contacts of the last step are kept for warm starting
+     * @returns {Object} - Collision statistics of the step: pairs_tested, contacts and sleeping (bodies left asleep)
+     */
+    function collision_detection (body_array, settings, contacts = [], stats = {}, pool = []) {
+        stats.pairs_tested = 0;
+        stats.contacts = 0;
+        stats.sleeping = 0;
+        detection_pass.settings = settings;
+        detection_pass.contacts = contacts;
+        detection_pass.stats = stats;
+        detection_pass.pool = pool;
+
+        if (settings.grid) {
+            fill_grid(settings.grid, body_array);
+            settings.grid.find_pairs(narrow_phase);
+        } else {
+            brute_force_pairs(body_array, narrow_phase);
+        }
+
+        // Floor contacts
+        for (const body of body_array) {
+            if (body.sleeping) {
+                stats.sleeping++;
+            }
+            if (body.is_static || body.sleeping) {
+                continue;
+            }
+
+            const contact = settings.arena.floor_contact(body, body.material ?? settings.material, settings.combine_rules,
+                pooled_contact(pool, contacts.length));
+            if (contact !== null) {
+                contacts.push(contact);
+            }
+        }
+
+        // Pooled contacts left unused keep no bodies alive
+        for (let i = contacts.length; i < pool.length; i++) {
+            pool[i].body_a = null;
+            pool[i].body_b = null;
+        }
+        detection_pass.settings = null;
+        detection_pass.contacts = null;
+        detection_pass.stats = null;
+        detection_pass.pool = null;
+        return stats;
+    }
+
+    /**
+     * Narrow phase on a single candidate pair of the running collision_detection, static and sleeping bodies never collide
+     * with each other
+     * @param {shape_body} body_a - First body of the pair
+     * @param {shape_body} body_b - Second body of the pair
+     */
+    function narrow_phase(body_a, body_b) {
+        if ((body_a.is_static || body_a.sleeping) && (body_b.is_static || body_b.sleeping)) {
+            return;
+        }
+
+        const { settings, contacts, stats, pool } = detection_pass;
+        stats.pairs_tested++;
+        if (!body_a.bounding_box.intersects_box(body_b.bounding_box)) {
+            return;
+        }
+
+        const contact = collider_contact(body_a.collider, body_b.collider);
+        if (contact !== null) {
+            wake_touched(body_a, body_b);
+            wake_touched(body_b, body_a);
+            stats.contacts++;
+
+            const target = copy_contact(pooled_contact(pool, contacts.length), contact);
+            target.body_a = body_a;
+            target.body_b = body_b;
+            contacts.push(combine_materials(body_a.material ?? settings.material, body_b.material ?? settings.material,
+                settings.combine_rules, target));
+        }
+    }
+
+    /**
+     * Helper function to take a contact from a pool, the pool grows when every contact is in use
+     * @param {Array} pool - Contacts made by create_contact
+     * @param {Number} index - Index of the contact in the step
+     * @returns {Object} - Contact whose fields are overwritten by the narrow phase or the floor
+     */
+    function pooled_contact(pool, index) {
+        if (index === pool.length) {
+            pool.push(create_contact());
+        }
+        return pool[index];
+    }
+
+    /**
+     * Helper function to insert every body in the broad-phase grid, emptied first
+     * @param {uniform_grid} grid - Broad-phase grid
+     * @param {Array} body_array - Bodies of the world
+     */
+    function fill_grid(grid, body_array) {
+        grid.clear();
+        for (const body of body_array) {
+            grid.insert(body, body.bounding_box);
+        }
+    }
+
+    /**
+     * Helper function to empty an array reused every step, popping keeps its storage where setting its length may not
+     * @param {Array} array - Array to empty
+     */
+    function empty_array(array) {
+        while (array.length > 0) {
+            array.pop();
+        }
+    }
+
+    /**
+     * Helper function to check if a body stays where it is without being tested against the bodies it rests on
+     * @param {shape_body} body - Body of the world
+     * @returns {Boolean}
+     */
+    function is_resting(body) {
+        return body.sleeping || body.is_static;
+    }
+
+    /**
+     * Helper function to wake a sleeping body touched by an awake body
+     * @param {shape_body} body - Touched body
+     * @param {shape_body} other - Body touching it
+     */
+    function wake_touched(body, other) {
+        if (body.sleeping && !other.sleeping && !other.is_static) {
+            body.wake();
+        }
+    }
+
+    /**
+     * Robots that run into a static obstacle (arena wall, wall, ramp side) facing their direction of travel turn around.
+     * The bounce itself comes from the contact solver, this only changes where the robot wants to go
+     * @param {Array} contacts - Contacts of the step
+     */
+    function turn_around_obstacles(contacts) {
+        for (const contact of contacts) {
+            const { body_a, body_b } = contact;
+            const robot = body_a instanceof cube_robot ? body_a : body_b instanceof cube_robot ? body_b : null;
+            const other = robot === body_a ? body_b : body_a;
+            if (robot === null || !other.is_static || ROBOT_DIRECTIONS[robot.index] === undefined) {
+                continue;
+            }
+
+            // Contact normal pointing from the obstacle towards the robot, the normal goes from body_a to body_b
+            const facing = ROBOT_DIRECTIONS[robot.index].dot(contact.normal) * (robot === body_b ? 1 : -1);
+            if (facing < -OBSTACLE_FACING) {
+                update_robot_index(robot);
+            }
+        }
+    }
+
+    /**
+     * Finds how each robot rests on what is under it (the floor or another body) once the contacts of the step are solved:
+     * 'sliding' when a supporting contact slips, 'rolling' while it tips over or turns, 'sticking' when it holds still
+     * and 'airborne' when nothing supports it. Sleeping robots keep the state they fell asleep in
+     * @param {Array} robots - Robots of the world
+     * @param {Array} contacts - Solved contacts of the step
+     */
+    function update_contact_states(robots, contacts) {
+        for (const robot of robots) {
+            if (!robot.sleeping) {
+                robot.contact_state = 'airborne';
+            }
+        }
+
+        for (const contact of contacts) {
+            // The normal goes from body_a to body_b, the body on top is the one it points up into
+            const upwards = contact.normal.y;
+            const robot = upwards >= SUPPORT_NORMAL ? contact.body_b : upwards <= -SUPPORT_NORMAL ? contact.body_a : null;
+            if (!(robot instanceof cube_robot) || robot.contact_state === 'sliding') {
+                continue;
+            }
+
+            if (contact.sliding) {
+                robot.contact_state = 'sliding';
+            } else if (robot.roll_phase === 'tipping' || robot.angular_velocity.length() >= LANDING_ANGULAR_SPEED) {
+                robot.contact_state = 'rolling';
+            } else {
+                robot.contact_state = 'sticking';
+            }
+        }
+    }
+
+    /**
+     * This class is the arena the bodies move in: a rectangular floor with friction centred on the origin,
+     * optionally surrounded by four static walls. Without walls, bodies leaving the floor fall off its edge
+     *
+     * @param {Object} options - Optional settings:
+     * - {Number} width - Size of the floor along x
+     * - {Number} depth - Size of the floor along z
+     * - {Boolean} walls - Surrounds the floor with walls
+     * - {Number} wall_height - Height of the walls
+     * - {Number} wall_thickness - Thickness of the walls, they stand outside the floor
+     * - {Object} floor_material - Material of the floor (see create_material), static and dynamic friction of 0.6 and no restitution by default
+     * - {Number} floor_friction, floor_restitution - Older settings of the floor material, used when floor_material leaves them out
+     * - {Number} fall_limit - Bodies that fall below this height are taken out of the world
+     */
+    class arena {
+        constructor(options = {}) {
+            this.width = options.width ?? 40;
+            this.depth = options.depth ?? 40;
+            this.half_width = this.width / 2;
+            this.half_depth = this.depth / 2;
+            this.wall_height = options.wall_height ?? 2;
+            this.wall_thickness = options.wall_thickness ?? 1;
+            this.floor_material = create_material(Object.assign({
+                friction: options.floor_friction,
+                restitution: options.floor_restitution
+            }, options.floor_material), FLOOR_MATERIAL);
+            this.fall_limit = options.fall_limit ?? -10;
+
+            // Static slab under the floor, its top face is the plane y = 0
+            this.ground = new shape_body({
+                shape: new box_shape(new vector3(this.width, FLOOR_THICKNESS, this.depth)),
+                position: new vector3(0, -FLOOR_THICKNESS / 2, 0),
+                mass: Infinity
+            });
+
+            this.walls = [];
+            if (options.walls ?? true) {
+                const thickness = this.wall_thickness;
+                const length_x = this.width + 2 * thickness;
+                const offset_x = this.half_width + thickness / 2;
+                const offset_z = this.half_depth + thickness / 2;
+
+                this.walls.push(
+                    create_wall(new vector3(0, 0, -offset_z), new vector3(length_x, this.wall_height, thickness)),
+                    create_wall(new vector3(0, 0, offset_z), new vector3(length_x, this.wall_height, thickness)),
+                    create_wall(new vector3(-offset_x, 0, 0), new vector3(this.depth, this.wall_height, thickness), Math.PI / 2),
+                    create_wall(new vector3(offset_x, 0, 0), new vector3(this.depth, this.wall_height, thickness), Math.PI / 2)
+                );
+                this.walls.forEach(wall => { wall.name = 'Wall'; });
+            }
+        }
+
+        /**
+         * Checks if a point of the floor plane lies on the floor
+         * @param {vector3} point - Point in world coordinates
+         * @returns {Boolean}
+         */
+        on_floor(point) {
+            return Math.abs(point.x) <= this.half_width && Math.abs(point.z) <= this.half_depth;
+        }
+
+        /**
+         * Contact between a body and the floor.
+         * Bodies entirely over the floor use the plane y = 0, bodies over its edge are tested against the slab under it
+         * @param {shape_body} body - Body tested against the floor
+         * @param {Object} material - Material of the body, combined with the material of the floor
+         * @param {Object} rules - Rules combining the two materials (see create_combine_rules)
+         * @param {Object} target - Contact receiving the result (see create_contact), a new one by default
+         * @returns {Object|null} - Contact for the contact solver, null when the body does not touch the floor
+         */
+        floor_contact(body, material = DEFAULT_MATERIAL, rules = DEFAULT_COMBINE_RULES, target = create_contact()) {
+            const box = body.bounding_box;
+            if (!box.intersects_box(this.ground.bounding_box)) {
+                return null;
+            }
+
+            const over_floor = this.on_floor(box.min) && this.on_floor(box.max);
+            const contact = over_floor
+                ? collider_plane_contact(body.collider, WORLD_UP, 0, target)
+                : collider_contact(this.ground.collider, body.collider);
+            if (contact === null) {
+                return null;
+            }
+
+            if (contact !== target) {
+                copy_contact(target, contact);
+            }
+            target.body_a = this.ground;
+            target.body_b = body;
+            return combine_materials(this.floor_material, material, rules, target);
+        }
+    }
+
+    /**
+     * Helper function for collision response to update robot's direction after a collision
+     * @param {cube_robot} robot
+     */
+    function update_robot_index(robot) {
+        if (robot.index === 1) {
+            robot.index = 2;
+        } else if (robot.index === 2) {
+            robot.index = 1;
+        } else if (robot.index === 3) {
+            robot.index = 4;
+        } else if (robot.index === 4) {
+            robot.index = 3;
+        }
+    }
+
+    /**
+     * Helper function to create robots and assign them specific coordinates
+     * @param {Number} x - Initial x coordinate
+     * @param {Number} y - Initial y coordinate
+     * @param {Number} z - Initial z coordinate
+     * @param {Object} options - Robot settings forwarded to the cube_robot constructor
+     * @returns {cube_robot} - Instance of the cube_robot class
+     */
+    function create_robots(x, y, z, options) {
+        return new cube_robot(x, y, z, options);
+    }
+
+    /**
+     * This function initializes the robots and place them in arbitrary position avoiding overlaps in the 3D field
+     * @param {Number} num_robots - Number of robots to be made
+     * @param {Object} options - Robot settings forwarded to the cube_robot constructor
+     * @param {seeded_random} random - Random number generator used for positions and directions
+     * @param {Object} spawn_area - Robots are placed within half_width (x) and half_depth (z) of the centre of the floor
+     * @param {Array} obstacles - Bodies already in the world, robots are not placed where they would overlap them
+     * @param {Number} spawn_height - Height of the bottom of the robots above the floor, robots spawned above it fall down
+     * @returns {Array} - Array contining every cube robot
+     */
+    function initialize_robots(num_robots, options, random, spawn_area = { half_width: 18, half_depth: 18 }, obstacles = [], spawn_height = 0) {
+
+        // Array holding all robots
+        const robot_array = [];
+
+        // Bodies already placed, only the ones sharing a cell with a new robot are checked for overlap
+        const placement_grid = new uniform_grid();
+        obstacles.forEach(body => placement_grid.insert(body, body.bounding_box));
+
+        const movement = [1, 2, 3, 4];
+
+        // Robots start resting on the floor, half their size above it, or that much above the spawn height
+        const robot_rest_height = (options.shape ? options.shape.size.y / 2 : 1) + spawn_height;
+
+        for (let i = 0; i < num_robots; i++) {
+            let valid_pos = false;
+            let attempts = 0;
+            let robot;
+
+            // Making robots within space delimiters and avoid overlap
+            while (!valid_pos) {
+                if (++attempts > MAX_PLACEMENT_ATTEMPTS) {
+                    throw new Error(`Could not place ${num_robots} robots without overlap, the arena is too small`);
+                }
+
+                const x = random.next() * spawn_area.half_width * 2 - spawn_area.half_width;
+                const z = random.next() * spawn_area.half_depth * 2 - spawn_area.half_depth;
+
+                robot = create_robots(x, robot_rest_height, z, options);
+                robot.name = `Robot ${i + 1}`;
+
+                // Overlap check, robots that overlap are discarded, the floor below a robot never counts
+                valid_pos = true;
+                placement_grid.query(robot.bounding_box, (current_body, current_box) => {
+                    if (robot.bounding_box.intersects_box(current_box)) {
+                        valid_pos = false;
+                    }
+                });
+            }
+
+            // Randomly assign an initial direction index to each robot
+            robot.index = movement[Math.floor(random.next() * movement.length)];
+
+            placement_grid.insert(robot, robot.bounding_box);
+            robot_array.push(robot);
+        }
+        return robot_array;
+    }
+
+    /**
+     * Helper function to create a wall, a static box standing on the floor
+     * @param {vector3} position - Centre of the base of the wall on the floor
+     * @param {vector3} size - Length (x), height (y) and thickness (z) of the wall
+     * @param {Number} yaw - Rotation of the wall about the vertical axis in radians
+     * @returns {shape_body} - Static body of the wall
+     */
+    function create_wall(position, size, yaw = 0) {
+        return new shape_body({
+            shape: new box_shape(size),
+            position: new vector3(position.x, position.y + size.y / 2, position.z),
+            orientation: new quaternion().set_from_axis_angle(WORLD_UP, yaw),
+            mass: Infinity
+        });
+    }
+
+    /**
+     * Helper function to create a ramp, a static slab tilted about its local x axis so it rises along -z before the yaw.
+     * The lower edge of its top surface rests on the floor at the given position
+     * @param {vector3} position - Centre of the lower edge of the ramp on the floor
+     * @param {vector3} size - Width (x), thickness (y) and length (z) of the slab
+     * @param {Number} angle - Slope of the ramp in radians
+     * @param {Number} yaw - Rotation of the ramp about the vertical axis in radians
+     * @returns {shape_body} - Static body of the ramp
+     */
+    function create_ramp(position, size, angle, yaw = 0) {
+        const orientation = new quaternion().set_from_axis_angle(WORLD_UP, yaw)
+            .multiply(new quaternion().set_from_axis_angle(new vector3(1, 0, 0), angle));
+
+        // From the lower edge of the top surface to the centre of the slab, in body coordinates
+        const center_offset = new vector3(0, -size.y / 2, -size.z / 2).apply_quaternion(orientation);
+        return new shape_body({
+            shape: new box_shape(size),
+            position: new vector3(position.x, position.y, position.z).add(center_offset),
+            orientation,
+            mass: Infinity
+        });
+    }
+
+    /**
+     * Helper function to find the direction index (1 to 4) closest to a direction of travel
+     * @param {vector3|null} direction - Direction on the floor plane
+     * @returns {Number} - Index of ROBOT_DIRECTIONS, 0 (no rolls) for null or a zero vector
+     */
+    function direction_to_index(direction) {
+        let best_index = 0;
+        let best_alignment = 0;
+        for (let index = 1; index <= 4; index++) {
+            const alignment = direction === null ? 0 : ROBOT_DIRECTIONS[index].dot(direction);
+            if (alignment > best_alignment) {
+                best_alignment = alignment;
+                best_index = index;
+            }
+        }
+        return best_index;
+    }
+
+    /**
+     * This function assigns each robot's initial direction based on their indices, sleeping robots are left alone
+     * @param {Array} robot_array - Array contining every cube robot
+     */
+    function assign_initial_direction(robot_array) {
+        for (let i = 0; i < robot_array.length; i++) {
+            const robot = robot_array[i];
+            if (robot.sleeping) {
+                continue;
+            }
+
+            switch (robot.index) {
+                case 1:
+                    robot.move_away();
+                    break;
+                case 2:
+                    robot.move_closer();
+                    break;
+                case 3:
+                    robot.move_left();
+                    break;
+                case 4:
+                    robot.move_right();
+                    break;
+                default:
+                    break;
+                }
+            }
+    }
+
+    /**
+     * This class is the headless simulation world.
+     * Owns every body (robots, free bodies and static obstacles) and advances the simulation one physics step at a time,
+     * without any rendering. Listeners subscribe to the events of the world with on (see step for the events).
+     *
+     * @param {Object} options - Optional settings:
+     * - {Number} num_robots - Number of robots to be made
+     * - {Number} mass - Mass of every robot in kilograms
+     * - {Number} piston_force - Piston output force of every robot in newtons
+     * - {Number} time_step - Duration of a physics step in seconds
+     * - {Number} seed - Seed of the random number generator, the same seed always replays the same run
+     * - {Object} material - Material of the robots and bodies without a material of their own (see create_material),
+     *   static and dynamic friction of 0.3 and restitution of 0.5 by default
+     * - {Number} restitution - Coefficient of restitution of that material, overrides the one of the material option
+     * - {Object} combine_rules - Rules combining the materials of two touching surfaces (see create_combine_rules),
+     *   the larger friction and the smaller restitution by default
+     * - {Object} arena - Arena settings (see the arena class): width, depth, walls, wall_height, wall_thickness,
+     *   floor_material and fall_limit
+     * - {String} broad_phase - 'grid' (default) or 'brute_force'
+     * - {box_shape} robot_shape - Body of every robot, the 2x2x2 cube by default
+     * - {Array} bodies - Other bodies of the world (shape_body), static obstacles have infinite mass
+     * - {Function} controller - Called with each robot, returns the controller assigned to it (see controllers.js)
+     * - {Number} spawn_height - Height above the floor at which robots are spawned, they drop from it (0 by default)
+     * - {Boolean} allow_sleep - Bodies at rest fall asleep until something wakes them (true by default)
+     * - {Boolean} warm_starting - The contact solver starts from the impulses of the previous step (true by default)
+     * - {Function} setup - Called with the world once its bodies are built, by the constructor and by every reset,
+     *   e.g. to put back the robots and the state of a loaded scenario (see load_scenario)
+     */
+    class simulation_world extends event_emitter {
+        constructor(options = {}) {
+            super();
+            this.options = options;
+            this.gravity = new vector3(0, -GRAVITY_ACCELERATION, 0);
+
+            // Starting pose of the bodies given in the options, they go back to it when the world is reset
+            this._initial_poses = new Map();
+
+            // Callbacks of the step, made once: the robots look for what their pistons touch and the grid checks each candidate
+            this._find_touched = (point, owner) => this.find_touched(point, owner);
+            this._touch_query = { point: null, owner: null, touched: null };
+            this._check_touched = body => this._check_touched_body(body);
+            this._check_neighbor = other => this._sense_neighbor(other);
+            this._sensing_robot = null;
+            this._build(options);
+        }
+
+        /**
+         * Creates the arena, the bodies and the robots of the world and starts the clock from 0
+         * @param {Object} options - Settings of the world (see the class)
+         */
+        _build(options) {
+            this.seed = (options.seed ?? random_seed()) >>> 0;
+            this.random = new seeded_random(this.seed);
+            this.time_step = options.time_step ?? 1 / 360;
+            this.material = create_material(Object.assign({}, options.material,
+                options.restitution !== undefined ? { restitution: options.restitution } : {}));
+            this.combine_rules = create_combine_rules(options.combine_rules);
+            this.arena = new arena(options.arena);
+            this.grid = options.broad_phase === 'brute_force' ? null : new uniform_grid();
+            this.collision_stats = { pairs_tested: 0, contacts: 0, sleeping: 0 };
+            this.mass = options.mass ?? 0.5;
+            this.piston_force = options.piston_force ?? 0;
+            this.spawn_height = Math.max(options.spawn_height ?? 0, 0);
+            this.allow_sleep = options.allow_sleep ?? true;
+            this.warm_starting = options.warm_starting ?? true;
+            this.steps = 0;
+            this.time = 0;
+
+            this.contacts = [];
+
+            // Contacts are written into one pool in one step and into the other in the next,
+            // the contacts of the last step stay as they were solved for warm starting
+            this._contact_pools = [[], []];
+
+            // Events of the step, names and data one after the other, and the roll phases of the robots before they roll
+            this._pending = [];
+            this._roll_phases = [];
+
+            // State sensed by the robots and its neighbour entries, reused by every call to sense,
+            // and the step the grid was last filled for sensing, -1 once bodies are added or removed
+            this._sensing_step = -1;
+            this._neighbor_pool = [];
+            this._sensed = {
+                time: 0,
+                random: null,
+                position: new vector3(),
+                orientation: new quaternion(),
+                velocity: new vector3(),
+                angular_velocity: new vector3(),
+                index: 0,
+                settled: false,
+                neighbors: [],
+                walls: WALL_NORMALS.map(normal => ({ normal, distance: 0 })),
+                arena: { half_width: 0, half_depth: 0, walls: false }
+            };
+
+            for (const body of options.bodies ?? []) {
+                const pose = this._initial_poses.get(body);
+                if (pose === undefined) {
+                    this._initial_poses.set(body, { position: body.position.clone(), orientation: body.orientation.clone() });
+                    continue;
+                }
+
+                body.position.copy(pose.position);
+                body.orientation.copy(pose.orientation);
+                body.translational_velocity.set(0, 0, 0);
+                body.angular_velocity.set(0, 0, 0);
+                body.clear_forces();
+                body.wake();
+                body.cached_contacts.length = 0;
+                body.update_derived();
+                body.update_bounding_box();
+                body.store_previous_pose();
+            }
+
+            // Robots spawn away from the edges of the floor and from the other bodies
+            const bodies = this.arena.walls.concat(options.bodies ?? []);
+            this.spawn_area = {
+                half_width: Math.max(this.arena.half_width - 2, 0),
+                half_depth: Math.max(this.arena.half_depth - 2, 0)
+            };
+            this.robots = initialize_robots(options.num_robots ?? 1, this.robot_options(), this.random, this.spawn_area, bodies,
+                this.spawn_height);
+
+            // Robots created so far, new robots are named after it
+            this.robot_count = this.robots.length;
+
+            // Every body of the world, arena walls first and robots last
+            this.bodies = bodies.concat(this.robots);
+
+            // Bodies that fell off the floor, no longer simulated
+            this.fallen = [];
+
+            // Pairs of bodies touching in the last step for the collision events, the pair of two bodies is found through
+            // the one with the lower id, then the other. The list of the pairs and the list of the next step swap every step
+            this._touching = new Map();
+            this._touching_pairs = [];
+            this._next_touching_pairs = [];
+            this._body_ids = new WeakMap();
+            this._next_body_id = 0;
+
+            if (options.controller) {
+                this.robots.forEach(robot => this.set_controller(robot, options.controller(robot)));
+            }
+            if (options.setup) {
+                options.setup(this);
+            }
+        }
+
+        /**
+         * Coefficient of restitution of the material of the world
+         * @returns {Number}
+         */
+        get restitution() {
+            return this.material.restitution;
+        }
+
+        /**
+         * Settings of the robots created by the world, from its current settings
+         * @returns {Object} - Options of the cube_robot constructor
+         */
+        robot_options() {
+            return {
+                mass: this.mass,
+                piston_force: this.piston_force,
+                time_step: this.time_step,
+                random: this.random,
+                shape: this.options.robot_shape
+            };
+        }
+
+        /**
+         * Starts the world again without creating a new one, listeners stay subscribed.
+         * The current settings (seed, mass, piston force, time step, materials, gravity, spawn height and sleeping) are kept unless overridden,
+         * the bodies given in the options go back to their starting pose and new robots are placed.
+         * A world loaded from a scenario starts it again (see load_scenario), reset({ setup: null, bodies: [] }) leaves it.
+         * Emits reset with the world once it is rebuilt
+         * @param {Object} options - Settings to change (see the class), a new seed gives a different run
+         */
+        reset(options = {}) {
+            const material = Object.assign({}, this.material, options.material);
+            if (options.restitution !== undefined) {
+                material.restitution = options.restitution;
+            }
+            this.options = Object.assign({}, this.options, {
+                seed: this.seed,
+                mass: this.mass,
+                piston_force: this.piston_force,
+                time_step: this.time_step,
+                spawn_height: this.spawn_height,
+                allow_sleep: this.allow_sleep,
+                warm_starting: this.warm_starting,
+                combine_rules: this.combine_rules,
+                arena: Object.assign({}, this.options.arena, { floor_material: this.arena.floor_material })
+            }, options, { material, restitution: material.restitution });
+            this._build(this.options);
+            this.emit('reset', this);
+        }
+
+        /**
+         * Places new robots at random positions of the floor, away from every other body, and spawn_height above it
+         * @param {Number} num_robots - Number of robots to be added
+         * @returns {Array} - The new robots
+         */
+        spawn_robots(num_robots) {
+            const robots = initialize_robots(num_robots, this.robot_options(), this.random, this.spawn_area, this.bodies,
+                this.spawn_height);
+            robots.forEach(robot => {
+                robot.name = `Robot ${++this.robot_count}`;
+                this.add_robot(robot);
+                if (this.options.controller) {
+                    this.set_controller(robot, this.options.controller(robot));
+                }
+            });
+            return robots;
+        }
+
+        /**
+         * Adds or removes robots until the world has the given number of them, the last robots are removed first
+         * @param {Number} num_robots - Number of robots wanted
+         */
+        set_robot_count(num_robots) {
+            if (num_robots > this.robots.length) {
+                this.spawn_robots(num_robots - this.robots.length);
+            }
+            while (this.robots.length > Math.max(num_robots, 0)) {
+                this.remove_body(this.robots[this.robots.length - 1]);
+            }
+        }
+
+        /**
+         * Takes a body (or robot) out of the world, the sleeping bodies touching it wake up and may fall.
+         * Emits body_removed with the body so views can dispose of it
+         * @param {shape_body} body - Body of the world
+         */
+        remove_body(body) {
+            if (!this.bodies.includes(body)) {
+                return;
+            }
+
+            this.wake_touching(body);
+            this.bodies = this.bodies.filter(current => current !== body);
+            this.robots = this.robots.filter(current => current !== body);
+            this._sensing_step = -1;
+            const pairs = this._touching_pairs;
+            for (let i = pairs.length - 1; i >= 0; i--) {
+                if (pairs[i].body_a === body || pairs[i].body_b === body) {
+                    this.forget_touching(pairs[i]);
+                    pairs.splice(i, 1);
+                }
+            }
+            this.emit('body_removed', { body });
+        }
+
+        /**
+         * Wakes the sleeping bodies whose bounding boxes touch a body
+         * @param {shape_body} body - Body of the world
+         */
+        wake_touching(body) {
+            for (const other of this.bodies) {
+                if (other.sleeping && other !== body && other.bounding_box.intersects_box(body.bounding_box)) {
+                    other.wake();
+                }
+            }
+        }
+
+        /**
+         * Id of a body, only used to order the pairs of touching bodies
+         * @param {shape_body} body - Body of the world
+         * @returns {Number}
+         */
+        body_id(body) {
+            let id = this._body_ids.get(body);
+            if (id === undefined) {
+                id = this._next_body_id++;
+                this._body_ids.set(body, id);
+            }
+            return id;
+        }
+
+        /**
+         * Pair of two touching bodies, kept from the step they start touching to the step they stop
+         * @param {shape_body} body_a - First body of the contact
+         * @param {shape_body} body_b - Second body of the contact
+         * @returns {Object} - Pair with body_a, body_b and step (the last step they touched in, null for a new pair)
+         */
+        touching_pair(body_a, body_b) {
+            const a_first = this.body_id(body_a) < this.body_id(body_b);
+            const first = a_first ? body_a : body_b;
+            const second = a_first ? body_b : body_a;
+
+            let partners = this._touching.get(first);
+            if (partners === undefined) {
+                partners = new Map();
+                this._touching.set(first, partners);
+            }
+            let pair = partners.get(second);
+            if (pair === undefined) {
+                pair = { body_a, body_b, step: null };
+                partners.set(second, pair);
+            }
+            return pair;
+        }
+
+        /**
+         * Drops a pair of bodies that stopped touching
+         * @param {Object} pair - Pair from touching_pair
+         */
+        forget_touching(pair) {
+            const a_first = this.body_id(pair.body_a) < this.body_id(pair.body_b);
+            const first = a_first ? pair.body_a : pair.body_b;
+            const partners = this._touching.get(first);
+            partners.delete(a_first ? pair.body_b : pair.body_a);
+            if (partners.size === 0) {
+                this._touching.delete(first);
+            }
+        }
+
+        /**
+         * Finds the collision events of the step from its contacts, floor contacts excluded:
+         * - collision_begin, collision_stay and collision_end between two moving bodies, with body_a, body_b,
+         *   normal (from body_a to body_b), point and depth of the deepest contact point, and relative_speed
+         *   (closing speed along the normal before the contact is solved, positive when approaching)
+         * - wall_hit when a moving body starts touching a wall or another static obstacle, with body, wall,
+         *   normal (from the wall to the body), point, depth and speed (closing speed along the normal)
+         * @param {Array} pending - Events of the step, receives the name and the data of each event one after the other
+         */
+        find_collision_events(pending) {
+            const ground = this.arena.ground;
+            const touching = this._next_touching_pairs;
+
+            for (const contact of this.contacts) {
+                const { body_a, body_b } = contact;
+                if (body_a === ground || body_b === ground || contact.points.length === 0) {
+                    continue;
+                }
+
+                const pair = this.touching_pair(body_a, body_b);
+                const began = pair.step !== this.steps - 1;
+                pair.body_a = body_a;
+                pair.body_b = body_b;
+                pair.step = this.steps;
+                touching.push(pair);
+
+                // Contacts that go on are only described when someone listens to them
+                if (!began && (body_a.is_static || body_b.is_static || !this.has_listeners('collision_stay'))) {
+                    continue;
+                }
+
+                const deepest = contact.points.reduce((a, b) => (b.depth > a.depth ? b : a));
+                const relative_speed = -body_b.velocity_at_point(deepest.point)
+                    .sub(body_a.velocity_at_point(deepest.point)).dot(contact.normal);
+
+                if (body_a.is_static || body_b.is_static) {
+                    const wall_first = body_a.is_static;
+                    pending.push('wall_hit', {
+                        body: wall_first ? body_b : body_a,
+                        wall: wall_first ? body_a : body_b,
+                        normal: wall_first ? contact.normal.clone() : contact.normal.clone().negate(),
+                        point: deepest.point.clone(),
+                        depth: deepest.depth,
+                        speed: relative_speed
+                    });
+                    continue;
+                }
+
+                pending.push(began ? 'collision_begin' : 'collision_stay', {
+                    body_a,
+                    body_b,
+                    normal: contact.normal.clone(),
+                    point: deepest.point.clone(),
+                    depth: deepest.depth,
+                    relative_speed
+                });
+            }
+
+            // Pairs of the last step that were not found again
+            const last = this._touching_pairs;
+            while (last.length > 0) {
+                const pair = last.pop();
+                if (pair.step === this.steps) {
+                    continue;
+                }
+
+                // Sleeping bodies are not tested against each other, they still touch
+                if (is_resting(pair.body_a) && is_resting(pair.body_b)) {
+                    pair.step = this.steps;
+                    touching.push(pair);
+                    continue;
+                }
+                this.forget_touching(pair);
+                if (!pair.body_a.is_static && !pair.body_b.is_static) {
+                    pending.push('collision_end', { body_a: pair.body_a, body_b: pair.body_b });
+                }
+            }
+            this._touching_pairs = touching;
+            this._next_touching_pairs = last;
+        }
+
+        /**
+         * Assigns a controller to a robot
+         * @param {cube_robot} robot - Robot of this world
+         * @param {controller|null} controller - Controller deciding where the robot goes, null restores the scripted rolls
+         */
+        set_controller(robot, controller) {
+            robot.controller = controller;
+        }
+
+        /**
+         * State sensed by a robot, given to its controller every step.
+         * Neighbours are found through the broad-phase grid. The state and its vectors are reused by the next call,
+         * controllers copy what they keep
+         * @param {cube_robot} robot - Robot of this world
+         * @returns {Object} - Sensed state:
+         * - {Number} time - Simulated time in seconds
+         * - {seeded_random} random - Random number generator of the world, keeps controllers deterministic
+         * - {vector3} position, velocity, angular_velocity - State of the robot
+         * - {quaternion} orientation - Orientation of the robot
+         * - {Number} index - Current direction index (0 when idle)
+         * - {Boolean} settled - The robot rests on a face, a good time to change direction
+         * - {Array} neighbors - Robots within SENSING_RADIUS, each with robot, offset (from this robot), distance and velocity
+         * - {Array} walls - Boundaries of the arena, each with normal (pointing into the arena) and distance
+         * - {Object} arena - half_width, half_depth and walls (true when the arena has walls)
+         */
+        sense(robot) {
+            const state = this._sensed;
+            empty_array(state.neighbors);
+            this._sensing_robot = robot;
+
+            if (this.grid) {
+
+                // The grid is refilled once per step, bodies have moved since the collisions of the last step
+                if (this._sensing_step !== this.steps) {
+                    fill_grid(this.grid, this.bodies);
+                    this._sensing_step = this.steps;
+                }
+
+                const box = scratch_sensing_box;
+                box.min.set(robot.position.x - SENSING_RADIUS, -Infinity, robot.position.z - SENSING_RADIUS);
+                box.max.set(robot.position.x + SENSING_RADIUS, Infinity, robot.position.z + SENSING_RADIUS);
+                this.grid.query(box, this._check_neighbor);
+            } else {
+                for (const other of this.robots) {
+                    this._sense_neighbor(other);
+                }
+            }
+            this._sensing_robot = null;
+
+            const arena = this.arena;
+            state.walls[0].distance = robot.position.x + arena.half_width;
+            state.walls[1].distance = arena.half_width - robot.position.x;
+            state.walls[2].distance = robot.position.z + arena.half_depth;
+            state.walls[3].distance = arena.half_depth - robot.position.z;
+
+            state.time = this.time;
+            state.random = this.random;
+            state.position.copy(robot.position);
+            state.orientation.copy(robot.orientation);
+            state.velocity.copy(robot.translational_velocity);
+            state.angular_velocity.copy(robot.angular_velocity);
+            state.index = robot.index;
+            state.settled = robot.roll_phase === 'push' && robot.compute_tilt() < robot.landing_angle;
+            state.arena.half_width = arena.half_width;
+            state.arena.half_depth = arena.half_depth;
+            state.arena.walls = arena.walls.length > 0;
+            return state;
+        }
+
+        /**
+         * Adds a body to the neighbours sensed by the robot being sensed when it is another robot close enough
+         * @param {shape_body} other - Body found near the robot
+         */
+        _sense_neighbor(other) {
+            const robot = this._sensing_robot;
+            const neighbors = this._sensed.neighbors;
+            if (other === robot || !(other instanceof cube_robot)) {
+                return;
+            }
+
+            // Neighbour entries are pooled, the pool only grows with the largest neighbourhood seen
+            if (this._neighbor_pool.length === neighbors.length) {
+                this._neighbor_pool.push({ robot: null, offset: new vector3(), distance: 0, velocity: new vector3() });
+            }
+            const neighbor = this._neighbor_pool[neighbors.length];
+            neighbor.offset.copy(other.position).sub(robot.position);
+            neighbor.offset.y = 0;
+            neighbor.distance = neighbor.offset.length();
+            if (neighbor.distance < SENSING_RADIUS) {
+                neighbor.robot = other;
+                neighbor.velocity.copy(other.translational_velocity);
+                neighbors.push(neighbor);
+            }
+        }
+
+        /**
+         * Runs the controller of every robot that has one and applies its commands
+         */
+        update_controllers() {
+            for (const robot of this.robots) {
+                if (robot.controller === null) {
+                    continue;
+                }
+
+                const commands = robot.controller.update(this.sense(robot));
+                if (commands === undefined || commands === null) {
+                    continue;
+                }
+                if (commands.direction !== undefined) {
+                    const index = direction_to_index(commands.direction);
+                    if (index !== robot.index) {
+                        robot.index = index;
+                        robot.wake();
+                    }
+                }
+                for (const piston of commands.pistons ?? NO_PISTONS) {
+                    robot.fire_piston(piston.name, piston);
+                }
+            }
+        }
+
+        /**
+         * Adds a body (free body or static obstacle) to the world. Emits body_added with the body
+         * @param {shape_body} body - Body to be added
+         * @returns {shape_body} - The added body
+         */
+        add_body(body) {
+            this.bodies.push(body);
+            this._sensing_step = -1;
+            this.emit('body_added', { body });
+            return body;
+        }
+
+        /**
+         * Adds a robot to the world, it shares the random number generator and the time step of the world.
+         * Emits body_added with the robot
+         * @param {cube_robot} robot - Robot to be added
+         * @returns {cube_robot} - The added robot
+         */
+        add_robot(robot) {
+            robot.random = this.random;
+            robot.time_step = this.time_step;
+            this.robots.push(robot);
+            this.bodies.push(robot);
+            this._sensing_step = -1;
+            this.emit('body_added', { body: robot });
+            return robot;
+        }
+
+        /**
+         * Updates the mass of every robot, or of a single one
+         * @param {Number} mass - Mass in kilograms
+         * @param {cube_robot} robot - Robot to be updated, every robot (and the robots added later) by default
+         */
+        set_mass(mass, robot = null) {
+            if (robot !== null) {
+                robot.set_mass(mass);
+                this.wake_touching(robot);
+                return;
+            }
+            this.mass = mass;
+            this.robots.forEach(current => current.set_mass(mass));
+            this.wake_all();
+        }
+
+        /**
+         * Updates the piston output force of every robot, or of a single one
+         * @param {Number} piston_force - Force in newtons
+         * @param {cube_robot} robot - Robot to be updated, every robot (and the robots added later) by default
+         */
+        set_piston_force(piston_force, robot = null) {
+            if (robot !== null) {
+                robot.piston_force = piston_force;
+                robot.wake();
+                return;
+            }
+            this.piston_force = piston_force;
+            this.robots.forEach(current => {
+                current.piston_force = piston_force;
+                current.wake();
+            });
+        }
+
+        /**
+         * Updates the gravity acceleration, it takes effect from the next step
+         * @param {vector3} gravity - Acceleration in m/s², (0, -9.8, 0) on Earth
+         */
+        set_gravity(gravity) {
+            this.gravity.copy(gravity);
+            this.wake_all();
+        }
+
+        /**
+         * Lets the bodies at rest fall asleep or keeps every body awake
+         * @param {Boolean} allow_sleep - Bodies at rest fall asleep
+         */
+        set_allow_sleep(allow_sleep) {
+            this.allow_sleep = allow_sleep;
+            if (!allow_sleep) {
+                this.wake_all();
+            }
+        }
+
+        /**
+         * Updates the height above the floor at which new robots are spawned, it takes effect for the robots spawned next
+         * @param {Number} spawn_height - Height in metres, 0 places the robots on the floor
+         */
+        set_spawn_height(spawn_height) {
+            this.spawn_height = Math.max(spawn_height, 0);
+        }
+
+        /**
+         * Wakes every sleeping body, used when a setting of the world changes how they move
+         */
+        wake_all() {
+            this.bodies.forEach(body => body.wake());
+        }
+
+        /**
+         * Updates the duration of a physics step of the world and its robots
+         * @param {Number} time_step - Duration in seconds, must be positive
+         */
+        set_time_step(time_step) {
+            if (!(time_step > 0)) {
+                throw new Error(`The time step must be positive, got ${time_step}`);
+            }
+            this.time_step = time_step;
+            this.robots.forEach(robot => { robot.time_step = time_step; });
+        }
+
+        /**
+         * Updates the coefficient of restitution of the material of the world
+         * @param {Number} restitution - Value between 0 (inelastic) and 1 (elastic)
+         */
+        set_restitution(restitution) {
+            this.material = create_material({ restitution }, this.material);
+        }
+
+        /**
+         * Updates the material of every robot, or of a single one. Every robot goes back to the material of the world,
+         * which the bodies without a material of their own share
+         * @param {Object} material - Coefficients to change: static_friction, dynamic_friction and restitution (see create_material)
+         * @param {cube_robot} robot - Robot to be updated, every robot (and the robots added later) by default
+         */
+        set_material(material, robot = null) {
+            if (robot !== null) {
+                robot.material = create_material(material, robot.material ?? this.material);
+                robot.wake();
+                return;
+            }
+            this.material = create_material(material, this.material);
+            this.robots.forEach(current => { current.material = null; });
+            this.wake_all();
+        }
+
+        /**
+         * Updates the material of the floor
+         * @param {Object} material - Coefficients to change: static_friction, dynamic_friction and restitution (see create_material)
+         */
+        set_floor_material(material) {
+            this.arena.floor_material = create_material(material, this.arena.floor_material);
+            this.wake_all();
+        }
+
+        /**
+         * Updates the rules combining the materials of two touching surfaces
+         * @param {Object} rules - Rules to change: friction and restitution, each one of 'average', 'geometric', 'min', 'max' or 'multiply'
+         */
+        set_combine_rules(rules) {
+            this.combine_rules = create_combine_rules(Object.assign({}, this.combine_rules, rules));
+            this.wake_all();
+        }
+
+        /**
+         * Body touched by a point, used for the tips of the pistons
+         * @param {vector3} point - Point in world coordinates
+         * @param {shape_body} owner - Body the point belongs to, never reported
+         * @returns {shape_body|null} - Touched body, the ground when the point is in the floor, null otherwise
+         */
+        find_touched(point, owner) {
+            if (this.arena.ground.collider.contains_point(point)) {
+                return this.arena.ground;
+            }
+
+            const point_box = scratch_point_box;
+            point_box.min.copy(point);
+            point_box.max.copy(point);
+            const query = this._touch_query;
+            query.point = point;
+            query.owner = owner;
+            query.touched = null;
+
+            // The grid still holds the bounding boxes of the previous step, close enough for a single point
+            if (this.grid) {
+                this.grid.query(point_box, this._check_touched);
+            } else {
+                for (const body of this.bodies) {
+                    this._check_touched_body(body);
+                }
+            }
+
+            const touched = query.touched;
+            query.point = null;
+            query.owner = null;
+            query.touched = null;
+            return touched;
+        }
+
+        /**
+         * Keeps the first body of a find_touched query that contains its point
+         * @param {shape_body} body - Body near the point
+         */
+        _check_touched_body(body) {
+            const query = this._touch_query;
+            if (query.touched === null && body !== query.owner && body.bounding_box.intersects_box(scratch_point_box)
+                && body.collider.contains_point(query.point)) {
+                query.touched = body;
+            }
+        }
+
+        /**
+         * Advances the world by a single physics step (semi-implicit Euler):
+         * piston forces, velocities, contacts solved on the new velocities, then positions.
+         * Sleeping bodies are neither integrated nor tested against each other, a force or a velocity given to them,
+         * or anything that keeps them from sleeping (see can_sleep), wakes them up.
+         * The events of the step are emitted once the step is complete:
+         * - collision_begin, collision_stay, collision_end and wall_hit (see find_collision_events)
+         * - tipped_over when a robot crosses its tipping point, landed when it rests on its next face,
+         *   both with robot and index (direction of the roll)
+         * - fallen with the body that fell off the floor
+         * - step with the world, after every other event
+         */
+        step() {
+            const time_step = this.time_step;
+
+            // A listener may step the world again, the events of this step are the ones from here on
+            const pending = this._pending;
+            const first_event = pending.length;
+
+            for (const body of this.bodies) {
+                body.store_previous_pose();
+            }
+            this.update_controllers();
+
+            // A sleeping robot given a direction, a piston force or a firing piston since the last step wakes up
+            for (const body of this.bodies) {
+                if (body.sleeping && !body.can_sleep()) {
+                    body.wake();
+                }
+            }
+
+            const roll_phases = this._roll_phases;
+            empty_array(roll_phases);
+            for (const robot of this.robots) {
+                roll_phases.push(robot.roll_phase);
+            }
+            assign_initial_direction(this.robots);
+            for (let i = 0; i < this.robots.length; i++) {
+                const robot = this.robots[i];
+                if (robot.roll_phase !== roll_phases[i]) {
+                    pending.push(robot.roll_phase === 'tipping' ? 'tipped_over' : 'landed', { robot, index: robot.index });
+                }
+            }
+            for (const robot of this.robots) {
+                robot.update_actuators(time_step, this._find_touched);
+            }
+            for (const body of this.bodies) {
+                if (body.sleeping && body.is_disturbed()) {
+                    body.wake();
+                }
+                if (!body.sleeping) {
+                    body.integrate_velocity(time_step, this.gravity);
+                }
+            }
+
+            empty_array(this.contacts);
+            collision_detection(this.bodies, this, this.contacts, this.collision_stats, this._contact_pools[this.steps % 2]);
+            turn_around_obstacles(this.contacts);
+            this.find_collision_events(pending);
+            this.warm_start_contacts();
+            solve_contacts(this.contacts, time_step);
+            this.cache_contacts();
+            update_contact_states(this.robots, this.contacts);
+
+            for (const body of this.bodies) {
+                if (body.is_static || body.sleeping) {
+                    continue;
+                }
+                body.integrate_position(time_step);
+                body.clear_forces();
+                body.update_bounding_box();
+            }
+            if (this.allow_sleep) {
+                this.update_sleep(time_step);
+            }
+
+            // Bodies that fell off an arena without walls are taken out of the world
+            if (this.has_fallen_bodies()) {
+                const fallen = this.bodies.filter(body => body.position.y < this.arena.fall_limit);
+                fallen.forEach(body => pending.push('fallen', { body }));
+                this.fallen.push(...fallen);
+                this.bodies = this.bodies.filter(body => body.position.y >= this.arena.fall_limit);
+                this.robots = this.robots.filter(robot => robot.position.y >= this.arena.fall_limit);
+            }
+
+            this.steps++;
+            this.time += this.time_step;
+
+            for (let i = first_event; i < pending.length; i += 2) {
+                this.emit(pending[i], pending[i + 1]);
+            }
+            while (pending.length > first_event) {
+                pending.pop();
+            }
+            this.emit('step', this);
+        }
+
+        /**
+         * Checks if a body fell below the fall limit of the arena in the step
+         * @returns {Boolean}
+         */
+        has_fallen_bodies() {
+            for (const body of this.bodies) {
+                if (body.position.y < this.arena.fall_limit) {
+                    return true;
+                }
+            }
+            return false;
+        }
+
+        /**
+         * Puts to sleep the bodies that have been still for long enough. Touching bodies fall asleep together:
+         * a body that is not ready keeps awake every body it touches, and the bodies touching those
+         * @param {Number} time_step - Duration of the step in seconds
+         */
+        update_sleep(time_step) {
+            let num_sleepy = 0;
+            let num_restless = 0;
+            for (const body of this.bodies) {
+                body.restless = false;
+                if (body.is_static || body.sleeping) {
+                    continue;
+                }
+                body.update_still_time(time_step);
+                if (body.is_sleepy()) {
+                    num_sleepy++;
+                } else {
+                    body.restless = true;
+                    num_restless++;
+                }
+            }
+            if (num_sleepy === 0) {
+                return;
+            }
+
+            let changed = num_restless > 0;
+            while (changed) {
+                changed = false;
+                for (const { body_a, body_b } of this.contacts) {
+                    if (body_a.restless === body_b.restless) {
+                        continue;
+                    }
+                    const calm = body_a.restless ? body_b : body_a;
+                    if (!calm.is_static) {
+                        calm.restless = true;
+                        changed = true;
+                    }
+                }
+            }
+            for (const body of this.bodies) {
+                if (!body.is_static && !body.sleeping && !body.restless) {
+                    body.sleep();
+                }
+            }
+        }
+
+        /**
+         * Gives each contact of the step the same contact solved in the last step, the solver starts from its impulses
+         */
+        warm_start_contacts() {
+            for (const contact of this.contacts) {
+                contact.cached = null;
+                const cached = contact.body_b.cached_contacts;
+                for (let i = 0; this.warm_starting && i < cached.length; i += 2) {
+                    if (cached[i] === contact.body_a) {
+                        contact.cached = cached[i + 1];
+                        break;
+                    }
+                }
+            }
+        }
+
+        /**
+         * Keeps the solved contacts of the step for the next one, with the second body of each contact
+         */
+        cache_contacts() {
+            for (const body of this.bodies) {
+                empty_array(body.cached_contacts);
+            }
+            if (!this.warm_starting) {
+                return;
+            }
+            for (const contact of this.contacts) {
+                contact.cached = null;
+                contact.body_b.cached_contacts.push(contact.body_a, contact);
+            }
+        }
+
+        /**
+         * Advances the world by a number of physics steps
+         * @param {Number} num_steps - Number of steps to run
+         */
+        advance(num_steps) {
+            for (let i = 0; i < num_steps; i++) {
+                this.step();
+            }
+        }
+    }
+
+    return {
+        GRAVITY_ACCELERATION,
+        ROBOT_DIRECTIONS,
+        shape_body,
+        cube_robot,
+        arena,
+        collision_detection,
+        turn_around_obstacles,
+        update_contact_states,
+        update_robot_index,
+        direction_to_index,
+        create_robots,
+        create_wall,
+        create_ramp,
+        initialize_robots,
+        assign_initial_direction,
+        simulation_world
+    };
+}));
@@ -0,0 +1,103 @@
+/**
+ * File: simulation_loop.js
+ * Project: 3D Rigid Body Physics Engine - Collisions and Motion
+ * Description: Fixed-timestep stepper for the simulation world.
+ * Converts elapsed wall-clock time into a whole number of physics steps, independent of the display refresh rate,
+ * and provides pause, resume, single-step and time-scale controls
+ * Author: Alberto Chavez Garcia
+ * Created: October 19, 2026
+ * Last Modified: October 19, 2026
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        Object.assign(root, factory());
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+
+    /**
+     * This class drives a simulation world with an accumulator.
+     * Every frame the elapsed time is added to the accumulator and consumed in fixed time_step substeps,
+     * the leftover fraction is exposed as alpha so the view can interpolate between the last two physics states
+     *
+     * @param {simulation_world} world - World being stepped
+     * @param {Object} options - Optional settings:
+     * - {Number} max_frame_time - Longest elapsed time accepted per frame in seconds, anything above is dropped (stalls, hidden tabs)
+     * - {Number} max_steps_per_frame - Upper bound of substeps run in a single frame
+     * - {Number} time_scale - Simulated seconds per real second (below 1 is slow motion, above 1 fast forward)
+     */
+    class fixed_step_loop {
+        constructor(world, options = {}) {
+            this.world = world;
+            this.max_frame_time = options.max_frame_time ?? 0.25;
+            this.max_steps_per_frame = options.max_steps_per_frame ?? 240;
+            this.time_scale = options.time_scale ?? 1;
+
+            this.accumulator = 0;
+            this.alpha = 0;
+            this.paused = false;
+        }
+
+        /**
+         * Runs as many fixed substeps as the elapsed time allows
+         * @param {Number} elapsed_seconds - Real time since the previous frame
+         * @returns {Number} - Number of physics steps run this frame
+         */
+        advance(elapsed_seconds) {
+            if (this.paused) {
+                return 0;
+            }
+
+            const time_step = this.world.time_step;
+            this.accumulator += Math.min(Math.max(elapsed_seconds, 0), this.max_frame_time) * this.time_scale;
+
+            let num_steps = Math.floor(this.accumulator / time_step);
+
+            // Clamp after a stall, the time that could not be simulated is dropped instead of carried over
+            if (num_steps > this.max_steps_per_frame) {
+                num_steps = this.max_steps_per_frame;
+                this.accumulator = num_steps * time_step;
+            }
+
+            this.world.advance(num_steps);
+            this.accumulator -= num_steps * time_step;
+            this.alpha = this.accumulator / time_step;
+
+            return num_steps;
+        }
+
+        pause() {
+            this.paused = true;
+        }
+
+        resume() {
+            this.paused = false;
+        }
+
+        /**
+         * Runs exactly one physics step, only while paused
+         */
+        single_step() {
+            if (!this.paused) {
+                return;
+            }
+            this.world.step();
+            this.accumulator = 0;
+            this.alpha = 1;
+        }
+
+        /**
+         * Updates the simulated seconds per real second
+         * @param {Number} time_scale - New time scale, must be positive
+         */
+        set_time_scale(time_scale) {
+            if (time_scale > 0) {
+                this.time_scale = time_scale;
+            }
+        }
+    }
+
+    return { fixed_step_loop };
+}));
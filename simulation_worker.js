@@ -0,0 +1,228 @@
+/**
+ * File: simulation_worker.js
+ * Project: 3D Rigid Body Physics Engine - Collisions and Motion
+ * Description: Simulation backend running the world in a dedicated thread, a browser Web Worker or a Node worker_threads worker.
+ * Steps the world with its own fixed-timestep loop, streams the state of the bodies back as transferable Float32Array frames
+ * and applies the parameter changes received as messages. The main thread side is worker_world.js
+ * Author: Alberto Chavez Garcia
+ * Created: October 19, 2026
+ * Last Modified: October 19, 2026
+ */
+
+// Inside a browser worker the modules are loaded as scripts, Node requires them below
+if (typeof importScripts === 'function') {
+    importScripts(
+        'vector_math.js', 'random.js', 'rigid_body.js', 'broad_phase.js', 'collision.js', 'shapes.js', 'contact_solver.js',
+        'controllers.js', 'events.js', 'materials.js', 'simulation.js', 'scenario.js', 'simulation_loop.js', 'worker_protocol.js'
+    );
+}
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./scenario.js'), require('./simulation_loop.js'), require('./worker_protocol.js'));
+    } else {
+        Object.assign(root, factory(root, root, root));
+    }
+}(typeof self !== 'undefined' ? self : this, function (scenario, simulation_loop, protocol) {
+
+    const { save_robot, save_body, save_scenario, load_scenario, restore_scenario } = scenario;
+    const { fixed_step_loop } = simulation_loop;
+    const { STRUCTURAL_EVENTS, FORWARDED_EVENTS, WORKER_METHODS, frame_length, write_frame, encode_value, decode_value } = protocol;
+
+    /**
+     * This class owns the world of the worker and answers the messages of the main thread:
+     * - load { scenario, options, reset_options } builds the world from a scenario, options are passed to load_scenario.
+     *   reset_options replace the settings of the world for its resets, a world built from settings does not go back to the scenario
+     * - restore { scenario } puts the world in the state of a scenario (see restore_scenario), resets start it again
+     * - advance { elapsed } runs the steps of elapsed seconds with the loop, run { steps } runs a number of steps,
+     *   single_step runs one step while paused, each one answered with a frame
+     * - pause, resume and set_time_scale { time_scale } drive the loop
+     * - call { method, args } calls a method of the world (see WORKER_METHODS), bodies are given by index
+     * - subscribe { event } forwards an event of the world (see FORWARDED_EVENTS)
+     * - save answers a scenario message with the current state of the world
+     * Frame messages hold steps, time, alpha, collision_stats, the events since the last message and the packed bodies (see write_frame).
+     * Events changing the bodies are always sent, so both threads keep the same bodies in the same order.
+     * A message carrying a buffer gets it back filled with the frame, the same memory travels back and forth
+     *
+     * @param {Function} post - Posts a message to the main thread, called with the message and the list of buffers to transfer
+     */
+    class simulation_host {
+        constructor(post) {
+            this.post = post;
+            this.world = null;
+            this.loop = null;
+
+            // Bodies as the main thread knows them, the index of a body in events is its index here
+            this._order = [];
+            this._indices = null;
+            this._events = [];
+            this._subscribed = new Set();
+        }
+
+        /**
+         * Handles a message of the main thread, a failing message is answered with an error message
+         * @param {Object} message - Message with a type and an optional request id
+         */
+        handle(message) {
+            try {
+                this._handle(message);
+            } catch (error) {
+                this.post({ type: 'error', id: message.id ?? null, message: error.message }, []);
+            }
+
+            // Events raised outside of a frame, for instance by a call, are sent straight away
+            if (this._events.length > 0) {
+                this.post({ type: 'events', events: this._take_events() }, []);
+            }
+        }
+
+        _handle(message) {
+            if (message.type !== 'load' && this.world === null) {
+                throw new Error('The simulation worker has no world, load one first');
+            }
+
+            switch (message.type) {
+                case 'load':
+                    this._load(message.scenario, message.options ?? {});
+                    Object.assign(this.world.options, message.reset_options);
+                    break;
+                case 'restore':
+                    restore_scenario(this.world, message.scenario);
+                    break;
+                case 'advance':
+                    this.loop.advance(message.elapsed);
+                    this._post_frame(message);
+                    break;
+                case 'run':
+                    this.world.advance(message.steps);
+                    this.loop.alpha = 1;
+                    this._post_frame(message);
+                    break;
+                case 'single_step':
+                    this.loop.single_step();
+                    this._post_frame(message);
+                    break;
+                case 'pause':
+                    this.loop.pause();
+                    break;
+                case 'resume':
+                    this.loop.resume();
+                    break;
+                case 'set_time_scale':
+                    this.loop.set_time_scale(message.time_scale);
+                    break;
+                case 'call':
+                    this._call(message.method, message.args ?? []);
+                    break;
+                case 'subscribe':
+                    this._subscribe(message.event);
+                    break;
+                case 'save':
+                    this.post({ type: 'scenario', id: message.id ?? null, scenario: save_scenario(this.world) }, []);
+                    break;
+                default:
+                    throw new Error(`Unknown message type: ${message.type}`);
+            }
+        }
+
+        _load(scenario, options) {
+            this.world = load_scenario(scenario, options);
+            this.loop = new fixed_step_loop(this.world);
+            this._order = this.world.bodies.slice();
+            this._indices = null;
+            this._subscribed.clear();
+
+            const world = this.world;
+            world.on('body_added', ({ body }) => {
+                this._order.push(body);
+                this._indices = null;
+                const is_robot = world.robots.includes(body);
+                this._events.push(['body_added', { robot: is_robot, entry: is_robot ? save_robot(body) : save_body(body) }]);
+            });
+            for (const event of ['body_removed', 'fallen']) {
+                world.on(event, ({ body }) => {
+                    const index = this._index_of(body);
+                    this._order.splice(index, 1);
+                    this._indices = null;
+                    this._events.push([event, { index }]);
+                });
+            }
+            world.on('reset', () => {
+                this._order = world.bodies.slice();
+                this._indices = null;
+                this._events.push(['reset', { scenario: save_scenario(world) }]);
+            });
+        }
+
+        _call(method, args) {
+            if (!WORKER_METHODS.includes(method)) {
+                throw new Error(`The world method ${method} cannot be called from the main thread`);
+            }
+            this.world[method](...args.map(arg => decode_value(arg, index => this._order[index])));
+        }
+
+        _subscribe(event) {
+            if (!FORWARDED_EVENTS.includes(event) || this._subscribed.has(event)) {
+                return;
+            }
+            this._subscribed.add(event);
+            this.world.on(event, data => this._events.push([event, encode_value(data, body => this._index_of(body))]));
+        }
+
+        /**
+         * Index of a body among the bodies known to the main thread, -1 when it is not one of them
+         */
+        _index_of(body) {
+            if (this._indices === null) {
+                this._indices = new Map(this._order.map((current, index) => [current, index]));
+            }
+            return this._indices.get(body) ?? -1;
+        }
+
+        _take_events() {
+            const events = this._events;
+            this._events = [];
+            return events;
+        }
+
+        /**
+         * Answers a message with the current frame, written into the buffer of the message when it is large enough
+         * @param {Object} message - Message being answered, may carry an ArrayBuffer as buffer
+         */
+        _post_frame(message) {
+            const world = this.world;
+            const length = frame_length(world);
+            const buffer = message.buffer !== undefined && message.buffer.byteLength >= length * Float32Array.BYTES_PER_ELEMENT
+                ? message.buffer
+                : new ArrayBuffer(length * Float32Array.BYTES_PER_ELEMENT);
+            write_frame(world, new Float32Array(buffer, 0, length));
+
+            this.post({
+                type: 'frame',
+                id: message.id ?? null,
+                steps: world.steps,
+                time: world.time,
+                alpha: this.loop.alpha,
+                paused: this.loop.paused,
+                collision_stats: world.collision_stats,
+                events: this._take_events(),
+                length,
+                buffer
+            }, [buffer]);
+        }
+    }
+
+    return { simulation_host };
+}));
+
+// Started as a worker: browser workers load this file as a script, Node workers are created with workerData.simulation_worker
+if (typeof importScripts === 'function') {
+    const host = new simulation_host((message, transfer) => self.postMessage(message, transfer));
+    self.onmessage = event => host.handle(event.data);
+} else if (typeof module === 'object' && module.exports) {
+    const { parentPort, workerData } = require('worker_threads');
+    if (parentPort !== null && workerData?.simulation_worker) {
+        const host = new module.exports.simulation_host((message, transfer) => parentPort.postMessage(message, transfer));
+        parentPort.on('message', message => host.handle(message));
+    }
+}
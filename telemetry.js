@@ -0,0 +1,275 @@
+/**
+ * File: telemetry.js
+ * Project: 3D Rigid Body Physics Engine - Collisions and Motion
+ * Description: Live telemetry for the ThreeJS view including:
+ * A HUD with the simulation time, steps per second, robot count, collision pairs and sleeping bodies of the last step, energy and momentum,
+ * Diagnostics charting the energy and momentum and listing the issues found, and an inspector for the robot clicked in the scene with its state and sparkline charts of its recent history
+ * Author: Alberto Chavez Garcia
+ * Created: October 19, 2026
+ * Last Modified: October 19, 2026
+ */
+
+// Samples kept by each sparkline, one per animation frame in which the world moved
+const SPARKLINE_SAMPLES = 120;
+
+// Seconds over which the steps per second are measured
+const STEP_RATE_WINDOW = 0.5;
+
+// Issues listed by the diagnostics panel, older issues are dropped first
+const LISTED_ISSUES = 20;
+
+/**
+ * This class draws the recent history of a value as a line on a small canvas, scaled to its minimum and maximum
+ *
+ * @param {HTMLCanvasElement} canvas - Canvas the line is drawn on
+ * @param {Number} capacity - Number of samples kept, older samples are dropped first
+ */
+class sparkline {
+    constructor(canvas, capacity = SPARKLINE_SAMPLES) {
+        this.canvas = canvas;
+        this.context = canvas.getContext('2d');
+        this.capacity = capacity;
+        this.samples = [];
+    }
+
+    push(value) {
+        this.samples.push(value);
+        if (this.samples.length > this.capacity) {
+            this.samples.shift();
+        }
+    }
+
+    clear() {
+        this.samples.length = 0;
+        this.draw();
+    }
+
+    draw() {
+        const { canvas, context, samples } = this;
+        context.clearRect(0, 0, canvas.width, canvas.height);
+        if (samples.length < 2) {
+            return;
+        }
+
+        const min = Math.min(...samples);
+        const max = Math.max(...samples);
+        const range = max - min || 1;
+        const x_step = canvas.width / (this.capacity - 1);
+
+        context.strokeStyle = '#4caf50';
+        context.lineWidth = 1;
+        context.beginPath();
+        samples.forEach((value, i) => {
+            const x = i * x_step;
+            const y = canvas.height - 1 - (value - min) / range * (canvas.height - 2);
+            if (i === 0) {
+                context.moveTo(x, y);
+            } else {
+                context.lineTo(x, y);
+            }
+        });
+        context.stroke();
+    }
+}
+
+/**
+ * Helper function to format a vector with a fixed number of decimals
+ * @param {vector3} vector - Vector to be formatted
+ * @returns {String} - (x, y, z)
+ */
+function format_vector(vector) {
+    return `(${vector.x.toFixed(3)}, ${vector.y.toFixed(3)}, ${vector.z.toFixed(3)})`;
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    const world = physicsEngine.world;
+
+    // HUD
+    const hud_time = document.getElementById('hud_time');
+    const hud_step_rate = document.getElementById('hud_step_rate');
+    const hud_robots = document.getElementById('hud_robots');
+    const hud_pairs_tested = document.getElementById('hud_pairs_tested');
+    const hud_contacts = document.getElementById('hud_contacts');
+    const hud_sleeping = document.getElementById('hud_sleeping');
+    const hud_kinetic_energy = document.getElementById('hud_kinetic_energy');
+    const hud_potential_energy = document.getElementById('hud_potential_energy');
+    const hud_linear_momentum = document.getElementById('hud_linear_momentum');
+    const hud_angular_momentum = document.getElementById('hud_angular_momentum');
+    let rate_start_time = performance.now();
+    let rate_start_steps = world.steps;
+
+    // A reset or an imported scenario moves the step count back, the step rate is measured again from there
+    world.on('reset', () => {
+        rate_start_time = performance.now();
+        rate_start_steps = world.steps;
+    });
+
+    function update_hud(now) {
+        const elapsed = (now - rate_start_time) / 1000;
+        if (elapsed >= STEP_RATE_WINDOW) {
+            hud_step_rate.textContent = Math.round((world.steps - rate_start_steps) / elapsed);
+            rate_start_time = now;
+            rate_start_steps = world.steps;
+        }
+
+        hud_time.textContent = world.time.toFixed(2);
+        hud_robots.textContent = world.robots.length;
+        hud_pairs_tested.textContent = world.collision_stats.pairs_tested;
+        hud_contacts.textContent = world.collision_stats.contacts;
+        hud_sleeping.textContent = world.collision_stats.sleeping;
+
+        // The monitor already measured the last step while diagnostics are enabled
+        const sample = (diagnostics_toggle.checked ? monitor.latest : null) ?? measure_world(world);
+        hud_kinetic_energy.textContent = sample.kinetic.toFixed(2);
+        hud_potential_energy.textContent = sample.potential.toFixed(2);
+        hud_linear_momentum.textContent = sample.linear_momentum.length().toFixed(2);
+        hud_angular_momentum.textContent = sample.angular_momentum.length().toFixed(2);
+    }
+
+    // Diagnostics watch every step while enabled, issues are also written to the console
+    const monitor = new diagnostics_monitor(world, { log: true });
+    const diagnostics_toggle = document.getElementById('diagnostics_toggle');
+    const diagnostics_panel = document.getElementById('diagnostics');
+    const issue_count = document.getElementById('diagnostics_issue_count');
+    const issue_list = document.getElementById('diagnostics_issues');
+
+    const diagnostic_charts = {
+        total_energy: sample => sample.total,
+        kinetic_energy: sample => sample.kinetic,
+        linear_momentum: sample => sample.linear_momentum.length(),
+        angular_momentum: sample => sample.angular_momentum.length()
+    };
+    const diagnostic_sparklines = {};
+    Object.keys(diagnostic_charts).forEach(chart => {
+        diagnostic_sparklines[chart] = new sparkline(document.getElementById(`sparkline_${chart}`));
+    });
+    let last_diagnostic_step = null;
+
+    function clear_diagnostics() {
+        last_diagnostic_step = null;
+        issue_list.replaceChildren();
+        issue_count.textContent = 0;
+        Object.values(diagnostic_sparklines).forEach(chart => chart.clear());
+    }
+
+    monitor.on('issue', issue => {
+        const item = document.createElement('li');
+        item.textContent = format_issue(issue);
+        issue_list.prepend(item);
+        if (issue_list.children.length > LISTED_ISSUES) {
+            issue_list.lastChild.remove();
+        }
+        issue_count.textContent = monitor.issue_count;
+    });
+    world.on('reset', clear_diagnostics);
+
+    diagnostics_toggle.addEventListener('change', () => {
+        diagnostics_panel.hidden = !diagnostics_toggle.checked;
+        if (diagnostics_toggle.checked) {
+            monitor.clear();
+            clear_diagnostics();
+            monitor.start();
+        } else {
+            monitor.stop();
+        }
+    });
+
+    // Charts take the latest sample once per frame, like the inspector
+    function update_diagnostics() {
+        const sample = monitor.latest;
+        if (sample !== null && sample.step !== last_diagnostic_step) {
+            last_diagnostic_step = sample.step;
+            Object.entries(diagnostic_charts).forEach(([chart, value]) => diagnostic_sparklines[chart].push(value(sample)));
+        }
+        Object.values(diagnostic_sparklines).forEach(chart => chart.draw());
+    }
+
+    // Inspector of the clicked robot, vectors are charted by their magnitude
+    const inspector = document.getElementById('inspector');
+    const fields = {};
+    ['name', 'direction', 'mass', 'contact_state', 'rotation', 'tilt', 'angular_velocity', 'translational_velocity', 'torque', 'torque_grav']
+        .forEach(field => { fields[field] = document.getElementById(`inspector_${field}`); });
+
+    const charts = {
+        tilt: robot => robot.compute_tilt() * 180 / Math.PI,
+        angular_velocity: robot => robot.angular_velocity.length(),
+        translational_velocity: robot => robot.translational_velocity.length(),
+        torque: robot => robot.torque.length(),
+        torque_grav: robot => robot.torque_grav.length()
+    };
+    const sparklines = {};
+    Object.keys(charts).forEach(chart => {
+        sparklines[chart] = new sparkline(document.getElementById(`sparkline_${chart}`));
+    });
+
+    const euler = new THREE.Euler();
+    const rotation = new THREE.Quaternion();
+    let selected_robot = null;
+    let last_sample = null;
+
+    // The selected robot is also the target of the sliders when they apply to the selected robot only
+    function select_robot(robot) {
+        selected_robot = robot;
+        physicsEngine.selected_robot = robot;
+        last_sample = null;
+        inspector.hidden = robot === null;
+        Object.values(sparklines).forEach(chart => chart.clear());
+        document.dispatchEvent(new CustomEvent('robot_selected', { detail: robot }));
+    }
+
+    // Robots taken out of the world can no longer be inspected
+    const deselect_removed = ({ body }) => {
+        if (body === selected_robot) {
+            select_robot(null);
+        }
+    };
+    world.on('body_removed', deselect_removed);
+    world.on('fallen', deselect_removed);
+    world.on('reset', () => select_robot(null));
+
+    function update_inspector() {
+        const robot = selected_robot;
+        const orientation = robot.orientation;
+        rotation.set(orientation.x, orientation.y, orientation.z, orientation.w);
+        euler.setFromQuaternion(rotation);
+
+        fields.name.textContent = robot.name;
+        fields.direction.textContent = `${robot.index} (${DIRECTION_NAMES[robot.index] ?? 'none'})`;
+        fields.mass.textContent = `${(robot.mass * 1000).toFixed(0)} g`;
+        fields.contact_state.textContent = robot.contact_state;
+        fields.rotation.textContent = `(${[euler.x, euler.y, euler.z].map(angle => (angle * 180 / Math.PI).toFixed(1)).join(', ')})°`;
+        fields.tilt.textContent = `${charts.tilt(robot).toFixed(1)}°`;
+        fields.angular_velocity.textContent = format_vector(robot.angular_velocity);
+        fields.translational_velocity.textContent = format_vector(robot.translational_velocity);
+        fields.torque.textContent = format_vector(robot.torque);
+        fields.torque_grav.textContent = format_vector(robot.torque_grav);
+
+        // Charts only move when the robot does, a paused world keeps its history
+        const sample = `${robot.position.x},${robot.position.y},${robot.position.z},${orientation.w}`;
+        if (sample !== last_sample) {
+            last_sample = sample;
+            Object.entries(charts).forEach(([chart, value]) => sparklines[chart].push(value(robot)));
+        }
+        Object.values(sparklines).forEach(chart => chart.draw());
+    }
+
+    physicsEngine.canvas.addEventListener('click', event => {
+        select_robot(physicsEngine.pick_robot(event.clientX, event.clientY));
+    });
+
+    document.getElementById('inspector_close_button').addEventListener('click', () => {
+        select_robot(null);
+    });
+
+    function refresh(now) {
+        requestAnimationFrame(refresh);
+        update_hud(now);
+        if (diagnostics_toggle.checked) {
+            update_diagnostics();
+        }
+        if (selected_robot !== null) {
+            update_inspector();
+        }
+    }
+    requestAnimationFrame(refresh);
+});
@@ -0,0 +1,97 @@
+/**
+ * File: broad_phase.test.js
+ * Project: 3D Rigid Body Physics Engine - Collisions and Motion
+ * Description: Checks the uniform grid of the broad phase against the brute-force pair enumeration it replaces,
+ * on seeded random layouts of boxes of every size, including boxes wider than a cell and on negative coordinates.
+ * Run with: node --test tests/
+ * Author: Alberto Chavez Garcia
+ * Created: October 19, 2026
+ * Last Modified: October 19, 2026
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { vector3, box3 } = require('../vector_math.js');
+const { seeded_random } = require('../random.js');
+const { uniform_grid, brute_force_pairs } = require('../broad_phase.js');
+
+/**
+ * Helper function to scatter boxes standing on the floor of a square area
+ * @param {Number} seed - Seed of the layout
+ * @param {Number} count - Number of boxes
+ * @param {Number} half_extent - Half the side of the area
+ * @param {Number} max_size - Largest side of a box
+ * @returns {Array} - Items of the form { id, box }
+ */
+function random_layout(seed, count, half_extent, max_size) {
+    const random = new seeded_random(seed);
+    const items = [];
+    for (let id = 0; id < count; id++) {
+        const x = (random.next() * 2 - 1) * half_extent;
+        const z = (random.next() * 2 - 1) * half_extent;
+        const size_x = 0.1 + random.next() * max_size;
+        const size_z = 0.1 + random.next() * max_size;
+        items.push({ id, box: new box3(new vector3(x, 0, z), new vector3(x + size_x, 2, z + size_z)) });
+    }
+    return items;
+}
+
+/**
+ * Helper function to list the overlapping pairs reported by a pair enumeration, as sorted "id_a-id_b" keys
+ * @param {Function} enumerate - Called with a callback receiving (item_a, item_b)
+ * @returns {Array} - Keys of the pairs whose boxes overlap
+ */
+function overlapping_pairs(enumerate) {
+    const keys = [];
+    enumerate((item_a, item_b) => {
+        if (item_a.box.intersects_box(item_b.box)) {
+            keys.push(`${Math.min(item_a.id, item_b.id)}-${Math.max(item_a.id, item_b.id)}`);
+        }
+    });
+    return keys.sort();
+}
+
+test('the grid finds the same overlapping pairs as the brute-force enumeration', () => {
+    for (const [seed, count, half_extent, max_size, cell_size] of [
+        [1, 60, 20, 3, 4],
+        [2, 200, 20, 2, 4],
+        [3, 80, 10, 9, 2],
+        [4, 40, 5, 1, 0.5]
+    ]) {
+        const items = random_layout(seed, count, half_extent, max_size);
+        const grid = new uniform_grid(cell_size);
+        items.forEach(item => grid.insert(item, item.box));
+
+        const brute_force = overlapping_pairs(callback => brute_force_pairs(items, callback));
+        const from_grid = overlapping_pairs(callback => grid.find_pairs(callback));
+        assert.ok(brute_force.length > 0, `layout ${seed} should have overlapping boxes`);
+        assert.deepEqual(from_grid, brute_force, `layout ${seed}`);
+
+        // Every candidate pair is reported once
+        let candidates = 0;
+        const unique = new Set();
+        grid.find_pairs((item_a, item_b) => {
+            candidates++;
+            unique.add(`${item_a.id}-${item_b.id}`);
+        });
+        assert.equal(unique.size, candidates, `layout ${seed}`);
+    }
+});
+
+test('a query reaches every item whose box overlaps the query box, once', () => {
+    const items = random_layout(5, 100, 20, 3);
+    const grid = new uniform_grid(4);
+    items.forEach(item => grid.insert(item, item.box));
+
+    const query_box = new box3(new vector3(-6, 0, -3), new vector3(2, 2, 7));
+    const reached = [];
+    grid.query(query_box, item => reached.push(item));
+    assert.equal(new Set(reached).size, reached.length, 'every item is reported once');
+
+    const expected = items.filter(item => item.box.intersects_box(query_box));
+    assert.ok(expected.length > 0);
+    expected.forEach(item => assert.ok(reached.includes(item), `box ${item.id} should be reached`));
+
+    grid.clear();
+    grid.query(query_box, () => assert.fail('a cleared grid holds no items'));
+});
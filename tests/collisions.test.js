@@ -0,0 +1,168 @@
+/**
+ * File: collisions.test.js
+ * Project: 3D Rigid Body Physics Engine - Collisions and Motion
+ * Description: Checks the collisions of the simulation world including:
+ * Symmetry of head-on collisions, Robots never passing through each other, Containment inside the ±20 arena,
+ * and Momentum and Energy bookkeeping of collisions against their analytic values.
+ * Run with: node --test tests/
+ * Author: Alberto Chavez Garcia
+ * Created: October 19, 2026
+ * Last Modified: October 19, 2026
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { vector3 } = require('../vector_math.js');
+const { cube_robot, simulation_world } = require('../simulation.js');
+const { assert_close, empty_world } = require('./helpers.js');
+
+// Robots collide for a simulated second, far longer than any contact lasts
+const COLLISION_STEPS = 360;
+
+/**
+ * Helper function to build a world without gravity and two idle robots flying towards each other above the floor,
+ * so only their collision changes their motion
+ * @param {Object} options - Settings of the collision:
+ * - {Number} restitution - Coefficient of restitution of the world
+ * - {Number} speed - Speed of each robot towards the other
+ * - {Number} offset - Sideways offset between the paths of the robots, 0 for a head-on collision
+ * - {Boolean} swapped - Adds the second robot first
+ * @returns {Object} - The world and both robots, robot_a starts on the -x side
+ */
+function collision_world(options = {}) {
+    const speed = options.speed ?? 3;
+    const offset = options.offset ?? 0;
+
+    const world = empty_world({ restitution: options.restitution ?? 1, arena: { walls: false } });
+    world.set_gravity(new vector3(0, 0, 0));
+
+    const robot_a = new cube_robot(-3, 5, -offset / 2);
+    const robot_b = new cube_robot(3, 5, offset / 2);
+    robot_a.translational_velocity.set(speed, 0, 0);
+    robot_b.translational_velocity.set(-speed, 0, 0);
+    (options.swapped ? [robot_b, robot_a] : [robot_a, robot_b]).forEach(robot => {
+        world.add_robot(robot);
+        robot.index = 0;
+    });
+    return { world, robot_a, robot_b };
+}
+
+/**
+ * Helper functions for the bookkeeping of a group of bodies: total linear momentum,
+ * total angular momentum about the origin and total kinetic energy (translational and rotational)
+ */
+function linear_momentum(bodies) {
+    return bodies.reduce((total, body) => total.add(body.translational_velocity.clone().multiply_scalar(body.mass)),
+        new vector3(0, 0, 0));
+}
+
+function angular_momentum(bodies) {
+    return bodies.reduce((total, body) => {
+        const orbital = body.position.clone().cross(body.translational_velocity.clone().multiply_scalar(body.mass));
+        const spin = world_inertia_times(body, body.angular_velocity);
+        return total.add(orbital).add(spin);
+    }, new vector3(0, 0, 0));
+}
+
+function kinetic_energy(bodies) {
+    return bodies.reduce((total, body) => total
+        + 0.5 * body.mass * body.translational_velocity.length_sq()
+        + 0.5 * body.angular_velocity.dot(world_inertia_times(body, body.angular_velocity)), 0);
+}
+
+// Inertia tensor in world coordinates times a vector, R I Rᵀ v
+function world_inertia_times(body, vector) {
+    const local = vector.clone().apply_quaternion(body.orientation.clone().conjugate());
+    local.set(local.x * body.inertia.x, local.y * body.inertia.y, local.z * body.inertia.z);
+    return local.apply_quaternion(body.orientation);
+}
+
+test('a head-on collision is symmetric and never lets a robot pass through the other', () => {
+    const { world, robot_a, robot_b } = collision_world();
+    let closest = Infinity;
+    world.on('step', () => { closest = Math.min(closest, robot_b.position.x - robot_a.position.x); });
+    world.advance(COLLISION_STEPS);
+
+    // Both robots bounce back with mirrored velocities and positions
+    assert_close(robot_a.translational_velocity.x, -robot_b.translational_velocity.x, 1e-9, 'velocity');
+    assert_close(robot_a.position.x, -robot_b.position.x, 1e-9, 'position');
+    assert.ok(robot_a.translational_velocity.x < 0 && robot_b.translational_velocity.x > 0, 'the robots did not bounce');
+
+    // The cubes are 2 units wide, they only overlap by the penetration the solver tolerates
+    assert.ok(closest > 2 - 0.05, `centres came within ${closest}`);
+});
+
+test('the order in which the robots were added does not change a collision', () => {
+    const first = collision_world({ offset: 0.5 });
+    const second = collision_world({ offset: 0.5, swapped: true });
+    first.world.advance(COLLISION_STEPS);
+    second.world.advance(COLLISION_STEPS);
+
+    for (const robot of ['robot_a', 'robot_b']) {
+        for (const axis of ['x', 'y', 'z']) {
+            assert_close(first[robot].position[axis], second[robot].position[axis], 1e-6, `${robot}.position.${axis}`);
+            assert_close(first[robot].translational_velocity[axis], second[robot].translational_velocity[axis], 1e-6,
+                `${robot}.translational_velocity.${axis}`);
+        }
+    }
+});
+
+test('robots separate at the speed given by the coefficient of restitution', () => {
+    for (const restitution of [0.5, 1]) {
+        const { world, robot_a, robot_b } = collision_world({ restitution });
+        const energy_before = kinetic_energy([robot_a, robot_b]);
+        world.advance(COLLISION_STEPS);
+
+        // Equal masses meeting head on: each robot leaves at restitution times its speed, keeping restitution² of the energy
+        const separation_speed = robot_b.translational_velocity.x - robot_a.translational_velocity.x;
+        assert_close(separation_speed, restitution * 6, 1e-6, `separation speed with restitution ${restitution}`);
+        assert_close(kinetic_energy([robot_a, robot_b]), restitution * restitution * energy_before, 1e-6,
+            `kinetic energy with restitution ${restitution}`);
+    }
+});
+
+test('collisions conserve linear and angular momentum and never create energy', () => {
+    for (const restitution of [0, 0.5, 1]) {
+        const { world, robot_a, robot_b } = collision_world({ restitution, offset: 1 });
+        const robots = [robot_a, robot_b];
+        const momentum_before = linear_momentum(robots);
+        const angular_before = angular_momentum(robots);
+        const energy_before = kinetic_energy(robots);
+        world.advance(COLLISION_STEPS);
+
+        // The glancing collision spins both robots, but only moves momentum between them
+        assert.ok(robot_a.angular_velocity.length() > 0, 'the robots did not spin');
+        const momentum_after = linear_momentum(robots);
+        const angular_after = angular_momentum(robots);
+        for (const axis of ['x', 'y', 'z']) {
+            assert_close(momentum_after[axis], momentum_before[axis], 1e-9, `linear momentum ${axis}`);
+            assert_close(angular_after[axis], angular_before[axis], 1e-6, `angular momentum ${axis}`);
+        }
+        assert.ok(kinetic_energy(robots) <= energy_before * (1 + 1e-6),
+            `energy grew from ${energy_before} to ${kinetic_energy(robots)} with restitution ${restitution}`);
+    }
+});
+
+test('rolling robots stay inside the ±20 arena and never pass through each other', () => {
+    const world = new simulation_world({ num_robots: 20, seed: 2023, piston_force: 6 });
+    const half_size = 1;
+    let deepest = 0;
+    let farthest = 0;
+
+    world.on('step', () => {
+        for (const contact of world.contacts) {
+            if (contact.body_a instanceof cube_robot && contact.body_b instanceof cube_robot) {
+                contact.points.forEach(point => { deepest = Math.max(deepest, point.depth); });
+            }
+        }
+        for (const robot of world.robots) {
+            farthest = Math.max(farthest, Math.abs(robot.position.x), Math.abs(robot.position.z));
+        }
+    });
+    world.advance(2160);
+
+    assert.equal(world.robots.length, 20);
+    assert.equal(world.fallen.length, 0);
+    assert.ok(farthest <= 20 - half_size + 0.05, `a robot reached ${farthest}`);
+    assert.ok(deepest < half_size / 2, `robots overlapped by ${deepest}`);
+});
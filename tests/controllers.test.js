@@ -0,0 +1,116 @@
+/**
+ * File: controllers.test.js
+ * Project: 3D Rigid Body Physics Engine - Collisions and Motion
+ * Description: Checks the robot controllers: random walks repeat for a seed and walk on from a saved scenario,
+ * goal seeking reaches its cell, and the neighbours sensed by a robot for flocking.
+ * Run with: node --test tests/
+ * Author: Alberto Chavez Garcia
+ * Created: October 19, 2026
+ * Last Modified: October 19, 2026
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { cube_robot, simulation_world } = require('../simulation.js');
+const { create_controller, goal_seeking_controller, flocking_controller } = require('../controllers.js');
+const { save_scenario, load_scenario } = require('../scenario.js');
+const { empty_world } = require('./helpers.js');
+
+/**
+ * Helper function to build a world of robots on random walks.
+ * Warm starting is off, the impulses it keeps are not saved and a loaded scenario would drift from the original
+ * @param {Number} seed - Seed of the world
+ * @returns {simulation_world} - The world
+ */
+function random_walk_world(seed) {
+    return new simulation_world({
+        num_robots: 6,
+        seed,
+        piston_force: 6,
+        warm_starting: false,
+        controller: () => create_controller('random_walk')
+    });
+}
+
+/**
+ * Helper function to list the positions of the robots of a world
+ * @returns {Array} - [x, y, z] of every robot
+ */
+function robot_positions(world) {
+    return world.robots.map(robot => [robot.position.x, robot.position.y, robot.position.z]);
+}
+
+test('random walks are the same for the same seed and walk on from a saved scenario', () => {
+    const first = random_walk_world(7);
+    const second = random_walk_world(7);
+    const other = random_walk_world(8);
+    first.advance(1500);
+    second.advance(1500);
+    other.advance(1500);
+    assert.deepEqual(robot_positions(first), robot_positions(second));
+    assert.notDeepEqual(robot_positions(first), robot_positions(other));
+    assert.ok(first.robots.some(robot => robot.controller.direction !== null));
+
+    // The timers of the walks are saved, the loaded world picks the same directions at the same times
+    const loaded = load_scenario(JSON.parse(JSON.stringify(save_scenario(first))));
+    assert.equal(loaded.time, first.time);
+    loaded.robots.forEach((robot, i) => {
+        assert.equal(robot.controller.change_time, first.robots[i].controller.change_time);
+        assert.equal(robot.controller.direction, first.robots[i].controller.direction);
+    });
+    first.advance(1500);
+    loaded.advance(1500);
+    assert.deepEqual(robot_positions(loaded), robot_positions(first));
+});
+
+test('goal seeking rolls a robot to its cell and stops there', () => {
+    const world = empty_world({ piston_force: 6 });
+    const robot = world.add_robot(new cube_robot(0, 1, 0, { piston_force: 6 }));
+    const seeker = new goal_seeking_controller({ cell: [13, 7] });
+    world.set_controller(robot, seeker);
+
+    // The target lies on a diagonal of the start, the robot has to turn on its way
+    const target = seeker.target(world.arena);
+    assert.deepEqual([target.x, target.z], [7, -5]);
+    world.advance(7200);
+
+    assert.ok(seeker.reached, `the robot stopped at ${robot.position.x}, ${robot.position.z}`);
+    assert.ok(Math.abs(robot.position.x - target.x) <= seeker.tolerance);
+    assert.ok(Math.abs(robot.position.z - target.z) <= seeker.tolerance);
+    assert.equal(robot.index, 0);
+});
+
+test('a robot senses the robots within its sensing radius and flocks away from the closest ones', () => {
+    const layouts = ['grid', 'brute_force'].map(broad_phase => {
+        const world = empty_world({ broad_phase });
+        [[0, 0], [2.1, 0], [-5, 5], [7.9, 0], [0, -8.1], [12, 12], [-3, -3.5]].forEach(([x, z]) => {
+            world.add_robot(new cube_robot(x, 1, z));
+        });
+        world.set_controller(world.robots[0], new flocking_controller());
+        return world;
+    });
+
+    for (const world of layouts) {
+        const [robot] = world.robots;
+        const state = world.sense(robot);
+        const sensed = state.neighbors.map(neighbor => world.robots.indexOf(neighbor.robot)).sort();
+        assert.deepEqual(sensed, [1, 2, 3, 6], `${world.grid ? 'grid' : 'brute force'} neighbours`);
+
+        state.neighbors.forEach(neighbor => {
+            const offset = neighbor.robot.position.clone().sub(robot.position);
+            assert.ok(Math.abs(neighbor.distance - Math.hypot(offset.x, offset.z)) < 1e-9);
+        });
+        assert.equal(state.walls.length, 4);
+
+        // The closest neighbour, 2.1 m away along +x, pushes the robot towards -x
+        const heading = world.robots[0].controller.steering(state);
+        assert.ok(heading.x < 0, `heading ${heading.x}, ${heading.z}`);
+    }
+
+    // The sensed state is reused from one robot to the next, and follows the robots added to the world
+    const [world] = layouts;
+    assert.equal(world.sense(world.robots[1]), world.sense(world.robots[0]));
+    assert.equal(world.sense(world.robots[5]).neighbors.length, 0);
+    const visitor = world.add_robot(new cube_robot(10, 1, 10));
+    assert.deepEqual(world.sense(world.robots[5]).neighbors.map(neighbor => neighbor.robot), [visitor]);
+});
@@ -0,0 +1,120 @@
+/**
+ * File: diagnostics.test.js
+ * Project: 3D Rigid Body Physics Engine - Collisions and Motion
+ * Description: Checks the energy and momentum measured by the diagnostics against analytic values,
+ * the energy kept by the integrator in free fall, and the issues flagged by the diagnostics monitor.
+ * Run with: node --test tests/
+ * Author: Alberto Chavez Garcia
+ * Created: October 19, 2026
+ * Last Modified: October 19, 2026
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { vector3, quaternion } = require('../vector_math.js');
+const { box_shape } = require('../shapes.js');
+const { shape_body, cube_robot, simulation_world, GRAVITY_ACCELERATION } = require('../simulation.js');
+const { measure_world, diagnostics_monitor } = require('../diagnostics.js');
+const { assert_close, empty_world } = require('./helpers.js');
+
+/**
+ * Helper function to build a world without robots holding a single free box
+ * @param {vector3} position - Position of the box
+ * @returns {Object} - The world and the box, a 1 x 2 x 3 box of 2 kg
+ */
+function single_box_world(position) {
+    const box = new shape_body({ shape: new box_shape(new vector3(1, 2, 3)), position, mass: 2 });
+    const world = empty_world({ bodies: [box] });
+    return { world, box };
+}
+
+test('measure_world gives the analytic energy and momentum of a moving, spinning body', () => {
+    const { world, box } = single_box_world(new vector3(1, 4, 0));
+    box.translational_velocity.set(3, 0, 4);
+    box.angular_velocity.set(0, 2, 0);
+    const sample = measure_world(world);
+
+    // Spinning about its local y axis, the moment of inertia is m * (x² + z²) / 12
+    const inertia_y = 2 * (1 + 9) / 12;
+    assert_close(sample.translational, 0.5 * 2 * 25, 1e-9, 'translational');
+    assert_close(sample.rotational, 0.5 * inertia_y * 4, 1e-9, 'rotational');
+    assert_close(sample.potential, 2 * GRAVITY_ACCELERATION * 4, 1e-9, 'potential');
+    assert_close(sample.total, sample.kinetic + sample.potential, 1e-9, 'total');
+
+    // Orbital part r × m v about the origin plus the spin
+    assert_close(sample.linear_momentum.x, 6, 1e-9, 'linear momentum x');
+    assert_close(sample.linear_momentum.z, 8, 1e-9, 'linear momentum z');
+    const orbital = new vector3(1, 4, 0).cross(new vector3(6, 0, 8));
+    assert_close(sample.angular_momentum.x, orbital.x, 1e-9, 'angular momentum x');
+    assert_close(sample.angular_momentum.y, orbital.y + inertia_y * 2, 1e-9, 'angular momentum y');
+    assert_close(sample.angular_momentum.z, orbital.z, 1e-9, 'angular momentum z');
+});
+
+test('the rotational energy of a body does not depend on its orientation', () => {
+    const { world, box } = single_box_world(new vector3(0, 4, 0));
+    box.orientation.copy(new quaternion().set_from_axis_angle(new vector3(1, 0, 0), Math.PI / 2));
+    box.update_derived();
+
+    // Spinning about the world z axis, which is the local y axis of the turned box
+    box.angular_velocity.set(0, 0, 2);
+    assert_close(measure_world(world).rotational, 0.5 * (2 * (1 + 9) / 12) * 4, 1e-9, 'rotational');
+});
+
+test('a body in free fall keeps its total energy', () => {
+    const { world, box } = single_box_world(new vector3(0, 20, 0));
+    const energy_before = measure_world(world).total;
+
+    // Half a second of fall, far from the floor
+    world.advance(180);
+    const sample = measure_world(world);
+    assert.ok(box.position.y > 5);
+    assert.ok(sample.kinetic > 0);
+    assert_close(sample.total, energy_before, energy_before * 0.01, 'total energy');
+});
+
+test('the monitor samples every step and forgets them on reset', () => {
+    const world = new simulation_world({ num_robots: 3, seed: 2023, piston_force: 6 });
+    const monitor = new diagnostics_monitor(world, { max_samples: 50 });
+    const samples = [];
+    monitor.on('sample', sample => samples.push(sample));
+    monitor.start();
+    world.advance(100);
+
+    assert.equal(samples.length, 101);
+    assert.equal(monitor.samples.length, 50);
+    assert.equal(monitor.latest.step, 100);
+    assert.equal(monitor.issue_count, 0);
+
+    world.reset();
+    assert.equal(monitor.samples.length, 0);
+    monitor.stop();
+    world.advance(10);
+    assert.equal(monitor.samples.length, 0);
+});
+
+test('the monitor flags NaNs, energy blow-ups and escaped bodies once each', () => {
+    const world = empty_world();
+    const robot = world.add_robot(new cube_robot(0, 1, 0));
+    robot.index = 0;
+    const monitor = new diagnostics_monitor(world);
+    monitor.start();
+    world.advance(10);
+    assert.equal(monitor.issue_count, 0);
+
+    // A sudden kick is a blow-up, reported once while the body keeps its energy
+    robot.translational_velocity.set(0, 100, 0);
+    world.advance(10);
+    assert.deepEqual(monitor.issues.map(issue => issue.type), ['energy_blowup']);
+    assert.equal(monitor.issues[0].body, robot);
+
+    robot.translational_velocity.set(0, 0, 0);
+    robot.position.set(25, 1, 0);
+    world.step();
+    assert.deepEqual(monitor.issues.map(issue => issue.type), ['energy_blowup', 'escaped']);
+
+    robot.position.x = NaN;
+    world.step();
+    assert.equal(monitor.issues[monitor.issues.length - 1].type, 'nan');
+    world.step();
+    assert.equal(monitor.issue_count, 3);
+});
@@ -0,0 +1,118 @@
+/**
+ * File: events.test.js
+ * Project: 3D Rigid Body Physics Engine - Collisions and Motion
+ * Description: Checks the event emitter (on, once, off and the unsubscribe function it hands back)
+ * and the order in which the world emits the collision_begin, collision_stay, collision_end, wall_hit and step events.
+ * Run with: node --test tests/
+ * Author: Alberto Chavez Garcia
+ * Created: October 19, 2026
+ * Last Modified: October 19, 2026
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { vector3 } = require('../vector_math.js');
+const { cube_robot } = require('../simulation.js');
+const { event_emitter } = require('../events.js');
+const { empty_world } = require('./helpers.js');
+
+/**
+ * Helper function to record the events of a world, each as [step, name]
+ * @param {simulation_world} world - World to be listened to
+ * @param {Array} names - Names of the events
+ * @returns {Array} - Events recorded so far, filled as the world steps
+ */
+function record_events(world, names) {
+    const log = [];
+    names.forEach(name => world.on(name, () => log.push([world.steps, name])));
+    return log;
+}
+
+test('listeners are called in the order they were added until they unsubscribe', () => {
+    const emitter = new event_emitter();
+    const calls = [];
+    const first = data => calls.push(['first', data]);
+    emitter.on('ping', first);
+    const unsubscribe = emitter.on('ping', data => calls.push(['second', data]));
+    emitter.once('ping', data => calls.push(['once', data]));
+    assert.ok(emitter.has_listeners('ping'));
+    assert.ok(!emitter.has_listeners('pong'));
+
+    emitter.emit('ping', 1);
+    assert.deepEqual(calls, [['first', 1], ['second', 1], ['once', 1]]);
+
+    // once listeners are gone after their event, unsubscribed ones after their call
+    unsubscribe();
+    emitter.emit('ping', 2);
+    assert.deepEqual(calls.slice(3), [['first', 2]]);
+
+    emitter.off('ping', first);
+    emitter.off('ping', first);
+    emitter.off('pong', first);
+    emitter.emit('ping', 3);
+    emitter.emit('pong', 3);
+    assert.equal(calls.length, 4);
+    assert.ok(!emitter.has_listeners('ping'));
+
+    // A listener removing another one during an emit does not skip or repeat anyone
+    const order = [];
+    const late = () => order.push('late');
+    emitter.on('ping', () => {
+        order.push('early');
+        emitter.off('ping', late);
+    });
+    emitter.on('ping', late);
+    emitter.emit('ping');
+    emitter.emit('ping');
+    assert.deepEqual(order, ['early', 'late', 'early']);
+});
+
+test('a collision begins once, stays while the robots touch and ends once, before the step event of its step', () => {
+    const world = empty_world({ restitution: 0, arena: { walls: false } });
+    world.set_gravity(new vector3(0, 0, 0));
+    const robot_a = world.add_robot(new cube_robot(-1.5, 5, 0));
+    const robot_b = world.add_robot(new cube_robot(1.5, 5, 0));
+    robot_a.index = 0;
+    robot_b.index = 0;
+    robot_a.translational_velocity.set(3, 0, 0);
+    robot_b.translational_velocity.set(-1, 0, 0);
+
+    const log = record_events(world, ['collision_begin', 'collision_stay', 'collision_end', 'step']);
+    world.advance(240);
+
+    const collisions = log.filter(([, name]) => name !== 'step').map(([, name]) => name);
+    const began = collisions.indexOf('collision_begin');
+    const ended = collisions.indexOf('collision_end');
+    assert.equal(collisions.filter(name => name === 'collision_begin').length, 1);
+    assert.equal(collisions.filter(name => name === 'collision_end').length, 1);
+    assert.ok(began === 0 && ended === collisions.length - 1);
+    assert.ok(collisions.slice(began + 1, ended).every(name => name === 'collision_stay'));
+    assert.ok(ended - began > 2, 'the robots should stay in contact for a few steps');
+
+    // Every step ends with its step event, after the events of that step
+    for (let i = 0; i < log.length; i++) {
+        const [steps, name] = log[i];
+        if (name !== 'step') {
+            assert.deepEqual(log.find(([, other_name], j) => j > i && other_name === 'step'), [steps, 'step']);
+        }
+    }
+    assert.equal(log.filter(([, name]) => name === 'step').length, 240);
+});
+
+test('a robot sliding into a wall hits it once and starts no collision', () => {
+    const world = empty_world({ restitution: 0 });
+    const robot = world.add_robot(new cube_robot(world.arena.half_width - 4, 1, 0));
+    robot.index = 0;
+    robot.translational_velocity.set(10, 0, 0);
+
+    const hits = [];
+    world.on('wall_hit', hit => hits.push(hit));
+    const log = record_events(world, ['wall_hit', 'collision_begin', 'collision_stay', 'collision_end']);
+    world.advance(240);
+
+    assert.deepEqual(log.map(([, name]) => name), ['wall_hit']);
+    assert.equal(hits[0].body, robot);
+    assert.ok(hits[0].wall.is_static);
+    assert.ok(hits[0].normal.x < -0.99, 'the normal points from the wall into the arena');
+    assert.ok(hits[0].speed > 0);
+});
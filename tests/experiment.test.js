@@ -0,0 +1,125 @@
+/**
+ * File: experiment.test.js
+ * Project: 3D Rigid Body Physics Engine - Collisions and Motion
+ * Description: Checks the expansion of experiment sweeps, the metrics measured during a run against the events of the world,
+ * the CSV and JSON results, and that a run gives the same metrics every time.
+ * Run with: node --test tests/
+ * Author: Alberto Chavez Garcia
+ * Created: October 19, 2026
+ * Last Modified: October 19, 2026
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { simulation_world } = require('../simulation.js');
+const { CSV_COLUMNS, expand_sweep, experiment_metrics, run_experiment, run_sweep, results_to_csv, results_to_json } = require('../experiment.js');
+
+test('expand_sweep gives every combination of the swept values, the last parameters varying fastest', () => {
+    const runs = expand_sweep({ num_robots: [2, 4], piston_force: 6, mass: [0.5, 1], seed: [1, 2, 3], steps: 100 });
+    assert.equal(runs.length, 2 * 2 * 3);
+    assert.deepEqual(runs.map(run => run.run), runs.map((_, index) => index));
+    assert.deepEqual(runs.slice(0, 4).map(run => [run.num_robots, run.mass, run.seed]), [[2, 0.5, 1], [2, 0.5, 2], [2, 0.5, 3], [2, 1, 1]]);
+    assert.ok(runs.every(run => run.piston_force === 6 && run.steps === 100));
+
+    assert.throws(() => expand_sweep({ num_robots: [] }), /num_robots/);
+    assert.throws(() => expand_sweep({ mass: ['heavy'] }), /mass/);
+    assert.throws(() => expand_sweep({ steps: 0 }), /steps/);
+    assert.throws(() => expand_sweep({ mass: [0.5, 0] }), /^Error: mass must be a positive number, got 0/);
+    assert.throws(() => expand_sweep({ mass: -1 }), /mass must be a positive number, got -1/);
+    assert.throws(() => expand_sweep({ num_robots: [2.5] }), /^Error: num_robots must be a non-negative integer, got 2.5/);
+    assert.throws(() => expand_sweep({ num_robots: -3 }), /num_robots must be a non-negative integer/);
+    assert.throws(() => expand_sweep({ piston_force: -2 }), /piston_force must be a number of at least 0/);
+});
+
+test('experiment_metrics counts the collisions, boundary hits and rolls of the world', () => {
+    const world = new simulation_world({ num_robots: 8, seed: 7, piston_force: 8, arena: { width: 12, depth: 12 } });
+    const counts = { collisions: 0, boundary_hits: 0, rolls: 0 };
+    world.on('collision_begin', () => counts.collisions++);
+    world.on('wall_hit', ({ wall }) => {
+        if (world.arena.walls.includes(wall)) {
+            counts.boundary_hits++;
+        }
+    });
+    world.on('tipped_over', () => counts.rolls++);
+
+    const metrics = new experiment_metrics(world);
+    metrics.start();
+    world.advance(1440);
+    metrics.stop();
+    world.advance(10);
+
+    const summary = metrics.summary();
+    assert.ok(counts.collisions > 0 && counts.boundary_hits > 0, 'the crowded arena should see collisions and boundary hits');
+    assert.ok(summary.collisions <= counts.collisions && summary.boundary_hits <= counts.boundary_hits);
+    assert.equal(summary.duration, 1440 * world.time_step);
+
+    // Each collision involves one or two robots, each boundary hit exactly one
+    const robots = metrics.robots();
+    assert.equal(robots.length, 8);
+    assert.equal(robots.reduce((total, robot) => total + robot.boundary_hits, 0), summary.boundary_hits);
+    assert.equal(robots.reduce((total, robot) => total + robot.rolls, 0), summary.rolls);
+    const robot_collisions = robots.reduce((total, robot) => total + robot.collisions, 0);
+    assert.ok(robot_collisions >= summary.collisions && robot_collisions <= 2 * summary.collisions);
+
+    for (const robot of robots) {
+        assert.ok(robot.distance > 0, `${robot.name} should have moved`);
+        assert.ok(robot.tipping_time >= 0 && robot.tipping_time <= summary.duration);
+    }
+    assert.ok(summary.min_distance <= summary.mean_distance && summary.mean_distance <= summary.max_distance);
+    assert.ok(summary.tipping_fraction > 0 && summary.tipping_fraction < 1);
+});
+
+test('a robot lying still travels no distance and spends no time tipping', () => {
+    const world = new simulation_world({ num_robots: 1, seed: 2023, piston_force: 0 });
+    const metrics = new experiment_metrics(world);
+    metrics.start();
+    world.advance(360);
+
+    const [robot] = metrics.robots();
+    assert.ok(robot.distance < 1e-3, `distance: ${robot.distance}`);
+    assert.equal(robot.tipping_time, 0);
+    assert.equal(metrics.summary().rolls, 0);
+});
+
+test('runs are deterministic and their results are written as CSV and JSON', () => {
+    const [config] = expand_sweep({ num_robots: 4, seed: 11, steps: 360 });
+    const first = run_experiment(config);
+    const second = run_experiment(config);
+    delete first.metrics.elapsed_ms;
+    delete second.metrics.elapsed_ms;
+    assert.deepEqual(second, first);
+
+    const results = [first, run_experiment(Object.assign({}, config, { run: 1, seed: 12 }))];
+    const lines = results_to_csv(results).trimEnd().split('\n');
+    assert.equal(lines.length, 3);
+    assert.equal(lines[0], CSV_COLUMNS.join(','));
+    const row = lines[2].split(',');
+    assert.equal(row.length, CSV_COLUMNS.length);
+    assert.equal(Number(row[CSV_COLUMNS.indexOf('seed')]), 12);
+    assert.equal(Number(row[CSV_COLUMNS.indexOf('collisions')]), results[1].metrics.collisions);
+
+    const parsed = JSON.parse(results_to_json(results));
+    assert.equal(parsed.length, 2);
+    assert.equal(parsed[0].robots.length, 4);
+    assert.deepEqual(parsed[0].config, first.config);
+});
+
+test('a run that fails is reported with its error and the rest of the sweep goes on', () => {
+    const reported = [];
+    const results = run_sweep({ num_robots: [1, 500, 2], seed: 3, steps: 10, world: { arena: { width: 10, depth: 10 } } },
+        result => reported.push(result));
+    assert.equal(results.length, 3);
+    assert.deepEqual(reported, results);
+
+    const [first, failed, last] = results;
+    assert.equal(first.error, undefined);
+    assert.equal(last.robots.length, 2);
+    assert.match(failed.error, /Could not place 500 robots/);
+    assert.equal(failed.metrics, null);
+    assert.equal(failed.config.num_robots, 500);
+
+    const row = results_to_csv(results).trimEnd().split('\n')[2].split(',');
+    assert.equal(row[CSV_COLUMNS.indexOf('num_robots')], '500');
+    assert.equal(row[CSV_COLUMNS.indexOf('collisions')], '');
+    assert.match(row[CSV_COLUMNS.indexOf('error')], /Could not place 500 robots/);
+});
@@ -0,0 +1,34 @@
+/**
+ * File: helpers.js
+ * Project: 3D Rigid Body Physics Engine - Collisions and Motion
+ * Description: Helper functions shared by the tests: comparing numbers within a tolerance
+ * and building an empty world with a fixed seed.
+ * Author: Alberto Chavez Garcia
+ * Created: October 19, 2026
+ * Last Modified: October 19, 2026
+ */
+
+const assert = require('node:assert/strict');
+const { simulation_world } = require('../simulation.js');
+
+/**
+ * Helper function to check that a number is within a tolerance of the expected value
+ * @param {Number} actual - Number to be checked
+ * @param {Number} expected - Expected value
+ * @param {Number} tolerance - Largest difference allowed
+ * @param {String} label - Name of the number in the failure message
+ */
+function assert_close(actual, expected, tolerance, label) {
+    assert.ok(Math.abs(actual - expected) <= tolerance, `${label}: expected ${expected}, got ${actual}`);
+}
+
+/**
+ * Helper function to build a world without robots and with a fixed seed, so every run of a test is the same
+ * @param {Object} options - Other settings of the world
+ * @returns {simulation_world} - The world
+ */
+function empty_world(options = {}) {
+    return new simulation_world(Object.assign({ num_robots: 0, seed: 2023 }, options));
+}
+
+module.exports = { assert_close, empty_world };
@@ -0,0 +1,155 @@
+/**
+ * File: materials.test.js
+ * Project: 3D Rigid Body Physics Engine - Collisions and Motion
+ * Description: Checks the materials and their combine rules, static and dynamic friction against the analytic sliding
+ * threshold and deceleration of a pushed robot, the contact states of the robots, and that materials survive resets and scenarios.
+ * Run with: node --test tests/
+ * Author: Alberto Chavez Garcia
+ * Created: October 19, 2026
+ * Last Modified: October 19, 2026
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { vector3 } = require('../vector_math.js');
+const { cube_robot, simulation_world, GRAVITY_ACCELERATION } = require('../simulation.js');
+const { create_material, create_combine_rules, combine_materials } = require('../materials.js');
+const { save_scenario, load_scenario } = require('../scenario.js');
+const { assert_close, empty_world } = require('./helpers.js');
+
+/**
+ * Helper function to build a world holding a single idle robot resting on the centre of the floor
+ * @param {Object} material - Material of the robot
+ * @param {Object} options - Other settings of the world
+ * @returns {Object} - The world and the robot, a 2x2x2 cube of 1 kg
+ */
+function resting_robot_world(material, options = {}) {
+    const world = empty_world(options);
+    const robot = world.add_robot(new cube_robot(0, 1, 0, { mass: 1, material }));
+    robot.index = 0;
+    world.advance(60);
+    return { world, robot };
+}
+
+/**
+ * Helper function to push a robot with a horizontal force through its centre of mass
+ * @returns {Number} - Speed of the robot after the push
+ */
+function push(world, robot, force, num_steps) {
+    for (let i = 0; i < num_steps; i++) {
+        robot.apply_force(new vector3(force, 0, 0));
+        world.step();
+    }
+    return robot.translational_velocity.x;
+}
+
+test('create_material fills in, clamps and orders the coefficients', () => {
+    assert.deepEqual(create_material(), { static_friction: 0.3, dynamic_friction: 0.3, restitution: 0.5 });
+    assert.deepEqual(create_material({ friction: 0.8 }), { static_friction: 0.8, dynamic_friction: 0.8, restitution: 0.5 });
+    assert.deepEqual(create_material({ dynamic_friction: 0.9, restitution: 2 }), { static_friction: 0.9, dynamic_friction: 0.9, restitution: 1 });
+    assert.deepEqual(create_material({ static_friction: 0.7 }, { static_friction: 0.1, dynamic_friction: 0.1, restitution: 0 }),
+        { static_friction: 0.7, dynamic_friction: 0.1, restitution: 0 });
+    assert.throws(() => create_material({ restitution: 'bouncy' }), /restitution/);
+});
+
+test('combine_materials applies the friction and restitution rules', () => {
+    const rubber = create_material({ static_friction: 0.9, dynamic_friction: 0.8, restitution: 0.8 });
+    const ice = create_material({ static_friction: 0.1, dynamic_friction: 0.05, restitution: 0.2 });
+
+    const defaults = combine_materials(rubber, ice, create_combine_rules());
+    assert.deepEqual(defaults, { static_friction: 0.9, dynamic_friction: 0.8, restitution: 0.2 });
+
+    const averaged = combine_materials(rubber, ice, create_combine_rules({ friction: 'average', restitution: 'max' }));
+    assert_close(averaged.static_friction, 0.5, 1e-12, 'average static friction');
+    assert_close(averaged.dynamic_friction, 0.425, 1e-12, 'average dynamic friction');
+    assert.equal(averaged.restitution, 0.8);
+
+    const multiplied = combine_materials(rubber, ice, create_combine_rules({ friction: 'multiply', restitution: 'geometric' }));
+    assert_close(multiplied.static_friction, 0.09, 1e-12, 'multiplied static friction');
+    assert_close(multiplied.restitution, 0.4, 1e-12, 'geometric restitution');
+
+    assert.throws(() => create_combine_rules({ friction: 'sum' }), /friction combine rule/);
+});
+
+test('contacts get the combined coefficients of the floor and of the robot', () => {
+    const { world, robot } = resting_robot_world({ static_friction: 0.4, dynamic_friction: 0.2, restitution: 0.9 });
+    const floor_contact = () => world.contacts.find(contact => contact.body_a === world.arena.ground && contact.body_b === robot);
+
+    // Default floor: static and dynamic friction of 0.6 and no restitution
+    assert.equal(floor_contact().static_friction, 0.6);
+    assert.equal(floor_contact().dynamic_friction, 0.6);
+    assert.equal(floor_contact().restitution, 0);
+
+    world.set_combine_rules({ friction: 'min', restitution: 'max' });
+    world.step();
+    assert.equal(floor_contact().static_friction, 0.4);
+    assert.equal(floor_contact().dynamic_friction, 0.2);
+    assert.equal(floor_contact().restitution, 0.9);
+
+    world.set_floor_material({ static_friction: 0.1, dynamic_friction: 0.05 });
+    world.step();
+    assert.equal(floor_contact().static_friction, 0.1);
+    assert.equal(floor_contact().dynamic_friction, 0.05);
+});
+
+test('a robot sticks below the static friction limit and slides on dynamic friction above it', () => {
+    const static_friction = 0.5;
+    const dynamic_friction = 0.2;
+    const material = { static_friction, dynamic_friction, restitution: 0 };
+    const options = { combine_rules: { friction: 'min' } };
+    const limit = static_friction * GRAVITY_ACCELERATION;
+
+    // 1 kg robot, pushed through its centre of mass by less than μs·m·g it does not move
+    const sticking = resting_robot_world(material, options);
+    const start = sticking.robot.position.clone();
+    push(sticking.world, sticking.robot, 0.9 * limit, 360);
+    assert.ok(sticking.robot.position.clone().sub(start).length() < 1e-3, 'the robot should stick to the floor');
+    assert.equal(sticking.robot.contact_state, 'sticking');
+
+    // Pushed beyond it, it accelerates at (F - μd·m·g) / m
+    const force = 1.1 * limit;
+    const sliding = resting_robot_world(material, options);
+    const speed_before = push(sliding.world, sliding.robot, force, 36);
+    const speed_after = push(sliding.world, sliding.robot, force, 360);
+    assert_close(speed_after - speed_before, force - dynamic_friction * GRAVITY_ACCELERATION, 0.05, 'acceleration while sliding');
+    assert.equal(sliding.robot.contact_state, 'sliding');
+});
+
+test('rolling robots report their contact state', () => {
+    const world = new simulation_world({ num_robots: 1, seed: 2023, piston_force: 6 });
+    const states = new Set();
+    world.on('step', () => states.add(world.robots[0].contact_state));
+    world.advance(720);
+    assert.ok(states.has('rolling'), `states seen: ${[...states].join(', ')}`);
+    assert.ok(states.has('sticking'), `states seen: ${[...states].join(', ')}`);
+});
+
+test('materials of the world and of single robots follow set_material, resets and scenarios', () => {
+    const world = new simulation_world({ num_robots: 3, seed: 2023, material: { dynamic_friction: 0.25 }, restitution: 0.7 });
+    assert.deepEqual(world.material, { static_friction: 0.3, dynamic_friction: 0.25, restitution: 0.7 });
+    assert.equal(world.restitution, 0.7);
+
+    const [first, second] = world.robots;
+    world.set_material({ static_friction: 1.2 }, first);
+    assert.deepEqual(first.material, { static_friction: 1.2, dynamic_friction: 0.25, restitution: 0.7 });
+    assert.equal(second.material, null);
+
+    world.set_floor_material({ restitution: 0.3 });
+    world.set_combine_rules({ restitution: 'average' });
+    const loaded = load_scenario(JSON.parse(JSON.stringify(save_scenario(world))));
+    assert.deepEqual(loaded.material, world.material);
+    assert.deepEqual(loaded.combine_rules, world.combine_rules);
+    assert.deepEqual(loaded.arena.floor_material, world.arena.floor_material);
+    assert.deepEqual(loaded.robots[0].material, first.material);
+    assert.equal(loaded.robots[1].material, null);
+
+    // Setting the material of every robot drops the materials of single robots
+    world.set_material({ restitution: 0.1 });
+    assert.equal(first.material, null);
+    assert.equal(world.restitution, 0.1);
+
+    world.reset({ restitution: 0.4 });
+    assert.deepEqual(world.material, { static_friction: 0.3, dynamic_friction: 0.25, restitution: 0.4 });
+    assert.equal(world.arena.floor_material.restitution, 0.3);
+    assert.equal(world.combine_rules.restitution, 'average');
+});
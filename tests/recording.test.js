@@ -0,0 +1,105 @@
+/**
+ * File: recording.test.js
+ * Project: 3D Rigid Body Physics Engine - Collisions and Motion
+ * Description: Checks that a recording exported as JSON and imported back replays the state of the bodies,
+ * the pistons and the events of the live world at the same step, and that broken recordings are rejected on import.
+ * Run with: node --test tests/
+ * Author: Alberto Chavez Garcia
+ * Created: October 19, 2026
+ * Last Modified: October 19, 2026
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { simulation_world } = require('../simulation.js');
+const { recorder, replayer, recording_to_json, recording_from_json } = require('../recording.js');
+const { assert_close } = require('./helpers.js');
+
+// Recorded states are 32-bit floats exported with 7 significant digits
+const STATE_TOLERANCE = 1e-4;
+
+// Step of the run compared between the live world and the replay, while the fired piston pushes
+const INSPECTED_STEP = 120;
+
+/**
+ * Helper function to record a run of robots rolling around, one of them firing a piston
+ * @returns {Object} - The recording and a snapshot of the live world at INSPECTED_STEP
+ */
+function record_run() {
+    const world = new simulation_world({ num_robots: 4, seed: 2023, piston_force: 6 });
+    const run_recorder = new recorder(world);
+    run_recorder.start();
+
+    let live = null;
+    world.on('step', () => {
+        if (world.steps === INSPECTED_STEP) {
+            live = world.bodies.filter(body => !body.is_static).map(body => ({
+                position: body.position.clone(),
+                velocity: body.translational_velocity.clone(),
+                angular_velocity: body.angular_velocity.clone(),
+                index: body.index ?? -1,
+                pistons: body.pistons && body.pistons.map(piston => Object.assign({}, piston))
+            }));
+        }
+    });
+
+    world.advance(60);
+    world.robots[0].fire_piston('right', { force: 40, duration: 0.5, extension: 0.4 });
+    world.advance(180);
+    return { recording: run_recorder.stop(), live };
+}
+
+test('a recording replays the bodies and the pistons of the live world after a JSON round trip', () => {
+    const { recording, live } = record_run();
+    const replay = new replayer(recording_from_json(recording_to_json(recording)));
+    assert.equal(replay.frame_count, 241);
+
+    const frame = replay.inspect(INSPECTED_STEP);
+    assert.equal(frame.step, INSPECTED_STEP);
+    assert.equal(frame.bodies.length, live.length);
+    frame.bodies.forEach((body, i) => {
+        ['x', 'y', 'z'].forEach((axis, k) => {
+            assert_close(body.position[k], live[i].position[axis], STATE_TOLERANCE, `${body.name} position ${axis}`);
+            assert_close(body.velocity[k], live[i].velocity[axis], STATE_TOLERANCE, `${body.name} velocity ${axis}`);
+            assert_close(body.angular_velocity[k], live[i].angular_velocity[axis], STATE_TOLERANCE, `${body.name} angular velocity ${axis}`);
+        });
+        assert.equal(body.index, live[i].index);
+
+        body.pistons.forEach((piston, j) => {
+            const live_piston = live[i].pistons[j];
+            assert.equal(piston.name, live_piston.name);
+            assert.equal(piston.activity, live_piston.firing ? 'firing' : (live_piston.retracting ? 'retracting' : 'idle'));
+            assert_close(piston.extension, live_piston.extension, STATE_TOLERANCE, `${body.name} ${piston.name} extension`);
+            assert_close(piston.tilt_angle, live_piston.tilt_angle, STATE_TOLERANCE, `${body.name} ${piston.name} tilt`);
+            assert_close(piston.force, live_piston.force, STATE_TOLERANCE, `${body.name} ${piston.name} force`);
+        });
+    });
+
+    // The fired piston is out and pushing, the replay robot shows it
+    const fired = frame.bodies[0].pistons.find(piston => piston.name === 'right');
+    assert.equal(fired.activity, 'firing');
+    assert.ok(fired.extension > 0);
+    replay.seek(INSPECTED_STEP);
+    assert_close(replay.robots[0].piston('right').extension, fired.extension, 0, 'replayed extension');
+    assert.equal(replay.robots[0].piston('right').firing, true);
+});
+
+test('recordings with events or states that do not match their bodies are rejected on import', () => {
+    const { recording } = record_run();
+    const exported = JSON.parse(recording_to_json(recording));
+    const rejects = (edit, pattern) => {
+        const data = JSON.parse(JSON.stringify(exported));
+        edit(data);
+        assert.throws(() => recording_from_json(JSON.stringify(data)), pattern);
+    };
+
+    const num_bodies = exported.bodies.length;
+    rejects(data => { data.frames[3].events = [{ type: 'collision_begin', bodies: [0, num_bodies] }]; },
+        new RegExp(`Event 0 \\(collision_begin\\) of frame 3 refers to an unknown body: ${num_bodies}`));
+    rejects(data => { data.frames[3].events = [{ type: 'wall_hit', bodies: [-1] }]; }, /unknown body: -1/);
+    rejects(data => { data.frames[3].events = [{ type: 'fallen' }]; }, /Event 0 of frame 3 needs the ids of its bodies/);
+    rejects(data => { data.frames[3].events = {}; }, /Frame 3 needs an array of events/);
+    rejects(data => { data.frames[3].pistons.pop(); }, /Frame 3 has 4 robots but a piston state/);
+    rejects(data => { delete data.frames[0].pistons; }, /Frame 0 has 4 robots/);
+    rejects(data => { data.version = 1; }, /Unsupported recording version: 1/);
+});
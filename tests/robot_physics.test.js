@@ -0,0 +1,184 @@
+/**
+ * File: robot_physics.test.js
+ * Project: 3D Rigid Body Physics Engine - Collisions and Motion
+ * Description: Checks the physics of a single cube robot against analytic results including:
+ * Moment of inertia of the cube, Piston force and torque of _calculate_physics and the movement methods,
+ * Tipping at tipping_point_angle and Settling on the next face after a full_rotation.
+ * Run with: node --test tests/
+ * Author: Alberto Chavez Garcia
+ * Created: October 19, 2026
+ * Last Modified: October 19, 2026
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { vector3, quaternion } = require('../vector_math.js');
+const { box_shape } = require('../shapes.js');
+const { cube_robot, GRAVITY_ACCELERATION, ROBOT_DIRECTIONS } = require('../simulation.js');
+const { empty_world } = require('./helpers.js');
+
+const WORLD_UP = new vector3(0, 1, 0);
+const TOLERANCE = 1e-9;
+
+/**
+ * Helper function to compare two vectors component by component
+ * @param {vector3} actual - Vector to be checked
+ * @param {vector3} expected - Expected vector
+ * @param {Number} tolerance - Largest difference allowed per component
+ */
+function assert_vector_close(actual, expected, tolerance = TOLERANCE) {
+    for (const axis of ['x', 'y', 'z']) {
+        assert.ok(Math.abs(actual[axis] - expected[axis]) <= tolerance,
+            `${axis}: expected ${expected[axis]}, got ${actual[axis]}`);
+    }
+}
+
+/**
+ * Helper function to build a world holding a single robot resting on the centre of the floor
+ * @param {Number} index - Direction index of the robot (see ROBOT_DIRECTIONS)
+ * @param {Number} piston_force - Piston output force in newtons
+ * @returns {Object} - The world and its robot
+ */
+function single_robot_world(index, piston_force = 6) {
+    const world = empty_world({ piston_force });
+    const robot = world.add_robot(new cube_robot(0, 1, 0, { piston_force }));
+    robot.index = index;
+    return { world, robot };
+}
+
+test('moment of inertia of the cube robot is m * s² / 6 about every axis', () => {
+    const robot = new cube_robot(0, 1, 0, { mass: 0.5 });
+    const expected = 0.5 * 2 * 2 / 6;
+    assert_vector_close(robot.inertia, new vector3(expected, expected, expected));
+    assert_vector_close(robot.inverse_inertia, new vector3(1 / expected, 1 / expected, 1 / expected));
+
+    // The inertia of a box follows its sides, a 2 x 1 x 4 box has three different moments
+    const box = new box_shape(new vector3(2, 1, 4)).inertia(3);
+    assert_vector_close(box, new vector3(3 * (1 + 16) / 12, 3 * (4 + 16) / 12, 3 * (4 + 1) / 12));
+});
+
+test('changing the mass scales the inertia of the same cube', () => {
+    const robot = new cube_robot(0, 1, 0, { mass: 0.5 });
+    robot.set_mass(1);
+    const expected = 1 * 2 * 2 / 6;
+    assert_vector_close(robot.inertia, new vector3(expected, expected, expected));
+});
+
+test('the inertia of a cube is the same whatever its orientation', () => {
+    const orientation = new quaternion().set_from_axis_angle(new vector3(1, 2, 3).normalize(), 0.7);
+    const robot = new cube_robot(0, 1, 0, { mass: 0.5, orientation });
+    const expected = [3, 0, 0, 0, 3, 0, 0, 0, 3];
+    robot.inverse_inertia_world.elements.forEach((element, i) => {
+        assert.ok(Math.abs(element - expected[i]) <= TOLERANCE, `element ${i}: expected ${expected[i]}, got ${element}`);
+    });
+});
+
+test('a torque gives the angular acceleration torque / inertia', () => {
+    const robot = new cube_robot(0, 1, 0, { mass: 0.5 });
+    const time_step = 1 / 360;
+    robot.apply_torque(new vector3(0, 0, 2));
+    robot.integrate_velocity(time_step, new vector3(0, 0, 0));
+    assert_vector_close(robot.angular_velocity, new vector3(0, 0, 2 / robot.inertia.z * time_step));
+});
+
+test('_calculate_physics applies the piston force and torque of the tilted piston', () => {
+    const piston_force = 6;
+    const robot = new cube_robot(0, 1, 0, { piston_force });
+    const direction = ROBOT_DIRECTIONS[1];
+    robot._calculate_physics(direction);
+
+    // Piston tilted at the tipping point angle, with a lever of half the height of the cube
+    const roll_axis = WORLD_UP.clone().cross(direction);
+    const expected_torque = roll_axis.clone().multiply_scalar(piston_force * 1 * Math.sin(robot.tipping_point_angle));
+    const expected_force = direction.clone().multiply_scalar(piston_force * Math.cos(robot.tipping_point_angle));
+    assert_vector_close(robot.torque, expected_torque);
+    assert_vector_close(robot.translation, expected_force);
+    assert_vector_close(robot.torque_accumulator, expected_torque);
+    assert_vector_close(robot.force_accumulator, expected_force);
+
+    // Gravity pulls the upright cube back about its leading bottom edge with a lever of half its size
+    const weight = robot.mass * GRAVITY_ACCELERATION;
+    assert.ok(Math.abs(robot.torque_grav.dot(roll_axis) + weight * 1) <= TOLERANCE);
+});
+
+test('_calculate_physics stops pushing once the cube is past the tipping point', () => {
+    const robot = new cube_robot(0, 1, 0, { piston_force: 6 });
+    robot.roll_phase = 'tipping';
+    robot._calculate_physics(ROBOT_DIRECTIONS[1]);
+    assert_vector_close(robot.torque, new vector3(0, 0, 0));
+    assert_vector_close(robot.force_accumulator, new vector3(0, 0, 0));
+});
+
+test('each movement method pushes the cube along its direction of travel', () => {
+    const methods = { 1: 'move_away', 2: 'move_closer', 3: 'move_left', 4: 'move_right' };
+    for (const [index, method] of Object.entries(methods)) {
+        const robot = new cube_robot(0, 1, 0, { piston_force: 6 });
+        robot[method]();
+
+        const direction = ROBOT_DIRECTIONS[index];
+        const push = 6 * Math.cos(robot.tipping_point_angle);
+        assert_vector_close(robot.force_accumulator, direction.clone().multiply_scalar(push));
+        assert_vector_close(robot.roll_direction, WORLD_UP.clone().cross(direction));
+        assert.equal(robot.roll_phase, 'push', method);
+    }
+});
+
+test('a cube too weak to reach the tipping point never rolls', () => {
+    const { world, robot } = single_robot_world(1, 2);
+    let tipped = false;
+    world.on('tipped_over', () => { tipped = true; });
+    world.advance(1080);
+    assert.equal(tipped, false);
+    assert.ok(robot.roll_angle() < robot.tipping_point_angle);
+});
+
+test('the cube tips over when it crosses tipping_point_angle', () => {
+    const { world, robot } = single_robot_world(1);
+
+    // Roll angle at the end of every step, the tipping point is checked at the start of the next step
+    const angles = [];
+    let tipped_after = null;
+
+    world.on('tipped_over', event => {
+        assert.equal(event.robot, robot);
+        assert.equal(event.index, 1);
+        tipped_after = angles.slice();
+    });
+    world.on('step', () => angles.push(robot.roll_angle()));
+
+    while (tipped_after === null && world.steps < 3600) {
+        world.step();
+    }
+
+    assert.notEqual(tipped_after, null, 'the cube never tipped over');
+    assert.ok(tipped_after[tipped_after.length - 2] < robot.tipping_point_angle);
+    assert.ok(tipped_after[tipped_after.length - 1] >= robot.tipping_point_angle);
+    assert.equal(robot.roll_phase, 'tipping');
+
+    // Gravity finishes the roll, the piston no longer pushes
+    world.step();
+    assert_vector_close(robot.torque, new vector3(0, 0, 0));
+});
+
+test('the cube settles on its next face after a full_rotation', () => {
+    const { world, robot } = single_robot_world(1);
+    let landed = false;
+    world.on('landed', () => { landed = true; });
+
+    while (!landed && world.steps < 3600) {
+        world.step();
+    }
+    assert.ok(landed, 'the cube never landed');
+
+    // The face that was on top now faces the direction of travel, up to the landing angle and the random yaw
+    const initial_up = robot.rotation_matrix.get_column(1, new vector3());
+    const rolled = Math.acos(Math.min(Math.abs(initial_up.dot(WORLD_UP)), 1));
+    assert.ok(Math.abs(robot.full_rotation - rolled) <= robot.landing_angle, `rolled ${rolled} rad`);
+    assert.ok(initial_up.dot(ROBOT_DIRECTIONS[1]) > Math.cos(2 * robot.landing_angle));
+    assert.ok(robot.compute_tilt() < robot.landing_angle);
+
+    // A full rotation moves the cube by its own size, resting on the floor again
+    assert.ok(Math.abs(robot.position.z + 2) < 0.1, `z = ${robot.position.z}`);
+    assert.ok(Math.abs(robot.position.y - 1) < 0.05, `y = ${robot.position.y}`);
+    assert.equal(robot.roll_phase, 'push');
+});
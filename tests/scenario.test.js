@@ -0,0 +1,104 @@
+/**
+ * File: scenario.test.js
+ * Project: 3D Rigid Body Physics Engine - Collisions and Motion
+ * Description: Checks that saved scenarios load back into the same world and that invalid scenarios are rejected
+ * with the field at fault.
+ * Run with: node --test tests/
+ * Author: Alberto Chavez Garcia
+ * Created: October 19, 2026
+ * Last Modified: October 19, 2026
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { simulation_world } = require('../simulation.js');
+const { save_scenario, load_scenario, restore_scenario, validate_scenario } = require('../scenario.js');
+
+/**
+ * Helper function to save a small world as a plain scenario object, ready to be edited
+ * @returns {Object} - The scenario
+ */
+function saved_scenario() {
+    const world = new simulation_world({ num_robots: 2, seed: 2023 });
+    world.advance(60);
+    return JSON.parse(JSON.stringify(save_scenario(world)));
+}
+
+test('a saved scenario loads back into the same world', () => {
+    const scenario = saved_scenario();
+    const world = load_scenario(scenario);
+    assert.deepEqual(JSON.parse(JSON.stringify(save_scenario(world))), scenario);
+});
+
+test('masses, piston forces, time steps, arena sizes, roll phases and controllers out of range are rejected', () => {
+    const rejects = (edit, pattern) => {
+        const scenario = saved_scenario();
+        edit(scenario);
+        assert.throws(() => validate_scenario(scenario), pattern);
+        assert.throws(() => load_scenario(scenario), pattern);
+    };
+
+    rejects(scenario => { scenario.mass = 0; }, /^Error: mass must be a positive number/);
+    rejects(scenario => { scenario.piston_force = -1; }, /^Error: piston_force must be a number of at least 0/);
+    rejects(scenario => { scenario.robots[0].mass = -1; }, /robots\[0\]\.mass must be a positive number/);
+    rejects(scenario => { scenario.robots[1].mass = 'heavy'; }, /robots\[1\]\.mass/);
+    rejects(scenario => { scenario.robots[0].piston_force = Infinity; }, /robots\[0\]\.piston_force/);
+    rejects(scenario => { scenario.robots[0].roll.phase = 'flying'; }, /robots\[0\]\.roll\.phase must be one of push, tipping/);
+    rejects(scenario => { scenario.robots[0].roll = null; }, /robots\[0\]\.roll\.phase/);
+    rejects(scenario => { scenario.bodies = [{ shape: { type: 'box' }, mass: -2 }]; }, /bodies\[0\]\.mass/);
+    rejects(scenario => { scenario.time_step = 0; }, /^Error: time_step must be a positive number, got 0/);
+    rejects(scenario => { scenario.time_step = -1; }, /time_step must be a positive number/);
+    rejects(scenario => { scenario.spawn_height = -0.5; }, /^Error: spawn_height must be a number of at least 0/);
+    rejects(scenario => { scenario.arena.width = 0; }, /^Error: arena\.width must be a positive number/);
+    rejects(scenario => { scenario.arena.depth = -40; }, /arena\.depth must be a positive number/);
+    rejects(scenario => { scenario.arena.wall_height = -1; }, /arena\.wall_height must be a positive number/);
+    rejects(scenario => { scenario.arena.wall_thickness = 0; }, /arena\.wall_thickness must be a positive number/);
+    rejects(scenario => { scenario.robots[0].controller = { type: 'bogus' }; },
+        /robots\[0\]\.controller\.type must be one of random_walk, goal_seeking, flocking, got bogus/);
+
+    // A robot without a piston force and a static body, saved without a mass, are fine
+    const scenario = saved_scenario();
+    scenario.robots[0].piston_force = 0;
+    scenario.bodies = [{ shape: { type: 'box' }, mass: null }];
+    assert.doesNotThrow(() => validate_scenario(scenario));
+});
+
+test('a reset starts a loaded scenario again, restore_scenario starts one in an existing world', () => {
+    const scenario = saved_scenario();
+    scenario.bodies = [{ shape: { type: 'sphere', radius: 0.5 }, position: [0, 3, 5], mass: 0.2, velocity: [1, 0, 0] }];
+    const world = load_scenario(scenario);
+    const start = save_scenario(world);
+    world.advance(120);
+    world.spawn_robots(1);
+
+    world.reset();
+    assert.deepEqual(save_scenario(world), start);
+
+    // An existing world keeps its listeners and starts the scenario, its resets start the scenario again
+    const other = new simulation_world({ num_robots: 5, seed: 7 });
+    let resets = 0;
+    other.on('reset', () => resets++);
+    assert.equal(restore_scenario(other, scenario), other);
+    assert.equal(resets, 1);
+    assert.deepEqual(save_scenario(other), start);
+    other.advance(60);
+    other.reset();
+    assert.deepEqual(save_scenario(other), start);
+
+    // Without the setup and the bodies of the scenario, a reset builds a world from the settings
+    other.reset({ setup: null, bodies: [], num_robots: 3, seed: 9 });
+    assert.equal(other.robots.length, 3);
+    assert.equal(other.bodies.length, other.arena.walls.length + 3);
+    assert.equal(other.time, 0);
+
+    // An invalid scenario leaves the world as it was, also when it only fails while its robots are built
+    const before = save_scenario(other);
+    assert.throws(() => restore_scenario(other, Object.assign({}, scenario, { mass: -1 })), /mass/);
+    const unbuildable = JSON.parse(JSON.stringify(scenario));
+    unbuildable.robots[1].material = { static_friction: 'slippery' };
+    assert.doesNotThrow(() => validate_scenario(unbuildable));
+    assert.throws(() => restore_scenario(other, unbuildable), /static friction of a material must be a number/);
+    assert.deepEqual(save_scenario(other), before);
+    other.reset();
+    assert.equal(other.robots.length, 3);
+});
@@ -0,0 +1,183 @@
+/**
+ * File: sleeping.test.js
+ * Project: 3D Rigid Body Physics Engine - Collisions and Motion
+ * Description: Checks robots dropped from a height, stacks of robots resting on each other with and without warm starting,
+ * the contacts kept from one step to the next for it, and sleeping bodies: falling asleep together,
+ * skipping integration and collision tests, and waking on contact or actuation.
+ * Run with: node --test tests/
+ * Author: Alberto Chavez Garcia
+ * Created: October 19, 2026
+ * Last Modified: October 19, 2026
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { vector3 } = require('../vector_math.js');
+const { cube_robot, simulation_world } = require('../simulation.js');
+const { save_scenario, load_scenario } = require('../scenario.js');
+const { assert_close, empty_world } = require('./helpers.js');
+
+/**
+ * Helper function to build a world with a stack of 2x2x2 robots of 1 kg, each placed just above the one under it
+ * @param {Number} height - Number of robots in the stack
+ * @param {Object} options - Other settings of the world
+ * @returns {Object} - The world and its robots, from the bottom of the stack up
+ */
+function stack_world(height, options = {}) {
+    const world = empty_world(options);
+    const robots = [];
+    for (let i = 0; i < height; i++) {
+        robots.push(world.add_robot(new cube_robot(0.2 * (i % 2), 1.05 + 2.1 * i, 0, { mass: 1 })));
+    }
+    return { world, robots };
+}
+
+/**
+ * Helper function to measure how much the robots of a world still move
+ * @returns {Number} - Mean speed of the robots over the steps
+ */
+function mean_speed(world, num_steps) {
+    let total = 0;
+    for (let i = 0; i < num_steps; i++) {
+        world.step();
+        world.robots.forEach(robot => { total += robot.translational_velocity.length() + robot.angular_velocity.length(); });
+    }
+    return total / (num_steps * world.robots.length);
+}
+
+test('robots spawned above the floor fall and land on it', () => {
+    const world = new simulation_world({ num_robots: 4, seed: 2023, spawn_height: 4 });
+    assert.ok(world.robots.every(robot => Math.abs(robot.position.y - 5) < 1e-9));
+
+    world.step();
+    assert.ok(world.robots.every(robot => robot.contact_state === 'airborne'));
+
+    world.advance(719);
+    for (const robot of world.robots) {
+        assert_close(robot.position.y, 1, 0.01, `${robot.name} height`);
+        assert.ok(robot.compute_tilt() < robot.landing_angle);
+    }
+
+    // Robots spawned later drop from the new height, reset keeps it
+    world.set_spawn_height(2);
+    const [robot] = world.spawn_robots(1);
+    assert_close(robot.position.y, 3, 1e-9, 'spawned robot height');
+    world.reset();
+    assert.equal(world.spawn_height, 2);
+});
+
+test('a robot dropped on another one stays stacked on top of it', () => {
+    const world = empty_world({ allow_sleep: false });
+    const bottom = world.add_robot(new cube_robot(0, 1, 0, { mass: 1 }));
+    const top = world.add_robot(new cube_robot(0.3, 5, 0.2, { mass: 1 }));
+    world.advance(1440);
+
+    assert_close(bottom.position.y, 1, 0.01, 'bottom robot height');
+    assert_close(top.position.y, 3, 0.01, 'top robot height');
+    assert.ok(top.compute_tilt() < top.landing_angle);
+    assert.equal(top.contact_state, 'sticking');
+    assert.equal(bottom.contact_state, 'sticking');
+});
+
+test('warm starting keeps a stack of robots at rest', () => {
+    const warm = stack_world(4, { allow_sleep: false });
+    const cold = stack_world(4, { allow_sleep: false, warm_starting: false });
+    warm.world.advance(720);
+    cold.world.advance(720);
+
+    const warm_speed = mean_speed(warm.world, 720);
+    const cold_speed = mean_speed(cold.world, 720);
+    assert.ok(warm_speed < 0.1 * cold_speed, `mean speed ${warm_speed} with warm starting, ${cold_speed} without`);
+
+    warm.robots.forEach((robot, i) => assert_close(robot.position.y, 1 + 2 * i, 0.01, `robot ${i} height`));
+});
+
+test('the contacts of a step are written into the objects of two steps before, the last step keeps its own', () => {
+    const { world } = stack_world(3, { allow_sleep: false });
+    world.advance(360);
+
+    const contacts = [];
+    for (let i = 0; i < 3; i++) {
+        world.step();
+        contacts.push(world.contacts.slice());
+    }
+    assert.ok(contacts[0].length > 0);
+    assert.equal(contacts[2].length, contacts[0].length);
+    contacts[2].forEach((contact, i) => assert.equal(contact, contacts[0][i], 'contacts are reused every other step'));
+    contacts[1].forEach(contact => assert.ok(!contacts[2].includes(contact), 'the contacts of the last step are kept'));
+    contacts[2].forEach(contact => assert.ok(contact.cached === null && contact.points.every(point => point.normal_impulse >= 0)));
+});
+
+test('bodies at rest fall asleep together and are no longer simulated', () => {
+    const { world, robots } = stack_world(3);
+    world.advance(1080);
+
+    assert.ok(robots.every(robot => robot.sleeping), 'the whole stack should be asleep');
+    assert.equal(world.collision_stats.sleeping, 3);
+
+    // Sleeping bodies keep their pose and still touch each other
+    const positions = robots.map(robot => robot.position.clone());
+    let ended = 0;
+    world.on('collision_end', () => ended++);
+    world.advance(360);
+    robots.forEach((robot, i) => assert.deepEqual(robot.position, positions[i]));
+    assert.equal(world.collision_stats.pairs_tested, 0);
+    assert.equal(world.contacts.length, 0);
+    assert.equal(ended, 0);
+
+    // Sleeping survives a scenario
+    const loaded = load_scenario(JSON.parse(JSON.stringify(save_scenario(world))));
+    assert.ok(loaded.robots.every(robot => robot.sleeping));
+});
+
+test('sleeping bodies wake on contact, on actuation and when their support goes', () => {
+    const { world, robots } = stack_world(2);
+    world.advance(1080);
+    assert.ok(robots.every(robot => robot.sleeping));
+
+    // A robot dropped on the stack wakes it up, then the three of them fall asleep again
+    const dropped = world.add_robot(new cube_robot(0, 7, 0, { mass: 1 }));
+    world.advance(300);
+    assert.ok(robots.every(robot => !robot.sleeping), 'the dropped robot should wake the stack');
+    world.advance(1080);
+    assert.ok(world.robots.every(robot => robot.sleeping));
+    assert_close(dropped.position.y, 5, 0.02, 'dropped robot height');
+
+    // Taking the bottom robot out lets the others fall to the floor
+    world.remove_body(robots[0]);
+    assert.ok(!robots[1].sleeping);
+    world.advance(1080);
+    assert_close(robots[1].position.y, 1, 0.02, 'robot that lost its support');
+
+    // Piston force and a direction drive a sleeping robot again
+    const single = empty_world();
+    const robot = single.add_robot(new cube_robot(0, 1, 0, { mass: 1 }));
+    single.advance(360);
+    assert.ok(robot.sleeping);
+    robot.index = 1;
+    single.set_piston_force(20, robot);
+    assert.ok(!robot.sleeping);
+    const start = robot.position.clone();
+    single.advance(720);
+    assert.ok(robot.position.clone().sub(start).length() > 1, 'the robot should roll away');
+
+    // A new direction on its own wakes a robot that has a piston force
+    const directed = empty_world({ piston_force: 6 });
+    const idle = directed.add_robot(new cube_robot(0, 1, 0, { piston_force: 6 }));
+    idle.index = 0;
+    directed.advance(360);
+    assert.ok(idle.sleeping);
+    idle.index = 1;
+    const idle_start = idle.position.clone();
+    directed.advance(720);
+    assert.ok(!idle.sleeping);
+    assert.ok(idle.position.clone().sub(idle_start).length() > 1, 'the robot given a direction should roll away');
+
+    // So does a force applied from outside the world
+    single.set_piston_force(0, robot);
+    single.advance(1440);
+    assert.ok(robot.sleeping);
+    robot.apply_force(new vector3(100, 0, 0));
+    single.step();
+    assert.ok(!robot.sleeping && robot.translational_velocity.x > 0);
+});
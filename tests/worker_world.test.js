@@ -0,0 +1,129 @@
+/**
+ * File: worker_world.test.js
+ * Project: 3D Rigid Body Physics Engine - Collisions and Motion
+ * Description: Checks the simulation worker running under Node worker_threads including:
+ * Frames matching a world stepped on the main thread, Parameter changes and robot counts sent as messages,
+ * Events re-emitted with the bodies of the mirror and the Fixed-timestep loop driven from the main thread.
+ * Run with: node --test tests/
+ * Author: Alberto Chavez Garcia
+ * Created: October 19, 2026
+ * Last Modified: October 19, 2026
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { simulation_world } = require('../simulation.js');
+const { save_scenario, load_scenario } = require('../scenario.js');
+const { worker_world } = require('../worker_world.js');
+const { assert_close } = require('./helpers.js');
+
+// Frames are Float32Arrays, positions of a few units keep about 6 significant digits
+const FRAME_TOLERANCE = 1e-5;
+
+const OPTIONS = { num_robots: 5, seed: 3, piston_force: 6 };
+
+test('the mirror follows a world stepped on the main thread', async () => {
+    const world = new worker_world(OPTIONS);
+    const local = load_scenario(save_scenario(new simulation_world(OPTIONS)));
+    try {
+        await world.run(600);
+        local.advance(600);
+
+        assert.equal(world.steps, 600);
+        assert.equal(world.bodies.length, local.bodies.length);
+        world.bodies.forEach((body, i) => {
+            for (const axis of ['x', 'y', 'z']) {
+                assert_close(body.position[axis], local.bodies[i].position[axis], FRAME_TOLERANCE, `body ${i} position ${axis}`);
+                assert_close(body.translational_velocity[axis], local.bodies[i].translational_velocity[axis], FRAME_TOLERANCE,
+                    `body ${i} velocity ${axis}`);
+            }
+        });
+        world.robots.forEach((robot, i) => assert.equal(robot.index, local.robots[i].index));
+    } finally {
+        world.terminate();
+    }
+});
+
+test('parameter changes and robot counts are sent to the worker', async () => {
+    const world = new worker_world(OPTIONS);
+    const added = [];
+    world.on('body_added', ({ body }) => added.push(body));
+    try {
+        world.set_piston_force(2);
+        world.set_mass(0.8, world.robots[0]);
+        world.set_robot_count(8);
+        assert.equal(world.piston_force, 2);
+
+        await world.run(100);
+        assert.equal(world.robots.length, 8);
+        assert.deepEqual(added, world.robots.slice(5));
+
+        // The worker holds the same robots, in the same order and with the same settings
+        const scenario = await world.save_scenario();
+        assert.deepEqual(scenario.robots.map(robot => robot.name), world.robots.map(robot => robot.name));
+        assert.equal(scenario.robots[0].mass, 0.8);
+        assert.equal(scenario.robots[1].piston_force, 2);
+        scenario.robots.forEach((robot, i) => assert_close(robot.position[0], world.robots[i].position.x, FRAME_TOLERANCE, `robot ${i}`));
+
+        world.set_robot_count(2);
+        world.reset({ num_robots: 3, seed: 9 });
+        await world.run(10);
+        assert.equal(world.robots.length, 3);
+        assert.equal(world.steps, 10);
+    } finally {
+        world.terminate();
+    }
+});
+
+test('events of the worker are emitted with the bodies of the mirror', async () => {
+    const world = new worker_world(OPTIONS);
+    const tipped = [];
+    world.on('tipped_over', ({ robot, index }) => tipped.push({ robot, index }));
+    try {
+        await world.run(600);
+        assert.ok(tipped.length > 0, 'no robot tipped over');
+        tipped.forEach(({ robot, index }) => {
+            assert.ok(world.robots.includes(robot));
+            assert.ok(index >= 1 && index <= 4);
+        });
+    } finally {
+        world.terminate();
+    }
+});
+
+test('the loop of the worker is driven by elapsed time from the main thread', async () => {
+    const world = new worker_world(OPTIONS);
+    try {
+        const frame = new Promise(resolve => world.once('step', resolve));
+        world.loop.advance(0.1);
+        assert.equal(world.frame_pending, true);
+
+        // Time elapsed while a frame is on its way is kept for the next request
+        world.loop.advance(0.05);
+        await frame;
+        assert.equal(world.steps, Math.floor(0.1 * 360));
+        assert.ok(world.loop.alpha >= 0 && world.loop.alpha < 1);
+
+        const next = new Promise(resolve => world.once('step', resolve));
+        world.loop.advance(0);
+        await next;
+        assert.equal(world.steps, Math.floor(0.15 * 360 + 1e-9));
+    } finally {
+        world.terminate();
+    }
+});
+
+test('a change the worker cannot make is reported as an error event', async () => {
+    const world = new worker_world(OPTIONS);
+    try {
+        const error = new Promise(resolve => world.once('error', resolve));
+        world.set_robot_count(10000);
+        assert.match((await error).message, /arena is too small/);
+
+        // The world keeps running with its robots
+        await world.run(10);
+        assert.equal(world.robots.length, 5);
+    } finally {
+        world.terminate();
+    }
+});
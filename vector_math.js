@@ -0,0 +1,405 @@
+/**
+ * File: vector_math.js
+ * Project: 3D Rigid Body Physics Engine - Collisions and Motion
+ * Description: Minimal vector, quaternion, matrix and bounding-box math used by the headless simulation.
+ * Mirrors the subset of the ThreeJS math API the engine needs so the physics can run without ThreeJS
+ * Author: Alberto Chavez Garcia
+ * Created: October 19, 2026
+ * Last Modified: October 19, 2026
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        Object.assign(root, factory());
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+
+    /**
+     * Converts degrees to radians
+     * @param {Number} degrees - Angle in degrees
+     * @returns {Number} - Angle in radians
+     */
+    function deg_to_rad(degrees) {
+        return degrees * Math.PI / 180;
+    }
+
+    /**
+     * Three component vector used for positions, rotations, velocities and forces
+     *
+     * @param {Number} x - x component
+     * @param {Number} y - y component
+     * @param {Number} z - z component
+     */
+    class vector3 {
+        constructor(x = 0, y = 0, z = 0) {
+            this.x = x;
+            this.y = y;
+            this.z = z;
+        }
+
+        set(x, y, z) {
+            this.x = x;
+            this.y = y;
+            this.z = z;
+            return this;
+        }
+
+        copy(vector) {
+            this.x = vector.x;
+            this.y = vector.y;
+            this.z = vector.z;
+            return this;
+        }
+
+        clone() {
+            return new vector3(this.x, this.y, this.z);
+        }
+
+        add(vector) {
+            this.x += vector.x;
+            this.y += vector.y;
+            this.z += vector.z;
+            return this;
+        }
+
+        sub(vector) {
+            this.x -= vector.x;
+            this.y -= vector.y;
+            this.z -= vector.z;
+            return this;
+        }
+
+        multiply_scalar(scalar) {
+            this.x *= scalar;
+            this.y *= scalar;
+            this.z *= scalar;
+            return this;
+        }
+
+        divide_scalar(scalar) {
+            return this.multiply_scalar(1 / scalar);
+        }
+
+        dot(vector) {
+            return this.x * vector.x + this.y * vector.y + this.z * vector.z;
+        }
+
+        cross(vector) {
+            const x = this.x, y = this.y, z = this.z;
+            this.x = y * vector.z - z * vector.y;
+            this.y = z * vector.x - x * vector.z;
+            this.z = x * vector.y - y * vector.x;
+            return this;
+        }
+
+        negate() {
+            return this.multiply_scalar(-1);
+        }
+
+        length_sq() {
+            return this.dot(this);
+        }
+
+        length() {
+            return Math.sqrt(this.dot(this));
+        }
+
+        normalize() {
+            const length = this.length();
+            return length > 0 ? this.divide_scalar(length) : this;
+        }
+
+        /**
+         * Rotates this vector by a unit quaternion
+         * @param {quaternion} quat - Rotation
+         * @returns {vector3} - This vector
+         */
+        apply_quaternion(quat) {
+            const x = this.x, y = this.y, z = this.z;
+            const qx = quat.x, qy = quat.y, qz = quat.z, qw = quat.w;
+
+            // t = 2 * cross(q.xyz, v), v' = v + w * t + cross(q.xyz, t)
+            const tx = 2 * (qy * z - qz * y);
+            const ty = 2 * (qz * x - qx * z);
+            const tz = 2 * (qx * y - qy * x);
+
+            this.x = x + qw * tx + qy * tz - qz * ty;
+            this.y = y + qw * ty + qz * tx - qx * tz;
+            this.z = z + qw * tz + qx * ty - qy * tx;
+            return this;
+        }
+
+        /**
+         * Multiplies this vector by a 3x3 matrix
+         * @param {matrix3} matrix - Row-major rotation or transformation matrix
+         * @returns {vector3} - This vector
+         */
+        apply_matrix3(matrix) {
+            const e = matrix.elements;
+            const x = this.x, y = this.y, z = this.z;
+            this.x = e[0] * x + e[1] * y + e[2] * z;
+            this.y = e[3] * x + e[4] * y + e[5] * z;
+            this.z = e[6] * x + e[7] * y + e[8] * z;
+            return this;
+        }
+    }
+
+    /**
+     * Unit quaternion used for orientations
+     *
+     * @param {Number} x - x component of the vector part
+     * @param {Number} y - y component of the vector part
+     * @param {Number} z - z component of the vector part
+     * @param {Number} w - Scalar part
+     */
+    class quaternion {
+        constructor(x = 0, y = 0, z = 0, w = 1) {
+            this.x = x;
+            this.y = y;
+            this.z = z;
+            this.w = w;
+        }
+
+        set(x, y, z, w) {
+            this.x = x;
+            this.y = y;
+            this.z = z;
+            this.w = w;
+            return this;
+        }
+
+        copy(quat) {
+            return this.set(quat.x, quat.y, quat.z, quat.w);
+        }
+
+        clone() {
+            return new quaternion(this.x, this.y, this.z, this.w);
+        }
+
+        /**
+         * @param {vector3} axis - Unit rotation axis
+         * @param {Number} angle - Rotation angle in radians
+         * @returns {quaternion} - This quaternion
+         */
+        set_from_axis_angle(axis, angle) {
+            const half_sin = Math.sin(angle / 2);
+            return this.set(axis.x * half_sin, axis.y * half_sin, axis.z * half_sin, Math.cos(angle / 2));
+        }
+
+        /**
+         * Builds the quaternion of Euler angles applied in XYZ order (ThreeJS default)
+         * @param {vector3} rotation - Euler angles in radians
+         * @returns {quaternion} - This quaternion
+         */
+        set_from_euler(rotation) {
+            const c1 = Math.cos(rotation.x / 2), s1 = Math.sin(rotation.x / 2);
+            const c2 = Math.cos(rotation.y / 2), s2 = Math.sin(rotation.y / 2);
+            const c3 = Math.cos(rotation.z / 2), s3 = Math.sin(rotation.z / 2);
+
+            return this.set(
+                s1 * c2 * c3 + c1 * s2 * s3,
+                c1 * s2 * c3 - s1 * c2 * s3,
+                c1 * c2 * s3 + s1 * s2 * c3,
+                c1 * c2 * c3 - s1 * s2 * s3
+            );
+        }
+
+        /**
+         * Sets this quaternion to a * b, rotating by b first and then by a
+         */
+        multiply_quaternions(a, b) {
+            return this.set(
+                a.x * b.w + a.w * b.x + a.y * b.z - a.z * b.y,
+                a.y * b.w + a.w * b.y + a.z * b.x - a.x * b.z,
+                a.z * b.w + a.w * b.z + a.x * b.y - a.y * b.x,
+                a.w * b.w - a.x * b.x - a.y * b.y - a.z * b.z
+            );
+        }
+
+        multiply(quat) {
+            return this.multiply_quaternions(this, quat);
+        }
+
+        premultiply(quat) {
+            return this.multiply_quaternions(quat, this);
+        }
+
+        conjugate() {
+            return this.set(-this.x, -this.y, -this.z, this.w);
+        }
+
+        dot(quat) {
+            return this.x * quat.x + this.y * quat.y + this.z * quat.z + this.w * quat.w;
+        }
+
+        normalize() {
+            const length = Math.sqrt(this.dot(this));
+            if (length === 0) {
+                return this.set(0, 0, 0, 1);
+            }
+            return this.set(this.x / length, this.y / length, this.z / length, this.w / length);
+        }
+
+        /**
+         * Spherical linear interpolation towards another orientation, along the shortest arc
+         * @param {quaternion} target - Orientation reached at t = 1
+         * @param {Number} t - Interpolation factor between 0 and 1
+         * @returns {quaternion} - This quaternion
+         */
+        slerp(target, t) {
+            let cos_half = this.dot(target);
+            const sign = cos_half < 0 ? -1 : 1;
+            cos_half *= sign;
+
+            let weight_this = 1 - t;
+            let weight_target = t * sign;
+
+            if (cos_half < 0.9995) {
+                const half = Math.acos(cos_half);
+                const sin_half = Math.sin(half);
+                weight_this = Math.sin((1 - t) * half) / sin_half;
+                weight_target = Math.sin(t * half) / sin_half * sign;
+            }
+
+            return this.set(
+                this.x * weight_this + target.x * weight_target,
+                this.y * weight_this + target.y * weight_target,
+                this.z * weight_this + target.z * weight_target,
+                this.w * weight_this + target.w * weight_target
+            ).normalize();
+        }
+    }
+
+    /**
+     * Row-major 3x3 matrix, used for rotations and inertia tensors
+     */
+    class matrix3 {
+        constructor() {
+            this.elements = [1, 0, 0, 0, 1, 0, 0, 0, 1];
+        }
+
+        // Elements are written in place, a step never allocates new matrices
+        set(e0, e1, e2, e3, e4, e5, e6, e7, e8) {
+            const e = this.elements;
+            e[0] = e0; e[1] = e1; e[2] = e2;
+            e[3] = e3; e[4] = e4; e[5] = e5;
+            e[6] = e6; e[7] = e7; e[8] = e8;
+            return this;
+        }
+
+        copy(matrix) {
+            const e = matrix.elements;
+            return this.set(e[0], e[1], e[2], e[3], e[4], e[5], e[6], e[7], e[8]);
+        }
+
+        /**
+         * Builds the rotation matrix of a unit quaternion
+         * @param {quaternion} quat - Orientation
+         * @returns {matrix3} - This matrix
+         */
+        set_from_quaternion(quat) {
+            const { x, y, z, w } = quat;
+            const x2 = x + x, y2 = y + y, z2 = z + z;
+            const xx = x * x2, xy = x * y2, xz = x * z2;
+            const yy = y * y2, yz = y * z2, zz = z * z2;
+            const wx = w * x2, wy = w * y2, wz = w * z2;
+
+            return this.set(
+                1 - (yy + zz), xy - wz, xz + wy,
+                xy + wz, 1 - (xx + zz), yz - wx,
+                xz - wy, yz + wx, 1 - (xx + yy)
+            );
+        }
+
+        /**
+         * Rotates a diagonal tensor given in body coordinates into world coordinates, R * diag(d) * R^T
+         * @param {matrix3} rotation_matrix - Orientation of the body
+         * @param {vector3} diagonal - Diagonal of the tensor in body coordinates
+         * @returns {matrix3} - This matrix
+         */
+        set_rotated_diagonal(rotation_matrix, diagonal) {
+            const r = rotation_matrix.elements;
+            const e = this.elements;
+            const d0 = diagonal.x, d1 = diagonal.y, d2 = diagonal.z;
+
+            for (let row = 0; row < 3; row++) {
+                for (let column = 0; column < 3; column++) {
+                    let sum = 0;
+                    sum += r[row * 3] * d0 * r[column * 3];
+                    sum += r[row * 3 + 1] * d1 * r[column * 3 + 1];
+                    sum += r[row * 3 + 2] * d2 * r[column * 3 + 2];
+                    e[row * 3 + column] = sum;
+                }
+            }
+            return this;
+        }
+
+        /**
+         * Column of the matrix, for a rotation matrix the world direction of a local axis
+         * @param {Number} index - Column index (0, 1 or 2)
+         * @param {vector3} target - Vector receiving the column
+         * @returns {vector3} - The target vector
+         */
+        get_column(index, target) {
+            const e = this.elements;
+            return target.set(e[index], e[index + 3], e[index + 6]);
+        }
+
+        /**
+         * Builds the rotation matrix for Euler angles applied in XYZ order (ThreeJS default)
+         * @param {vector3} rotation - Euler angles in radians
+         * @returns {matrix3} - This matrix
+         */
+        set_from_euler(rotation) {
+            const a = Math.cos(rotation.x), b = Math.sin(rotation.x);
+            const c = Math.cos(rotation.y), d = Math.sin(rotation.y);
+            const e = Math.cos(rotation.z), f = Math.sin(rotation.z);
+            const ae = a * e, af = a * f, be = b * e, bf = b * f;
+
+            return this.set(
+                c * e, -c * f, d,
+                af + be * d, ae - bf * d, -b * c,
+                bf - ae * d, be + af * d, a * c
+            );
+        }
+    }
+
+    /**
+     * Axis-aligned bounding box
+     *
+     * @param {vector3} min - Lower corner
+     * @param {vector3} max - Upper corner
+     */
+    class box3 {
+        constructor(min = new vector3(Infinity, Infinity, Infinity), max = new vector3(-Infinity, -Infinity, -Infinity)) {
+            this.min = min;
+            this.max = max;
+        }
+
+        make_empty() {
+            this.min.set(Infinity, Infinity, Infinity);
+            this.max.set(-Infinity, -Infinity, -Infinity);
+            return this;
+        }
+
+        expand_by_point(point) {
+            this.min.set(Math.min(this.min.x, point.x), Math.min(this.min.y, point.y), Math.min(this.min.z, point.z));
+            this.max.set(Math.max(this.max.x, point.x), Math.max(this.max.y, point.y), Math.max(this.max.z, point.z));
+            return this;
+        }
+
+        get_size(target) {
+            return target.set(this.max.x - this.min.x, this.max.y - this.min.y, this.max.z - this.min.z);
+        }
+
+        intersects_box(box) {
+            return !(box.max.x < this.min.x || box.min.x > this.max.x
+                || box.max.y < this.min.y || box.min.y > this.max.y
+                || box.max.z < this.min.z || box.min.z > this.max.z);
+        }
+    }
+
+    return { deg_to_rad, vector3, quaternion, matrix3, box3 };
+}));
@@ -0,0 +1,205 @@
+/**
+ * File: worker_protocol.js
+ * Project: 3D Rigid Body Physics Engine - Collisions and Motion
+ * Description: Messages shared by the simulation worker (simulation_worker.js) and the world running it (worker_world.js) including:
+ * Packing the state of the bodies of a world in a transferable Float32Array frame, Applying a frame to a mirror world,
+ * and Encoding event data so bodies and vectors cross the thread boundary
+ * Author: Alberto Chavez Garcia
+ * Created: October 19, 2026
+ * Last Modified: October 19, 2026
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./vector_math.js'), require('./rigid_body.js'));
+    } else {
+        Object.assign(root, factory(root, root));
+    }
+}(typeof self !== 'undefined' ? self : this, function (math, body) {
+
+    const { vector3 } = math;
+    const { rigid_body } = body;
+
+    // Numbers per body: position (3), orientation (4), previous_position (3), previous_orientation (4),
+    // translational_velocity (3), angular_velocity (3) and sleeping (1)
+    const BODY_FLOATS = 21;
+
+    // Numbers per robot before its pistons: index (1), contact_state (1), torque (3) and torque_grav (3)
+    const ROBOT_FLOATS = 8;
+
+    // Contact states of a robot, sent as their index
+    const CONTACT_STATES = ['airborne', 'sticking', 'sliding', 'rolling'];
+
+    // Numbers per piston: extension (1), tilt_angle (1) and tilt_axis (3)
+    const PISTON_FLOATS = 5;
+
+    // Events that change the bodies of the world, always sent so both threads keep the same bodies in the same order
+    const STRUCTURAL_EVENTS = ['body_added', 'body_removed', 'fallen', 'reset'];
+
+    // Events sent only while the main thread listens to them
+    const FORWARDED_EVENTS = ['collision_begin', 'collision_stay', 'collision_end', 'wall_hit', 'tipped_over', 'landed'];
+
+    // Methods of the world the main thread may call, the first ones are also applied to the mirror world straight away
+    const MIRRORED_METHODS = [
+        'set_mass', 'set_piston_force', 'set_gravity', 'set_time_step', 'set_restitution', 'set_material', 'set_floor_material', 'set_combine_rules',
+        'set_spawn_height', 'set_allow_sleep'
+    ];
+    const WORKER_METHODS = MIRRORED_METHODS.concat(['set_robot_count', 'spawn_robots', 'remove_body', 'reset']);
+
+    /**
+     * Number of floats of the frame of a world, bodies first and then the robots with their pistons
+     * @param {simulation_world} world - World to be packed
+     * @returns {Number}
+     */
+    function frame_length(world) {
+        let length = world.bodies.length * BODY_FLOATS;
+        for (const robot of world.robots) {
+            length += ROBOT_FLOATS + robot.pistons.length * PISTON_FLOATS;
+        }
+        return length;
+    }
+
+    /**
+     * Packs the state of the bodies of a world, in the order of bodies and then of robots
+     * @param {simulation_world} world - World to be packed
+     * @param {Float32Array} array - Frame receiving the state, at least frame_length(world) long
+     * @returns {Float32Array} - The frame
+     */
+    function write_frame(world, array) {
+        let i = 0;
+        const write = vector => {
+            array[i++] = vector.x;
+            array[i++] = vector.y;
+            array[i++] = vector.z;
+        };
+        const write_quaternion = quaternion => {
+            write(quaternion);
+            array[i++] = quaternion.w;
+        };
+
+        for (const body of world.bodies) {
+            write(body.position);
+            write_quaternion(body.orientation);
+            write(body.previous_position);
+            write_quaternion(body.previous_orientation);
+            write(body.translational_velocity);
+            write(body.angular_velocity);
+            array[i++] = body.sleeping ? 1 : 0;
+        }
+
+        for (const robot of world.robots) {
+            array[i++] = robot.index;
+            array[i++] = CONTACT_STATES.indexOf(robot.contact_state);
+            write(robot.torque);
+            write(robot.torque_grav);
+            for (const piston of robot.pistons) {
+                array[i++] = piston.extension;
+                array[i++] = piston.tilt_angle;
+                write(piston.tilt_axis);
+            }
+        }
+        return array;
+    }
+
+    /**
+     * Applies a frame to a world with the same bodies in the same order, usually the mirror of the world that wrote it
+     * @param {simulation_world} world - World receiving the state
+     * @param {Float32Array} array - Frame written by write_frame
+     */
+    function read_frame(world, array) {
+        let i = 0;
+        const read = vector => {
+            vector.x = array[i++];
+            vector.y = array[i++];
+            vector.z = array[i++];
+        };
+        const read_quaternion = quaternion => {
+            read(quaternion);
+            quaternion.w = array[i++];
+        };
+
+        for (const body of world.bodies) {
+            read(body.position);
+            read_quaternion(body.orientation);
+            read(body.previous_position);
+            read_quaternion(body.previous_orientation);
+            read(body.translational_velocity);
+            read(body.angular_velocity);
+            body.sleeping = array[i++] === 1;
+            body.update_derived();
+            body.update_bounding_box();
+        }
+
+        for (const robot of world.robots) {
+            robot.index = array[i++];
+            robot.contact_state = CONTACT_STATES[array[i++]];
+            read(robot.torque);
+            read(robot.torque_grav);
+            for (const piston of robot.pistons) {
+                piston.extension = array[i++];
+                piston.tilt_angle = array[i++];
+                read(piston.tilt_axis);
+            }
+        }
+    }
+
+    /**
+     * Encodes the data of an event so it can be posted to another thread.
+     * Bodies become their index among the bodies of the world and vectors become arrays
+     * @param {*} value - Data of the event
+     * @param {Function} index_of - Gives the index of a body
+     * @returns {*} - Data that survives structured cloning
+     */
+    function encode_value(value, index_of) {
+        if (value instanceof rigid_body) {
+            return { $body: index_of(value) };
+        }
+        if (value instanceof vector3) {
+            return { $vector: [value.x, value.y, value.z] };
+        }
+        if (value !== null && typeof value === 'object') {
+            const encoded = {};
+            for (const [key, field] of Object.entries(value)) {
+                encoded[key] = encode_value(field, index_of);
+            }
+            return encoded;
+        }
+        return value;
+    }
+
+    /**
+     * Decodes data encoded by encode_value
+     * @param {*} value - Encoded data
+     * @param {Function} body_at - Gives the body of an index
+     * @returns {*} - Data with bodies and vectors
+     */
+    function decode_value(value, body_at) {
+        if (value === null || typeof value !== 'object') {
+            return value;
+        }
+        if (value.$body !== undefined) {
+            return value.$body === -1 ? null : body_at(value.$body);
+        }
+        if (value.$vector !== undefined) {
+            return new vector3(...value.$vector);
+        }
+        const decoded = {};
+        for (const [key, field] of Object.entries(value)) {
+            decoded[key] = decode_value(field, body_at);
+        }
+        return decoded;
+    }
+
+    return {
+        BODY_FLOATS,
+        STRUCTURAL_EVENTS,
+        FORWARDED_EVENTS,
+        MIRRORED_METHODS,
+        WORKER_METHODS,
+        frame_length,
+        write_frame,
+        read_frame,
+        encode_value,
+        decode_value
+    };
+}));
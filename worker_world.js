@@ -0,0 +1,351 @@
+/**
+ * File: worker_world.js
+ * Project: 3D Rigid Body Physics Engine - Collisions and Motion
+ * Description: Main thread side of the simulation worker (simulation_worker.js).
+ * A worker_world stands in for a simulation_world whose steps run in a Web Worker or a Node worker_threads worker:
+ * it keeps a mirror of the world that is never stepped, applies the frames streamed back by the worker to it,
+ * re-emits the events of the worker and sends parameter changes as messages
+ * Author: Alberto Chavez Garcia
+ * Created: October 19, 2026
+ * Last Modified: October 19, 2026
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(
+            require('./events.js'),
+            require('./simulation.js'),
+            require('./scenario.js'),
+            require('./worker_protocol.js')
+        );
+    } else {
+        Object.assign(root, factory(root, root, root, root));
+    }
+}(typeof self !== 'undefined' ? self : this, function (events, simulation, scenario, protocol) {
+
+    const { event_emitter } = events;
+    const { simulation_world } = simulation;
+    const { save_scenario, load_scenario, validate_scenario, create_body, add_robot_entry } = scenario;
+    const { FORWARDED_EVENTS, MIRRORED_METHODS, WORKER_METHODS, read_frame, encode_value, decode_value } = protocol;
+
+    // Properties of a worker_world read from its mirror
+    const MIRROR_PROPERTIES = ['bodies', 'robots', 'arena', 'seed', 'gravity', 'time_step', 'restitution', 'material', 'combine_rules', 'mass', 'piston_force',
+        'spawn_height', 'allow_sleep'];
+
+    /**
+     * Helper function to start the worker thread
+     * @param {String} url - Script of the worker in the browser
+     * @returns {Object} - The worker with post(message, transfer), on_message(listener) and terminate()
+     */
+    function start_worker(url) {
+        if (typeof Worker === 'function') {
+            const worker = new Worker(url);
+            return {
+                post: (message, transfer) => worker.postMessage(message, transfer),
+                on_message: listener => { worker.onmessage = event => listener(event.data); },
+                terminate: () => worker.terminate()
+            };
+        }
+
+        const { Worker: thread_worker } = require('worker_threads');
+        const worker = new thread_worker(require('path').join(__dirname, 'simulation_worker.js'), {
+            workerData: { simulation_worker: true }
+        });
+        return {
+            post: (message, transfer) => worker.postMessage(message, transfer),
+            on_message: listener => worker.on('message', listener),
+            terminate: () => worker.terminate()
+        };
+    }
+
+    /**
+     * This class drives the loop of the worker like a fixed_step_loop drives a world, the steps are run by the worker.
+     * A frame is requested at a time, the time elapsed while one is on its way is added to the next request
+     *
+     * @param {worker_world} world - World running in the worker
+     */
+    class worker_loop {
+        constructor(world) {
+            this.world = world;
+            this.max_frame_time = 0.25;
+            this.time_scale = 1;
+            this.alpha = 0;
+            this.paused = false;
+            this._pending_time = 0;
+        }
+
+        /**
+         * Asks the worker for the steps of the elapsed time, the frame arrives later
+         * @param {Number} elapsed_seconds - Real time since the previous frame
+         * @returns {Number} - Always 0, the steps are run in the worker
+         */
+        advance(elapsed_seconds) {
+            this._pending_time += elapsed_seconds;
+            if (!this.paused && !this.world.frame_pending) {
+                this.world._request_frame({ type: 'advance', elapsed: this._pending_time }).catch(error => this.world.emit('error', error));
+                this._pending_time = 0;
+            }
+            return 0;
+        }
+
+        pause() {
+            this.paused = true;
+            this.world._post({ type: 'pause' });
+        }
+
+        resume() {
+            this.paused = false;
+            this._pending_time = 0;
+            this.world._post({ type: 'resume' });
+        }
+
+        /**
+         * Runs exactly one physics step in the worker, only while paused
+         */
+        single_step() {
+            if (this.paused) {
+                this.world._request_frame({ type: 'single_step' }).catch(error => this.world.emit('error', error));
+            }
+        }
+
+        /**
+         * Updates the simulated seconds per real second
+         * @param {Number} time_scale - New time scale, must be positive
+         */
+        set_time_scale(time_scale) {
+            if (time_scale > 0) {
+                this.time_scale = time_scale;
+                this.world._post({ type: 'set_time_scale', time_scale });
+            }
+        }
+    }
+
+    /**
+     * This class runs a simulation world in a worker thread and mirrors it on the main thread.
+     * The mirror gives the bodies, robots and settings read by the views, it only changes when a frame or an event arrives.
+     * Events of the world (see simulation_world) are emitted once their frame arrived, bodies are the bodies of the mirror.
+     * step is emitted once per frame, contacts and the broad-phase grid stay in the worker.
+     * Mass, piston force, gravity, time step, restitution and materials apply to the mirror straight away,
+     * robot counts and resets arrive with the events of the worker
+     *
+     * @param {Object} options - Settings of the world (see simulation_world), or scenario with a scenario to be loaded instead.
+     * The world is saved as a scenario and loaded by the worker, so a controller option is kept for the first robots only
+     * @param {Object} worker_options - Optional settings:
+     * - {String} url - Script of the browser worker, simulation_worker.js by default
+     */
+    class worker_world extends event_emitter {
+        constructor(options = {}, worker_options = {}) {
+            super();
+
+            // The worker and the mirror load the same scenario, they hold the same bodies in the same order
+            const start = options.scenario ?? save_scenario(new simulation_world(options));
+            const load_options = { broad_phase: options.broad_phase };
+            this.mirror = load_scenario(start, load_options);
+
+            this.steps = this.mirror.steps;
+            this.time = this.mirror.time;
+            this.collision_stats = { pairs_tested: 0, contacts: 0, sleeping: 0 };
+            this.contacts = [];
+            this.grid = null;
+            this.fallen = [];
+            this.loop = new worker_loop(this);
+
+            // Frame requests on their way, buffer coming back from the worker to be reused, and requests waiting for an answer
+            this.frame_pending = false;
+            this._buffer = null;
+            this._requests = new Map();
+            this._next_request = 1;
+            this._subscribed = new Set();
+
+            this._worker = start_worker(worker_options.url ?? 'simulation_worker.js');
+            this._worker.on_message(message => this._receive(message));
+            // A world built from settings resets to new robots, not to the scenario it was sent as
+            const reset_options = options.scenario ? undefined : { setup: null, num_robots: options.num_robots ?? 1 };
+            this._post({ type: 'load', scenario: start, options: load_options, reset_options });
+        }
+
+        /**
+         * Subscribes to an event (see event_emitter), the worker only sends the events someone listens to
+         */
+        on(event, listener) {
+            if (FORWARDED_EVENTS.includes(event) && !this._subscribed.has(event)) {
+                this._subscribed.add(event);
+                this._post({ type: 'subscribe', event });
+            }
+            return super.on(event, listener);
+        }
+
+        /**
+         * Runs a number of steps in the worker, for batch jobs
+         * @param {Number} num_steps - Number of steps to run
+         * @returns {Promise<worker_world>} - Resolved once the frame after the steps was applied
+         */
+        run(num_steps) {
+            return this._request_frame({ type: 'run', steps: num_steps }).then(() => this);
+        }
+
+        /**
+         * Saves the exact state of the world in the worker
+         * @returns {Promise<Object>} - Scenario of the world (see save_scenario)
+         */
+        save_scenario() {
+            return this._request({ type: 'save' }).then(message => message.scenario);
+        }
+
+        /**
+         * Puts the world in the worker in the state of a scenario (see restore_scenario), later resets start it again.
+         * The mirror follows with the reset event of the worker
+         * @param {Object} scenario - Scenario (see save_scenario), checked before it is sent.
+         * A scenario the worker cannot build is reported with an error event, the world stays as it was
+         */
+        restore_scenario(scenario) {
+            validate_scenario(scenario);
+            this._post({ type: 'restore', scenario });
+        }
+
+        /**
+         * Stops the worker, the world cannot run anymore
+         */
+        terminate() {
+            this._worker.terminate();
+            this._requests.forEach(({ reject }) => reject(new Error('The simulation worker was terminated')));
+            this._requests.clear();
+        }
+
+        _post(message, transfer = []) {
+            this._worker.post(message, transfer);
+        }
+
+        _request(message, transfer = []) {
+            const id = this._next_request++;
+            return new Promise((resolve, reject) => {
+                this._requests.set(id, { resolve, reject });
+                this._post(Object.assign({ id }, message), transfer);
+            });
+        }
+
+        /**
+         * Asks for a frame, the buffer of the previous frame travels back to be filled again
+         */
+        _request_frame(message) {
+            this.frame_pending = true;
+            const buffer = this._buffer;
+            this._buffer = null;
+            if (buffer !== null) {
+                message.buffer = buffer;
+            }
+            return this._request(message, buffer !== null ? [buffer] : []).finally(() => {
+                this.frame_pending = false;
+            });
+        }
+
+        _call(method, args) {
+            this._post({ type: 'call', method, args: args.map(arg => encode_value(arg, body => this.bodies.indexOf(body))) });
+        }
+
+        _receive(message) {
+            switch (message.type) {
+                case 'frame':
+                    this._apply_frame(message);
+                    break;
+                case 'events':
+                    this._emit_events(message.events);
+                    break;
+                case 'error':
+                    if (!this._requests.has(message.id)) {
+                        this.emit('error', new Error(message.message));
+                    }
+                    break;
+            }
+
+            const request = this._requests.get(message.id);
+            if (request !== undefined) {
+                this._requests.delete(message.id);
+                if (message.type === 'error') {
+                    request.reject(new Error(message.message));
+                } else {
+                    request.resolve(message);
+                }
+            }
+        }
+
+        _apply_frame(message) {
+            this.frame_pending = false;
+            this._buffer = message.buffer;
+
+            // The events come first, they change the bodies the frame was written from
+            const decoded = this._apply_events(message.events);
+            read_frame(this.mirror, new Float32Array(message.buffer, 0, message.length));
+
+            this.steps = message.steps;
+            this.time = message.time;
+            this.collision_stats = message.collision_stats;
+            this.loop.alpha = message.alpha;
+
+            decoded.forEach(([event, data]) => this.emit(event, data));
+            this.emit('step', this);
+        }
+
+        _emit_events(events) {
+            this._apply_events(events).forEach(([event, data]) => this.emit(event, data));
+        }
+
+        /**
+         * Applies the events changing the bodies to the mirror, in the order they happened in the worker
+         * @param {Array} events - [name, data] entries sent by the worker
+         * @returns {Array} - [name, data] entries to be emitted, with the bodies of the mirror
+         */
+        _apply_events(events) {
+            return events.map(([event, data]) => {
+                const mirror = this.mirror;
+                switch (event) {
+                    case 'body_added': {
+                        const body = data.robot ? add_robot_entry(data.entry, mirror, data.entry.name) : mirror.add_body(create_body(data.entry));
+                        return [event, { body }];
+                    }
+                    case 'body_removed':
+                    case 'fallen': {
+                        const body = mirror.bodies[data.index];
+                        mirror.remove_body(body);
+                        if (event === 'fallen') {
+                            this.fallen.push(body);
+                        }
+                        return [event, { body }];
+                    }
+                    case 'reset':
+                        this.mirror = load_scenario(data.scenario, { broad_phase: mirror.options.broad_phase });
+                        this.steps = this.mirror.steps;
+                        this.time = this.mirror.time;
+                        this.fallen = [];
+                        return [event, this];
+                    default:
+                        return [event, decode_value(data, index => this.bodies[index])];
+                }
+            });
+        }
+    }
+
+    // Bodies and settings of the world are read from the mirror
+    MIRROR_PROPERTIES.forEach(name => {
+        Object.defineProperty(worker_world.prototype, name, {
+            get() {
+                return this.mirror[name];
+            }
+        });
+    });
+
+    // Parameter changes of the world, the mirrored ones change the mirror at once so the settings read back are up to date
+    WORKER_METHODS.forEach(method => {
+        worker_world.prototype[method] = function (...args) {
+            if (MIRRORED_METHODS.includes(method)) {
+                this.mirror[method](...args);
+            }
+            this._call(method, args);
+        };
+    });
+
+    return {
+        worker_loop,
+        worker_world
+    };
+}));